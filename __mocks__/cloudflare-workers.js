@@ -1 +1,6 @@
-export class WorkerEntrypoint {}
+export class WorkerEntrypoint {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
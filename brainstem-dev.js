@@ -1,12 +1,14 @@
 // Swayambhu Dev Brainstem — subclass, not fork
-// Imports the real Brainstem + wake-hook.js, overrides only the platform-specific
+// Imports the real Brainstem + the wake hook modules, overrides only the platform-specific
 // methods. All business logic (karma, budgets, error handling) lives in the base class.
 //
 // Run with: npx wrangler dev -c wrangler.dev.toml --test-scheduled --persist-to .wrangler/shared-state
 
 import { Brainstem } from './brainstem.js';
-import { wake } from './wake-hook.js';
+import { wake } from './hook-main.js';
 import { handleChat } from './hook-chat.js';
+import { diffText, applyDiff } from './text-merge.js';
+import { readKarmaLog } from './karma-log.js';
 
 // ── Channel adapters (single source of truth: channels/*.js) ──
 import * as slackAdapter from './channels/slack.js';
@@ -70,20 +72,16 @@ export default {
         { headers: { "Content-Type": "application/json" } });
     }
 
-    // Load config eagerly (same as _invokeHookModules)
-    brain.defaults = await brain.kvGet("config:defaults");
-    brain.modelsConfig = await brain.kvGet("config:models");
-    brain.dharma = await brain.kvGet("dharma");
-    brain.toolRegistry = await brain.kvGet("config:tool_registry");
-    await brain.loadYamasNiyamas();
+    // Load config eagerly (same as executeHook)
+    await brain.loadConfig();
 
+    const secrets = { SLACK_BOT_TOKEN: env.SLACK_BOT_TOKEN };
     const adapter = {
-      sendReply: async (chatId, text) => {
-        await adapterMod.sendReply(chatId, text, {
-          SLACK_BOT_TOKEN: env.SLACK_BOT_TOKEN,
-        }, fetch);
-      },
+      sendReply: (chatId, text) => adapterMod.sendReply(chatId, text, secrets, fetch),
     };
+    if (adapterMod.editReply) {
+      adapter.editReply = (chatId, ref, text) => adapterMod.editReply(chatId, ref, text, secrets, fetch);
+    }
 
     await handleChat(brain, channel, inbound, adapter);
     return new Response("OK", { status: 200 });
@@ -92,10 +90,10 @@ export default {
 
 // ── DevBrainstem ────────────────────────────────────────────────
 
-class DevBrainstem extends Brainstem {
+export class DevBrainstem extends Brainstem {
 
   // ── KernelRPC getter bridge ─────────────────────────────────
-  // wake-hook.js calls K.getSessionId(), K.getDharma(), etc.
+  // The wake hook calls K.getSessionId(), K.getDharma(), etc.
   // In prod these live on KernelRPC (the RPC bridge). In dev, K = this.
 
   async getSessionId()    { return this.sessionId; }
@@ -109,6 +107,8 @@ class DevBrainstem extends Brainstem {
   async getNiyamas()      { return this.niyamas; }
   async kvList(opts)      { return this.kv.list(opts); }
   async isSystemKey(key)  { return Brainstem.isSystemKey(key); }
+  async diffText(before, after)       { return diffText(before, after); }
+  async applyDiff(text, diff, opts)   { return applyDiff(text, diff, opts); }
 
   // ── Chat support — bridge to base class ───────────────────
   async executeToolCall(tc) { return super.executeToolCall(tc); }
@@ -117,13 +117,6 @@ class DevBrainstem extends Brainstem {
   // Calls wake() directly instead of Worker Loader isolate.
 
   async _invokeHookModules(modules, mainModule) {
-    // Load config eagerly (wake-hook expects these via getters)
-    this.defaults = await this.kvGet("config:defaults");
-    this.modelsConfig = await this.kvGet("config:models");
-    this.dharma = await this.kvGet("dharma");
-    this.toolRegistry = await this.kvGet("config:tool_registry");
-    await this.loadYamasNiyamas();
-
     console.log(`[HOOK] Calling wake() for session ${this.sessionId}`);
     const result = await wake(this, { sessionId: this.sessionId });
     console.log(`[HOOK] wake() returned:`, JSON.stringify(result).slice(0, 500));
@@ -193,6 +186,10 @@ class DevBrainstem extends Brainstem {
         }
         return kv.list(opts);
       },
+      async readKarma(sessionId) {
+        if (kvAccess !== "read_all") throw new Error("readKarma needs read_all KV access");
+        return readKarmaLog(kv, sessionId);
+      },
     };
   }
 
@@ -0,0 +1,120 @@
+// Swayambhu Node Runtime — the production kernel on plain Node
+// Runs brainstem.js unchanged by supplying the three things Cloudflare
+// normally provides: a KV namespace (FileKV), a Worker Loader (worker_threads)
+// and ctx.exports loopback bindings. A minute timer replaces the cron trigger.
+//
+// Run with: node --import ./platform/node/register.js brainstem-node.js [--once] [--no-server]
+//   SWAYAMBHU_KV   KV file (default workspace/kv.jsonl, ":memory:" for none)
+//   PORT           HTTP port for /chat/:channel and /__scheduled (default 8787)
+// Secrets (OPENROUTER_API_KEY, SLACK_BOT_TOKEN, ...) are read from process.env.
+
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import worker, { KernelRPC, ScopedKV } from './brainstem.js';
+import { FileKV } from './platform/node/kv.js';
+import { WorkerLoader, makeExports } from './platform/node/loader.js';
+
+const CRON_INTERVAL_MS = 60_000;
+
+export async function createNodeEnv({ kvPath, vars = process.env } = {}) {
+  const KV = await FileKV.open(kvPath ?? vars.SWAYAMBHU_KV ?? "workspace/kv.jsonl");
+  return { ...vars, KV, LOADER: new WorkerLoader() };
+}
+
+export function createNodeContext(env) {
+  const pending = new Set();
+  return {
+    exports: makeExports({ KernelRPC, ScopedKV }, env),
+    waitUntil(promise) {
+      const p = Promise.resolve(promise).catch(err => console.error("[waitUntil]", err));
+      pending.add(p);
+      p.finally(() => pending.delete(p));
+    },
+    passThroughOnException() {},
+    async drain() { await Promise.all([...pending]); },
+  };
+}
+
+export async function runScheduledTick(env) {
+  const ctx = createNodeContext(env);
+  const result = await worker.scheduled({ scheduledTime: Date.now(), cron: "* * * * *" }, env, ctx);
+  await ctx.drain();
+  return result;
+}
+
+// ── Cron loop ───────────────────────────────────────────────
+
+export function startCronLoop(env, intervalMs = CRON_INTERVAL_MS) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;  // previous wake still in progress — same as an overlapping cron
+    running = true;
+    try { await runScheduledTick(env); }
+    catch (err) { console.error("[cron]", err); }
+    finally { running = false; }
+  };
+  // Align to the minute boundary like a real cron trigger
+  const delay = intervalMs - (Date.now() % intervalMs);
+  let timer = setTimeout(function loop() {
+    tick();
+    timer = setTimeout(loop, intervalMs - (Date.now() % intervalMs));
+  }, delay);
+  return { tick, stop: () => clearTimeout(timer) };
+}
+
+// ── HTTP server (chat webhooks + manual wake) ───────────────
+
+export function startServer(env, port) {
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.url.startsWith("/__scheduled")) {
+        const result = await runScheduledTick(env);
+        // Another session holds the lease — say so rather than pretend a wake ran
+        if (result?.skipped) {
+          res.writeHead(409, { "Content-Type": "application/json" }).end(JSON.stringify(result));
+          return;
+        }
+        res.writeHead(200).end("Ran scheduled event");
+        return;
+      }
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = chunks.length ? Buffer.concat(chunks) : null;
+      const request = new Request(`http://${req.headers.host || "localhost"}${req.url}`, {
+        method: req.method,
+        headers: Object.entries(req.headers).flatMap(([k, v]) =>
+          Array.isArray(v) ? v.map(x => [k, x]) : [[k, v]]),
+        ...(body && req.method !== "GET" && req.method !== "HEAD" ? { body } : {}),
+      });
+      const ctx = createNodeContext(env);
+      const response = await worker.fetch(request, env, ctx);
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (err) {
+      console.error("[http]", err);
+      if (!res.headersSent) res.writeHead(500);
+      res.end("Internal error");
+    }
+  });
+  server.listen(port);
+  return server;
+}
+
+// ── Entry point ─────────────────────────────────────────────
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const env = await createNodeEnv();
+
+  if (args.includes("--once")) {
+    await runScheduledTick(env);
+  } else {
+    const port = Number(process.env.PORT || 8787);
+    if (!args.includes("--no-server")) {
+      startServer(env, port);
+      console.log(`[node] listening on http://localhost:${port}`);
+    }
+    startCronLoop(env);
+    console.log(`[node] cron loop started (KV: ${env.KV.path})`);
+  }
+}
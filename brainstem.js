@@ -1,7 +1,8 @@
 // Swayambhu Kernel
 // Hardcoded primitives + safety + alerting + hook dispatch.
-// Policy (wake flow, reflection, mutation protocol) lives in wake-hook.js,
-// stored in KV as hook:wake:code, and executed via Worker Loader isolate.
+// Policy (wake flow, reflection, mutation protocol) lives in the wake hook
+// modules (hook-main.js and the hook-*.js it imports), stored in KV under
+// hook:wake:*, and executed via Worker Loader isolate.
 //
 // The kernel exposes primitives via KernelRPC (WorkerEntrypoint).
 // The hook composes them. Day 1 it's the current logic.
@@ -13,6 +14,10 @@
 // CF-SPECIFIC: WorkerEntrypoint is the CF RPC mechanism for cross-isolate calls
 import { WorkerEntrypoint } from "cloudflare:workers";
 import { handleChat } from './hook-chat.js';
+import { diffText, applyDiff } from './text-merge.js';
+import { historyKey, appendStep, historyMetadata, queryHistory } from './mutation-history.js';
+import { COST_WINDOWS, ledgerDate, emptyCostBucket, costBucket, addCost, budgetStatus, costSummary } from './cost-ledger.js';
+import { isBlobRef, readKarmaLog, resolveBlobs } from './karma-log.js';
 
 // CF-SPECIFIC: WorkerEntrypoint subclass — RPC bridge giving isolate-loaded tools scoped KV access
 export class ScopedKV extends WorkerEntrypoint {
@@ -42,6 +47,11 @@ export class ScopedKV extends WorkerEntrypoint {
     }
     return this.env.KV.list(opts);
   }
+  // A session's karma reassembled from its chunks, for read_all tools
+  async readKarma(sessionId) {
+    if (this.ctx.props.kvAccess !== "read_all") throw new Error("readKarma needs read_all KV access");
+    return readKarmaLog(this.env.KV, sessionId);
+  }
 }
 
 // Module-level reference to active Brainstem instance.
@@ -74,7 +84,21 @@ export class KernelRPC extends WorkerEntrypoint {
   async runAgentLoop(opts) { return this._brain().runAgentLoop(opts); }
   async executeToolCall(tc) { return this._brain().executeToolCall(tc); }
   async buildToolDefinitions(extra) { return this._brain().buildToolDefinitions(extra); }
-  async spawnSubplan(args, depth) { return this._brain().spawnSubplan(args, depth); }
+  async spawnSubplan(args) { return this._brain().spawnSubplan(args); }
+
+  // Background tasks
+  async createTask(args) { return this._brain().createTask(args); }
+  async listTasks(opts) { return this._brain().listTasks(opts); }
+  async getTask(id) { return this._brain().getTask(id); }
+  async cancelTask(id) { return this._brain().cancelTask(id); }
+  async listTaskResults() { return this._brain().listTaskResults(); }
+  async consumeTaskResults(ids) { return this._brain().consumeTaskResults(ids); }
+  async runDueTasks() { return this._brain().runDueTasks(); }
+  async acquireSessionLease() { return this._brain().acquireSessionLease(); }
+
+  // Inbound events — queued by receiveEvent, kernel-only in KV
+  async listEvents(limit) { return this._brain().listEvents(limit); }
+  async consumeEvents(keys) { return this._brain().consumeEvents(keys); }
   async callHook(name, ctx) { return this._brain().callHook(name, ctx); }
 
   // Sandbox
@@ -82,8 +106,21 @@ export class KernelRPC extends WorkerEntrypoint {
   async executeAdapter(adapterKey, input) { return this._brain().executeAdapter(adapterKey, input); }
   async checkBalance(args) { return this._brain().checkBalance(args); }
 
+  // Mutation history (see mutation-history.js) — append-only, kernel-stamped
+  async appendMutationHistory(id, step) { return this._brain().appendMutationHistory(id, step); }
+  async queryMutationHistory(filter) { return this._brain().queryMutationHistory(filter); }
+  async recordObservation(id, observation) { return this._brain().recordObservation(id, observation); }
+
   // Karma
   async karmaRecord(entry) { return this._brain().karmaRecord(entry); }
+  async readKarma(sessionId) { return this._brain().readKarma(sessionId); }
+  async resolveBlobs(value) { return this._brain().resolveBlobs(value); }
+  async collectBlobGarbage() { return this._brain().collectBlobGarbage(); }
+
+  // Costs and provider health (read-only — both are kernel-maintained)
+  async getBudgetStatus() { return this._brain().getBudgetStatus(); }
+  async getCostSummary(days) { return this._brain().getCostSummary(days); }
+  async getProviderHealth() { return this._brain().getProviderHealth(); }
 
   // Alerting — NOT exposed (kernel-internal only)
 
@@ -97,6 +134,10 @@ export class KernelRPC extends WorkerEntrypoint {
   async mergeDefaults(defaults, overrides) { return this._brain().mergeDefaults(defaults, overrides); }
   async isSystemKey(key) { return Brainstem.isSystemKey(key); }
 
+  // Text diffs (see text-merge.js)
+  async diffText(before, after) { return diffText(before, after); }
+  async applyDiff(text, diff, opts) { return applyDiff(text, diff, opts); }
+
   // State (read-only)
   async getSessionId() { return this._brain().sessionId; }
   async getSessionCost() { return this._brain().sessionCost; }
@@ -114,11 +155,25 @@ export class KernelRPC extends WorkerEntrypoint {
 export default {
   async scheduled(event, env, ctx) {
     const brain = new Brainstem(env, { ctx });
-    await brain.runScheduled();
+    return brain.runScheduled();
   },
 
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
+
+    // Webhook events: verified and queued for a wake, never answered here
+    const eventMatch = url.pathname.match(/^\/event\/(\w+)$/);
+    if (eventMatch && request.method === "POST") {
+      const brain = new Brainstem(env, { ctx });
+      const { status, body } = await brain.receiveEvent(eventMatch[1], {
+        headers: Object.fromEntries(request.headers),
+        rawBody: await request.text(),
+      });
+      return typeof body === "string"
+        ? new Response(body, { status })
+        : Response.json(body, { status });
+    }
+
     const match = url.pathname.match(/^\/chat\/(\w+)$/);
     if (!match || request.method !== "POST") {
       return new Response("Not found", { status: 404 });
@@ -173,11 +228,7 @@ export default {
     }
 
     // Load config eagerly for chat handler
-    brain.defaults = await brain.kvGet("config:defaults");
-    brain.modelsConfig = await brain.kvGet("config:models");
-    brain.dharma = await brain.kvGet("dharma");
-    brain.toolRegistry = await brain.kvGet("config:tool_registry");
-    await brain.loadYamasNiyamas();
+    await brain.loadConfig();
 
     // Build adapter interface for chat handler
     const secrets = {};
@@ -186,15 +237,28 @@ export default {
     }
 
     const adapter = {
+      // Returns the adapter's message ref (e.g. Slack ts) for later edits
       sendReply: async (chatId, text) => {
-        await brain.runInIsolate({
+        const sent = await brain.runInIsolate({
           id: `channel:${channel}:send:${brain.sessionId}`,
           moduleCode: Brainstem.wrapChannelAdapter(adapterCode),
           ctx: { action: "send", chatId, text, secrets },
           timeoutMs: 10000,
         });
+        return sent?.ref ?? null;
       },
     };
+    // Adapters that can edit a sent message get progressive (streamed) replies
+    if (/export\s+(async\s+)?function\s+editReply\b/.test(adapterCode)) {
+      adapter.editReply = async (chatId, ref, text) => {
+        await brain.runInIsolate({
+          id: `channel:${channel}:edit:${brain.sessionId}`,
+          moduleCode: Brainstem.wrapChannelAdapter(adapterCode),
+          ctx: { action: "edit", chatId, ref, text, secrets },
+          timeoutMs: 10000,
+        });
+      };
+    }
 
     ctx.waitUntil(
       handleChat(brain, channel, parsed.inbound, adapter).catch(err => {
@@ -216,29 +280,55 @@ class Brainstem {
     this.sessionCost = 0;
     this.sessionLLMCalls = 0;
     this.karma = [];           // The flight recorder — replaces this.log
+    this.karmaChunk = { seq: 0, start: 0, bytes: 0 }; // Open karma chunk (see karmaRecord)
+    this.blobsWritten = new Set(); // blob:{sha256} keys already stored this session
     this.kvWritesThisSession = 0;
     this.modelsConfig = null;
     this.defaults = null;
     this.dharma = null;
     this.toolsCache = {};      // Loaded tool code+meta, cached per session
-    this.lastWorkingSnapshotted = false; // Only snapshot provider once per session
+    this.lastWorkingSnapshotted = new Set(); // Providers snapshotted as last working this session
     this.privilegedWriteCount = 0; // Counter for kvWritePrivileged calls
     this._alertConfigCache = undefined; // undefined = not loaded, null = doesn't exist
     this.yamas = null;         // Cached yama principles (loaded at boot)
     this.niyamas = null;       // Cached niyama principles (loaded at boot)
     this.lastCallModel = null; // Last model used in callLLM (for capability gates)
+    this.ledger = null;        // { day, days } — today's ledger and the days map, as last read or written
+    this.providerHealth = null; // kernel:provider_health, loaded on first routed call
+    this.storedResults = 0;    // Oversized tool results stored this session (read_result handles)
+    this.subplanCount = 0;     // Subplans spawned this session (sp_{n} ids)
+    this.subplanSlots = null;  // Session-wide limiter on running subplans
+    this.lease = null;         // kernel:session_lease while this session holds it
+    this.leaseConfig = null;   // config:defaults.session_lock at acquisition
+    this.leaseTimer = null;    // renews the lease while it is held
+    this.leaseRefused = null;  // set when this run found the lease taken
   }
 
   static SYSTEM_KEY_PREFIXES = [
     'prompt:', 'config:', 'tool:', 'provider:', 'secret:',
     'mutation_staged:', 'mutation_candidate:', 'hook:', 'doc:',
-    'yama:', 'niyama:',
+    'yama:', 'niyama:', 'event_source:',
   ];
-  static KERNEL_ONLY_PREFIXES = ['kernel:'];
+  static KERNEL_ONLY_PREFIXES = ['kernel:', 'blob:', 'task:', 'mutation_history:', 'event:'];
   static SYSTEM_KEY_EXACT = ['providers', 'wallets', 'wisdom'];
   static DANGER_SIGNALS = ["fatal_error", "orient_parse_error", "all_providers_failed"];
   static MAX_PRIVILEGED_WRITES = 50;
   static PRINCIPLE_PREFIXES = ['yama:', 'niyama:'];
+  static KARMA_CHUNK_MAX_ENTRIES = 50;
+  static KARMA_CHUNK_MAX_BYTES = 512 * 1024;
+  static KARMA_BLOB_MIN_BYTES = 1024;
+  static COST_WINDOWS = COST_WINDOWS;
+  static COST_ROLES = [
+    [/^chat_/, 'chat'],
+    [/^subplan_/, 'subplan'],
+    [/^reflect_depth_/, 'deep_reflect'],
+    [/^reflect/, 'reflect'],
+    [/^orient/, 'orient'],
+  ];
+  static KARMA_BLOB_FIELDS = [
+    'request', 'response', 'tool_calls', 'tools_available',
+    'result_summary', 'old_value', 'new_value',
+  ];
 
   static isSystemKey(key) {
     if (Brainstem.SYSTEM_KEY_EXACT.includes(key)) return true;
@@ -257,6 +347,18 @@ class Brainstem {
     return Brainstem.isPrincipleKey(key) && key.endsWith(':audit');
   }
 
+  // ── Config cache ─────────────────────────────────────────────
+
+  // Loads the config the kernel and hooks read through getDefaults() etc.
+  // Called before every hook/chat invocation, on every platform.
+  async loadConfig() {
+    this.defaults = await this.kvGet("config:defaults");
+    this.modelsConfig = await this.kvGet("config:models");
+    this.dharma = await this.kvGet("dharma");
+    this.toolRegistry = await this.loadToolRegistry();
+    await this.loadYamasNiyamas();
+  }
+
   // ── Yamas and Niyamas (operating principles) ─────────────
 
   async loadYamasNiyamas() {
@@ -285,15 +387,38 @@ class Brainstem {
   }
 
   // ── Karma log ────────────────────────────────────────────────
+  //
+  // Stored as append-only chunks so a write never costs more than one chunk:
+  //   karma:{sid}        index — { chunks: n }
+  //   karma:{sid}:{seq}  array of entries, seq = 0..n-1
+  // Only the open (last) chunk is ever rewritten. The index is written before
+  // a new chunk's first entry, so a reader never misses a persisted chunk.
+  // Sessions recorded before chunking have the whole array at karma:{sid}.
+  //
+  // Large payload fields (KARMA_BLOB_FIELDS) are replaced by blob refs before
+  // the entry is recorded — see externalizeBlobs.
 
   async karmaRecord(entry) {
-    const record = {
+    const record = await this.externalizeBlobs({
       t: Date.now(),
       elapsed_ms: this.elapsed(),
       ...entry,
-    };
+    });
+    const size = JSON.stringify(record).length;
+
+    let chunk = this.karmaChunk;
+    const open = this.karma.length - chunk.start;
+    if (open >= Brainstem.KARMA_CHUNK_MAX_ENTRIES
+        || (open > 0 && chunk.bytes + size > Brainstem.KARMA_CHUNK_MAX_BYTES)) {
+      chunk = this.karmaChunk = { seq: chunk.seq + 1, start: this.karma.length, bytes: 0 };
+    }
     this.karma.push(record);
-    await this.kvPut(`karma:${this.sessionId}`, this.karma);
+    chunk.bytes += size;
+
+    if (chunk.start === this.karma.length - 1) {
+      await this.kvPut(`karma:${this.sessionId}`, { chunks: chunk.seq + 1 });
+    }
+    await this.kvPut(`karma:${this.sessionId}:${chunk.seq}`, this.karma.slice(chunk.start));
 
     if (Brainstem.DANGER_SIGNALS.includes(entry.event)) {
       await this.kvPut("last_danger", {
@@ -304,6 +429,140 @@ class Brainstem {
     }
   }
 
+  // ── Blob store ──────────────────────────────────────────────
+  //
+  // Content-addressed: blob:{sha256 of the JSON text} holds the JSON text,
+  // and karma holds { $blob: "blob:…", bytes } in its place. Array fields are
+  // split per element first, so the system prompt that opens every request
+  // is stored once no matter how many turns or sessions repeat it; an array
+  // that is still large after that is blobbed whole (e.g. tools_available).
+
+  async externalizeBlobs(record) {
+    const out = { ...record };
+    for (const field of Brainstem.KARMA_BLOB_FIELDS) {
+      const value = record[field];
+      if (value === undefined) continue;
+      const split = Array.isArray(value)
+        ? await Promise.all(value.map(v => this.putBlob(v)))
+        : value;
+      const nested = Array.isArray(split) && split.some(Brainstem.isBlobRef);
+      out[field] = await this.putBlob(split, nested);
+    }
+    return out;
+  }
+
+  // Returns a blob ref for large values, the value itself otherwise.
+  // nested marks a blob whose content holds further refs (for GC marking).
+  async putBlob(value, nested = false) {
+    if (value === null || (typeof value !== "object" && typeof value !== "string")) return value;
+    const data = JSON.stringify(value);
+    if (data.length < Brainstem.KARMA_BLOB_MIN_BYTES) return value;
+    const key = `blob:${await Brainstem.sha256(data)}`;
+    if (!this.blobsWritten.has(key)) {
+      await this.kvPut(key, data, { bytes: data.length });
+      this.blobsWritten.add(key);
+    }
+    return { $blob: key, bytes: data.length, ...(nested ? { nested: true } : {}) };
+  }
+
+  // Deletes blob:* keys that no stored karma log references. Marks from every
+  // karma:{sid} log plus this session's; blobs touched in the last hour are
+  // kept so a concurrent session's blob-then-chunk write can't be raced.
+  async collectBlobGarbage() {
+    const live = new Set(this.blobsWritten);
+    const pending = [];
+    const mark = (v) => {
+      if (Array.isArray(v)) return v.forEach(mark);
+      if (!Brainstem.isBlobRef(v) || live.has(v.$blob)) return;
+      live.add(v.$blob);
+      if (v.nested) pending.push(v.$blob);
+    };
+    const markEntries = (entries) => {
+      for (const e of entries || []) if (e && typeof e === "object") Object.values(e).forEach(mark);
+    };
+
+    markEntries(this.karma);
+    for (const key of await this.kvListAll({ prefix: "karma:" })) {
+      if (key.name.split(":").length !== 2) continue;
+      markEntries(await Brainstem.readKarmaLog(this.kv, key.name.slice("karma:".length)));
+    }
+    while (pending.length) mark(await this.kv.get(pending.pop(), "json"));
+
+    const graceMs = 60 * 60 * 1000;
+    let checked = 0, deleted = 0;
+    for (const { name, metadata } of await this.kvListAll({ prefix: "blob:" })) {
+      checked++;
+      if (live.has(name)) continue;
+      if (metadata?.updated_at && Date.now() - new Date(metadata.updated_at).getTime() < graceMs) continue;
+      await this.kv.delete(name);
+      deleted++;
+    }
+    return { checked, live: live.size, deleted };
+  }
+
+  static isBlobRef(value) {
+    return isBlobRef(value);
+  }
+
+  // Replaces blob refs with their content — see karma-log.js
+  async resolveBlobs(value) {
+    return resolveBlobs(this.kv, value);
+  }
+
+  static async sha256(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Full karma log for any session. The current session reads from memory.
+  async readKarma(sessionId) {
+    if (!sessionId || sessionId === this.sessionId) return this.karma;
+    return Brainstem.readKarmaLog(this.kv, sessionId);
+  }
+
+  // Reassembles a session's karma from its index and chunks (null if absent).
+  static readKarmaLog(kv, sessionId) {
+    return readKarmaLog(kv, sessionId);
+  }
+
+  // ── Mutation history ────────────────────────────────────────
+  //
+  // mutation_history:{id} is the lasting record of a mutation (see
+  // mutation-history.js). The hook reports each lifecycle step; the kernel
+  // stamps it with the time and session and appends it — the prefix is
+  // kernel-only, so no write tier can rewrite what already happened.
+
+  async appendMutationHistory(mutationId, { proposal, ...step } = {}) {
+    if (typeof mutationId !== "string" || !mutationId) throw new Error("appendMutationHistory: mutation id required");
+    if (typeof step.step !== "string" || !step.step) throw new Error("appendMutationHistory: step name required");
+    const key = historyKey(mutationId);
+    const record = appendStep(await this.kvGet(key), mutationId, {
+      ...step,
+      at: new Date().toISOString(),
+      session_id: this.sessionId,
+    }, proposal);
+    await this.kvPut(key, record, historyMetadata(record));
+    return record.steps.length;
+  }
+
+  async queryMutationHistory(filter = {}) {
+    return queryHistory(this.kv, filter);
+  }
+
+  // A candidate's running observation tallies and evidence. Written every
+  // wake while the window is open, so not a privileged write — that would
+  // count against the session's cap and copy the evidence into karma twice.
+  // Only these two fields of an existing candidate record change.
+  async recordObservation(mutationId, { observed, evidence } = {}) {
+    if (!observed || typeof observed !== "object" || !Array.isArray(evidence)) {
+      throw new Error("recordObservation: observed object and evidence array required");
+    }
+    const key = `mutation_candidate:${mutationId}`;
+    const { value, metadata } = await this.kvGetWithMeta(key);
+    if (value === null) throw new Error(`recordObservation: no candidate ${mutationId}`);
+    await this.kvPut(key, { ...JSON.parse(value), observed, evidence }, metadata || {});
+  }
+
   // ── Kernel alerting ────────────────────────────────────────
 
   async sendKernelAlert(event, message) {
@@ -381,6 +640,12 @@ class Brainstem {
     const principleWarnings = [];
     let touchedPrinciple = false;
 
+    // Tool code/meta writes version the tool (see Tool registry and versions)
+    const archivedTools = {};
+    for (const name of new Set(ops.map(op => Brainstem.toolOfKey(op.key)).filter(Boolean))) {
+      archivedTools[name] = await this.archiveToolVersion(name);
+    }
+
     for (const op of ops) {
       // ── Yama/Niyama diff warning (gates already passed in pre-validation) ──
       if (Brainstem.isPrincipleKey(op.key) && !Brainstem.isPrincipleAuditKey(op.key)) {
@@ -465,6 +730,10 @@ class Brainstem {
       }
     }
 
+    for (const [name, version] of Object.entries(archivedTools)) {
+      await this.stampToolVersion(name, version);
+    }
+
     // Auto-reload cached config after privileged writes to config keys
     const touchedConfig = ops.some(op => configKeys.includes(op.key));
     if (touchedConfig) {
@@ -472,8 +741,13 @@ class Brainstem {
         this.defaults = await this.kvGet("config:defaults");
       if (ops.some(op => op.key === "config:models"))
         this.modelsConfig = await this.kvGet("config:models");
-      if (ops.some(op => op.key === "config:tool_registry"))
-        this.toolRegistry = await this.kvGet("config:tool_registry");
+    }
+    if (ops.some(op => op.key === "config:tool_registry" || op.key.startsWith("tool:"))) {
+      for (const op of ops) {
+        const pinned = op.key.match(/^tool:([^:]+):pin$/)?.[1];
+        if (pinned) delete this.toolsCache[pinned];
+      }
+      this.toolRegistry = await this.loadToolRegistry();
     }
 
     // Reload principle cache after writes
@@ -487,12 +761,341 @@ class Brainstem {
     }
   }
 
+  // ── Inbound events ────────────────────────────────────────
+  //
+  // POST /event/{source} takes webhooks from outside (GitHub, payments,
+  // email push). The adapter at event_source:{source}:code verifies and
+  // parses the request; accepted events wait at event:{source}:{id} until a
+  // wake puts them in the orient context. wake_config.event_policy decides
+  // whether an event brings the next wake forward or waits for it.
+
+  static EVENT_DEFAULTS = { ttl_seconds: 604800, max_queued: 200, max_body_bytes: 65536, dedupe_seconds: 604800 };
+
+  static wrapEventAdapter(rawCode) {
+    return `${rawCode}
+
+export default {
+  async fetch(request, env) {
+    const ctx = await request.json();
+    const headers = new Headers(Object.entries(ctx.headers || {}));
+    try {
+      if (ctx.action === "verify") {
+        const ok = await verify(headers, ctx.body, ctx.env_vars || {});
+        return Response.json({ ok: true, result: { ok: !!ok } });
+      }
+      if (ctx.action === "parse") {
+        const event = await parseEvent(ctx.body, headers);
+        return Response.json({ ok: true, result: { event: event || null } });
+      }
+      return Response.json({ ok: false, error: "unknown action" });
+    } catch (e) {
+      return Response.json({ ok: false, error: e.message });
+    }
+  },
+};
+`;
+  }
+
+  // immediate | defer | drop — the first rule whose source, type and urgency
+  // all match ("*" at the end of a pattern matches any suffix), else the
+  // policy default; with no policy, high-urgency events wake immediately
+  static eventWake(policy, event) {
+    const matches = (pattern, value) => pattern === undefined || pattern === value
+      || (typeof pattern === 'string' && pattern.endsWith('*') && String(value ?? '').startsWith(pattern.slice(0, -1)));
+    const rule = (policy?.rules || []).find(r =>
+      matches(r.source, event.source) && matches(r.type, event.type) && matches(r.urgency, event.urgency));
+    return rule?.wake || policy?.default || (event.urgency === 'high' ? 'immediate' : 'defer');
+  }
+
+  // Returns { status, body } for the HTTP response
+  async receiveEvent(source, { headers, rawBody }) {
+    const code = await this.kvGet(`event_source:${source}:code`);
+    if (!code) return { status: 404, body: `Unknown event source: ${source}` };
+    const limits = { ...Brainstem.EVENT_DEFAULTS, ...(await this.kvGet("config:defaults"))?.events };
+    if (rawBody.length > limits.max_body_bytes) return { status: 413, body: "Event too large" };
+
+    // Verification sees the raw body — signatures are computed over it
+    const config = await this.kvGet(`event_source:${source}:config`) || {};
+    const envVars = {};
+    for (const name of [...(config.secrets || []), config.webhook_secret_env].filter(Boolean)) {
+      if (this.env[name] !== undefined) envVars[name] = this.env[name];
+    }
+    const moduleCode = Brainstem.wrapEventAdapter(code);
+    const verified = await this.runInIsolate({
+      id: `event_source:${source}:verify:${this.sessionId}`,
+      moduleCode,
+      ctx: { action: "verify", headers, body: rawBody, env_vars: envVars },
+      timeoutMs: 5000,
+    }).catch(() => null);
+    if (!verified?.ok) return { status: 401, body: "Unauthorized" };
+
+    let body = rawBody;
+    try { body = JSON.parse(rawBody); } catch { /* form or text payload — adapter parses it */ }
+    const parsed = await this.runInIsolate({
+      id: `event_source:${source}:parse:${this.sessionId}`,
+      moduleCode,
+      ctx: { action: "parse", headers, body },
+      timeoutMs: 5000,
+    }).catch(err => ({ error: err.message }));
+    if (parsed?.error) return { status: 400, body: `Unparseable event: ${parsed.error}` };
+    const event = parsed?.event;
+    if (!event) return { status: 200, body: { ok: true, ignored: true } };
+
+    const wakeConfig = await this.kvGet("wake_config");
+    const urgency = event.urgency || 'normal';
+    const wake = Brainstem.eventWake(wakeConfig?.event_policy, { source, type: event.type, urgency });
+    if (wake === 'drop') return { status: 200, body: { ok: true, ignored: true } };
+
+    // Adapters name redeliveries with a stable id (e.g. GitHub's delivery id).
+    // The event itself is deleted once orient has seen it, so a separate
+    // marker remembers the id for events.dedupe_seconds
+    const id = event.id ? String(event.id).replace(/[^\w.-]/g, '_') : `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const key = `event:${source}:${id}`;
+    const seenKey = `kernel:event_seen:${source}:${id}`;
+    if (event.id && await this.kv.get(seenKey) !== null) {
+      return { status: 200, body: { ok: true, event: key, duplicate: true } };
+    }
+    const queued = await this.kvListAll({ prefix: "event:" });
+    if (queued.length >= limits.max_queued) return { status: 429, body: "Event queue full" };
+
+    await this.kvPut(key, {
+      key, source,
+      type: event.type || null,
+      summary: event.summary || null,
+      urgency,
+      data: event.data ?? null,
+      received_at: new Date().toISOString(),
+      wake,
+    }, {}, { expirationTtl: limits.ttl_seconds });
+    if (event.id) await this.kvPut(seenKey, { event: key }, {}, { expirationTtl: limits.dedupe_seconds });
+
+    if (wake === 'immediate') await this.bringWakeForward(wakeConfig, key);
+    return { status: 202, body: { ok: true, event: key, wake } };
+  }
+
+  // The cron tick runs every minute, so "immediate" means the next tick —
+  // but never sooner than event_policy.min_interval_seconds after the last
+  // session, and never later than a wake already due
+  async bringWakeForward(wakeConfig, eventKey) {
+    const lastSession = (await this.kvGet("kernel:last_sessions"))?.[0];
+    const minInterval = (wakeConfig?.event_policy?.min_interval_seconds || 0) * 1000;
+    const at = Math.max(Date.now(), lastSession?.ts ? Date.parse(lastSession.ts) + minInterval : 0);
+    if (wakeConfig?.next_wake_after && Date.parse(wakeConfig.next_wake_after) <= at) return;
+    await this.kvPut("wake_config", {
+      ...wakeConfig,
+      next_wake_after: new Date(at).toISOString(),
+      woken_by_event: eventKey,
+    });
+  }
+
+  // Queued events, oldest first — { items, pending } with at most `limit`
+  // items (the rest wait for a later wake), or null when none are queued.
+  // event:* is kernel-only, so everything here came through receiveEvent.
+  async listEvents(limit = 20) {
+    const events = [];
+    for (const { name } of await this.kvListAll({ prefix: "event:" })) {
+      const event = await this.kvGet(name);
+      if (event) events.push(event);
+    }
+    if (!events.length) return null;
+
+    events.sort((a, b) => (a.received_at || "").localeCompare(b.received_at || ""));
+    const items = events.slice(0, limit);
+    return { items, pending: events.length - items.length };
+  }
+
+  // Deletes events once they have been delivered to orient
+  async consumeEvents(keys) {
+    for (const key of keys || []) {
+      if (!key.startsWith("event:")) throw new Error(`consumeEvents: not an event key "${key}"`);
+      await this.kv.delete(key);
+    }
+  }
+
+  // ── Session lease ─────────────────────────────────────────
+  //
+  // One session at a time: a run that will do work first takes
+  // kernel:session_lease, which expires unless the holder renews it. Every
+  // tick looks at the lease before writing anything — a cron tick or manual
+  // wake that finds it live returns without a session and is counted in
+  // kernel:lease_skips; the holder records the count when it lets go. The
+  // lease itself is only written once the hook (or a fallback, or due
+  // tasks between wakes) decides a session will run, so idle ticks write
+  // nothing. KV has no compare-and-swap, so acquisition writes and reads
+  // back — two runs racing inside KV's consistency window can still overlap.
+
+  static LEASE_DEFAULTS = { lease_seconds: 300, renew_every_seconds: 60, alert_after_seconds: 1800 };
+
+  async leasePolicy() {
+    const defaults = this.defaults || await this.kvGet("config:defaults");
+    return { ...Brainstem.LEASE_DEFAULTS, ...defaults?.session_lock };
+  }
+
+  // The live lease of another session, or null — reads only
+  async leaseHolder() {
+    const held = await this.kvGet("kernel:session_lease");
+    if (held && held.session_id !== this.sessionId && Date.parse(held.expires_at) > Date.now()) return held;
+    return null;
+  }
+
+  // Returns { acquired: true, lease, expired } — expired is the lapsed
+  // lease of a session that stopped renewing — or { acquired: false, holder }
+  async acquireLease() {
+    const policy = await this.leasePolicy();
+    const now = Date.now();
+    const held = await this.kvGet("kernel:session_lease");
+    if (held && held.session_id !== this.sessionId && Date.parse(held.expires_at) > now) {
+      return { acquired: false, holder: held };
+    }
+
+    const lease = {
+      session_id: this.sessionId,
+      acquired_at: new Date(now).toISOString(),
+      renewed_at: new Date(now).toISOString(),
+      expires_at: new Date(now + policy.lease_seconds * 1000).toISOString(),
+    };
+    await this.kvPut("kernel:session_lease", lease);
+    const check = await this.kvGet("kernel:session_lease");
+    if (check?.session_id !== this.sessionId) return { acquired: false, holder: check };
+
+    this.lease = lease;
+    this.leaseConfig = policy;
+    return { acquired: true, lease, expired: held && held.session_id !== this.sessionId ? held : null };
+  }
+
+  // Takes the lease for the rest of this run — called by the hook once its
+  // gates let a session through, and by the kernel before fallbacks and due
+  // tasks. Idempotent. Returns { acquired: true } or { acquired: false, holder }.
+  async acquireSessionLease() {
+    if (this.lease) return { acquired: true };
+    if (this.leaseRefused) return { acquired: false, holder: this.leaseRefused.holder };
+
+    const lease = await this.acquireLease();
+    if (!lease.acquired) {
+      const skips = await this.recordLeaseSkip(lease.holder);
+      this.leaseRefused = {
+        holder: lease.holder.session_id,
+        expires_at: lease.holder.expires_at,
+        skipped_count: skips.count,
+      };
+      return { acquired: false, holder: lease.holder.session_id };
+    }
+    if (lease.expired) {
+      await this.karmaRecord({
+        event: "session_lease_expired",
+        previous: lease.expired.session_id,
+        expired_at: lease.expired.expires_at,
+      });
+    }
+    // Renewed on a clock, not on activity — a single tool or LLM call can
+    // outlast the lease
+    this.leaseTimer = setInterval(() => {
+      this.renewLease().catch(() => {});  // the next tick tries again
+    }, this.leaseConfig.renew_every_seconds * 1000);
+    return { acquired: true };
+  }
+
+  // A lease that lapsed and was taken over is not taken back — the session
+  // is told and carries on.
+  async renewLease() {
+    if (!this.lease) return;
+    const held = await this.kvGet("kernel:session_lease");
+    if (!this.lease) return;  // released while reading
+    if (held && held.session_id !== this.sessionId) {
+      this.stopLeaseRenewal();
+      this.lease = null;
+      await this.karmaRecord({ event: "session_lease_lost", holder: held.session_id });
+      await this.sendKernelAlert("session_lease_lost",
+        `Session ${this.sessionId} lost the session lock to ${held.session_id} while still running.`);
+      return;
+    }
+    const now = Date.now();
+    this.lease = {
+      ...this.lease,
+      renewed_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.leaseConfig.lease_seconds * 1000).toISOString(),
+    };
+    await this.kvPut("kernel:session_lease", this.lease);
+  }
+
+  stopLeaseRenewal() {
+    if (this.leaseTimer) clearInterval(this.leaseTimer);
+    this.leaseTimer = null;
+  }
+
+  async releaseLease() {
+    this.stopLeaseRenewal();
+    if (!this.lease) return;
+    const skips = await this.kvGet("kernel:lease_skips");
+    if (skips?.holder === this.sessionId) {
+      await this.karmaRecord({
+        event: "wakes_skipped",
+        count: skips.count,
+        first_at: skips.first_at,
+        last_at: skips.last_at,
+      });
+      await this.kv.delete("kernel:lease_skips");
+    }
+    this.lease = null;
+    const held = await this.kvGet("kernel:session_lease");
+    if (held?.session_id === this.sessionId) await this.kv.delete("kernel:session_lease");
+  }
+
+  // A run that found the lease held. Alerts once per holder when it has held
+  // the lease past alert_after_seconds — ticks during a normal session are
+  // expected and only counted.
+  async recordLeaseSkip(holder) {
+    const policy = await this.leasePolicy();
+    const now = new Date().toISOString();
+    const skips = await this.kvGet("kernel:lease_skips");
+    const record = skips?.holder === holder.session_id
+      ? skips
+      : { holder: holder.session_id, count: 0, first_at: now };
+    record.count++;
+    record.last_at = now;
+
+    const heldSeconds = (Date.now() - Date.parse(holder.acquired_at)) / 1000;
+    if (!record.alerted && heldSeconds > policy.alert_after_seconds) {
+      record.alerted = true;
+      await this.sendKernelAlert("session_locked",
+        `Session ${holder.session_id} has held the session lock for ${Math.round(heldSeconds / 60)} min; ${record.count} wake(s) skipped.`);
+    }
+    await this.kvPut("kernel:lease_skips", record);
+    return record;
+  }
+
   // ── Hook dispatch (scheduled entry point) ─────────────────
 
   async runScheduled() {
     const brain = this;
 
-    // 1. Detect platform kill from previous session
+    // 0. Look at the session lease — another live session means no session here
+    const holder = await brain.leaseHolder();
+    if (holder) {
+      const skips = await brain.recordLeaseSkip(holder);
+      return {
+        skipped: true,
+        reason: "session_locked",
+        holder: holder.session_id,
+        expires_at: holder.expires_at,
+        skipped_count: skips.count,
+      };
+    }
+    try {
+      await brain.runLeasedSession();
+    } finally {
+      await brain.releaseLease();
+    }
+    // Taken between the look and the hook's acquisition
+    if (brain.leaseRefused) return { skipped: true, reason: "session_locked", ...brain.leaseRefused };
+    return { skipped: false, session_id: brain.sessionId };
+  }
+
+  async runLeasedSession() {
+    const brain = this;
+
+    // 1. Detect platform kill from previous session — only safe with no
+    // live lease, since a live session also has an active_session marker
     await brain.detectPlatformKill();
 
     // 2. Meta-safety check
@@ -593,6 +1196,8 @@ class Brainstem {
 
     let outcome = "clean";
     try {
+      // Hooks read config through K.getDefaults() etc. — load it first
+      await this.loadConfig();
       // Platform-specific hook invocation (overridable)
       await this._invokeHookModules(modules, mainModule);
     } catch (err) {
@@ -675,6 +1280,7 @@ class Brainstem {
   }
 
   async runMinimalFallback() {
+    if (!(await this.acquireSessionLease()).acquired) return;
     await this.sendKernelAlert("hook_reset",
       "Hook execution failed. Running minimal recovery mode.");
 
@@ -682,7 +1288,7 @@ class Brainstem {
 
     this.defaults = { session_budget: { max_cost: 0.50, max_steps: 3, max_duration_seconds: 120 } };
     this.modelsConfig = this.modelsConfig || await this.kvGet("config:models");
-    this.toolRegistry = this.toolRegistry || await this.kvGet("config:tool_registry");
+    this.toolRegistry = this.toolRegistry || await this.loadToolRegistry();
     this.dharma = this.dharma || await this.kvGet("dharma");
     await this.loadYamasNiyamas();
 
@@ -744,12 +1350,20 @@ class Brainstem {
       event: "tool_start",
       tool: toolName,
       step_id: step.id,
+      ...(step.subplan_id ? { subplan_id: step.subplan_id } : {}),
       input_summary: step.input || {},
     });
 
-    // Execute (platform-specific, overridable)
+    // Execute (platform-specific, overridable). Only tools whose meta marks
+    // them idempotent are retried — a retried send could go out twice.
     try {
-      const result = await this._executeTool(toolName, moduleCode, meta, ctx);
+      const run = () => this._executeTool(toolName, moduleCode, meta, ctx);
+      const result = meta?.idempotent
+        ? await this.withRetries(run, { event: "tool_retry", fields: { tool: toolName, step_id: step.id } })
+        : await run();
+
+      // Oversized results are stored whole and come back truncated
+      const limited = await this.limitToolResult(toolName, meta, result);
 
       // Record success
       await this.karmaRecord({
@@ -757,10 +1371,10 @@ class Brainstem {
         tool: toolName,
         step_id: step.id,
         ok: true,
-        result_summary: result,
+        result_summary: limited,
       });
 
-      return result;
+      return limited;
     } catch (err) {
       await this.karmaRecord({
         event: "tool_complete",
@@ -839,10 +1453,7 @@ class Brainstem {
   // Platform-specific: load tool code + meta from KV (cached per session)
   async _loadTool(toolName) {
     if (!this.toolsCache[toolName]) {
-      const [code, meta] = await Promise.all([
-        this.kvGet(`tool:${toolName}:code`),
-        this.kvGet(`tool:${toolName}:meta`),
-      ]);
+      const { code, meta } = await this.loadToolVersion(toolName);
       if (!code) throw new Error(`Unknown tool: ${toolName} — no code at tool:${toolName}:code`);
       this.toolsCache[toolName] = { code, meta };
     }
@@ -881,6 +1492,134 @@ class Brainstem {
     return { ...input, secrets };
   }
 
+  // ── Tool registry and versions ──────────────────────────────
+  //
+  // Each tool describes itself in tool:{name}:meta — `description`,
+  // `parameters` (JSON Schema) and `version` — and the registry the model
+  // sees is assembled from those metas plus the kernel's own tools. Metas
+  // without a description (hooks like tool:validate) are not offered.
+  // config:tool_registry entries still count for tools whose meta has no
+  // description yet.
+  //
+  // A privileged write to a tool's code or meta archives the outgoing
+  // { version, code, meta } at tool:{name}:v{version}, and the new meta is
+  // numbered version + 1. tool:{name}:pin (a version number) makes the
+  // kernel run and describe that archived version instead of the current one.
+
+  static KERNEL_TOOLS = [
+    {
+      name: "check_balance",
+      description: "Check balances across all configured providers and wallets. Returns balances grouped by scope (general vs project-specific). Only 'general' scope counts toward your operating budget.",
+      parameters: {
+        type: "object",
+        properties: {
+          scope: { type: "string", description: "Only this scope (e.g. 'general', 'project_x'). Omit to see all." },
+        },
+      },
+    },
+    {
+      name: "mutation_history",
+      description: "Look up why keys look the way they do: past mutations with their claims, ops, checks and every step "
+        + "(staged, applied, promoted, rolled back, ...) with the session and reflect depth that took it. Newest first.",
+      parameters: {
+        type: "object",
+        properties: {
+          mutation_id: { type: "string", description: "One mutation's full history" },
+          key: { type: "string", description: "Mutations that touched this key (e.g. 'prompt:orient'); end with * for a prefix" },
+          status: { type: "string", enum: ["staged", "candidate", "promoted", "rolled_back", "rejected", "withdrawn", "refused"] },
+          days: { type: "number", minimum: 0, description: "Only mutations with a step in the last N days" },
+          limit: { type: "integer", minimum: 1, maximum: 100, description: "Max mutations (default 20)" },
+        },
+      },
+    },
+  ];
+
+  // Tool name for a tool:{name}:code / tool:{name}:meta key, else null
+  static toolOfKey(key) {
+    return key.match(/^tool:([^:]+):(code|meta)$/)?.[1] || null;
+  }
+
+  // { code, meta, pinned } — the pinned version when tool:{name}:pin is set.
+  // With code: false the current code isn't read (the registry needs meta only).
+  async loadToolVersion(name, { code: withCode = true } = {}) {
+    const [code, meta, pin] = await Promise.all([
+      withCode ? this.kvGet(`tool:${name}:code`) : undefined,
+      this.kvGet(`tool:${name}:meta`),
+      this.kvGet(`tool:${name}:pin`),
+    ]);
+    if (pin == null || Number(pin) === (meta?.version || 1)) return { code, meta, pinned: null };
+
+    const archived = await this.kvGet(`tool:${name}:v${pin}`);
+    if (!archived) throw new Error(`tool:${name}:pin is ${pin} but tool:${name}:v${pin} does not exist`);
+    return { code: archived.code, meta: archived.meta, pinned: Number(pin) };
+  }
+
+  async loadToolRegistry() {
+    const tools = [];
+    const metaKeys = (await this.kvListAll({ prefix: "tool:" }))
+      .map(k => k.name)
+      .filter(key => key.endsWith(":meta") && Brainstem.toolOfKey(key));
+    for (const key of metaKeys) {
+      const name = Brainstem.toolOfKey(key);
+      let version;
+      try { version = await this.loadToolVersion(name, { code: false }); }
+      catch { continue; }  // broken pin — _loadTool reports it if the tool is called
+      const { meta, pinned } = version;
+      if (!meta?.description) continue;
+      tools.push({
+        name,
+        description: meta.description,
+        ...(meta.parameters ? { parameters: meta.parameters } : {}),
+        version: meta.version || 1,
+        ...(pinned ? { pinned } : {}),
+      });
+    }
+
+    const have = new Set(tools.map(t => t.name));
+    const legacy = await this.kvGet("config:tool_registry");
+    for (const entry of [...Brainstem.KERNEL_TOOLS, ...(legacy?.tools || [])]) {
+      if (!have.has(entry.name)) {
+        tools.push(entry);
+        have.add(entry.name);
+      }
+    }
+    return { tools };
+  }
+
+  // Before a write to the tool's code or meta: keep the current version.
+  // Returns that version number (0 for a tool that doesn't exist yet).
+  async archiveToolVersion(name) {
+    const [code, meta] = await Promise.all([
+      this.kvGet(`tool:${name}:code`),
+      this.kvGet(`tool:${name}:meta`),
+    ]);
+    if (code == null && meta == null) return 0;
+    const version = meta?.version || 1;
+    const key = `tool:${name}:v${version}`;
+    if (await this.kvGet(key) == null) {
+      await this.kvPut(key, { version, code, meta, archived_at: new Date().toISOString() });
+    }
+    return version;
+  }
+
+  // After the write: the new meta is numbered above the archived version
+  async stampToolVersion(name, archivedVersion) {
+    delete this.toolsCache[name];
+    const meta = await this.kvGet(`tool:${name}:meta`);
+    if (!meta || typeof meta !== "object") return;
+    if (!(meta.version > archivedVersion)) {
+      meta.version = archivedVersion + 1;
+      await this.kvPut(`tool:${name}:meta`, meta);
+    }
+    await this.karmaRecord({
+      event: "tool_versioned",
+      tool: name,
+      from: archivedVersion || null,
+      to: meta.version,
+      ...(meta.restored_from ? { restored_from: meta.restored_from } : {}),
+    });
+  }
+
   // ── Module wrapping for Worker Loader ───────────────────────
 
   static wrapAsModule(rawCode) {
@@ -891,6 +1630,33 @@ const _fn = typeof execute === "function" ? execute
           : typeof check === "function" ? check
           : null;
 
+// An error's HTTP status and response headers, when it set them, go back
+// with the message — the kernel decides from them whether to retry
+function _failure(e) {
+  return {
+    error: e.message || String(e),
+    ...(e.status ? { status: e.status, headers: e.headers || {} } : {}),
+  };
+}
+
+// Optional streaming variant: stream(ctx) is an async iterable of events,
+// sent back as newline-delimited JSON while it runs.
+function _streamResponse(ctx) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event) => controller.enqueue(encoder.encode(JSON.stringify(event) + "\\n"));
+      try {
+        for await (const event of stream(ctx)) send(event);
+      } catch (e) {
+        send({ type: "error", ..._failure(e) });
+      }
+      controller.close();
+    },
+  });
+  return new Response(body, { headers: { "Content-Type": "application/x-ndjson" } });
+}
+
 export default {
   async fetch(request, env) {
     try {
@@ -898,16 +1664,27 @@ export default {
       const ctx = await request.json();
       ctx.fetch = fetch;
       if (env.KV_BRIDGE) ctx.kv = env.KV_BRIDGE;
+      if (ctx._stream && typeof stream === "function") return _streamResponse(ctx);
       const result = await _fn(ctx);
       return Response.json({ ok: true, result });
     } catch (e) {
-      return Response.json({ ok: false, error: e.message || String(e) });
+      return Response.json({ ok: false, ..._failure(e) });
     }
   },
 };
 `;
   }
 
+  // The Error for a failure reported from an isolate, keeping the status
+  // and headers the module attached to it
+  static isolateError({ error, status, headers }, fallback) {
+    const err = new Error(error || fallback);
+    if (status) Object.assign(err, { status, headers: headers || {} });
+    return err;
+  }
+
+  // Responses use the same { ok, result } envelope as wrapAsModule, which
+  // is what runInIsolate unwraps
   static wrapChannelAdapter(rawCode) {
     return `${rawCode}
 
@@ -918,17 +1695,22 @@ export default {
     try {
       if (ctx.action === "verify") {
         const ok = verify(headers, ctx.body, ctx.env_vars || {});
-        return Response.json({ ok });
+        return Response.json({ ok: true, result: { ok } });
       }
       if (ctx.action === "parse") {
         const inbound = parseInbound(ctx.body);
-        return Response.json({ inbound });
+        return Response.json({ ok: true, result: { inbound } });
       }
       if (ctx.action === "send") {
-        await sendReply(ctx.chatId, ctx.text, ctx.secrets || {}, fetch);
-        return Response.json({ ok: true });
+        const ref = await sendReply(ctx.chatId, ctx.text, ctx.secrets || {}, fetch);
+        return Response.json({ ok: true, result: { ref: ref ?? null } });
       }
-      return Response.json({ error: "unknown action" });
+      if (ctx.action === "edit") {
+        if (typeof editReply !== "function") return Response.json({ ok: false, error: "edit not supported" });
+        await editReply(ctx.chatId, ctx.ref, ctx.text, ctx.secrets || {}, fetch);
+        return Response.json({ ok: true, result: {} });
+      }
+      return Response.json({ ok: false, error: "unknown action" });
     } catch (e) {
       return Response.json({ ok: false, error: e.message });
     }
@@ -939,7 +1721,7 @@ export default {
 
   // ── Isolate execution (Worker Loader API) ───────────────────
 
-  async runInIsolate({ id, moduleCode, ctx, kvAccess, toolName, timeoutMs }) {
+  async runInIsolate({ id, moduleCode, ctx, kvAccess, toolName, timeoutMs, onStream }) {
     const hasKV = kvAccess && kvAccess !== "none";
 
     // Wrap raw functions as ES modules if needed (Worker Loader requires export default)
@@ -968,70 +1750,507 @@ export default {
       new Promise((_, reject) => setTimeout(() => reject(new Error("Isolate timeout")), timeoutMs || 15000)),
     ]);
 
+    // Streamed responses are handed over as they arrive — the timeout above
+    // only covers the wait for the stream to open
+    if (onStream && response.headers.get("Content-Type") === "application/x-ndjson") {
+      return onStream(response);
+    }
+
     const body = await response.json();
-    if (!body.ok) throw new Error(body.error || "Isolate execution failed");
+    if (!body.ok) throw Brainstem.isolateError(body, "Isolate execution failed");
     return body.result;
   }
 
-  // ── LLM calls (dynamic provider with cascade fallback) ─────
+  // Reads an adapter's NDJSON event stream into one { content, usage, toolCalls }
+  // result, passing the text so far to onText after each text event. A stream
+  // that goes quiet for idleMs is abandoned.
+  async readLLMStream(response, onText, idleMs) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const result = { content: "", usage: {}, toolCalls: null, streamed: true, chunks: 0, first_text_ms: null };
+    const startMs = Date.now();
+    let buffer = "";
+    let finished = false;
+
+    const handle = async (line) => {
+      if (!line.trim()) return;
+      const event = JSON.parse(line);
+      if (event.type === "error") throw Brainstem.isolateError(event);
+      if (event.type === "text" && event.text) {
+        result.content += event.text;
+        result.chunks++;
+        if (result.first_text_ms === null) result.first_text_ms = Date.now() - startMs;
+        if (onText) await onText(result.content);
+      } else if (event.type === "done") {
+        if (typeof event.content === "string") result.content = event.content;
+        result.usage = event.usage || {};
+        result.toolCalls = event.toolCalls?.length ? event.toolCalls : null;
+        if (event.thinking?.length) result.thinking = event.thinking;
+        finished = true;
+      }
+    };
 
-  async callLLM({ model, effort, maxTokens, systemPrompt, messages, tools, step, budgetCap }) {
-    const budget = this.defaults?.session_budget;
-    const costLimit = budgetCap ?? budget?.max_cost;
-    if (costLimit && this.sessionCost >= costLimit)
-      throw new Error("Budget exceeded: cost");
-    if (budget?.max_steps && this.sessionLLMCalls >= budget.max_steps)
-      throw new Error("Budget exceeded: steps");
-    if (budget?.max_duration_seconds && this.elapsed() > budget.max_duration_seconds * 1000)
-      throw new Error("Budget exceeded: duration");
+    try {
+      for (;;) {
+        let timer;
+        const { done, value } = await Promise.race([
+          reader.read(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error("Adapter stream idle timeout")), idleMs);
+          }),
+        ]).finally(() => clearTimeout(timer));
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) await handle(line);
+      }
+      await handle(buffer);
+    } catch (err) {
+      reader.cancel().catch(() => {});
+      throw err;
+    }
 
-    const startMs = Date.now();
+    if (!finished) throw new Error("Adapter stream ended without a done event");
+    result.content = result.content.trim();
+    return result;
+  }
 
-    // Kernel-enforced dharma injection — no hook or prompt mutation can bypass this
-    const dharmaPrefix = this.dharma ? `[DHARMA]\n${this.dharma}\n[/DHARMA]\n\n` : '';
+  // ── Cost ledger ──────────────────────────────────────────────
+  //
+  // Every costed LLM call, wherever it comes from (wake session, subplan,
+  // chat), is added to the per-day ledger (see cost-ledger.js). The session
+  // keeps the ledger it last read or wrote in this.ledger, so budget checks
+  // before each call read nothing; recording a cost re-reads both keys
+  // together, so a chat running alongside this session isn't overwritten.
+
+  static costRole(step) {
+    if (!step) return 'other';
+    const match = Brainstem.COST_ROLES.find(([re]) => re.test(step));
+    return match ? match[1] : step.split('_')[0];
+  }
 
-    // Kernel-enforced yama/niyama injection — mutable but always present
-    let principlesBlock = '';
-    if (this.yamas && Object.keys(this.yamas).length > 0) {
-      const yamaEntries = Object.entries(this.yamas)
-        .map(([key, text]) => {
-          const name = key.replace('yama:', '');
-          return `[${name}]\n${text}\n[/${name}]`;
-        }).join('\n');
-      principlesBlock += `[YAMAS]\n${yamaEntries}\n[/YAMAS]\n\n`;
-    }
-    if (this.niyamas && Object.keys(this.niyamas).length > 0) {
-      const niyamaEntries = Object.entries(this.niyamas)
-        .map(([key, text]) => {
-          const name = key.replace('niyama:', '');
-          return `[${name}]\n${text}\n[/${name}]`;
-        }).join('\n');
-      principlesBlock += `[NIYAMAS]\n${niyamaEntries}\n[/NIYAMAS]\n\n`;
-    }
+  static ledgerDate(offsetDays = 0, now = Date.now()) {
+    return ledgerDate(offsetDays, now);
+  }
 
-    const fullSystemPrompt = systemPrompt
-      ? dharmaPrefix + principlesBlock + systemPrompt
-      : (dharmaPrefix + principlesBlock) || null;
+  async readLedger() {
+    const date = ledgerDate();
+    const [day, days] = await Promise.all([
+      this.kvGet(`kernel:ledger:${date}`),
+      this.kvGet("kernel:ledger:days"),
+    ]);
+    this.ledger = {
+      day: day || { date, ...emptyCostBucket(), by_model: {}, by_role: {} },
+      days: days || {},
+    };
+    return this.ledger;
+  }
 
-    // Build messages array, prepending system prompt if provided
-    const msgs = fullSystemPrompt
-      ? [{ role: "system", content: fullSystemPrompt }, ...messages]
-      : [...messages];
+  async recordCost({ model, step, cost, usage }) {
+    const entry = {
+      cost,
+      in_tokens: usage?.prompt_tokens || 0,
+      out_tokens: usage?.completion_tokens || 0,
+    };
+    const role = Brainstem.costRole(step);
+
+    const { day, days } = await this.readLedger();
+    addCost(day, entry);
+    addCost(costBucket(day.by_model, model), entry);
+    addCost(costBucket(day.by_role, role), entry);
+    await this.kvPut(`kernel:ledger:${day.date}`, day);
+
+    days[day.date] = (days[day.date] || 0) + cost;
+    const oldest = ledgerDate(COST_WINDOWS.monthly);
+    for (const d of Object.keys(days)) if (d < oldest) delete days[d];
+    await this.kvPut("kernel:ledger:days", days);
+  }
 
-    // Standardized request — provider adapter translates this
-    const request = {
-      model,
-      max_tokens: maxTokens || 1000,
-      messages: msgs,
-      thinking: (effort && effort !== "none")
-        ? { type: "adaptive", effort }
-        : null,
-      ...(tools?.length ? { tools } : {}),
+  // Spend against each configured window: { daily: { limit, spent, remaining } }
+  async getBudgetStatus() {
+    const { days } = this.ledger || await this.readLedger();
+    return budgetStatus(days, this.defaults?.cost_budget);
+  }
+
+  // Ledger for the last `days` days merged into one view, plus per-day totals
+  async getCostSummary(days = 7) {
+    return { ...await costSummary(this.kv, days), budgets: await this.getBudgetStatus() };
+  }
+
+  // ── Tool result budgets ─────────────────────────────────────
+  //
+  // A tool result larger than its budget never enters the message history
+  // (or karma) whole. The full result is stored at scratch:{sid}:{handle}
+  // for ttl_seconds, and the caller gets a truncated copy — long strings
+  // keep their head and tail, long arrays their first and last items — in
+  // an envelope naming the handle. The built-in read_result pages through
+  // the stored JSON text. Budgets come from
+  // config:defaults.execution.tool_results, then the tool's meta
+  // `result_budget`, then execution.tool_results.tools[name]; max_tokens is
+  // counted at ~4 characters per token.
+
+  static TOOL_RESULT_DEFAULTS = { max_bytes: 12000, page_bytes: 12000, ttl_seconds: 86400 };
+  static CHARS_PER_TOKEN = 4;
+
+  toolResultPolicy(toolName, meta) {
+    const config = this.defaults?.execution?.tool_results || {};
+    const policy = {
+      ...Brainstem.TOOL_RESULT_DEFAULTS,
+      ...config,
+      ...meta?.result_budget,
+      ...config.tools?.[toolName],
     };
+    const tokenBytes = policy.max_tokens ? policy.max_tokens * Brainstem.CHARS_PER_TOKEN : Infinity;
+    return { ...policy, max_bytes: Math.min(policy.max_bytes, tokenBytes) };
+  }
 
-    // Try cascade: dynamic adapter → last working → hardcoded fallback
-    const result = await this.callWithCascade(request, step);
-    const durationMs = Date.now() - startMs;
+  // Keeps the head and tail of a string within maxChars
+  static clipText(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const marker = (n) => `\n[… ${n} characters omitted …]\n`;
+    const keep = Math.max(0, maxChars - marker(text.length).length);
+    const head = Math.ceil(keep * 2 / 3);
+    const tail = keep - head;
+    return text.slice(0, head) + marker(text.length - keep) + (tail ? text.slice(-tail) : '');
+  }
+
+  // Shrinks a JSON value to about maxBytes of JSON text, keeping its shape:
+  // the largest string or array is cut first, until the value fits
+  static truncateValue(value, maxBytes) {
+    const size = (v) => JSON.stringify(v)?.length || 0;
+    if (size(value) <= maxBytes) return value;
+    if (typeof value === 'string') return Brainstem.clipText(value, Math.max(0, maxBytes - 2));
+
+    const root = { value: JSON.parse(JSON.stringify(value)) };
+    const largest = () => {
+      let best = null;
+      const visit = (v, parent, key) => {
+        const cuttable = (typeof v === 'string' && v.length > 200) || (Array.isArray(v) && v.length > 2);
+        if (cuttable && (!best || size(v) > best.bytes)) best = { parent, key, bytes: size(v) };
+        if (v && typeof v === 'object') for (const [k, child] of Object.entries(v)) visit(child, v, k);
+      };
+      visit(root.value, root, 'value');
+      return best;
+    };
+
+    for (let i = 0; i < 100 && size(root.value) > maxBytes; i++) {
+      const leaf = largest();
+      if (!leaf) break;
+      const v = leaf.parent[leaf.key];
+      if (typeof v === 'string') {
+        leaf.parent[leaf.key] = Brainstem.clipText(v, Math.max(200, v.length - (size(root.value) - maxBytes) - 64));
+      } else {
+        const keep = Math.floor(v.length / 2);
+        const head = Math.ceil(keep / 2);
+        leaf.parent[leaf.key] = [
+          ...v.slice(0, head),
+          `[… ${v.length - keep} items omitted …]`,
+          ...v.slice(v.length - (keep - head)),
+        ];
+      }
+    }
+    // Many small fields — fall back to clipping the JSON text
+    if (size(root.value) > maxBytes) return Brainstem.clipText(JSON.stringify(value), maxBytes);
+    return root.value;
+  }
+
+  async limitToolResult(toolName, meta, result) {
+    const policy = this.toolResultPolicy(toolName, meta);
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    if (!text || text.length <= policy.max_bytes) return result;
+
+    const handle = await this.storeToolResult(toolName, text, policy.ttl_seconds);
+
+    // The envelope itself needs room — the truncated copy gets the rest
+    const note = `Truncated: the full result (${text.length} characters) is stored — page through it with read_result({ handle: "${handle}", offset })`;
+    const room = Math.max(256, policy.max_bytes - note.length - 128);
+    return {
+      truncated: true,
+      result_handle: handle,
+      total_bytes: text.length,
+      note,
+      result: Brainstem.truncateValue(result, room),
+    };
+  }
+
+  // Stores result text for read_result; returns its handle
+  async storeToolResult(toolName, text, ttlSeconds) {
+    const handle = `res_${++this.storedResults}`;
+    await this.kvPut(`scratch:${this.sessionId}:${handle}`, text,
+      { tool: toolName, bytes: text.length }, { expirationTtl: ttlSeconds });
+    return handle;
+  }
+
+  async readResult({ handle, offset = 0, length }) {
+    if (!/^res_\d+$/.test(handle)) return { error: `Not a result handle: ${handle}` };
+    const text = await this.kv.get(`scratch:${this.sessionId}:${handle}`, "text");
+    if (text === null) return { error: `No stored result for ${handle} (expired or from another session)` };
+    if (offset >= text.length && text.length) {
+      return { error: `offset ${offset} is past the end (total_bytes: ${text.length})` };
+    }
+    const page = Math.min(length || Infinity, this.toolResultPolicy('read_result').page_bytes);
+    const end = Math.min(text.length, offset + page);
+    return {
+      handle,
+      offset,
+      total_bytes: text.length,
+      next_offset: end < text.length ? end : null,
+      content: text.slice(offset, end),
+    };
+  }
+
+  // ── Retries ─────────────────────────────────────────────────
+  //
+  // Transient failures (429, 408, 5xx, timeouts, dropped connections) of
+  // LLM adapters and idempotent tools are retried with exponential backoff
+  // per config:defaults.failure_handling; permanent ones (400, auth, bad
+  // requests) fail at once. A Retry-After the adapter reports replaces the
+  // backoff, and one longer than max_backoff_ms is not waited out. Retries
+  // spend the session's budget: the wait counts toward
+  // max_duration_seconds, each LLM retry counts as a step, and no retry
+  // starts once the session budget is spent. Every retry is its own karma
+  // event (llm_retry / tool_retry), including the one that gives up.
+
+  static RETRY_DEFAULTS = { retries: 1, backoff_ms: 1000, max_backoff_ms: 30000 };
+  static TRANSIENT_STATUS = [408, 425, 429];
+  static TRANSIENT_PATTERN = /rate.?limit|overloaded|too many requests|timed? ?out|timeout|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up|network|fetch failed/i;
+
+  // { transient, status, retry_after_ms } from an error. Adapters attach
+  // the HTTP `status` and response `headers` to what they throw; without
+  // them, a status or retry_after in the message's JSON is used.
+  static classifyFailure(err, now = Date.now()) {
+    const text = String(err?.message ?? err ?? '');
+    const statuses = [...text.matchAll(/"(?:status|code)"\s*:\s*"?(\d{3})\b/g)].map(m => Number(m[1]));
+    const failing = err?.status >= 400 ? [err.status] : statuses.filter(s => s >= 400);
+    const status = failing.find(s => Brainstem.TRANSIENT_STATUS.includes(s) || s >= 500) ?? failing[0] ?? null;
+    const transient = status !== null
+      ? Brainstem.TRANSIENT_STATUS.includes(status) || status >= 500
+      : Brainstem.TRANSIENT_PATTERN.test(text);
+
+    let retry_after_ms = null;
+    const match = text.match(/"retry_after"\s*:\s*(?:"([^"]*)"|([\d.]+))/);
+    const retryAfter = String(err?.headers?.["retry-after"] ?? match?.[1] ?? match?.[2] ?? "").trim();
+    if (retryAfter) {
+      const ms = /^\d+(\.\d+)?$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - now;
+      if (Number.isFinite(ms)) retry_after_ms = Math.max(0, Math.round(ms));
+    }
+    return { transient, status, retry_after_ms };
+  }
+
+  // Which session budget is spent (optionally after waiting extraMs more), or null
+  sessionBudgetExceeded(budgetCap, extraMs = 0) {
+    const budget = this.defaults?.session_budget;
+    const costLimit = budgetCap ?? budget?.max_cost;
+    if (costLimit && this.sessionCost >= costLimit) return "cost";
+    if (budget?.max_steps && this.sessionLLMCalls >= budget.max_steps) return "steps";
+    if (budget?.max_duration_seconds && this.elapsed() + extraMs > budget.max_duration_seconds * 1000)
+      return "duration";
+    return null;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async withRetries(fn, { event, fields, budgetCap, countsAsStep = false }) {
+    const policy = { ...Brainstem.RETRY_DEFAULTS, ...this.defaults?.failure_handling };
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        const failure = Brainstem.classifyFailure(err);
+        if (!failure.transient || attempt > policy.retries) throw err;
+
+        const delay = failure.retry_after_ms
+          ?? Math.min(policy.backoff_ms * 2 ** (attempt - 1), policy.max_backoff_ms);
+        const exceeded = this.sessionBudgetExceeded(budgetCap, delay);
+        const gaveUp = failure.retry_after_ms > policy.max_backoff_ms ? "retry_after_too_long"
+          : exceeded ? `budget_${exceeded}`
+          : null;
+
+        await this.karmaRecord({
+          event,
+          ...fields,
+          attempt,
+          status: failure.status,
+          error: err.message,
+          delay_ms: delay,
+          ...(failure.retry_after_ms !== null ? { retry_after_ms: failure.retry_after_ms } : {}),
+          ...(gaveUp ? { gave_up: gaveUp } : {}),
+        });
+        if (gaveUp) throw err;
+
+        if (countsAsStep) this.sessionLLMCalls++;
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  // ── Provider health ─────────────────────────────────────────
+  //
+  // Outcomes of every routed call, per adapter and per adapter+model route,
+  // kept across sessions in kernel:provider_health:
+  //   { providers: { llm: {...} }, routes: { "llm:anthropic/claude-opus-4.6": {...} } }
+  // Each entry tracks counts, an exponentially weighted error rate and
+  // latency, and a cooldown: `failure_threshold` consecutive failures cool
+  // the adapter or route for `cooldown_seconds`; a rate-limit response cools
+  // just the route for `rate_limit_cooldown_seconds`. Routing skips anything
+  // cooling down (config:defaults.provider_health overrides these).
+
+  static PROVIDER_HEALTH_DEFAULTS = {
+    failure_threshold: 3,
+    cooldown_seconds: 300,
+    rate_limit_cooldown_seconds: 60,
+  };
+  static HEALTH_EWMA_WEIGHT = 0.2;
+
+  static isRateLimitError(message) {
+    return /\b429\b|rate.?limit|too many requests/i.test(message || '');
+  }
+
+  static emptyHealth() {
+    return {
+      calls: 0, errors: 0, rate_limits: 0, consecutive_errors: 0,
+      error_rate: 0, latency_ms: null,
+      last_ok_at: null, last_error: null, cooldown_until: null,
+    };
+  }
+
+  static updateHealth(stats, { ok, latencyMs, error }, policy, { rateLimitCooldown }, now = Date.now()) {
+    const w = Brainstem.HEALTH_EWMA_WEIGHT;
+    stats.calls++;
+    stats.error_rate = Math.round(((1 - w) * stats.error_rate + w * (ok ? 0 : 1)) * 1000) / 1000;
+    if (ok) {
+      stats.latency_ms = stats.latency_ms === null
+        ? latencyMs
+        : Math.round((1 - w) * stats.latency_ms + w * latencyMs);
+      stats.consecutive_errors = 0;
+      stats.last_ok_at = new Date(now).toISOString();
+      stats.cooldown_until = null;
+      return stats;
+    }
+
+    const rateLimited = Brainstem.isRateLimitError(error);
+    stats.errors++;
+    stats.consecutive_errors++;
+    if (rateLimited) stats.rate_limits++;
+    stats.last_error = { at: new Date(now).toISOString(), message: String(error).slice(0, 200), rate_limited: rateLimited };
+
+    let until = 0;
+    if (rateLimited && rateLimitCooldown) until = now + policy.rate_limit_cooldown_seconds * 1000;
+    if (stats.consecutive_errors >= policy.failure_threshold) {
+      until = Math.max(until, now + policy.cooldown_seconds * 1000);
+    }
+    if (until) stats.cooldown_until = new Date(Math.max(until, Date.parse(stats.cooldown_until) || 0)).toISOString();
+    return stats;
+  }
+
+  static routeKey(route) {
+    return `${route.provider}:${route.model}`;
+  }
+
+  // Cooldown end (ISO) of the route or its adapter, whichever is later, else null
+  static routeCooldown(health, route, now = Date.now()) {
+    const until = [health.providers?.[route.provider], health.routes?.[Brainstem.routeKey(route)]]
+      .map(stats => Date.parse(stats?.cooldown_until) || 0)
+      .reduce((a, b) => Math.max(a, b), 0);
+    return until > now ? new Date(until).toISOString() : null;
+  }
+
+  async getProviderHealth() {
+    if (!this.providerHealth) {
+      this.providerHealth = await this.kvGet("kernel:provider_health") || { providers: {}, routes: {} };
+    }
+    return this.providerHealth;
+  }
+
+  async recordProviderHealth(route, outcome) {
+    const policy = { ...Brainstem.PROVIDER_HEALTH_DEFAULTS, ...this.defaults?.provider_health };
+    // Re-read so a chat running alongside this session isn't overwritten
+    const health = this.providerHealth = await this.kvGet("kernel:provider_health")
+      || { providers: {}, routes: {} };
+    for (const [group, name, opts] of [
+      ['providers', route.provider, { rateLimitCooldown: false }],
+      ['routes', Brainstem.routeKey(route), { rateLimitCooldown: true }],
+    ]) {
+      const entries = health[group] || (health[group] = {});
+      const stats = entries[name] || (entries[name] = Brainstem.emptyHealth());
+      Brainstem.updateHealth(stats, outcome, policy, opts);
+    }
+    health.updated_at = new Date().toISOString();
+    await this.kvPut("kernel:provider_health", health);
+  }
+
+  // ── LLM calls (dynamic provider with cascade fallback) ─────
+
+  // onText (optional) receives the reply text so far while a streaming
+  // adapter generates it; the call still resolves with the complete result.
+  // subplan (optional) is the calling subplan's scope: its caps and those of
+  // every enclosing subplan are checked first, and the cost is charged to them.
+  async callLLM({ model, effort, maxTokens, systemPrompt, messages, tools, step, budgetCap, onText, outputSchema, subplan }) {
+    const exceeded = this.sessionBudgetExceeded(budgetCap) || Brainstem.subplanCapExceeded(subplan);
+    if (exceeded) throw new Error(`Budget exceeded: ${exceeded}`);
+    if (this.defaults?.cost_budget) {
+      const status = await this.getBudgetStatus();
+      const over = Object.keys(Brainstem.COST_WINDOWS)
+        .find(name => status[name].limit !== null && status[name].spent >= status[name].limit);
+      if (over) throw new Error(`Budget exceeded: ${over} cost`);
+    }
+
+    const startMs = Date.now();
+
+    // Kernel-enforced dharma injection — no hook or prompt mutation can bypass this
+    const dharmaPrefix = this.dharma ? `[DHARMA]\n${this.dharma}\n[/DHARMA]\n\n` : '';
+
+    // Kernel-enforced yama/niyama injection — mutable but always present
+    let principlesBlock = '';
+    if (this.yamas && Object.keys(this.yamas).length > 0) {
+      const yamaEntries = Object.entries(this.yamas)
+        .map(([key, text]) => {
+          const name = key.replace('yama:', '');
+          return `[${name}]\n${text}\n[/${name}]`;
+        }).join('\n');
+      principlesBlock += `[YAMAS]\n${yamaEntries}\n[/YAMAS]\n\n`;
+    }
+    if (this.niyamas && Object.keys(this.niyamas).length > 0) {
+      const niyamaEntries = Object.entries(this.niyamas)
+        .map(([key, text]) => {
+          const name = key.replace('niyama:', '');
+          return `[${name}]\n${text}\n[/${name}]`;
+        }).join('\n');
+      principlesBlock += `[NIYAMAS]\n${niyamaEntries}\n[/NIYAMAS]\n\n`;
+    }
+
+    const fullSystemPrompt = systemPrompt
+      ? dharmaPrefix + principlesBlock + systemPrompt
+      : (dharmaPrefix + principlesBlock) || null;
+
+    // Build messages array, prepending system prompt if provided
+    const msgs = fullSystemPrompt
+      ? [{ role: "system", content: fullSystemPrompt }, ...messages]
+      : [...messages];
+
+    // Standardized request — provider adapter translates this. output_schema
+    // only reaches adapters whose meta declares structured_output, and not
+    // for models whose config:models entry sets structured_output: false.
+    const modelInfo = this.modelsConfig?.models?.find(m => m.id === model || m.alias === model);
+    const request = {
+      model,
+      max_tokens: maxTokens || 1000,
+      messages: msgs,
+      thinking: (effort && effort !== "none")
+        ? { type: "adaptive", effort }
+        : null,
+      ...(tools?.length ? { tools } : {}),
+      ...(outputSchema && modelInfo?.structured_output !== false
+        ? { output_schema: { name: `${Brainstem.costRole(step)}_output`, schema: outputSchema } }
+        : {}),
+    };
+
+    // Try cascade: dynamic adapter → last working → hardcoded fallback
+    const result = await this.callWithCascade(request, step, onText, budgetCap);
+    const durationMs = Date.now() - startMs;
 
     if (!result.ok) {
       await this.karmaRecord({
@@ -1040,6 +2259,7 @@ export default {
         ok: false,
         error: result.error,
         duration_ms: durationMs,
+        provider: result.provider,
         provider_tier: result.tier,
       });
 
@@ -1049,23 +2269,29 @@ export default {
         || null;
       if (fallbackModel && model !== fallbackModel) {
         return this.callLLM({ model: fallbackModel, effort: "low", maxTokens,
-          systemPrompt, messages, tools, step, budgetCap });
+          systemPrompt, messages, tools, step, budgetCap, onText, outputSchema, subplan });
       }
       throw new Error(`LLM call failed on all providers: ${result.error}`);
     }
 
-    const cost = this.estimateCost(model, result.usage) || 0;
+    // An alternate may have answered — cost and karma follow the model that did
+    const served = result.model || model;
+    const cost = this.estimateCost(served, result.usage) || 0;
 
     await this.karmaRecord({
       event: "llm_call",
-      step, model, effort,
+      step, model: served, effort,
+      ...(served !== this.resolveModel(model) ? { requested_model: model } : {}),
+      ...(subplan ? { subplan_id: subplan.id } : {}),
       ok: true,
       duration_ms: durationMs,
+      provider: result.provider,
       provider_tier: result.tier,
       in_tokens: result.usage.prompt_tokens,
       out_tokens: result.usage.completion_tokens,
       thinking_tokens: result.usage.thinking_tokens || 0,
       cost,
+      ...(result.streamed ? { streamed: true, stream_chunks: result.chunks, first_text_ms: result.first_text_ms } : {}),
       request: msgs,
       response: result.content || null,
       tool_calls: result.toolCalls || [],
@@ -1074,31 +2300,156 @@ export default {
 
     this.sessionCost += cost;
     this.sessionLLMCalls++;
-    this.lastCallModel = model;
+    if (subplan) subplan.steps++;
+    for (let s = subplan; s; s = s.parent) s.cost += cost;
+    await this.recordCost({ model: served, step, cost, usage: result.usage });
+    this.lastCallModel = served;
+
+    return {
+      content: result.content, usage: result.usage, cost, toolCalls: result.toolCalls,
+      ...(result.thinking ? { thinking: result.thinking } : {}),
+    };
+  }
 
-    return { content: result.content, usage: result.usage, cost, toolCalls: result.toolCalls };
+  // Which adapter serves a model: its config:models entry's `provider` (an
+  // adapter at provider:{name}:code), else config:models.default_provider,
+  // else "llm" (OpenRouter). `provider_model` is the id that adapter expects
+  // and `base_url` points OpenAI-compatible adapters at their server.
+  resolveProvider(model) {
+    const info = this.modelsConfig?.models?.find(m => m.id === model || m.alias === model);
+    return {
+      name: info?.provider || this.modelsConfig?.default_provider || "llm",
+      model: info?.provider_model || info?.id || model,
+      ...(info?.base_url ? { base_url: info.base_url } : {}),
+    };
   }
 
-  async callWithCascade(request, step) {
+  // Ordered routes for a model: the model itself, then its config:models
+  // `alternates`. An alternate is another model (id or alias, routed by its
+  // own entry) or { provider, model?, provider_model?, base_url? } to reach
+  // a model through a different adapter. Route: { model, provider,
+  // provider_model, base_url? }, with `model` the config:models id.
+  resolveRoutes(model) {
+    const find = (m) => this.modelsConfig?.models?.find(i => i.id === m || i.alias === m);
+    const toRoute = (m, override = {}) => {
+      const id = find(m)?.id || this.resolveModel(m);
+      const p = this.resolveProvider(id);
+      const base_url = override.base_url || (override.provider ? null : p.base_url);
+      return {
+        model: id,
+        provider: override.provider || p.name,
+        provider_model: override.provider_model || (override.provider ? id : p.model),
+        ...(base_url ? { base_url } : {}),
+      };
+    };
+
+    const routes = [toRoute(model)];
+    for (const alt of find(model)?.alternates || []) {
+      routes.push(typeof alt === "string" ? toRoute(alt) : toRoute(alt.model || model, alt));
+    }
+    const seen = new Set();
+    return routes.filter(r => {
+      const key = `${r.provider}|${r.model}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Routes are tried in order, skipping any whose adapter or model is in a
+  // health cooldown (unless all are — then every route is tried anyway).
+  // Each route gets its adapter's dynamic and last-working tiers; the
+  // kernel fallback is the last resort for the request as made.
+  async callWithCascade(request, step, onText, budgetCap) {
+    const routes = this.resolveRoutes(request.model);
+    const health = await this.getProviderHealth();
+    const skipped = [];
+    let candidates = routes.filter(route => {
+      const until = Brainstem.routeCooldown(health, route);
+      if (until) skipped.push({ model: route.model, provider: route.provider, cooldown_until: until });
+      return !until;
+    });
+    const allCooling = !candidates.length;
+    if (allCooling) candidates = routes;
+
+    const failed = [];
+    const decide = async (chosen) => {
+      if (!skipped.length && !failed.length) return;
+      await this.karmaRecord({
+        event: "llm_route",
+        step,
+        requested: request.model,
+        chosen,
+        skipped,
+        failed,
+        ...(allCooling ? { all_cooling: true } : {}),
+      });
+    };
+
+    for (const [i, route] of candidates.entries()) {
+      const startMs = Date.now();
+      const result = await this.callRoute(route, request, { step, onText, budgetCap }, i < candidates.length - 1);
+      await this.recordProviderHealth(route, {
+        ok: result.ok, latencyMs: Date.now() - startMs, error: result.error,
+      });
+      if (result.ok) {
+        await decide({ model: route.model, provider: route.provider, tier: result.tier });
+        return { ...result, provider: route.provider, model: route.model };
+      }
+      failed.push({ model: route.model, provider: route.provider, error: result.error });
+    }
+
+    // Tier 3: Kernel fallback adapter (kernel:llm_fallback, human-managed).
+    // Gets the request as the caller made it — config:models ids are its ids.
+    try {
+      const result = await this.withRetries(
+        () => this.callViaKernelFallback(request, onText),
+        { event: "llm_retry", fields: { step, provider: "kernel_fallback", model: request.model }, budgetCap, countsAsStep: true },
+      );
+      await decide({ model: request.model, provider: "kernel_fallback", tier: "kernel_fallback" });
+      return { ...result, ok: true, tier: "kernel_fallback", provider: "kernel_fallback" };
+    } catch (err) {
+      await decide(null);
+      return { ok: false, error: err.message, tier: "all_failed", provider: candidates[0].provider };
+    }
+  }
+
+  // Tiers 1 and 2 for one route: { ok: true, ...result, tier } or { ok: false, error }.
+  // Transient failures of the dynamic adapter are retried before Tier 2.
+  async callRoute(route, request, { step, onText, budgetCap } = {}, hasAlternate) {
+    const routed = {
+      ...request,
+      model: route.provider_model,
+      ...(route.base_url ? { base_url: route.base_url } : {}),
+    };
+
+    let dynamicError;
+
     // Tier 1: Dynamic adapter from KV
     try {
-      const result = await this.callViaAdapter("llm", request);
+      const result = await this.withRetries(
+        () => this.callViaAdapter(route.provider, routed, onText),
+        { event: "llm_retry", fields: { step, provider: route.provider, model: route.model }, budgetCap, countsAsStep: true },
+      );
       // Success — snapshot as last working
-      if (!this.lastWorkingSnapshotted) {
+      if (!this.lastWorkingSnapshotted.has(route.provider)) {
         const [code, meta] = await Promise.all([
-          this.kvGet("provider:llm:code"),
-          this.kvGet("provider:llm:meta"),
+          this.kvGet(`provider:${route.provider}:code`),
+          this.kvGet(`provider:${route.provider}:meta`),
         ]);
         if (code) {
-          await this.kvPut("provider:llm:last_working:code", code);
-          await this.kvPut("provider:llm:last_working:meta", meta);
-          this.lastWorkingSnapshotted = true;
+          await this.kvPut(`provider:${route.provider}:last_working:code`, code);
+          await this.kvPut(`provider:${route.provider}:last_working:meta`, meta);
+          this.lastWorkingSnapshotted.add(route.provider);
         }
       }
       return { ...result, ok: true, tier: "dynamic" };
     } catch (err) {
+      dynamicError = err.message;
       await this.karmaRecord({
         event: "provider_fallback",
+        provider: route.provider,
+        model: route.model,
         from: "dynamic",
         to: "last_working",
         error: err.message,
@@ -1107,46 +2458,42 @@ export default {
 
     // Tier 2: Last known working adapter
     try {
-      const result = await this.callViaAdapter("llm:last_working", request);
+      const result = await this.callViaAdapter(`${route.provider}:last_working`, routed, onText);
       return { ...result, ok: true, tier: "last_working" };
     } catch (err) {
       await this.karmaRecord({
         event: "provider_fallback",
+        provider: route.provider,
+        model: route.model,
         from: "last_working",
-        to: "hardcoded",
+        to: hasAlternate ? "alternate" : "hardcoded",
         error: err.message,
       });
-    }
-
-    // Tier 3: Kernel fallback adapter (kernel:llm_fallback, human-managed)
-    try {
-      const result = await this.callViaKernelFallback(request);
-      return { ...result, ok: true, tier: "kernel_fallback" };
-    } catch (err) {
-      return { ok: false, error: err.message, tier: "all_failed" };
+      // Both tiers' errors — the dynamic one usually carries the upstream status
+      return { ok: false, error: `${dynamicError} | last_working: ${err.message}` };
     }
   }
 
-  async callViaAdapter(fnKey, request) {
+  async callViaAdapter(fnKey, request, onText) {
     const [code, meta] = await Promise.all([
       this.kvGet(`provider:${fnKey}:code`),
       this.kvGet(`provider:${fnKey}:meta`),
     ]);
     if (!code) throw new Error(`No adapter at provider:${fnKey}:code`);
-    return this.runAdapter(code, meta, request, fnKey);
+    return this.runAdapter(code, meta, request, fnKey, onText);
   }
 
-  async callViaKernelFallback(request) {
+  async callViaKernelFallback(request, onText) {
     const [code, meta] = await Promise.all([
       this.kvGet("kernel:llm_fallback"),
       this.kvGet("kernel:llm_fallback:meta"),
     ]);
     if (!code) throw new Error("No LLM fallback configured at kernel:llm_fallback");
-    return this.runAdapter(code, meta, request, "kernel_fallback");
+    return this.runAdapter(code, meta, request, "kernel_fallback", onText);
   }
 
   // Shared adapter execution — builds secrets, runs in isolate, validates response
-  async runAdapter(code, meta_, request, id) {
+  async runAdapter(code, meta_, request, id, onText) {
     const meta = meta_ || {};
 
     const secrets = {};
@@ -1158,11 +2505,21 @@ export default {
       if (val !== null) secrets[name] = val;
     }
 
+    // Adapters without native structured output never see the schema —
+    // the agent loop's own check and repair turns cover them
+    const { output_schema, ...plain } = request;
+    const sent = meta.structured_output ? request : plain;
+
+    // With onText, adapters that export stream() are consumed incrementally;
+    // call()-only adapters ignore _stream and answer as usual
     const result = await this.runInIsolate({
       id: `fn:${id}:${this.sessionId}`,
       moduleCode: code,
-      ctx: { ...request, secrets },
+      ctx: { ...sent, secrets, ...(onText ? { _stream: true } : {}) },
       timeoutMs: meta.timeout_ms || 60000,
+      ...(onText ? {
+        onStream: (response) => this.readLLMStream(response, onText, meta.stream_idle_timeout_ms || 30000),
+      } : {}),
     });
 
     if (!result || (typeof result.content !== "string" && !result.toolCalls?.length)) {
@@ -1173,6 +2530,111 @@ export default {
 
   // ── Agent loop (tool-calling execution primitive) ──────────
 
+  // ── Tool argument schemas ──────────────────────────────────
+  //
+  // config:tool_registry entries describe their arguments with `parameters`,
+  // a JSON Schema object sent to the model as-is. Older entries with an
+  // `input` map ({ name: "description" }) still work: each key becomes an
+  // optional string property. executeToolCall checks arguments against the
+  // schema before hooks or dispatch.
+
+  static toolParameters(entry) {
+    if (entry.parameters) return entry.parameters;
+    return {
+      type: 'object',
+      properties: Object.fromEntries(
+        Object.entries(entry.input || {}).map(([k, v]) => [k, { type: 'string', description: String(v) }])
+      ),
+    };
+  }
+
+  static SCHEMA_TYPES = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    null: v => v === null,
+  };
+
+  static schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  // Validates against the JSON Schema keywords tool definitions use: type,
+  // enum, const, required, properties, additionalProperties, items, anyOf,
+  // oneOf, minLength/maxLength, pattern, minimum/maximum, minItems/maxItems.
+  // Other keywords are ignored. Returns [{ path, message }], empty when valid.
+  static validateSchema(schema, value, path = '') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at || '(arguments)', message });
+    const child = key => typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    if (types && !types.some(t => Brainstem.SCHEMA_TYPES[t]?.(value))) {
+      fail(`must be ${types.join(' or ')}, got ${Brainstem.schemaTypeOf(value)}`);
+      return errors;
+    }
+    if (schema.enum && !schema.enum.some(e => same(e, value)))
+      fail(`must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    if ('const' in schema && !same(schema.const, value))
+      fail(`must be ${JSON.stringify(schema.const)}`);
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength)
+        fail(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength)
+        fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern) {
+        // A bad pattern is the schema's fault, not the value's — say so rather than throw
+        let pattern = null;
+        try { pattern = new RegExp(schema.pattern); } catch (err) { fail(`schema error: invalid pattern ${schema.pattern} (${err.message})`); }
+        if (pattern && !pattern.test(value)) fail(`must match ${schema.pattern}`);
+      }
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems)
+        fail(`must have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems)
+        fail(`must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => errors.push(...Brainstem.validateSchema(schema.items, item, child(i))));
+    }
+    if (Brainstem.SCHEMA_TYPES.object(value)) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) fail('is required', child(key));
+      }
+      const props = schema.properties || {};
+      for (const [key, v] of Object.entries(value)) {
+        if (v === undefined) continue;
+        if (props[key]) errors.push(...Brainstem.validateSchema(props[key], v, child(key)));
+        else if (schema.additionalProperties === false) fail('is not an allowed property', child(key));
+        else if (typeof schema.additionalProperties === 'object')
+          errors.push(...Brainstem.validateSchema(schema.additionalProperties, v, child(key)));
+      }
+    }
+
+    for (const [keyword, ok] of [['anyOf', n => n > 0], ['oneOf', n => n === 1]]) {
+      if (!schema[keyword]) continue;
+      const matches = schema[keyword].filter(s => !Brainstem.validateSchema(s, value, path).length).length;
+      if (!ok(matches)) {
+        fail(keyword === 'oneOf' && matches > 1
+          ? 'must match exactly one allowed form'
+          : `must match one of: ${schema[keyword].map(s => s.description || [].concat(s.type || 'value').join('|')).join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
   buildToolDefinitions(extraTools = []) {
     const registry = this.toolRegistry || { tools: [] };
     const defs = registry.tools.map(t => ({
@@ -1180,12 +2642,7 @@ export default {
       function: {
         name: t.name,
         description: t.description,
-        parameters: {
-          type: 'object',
-          properties: Object.fromEntries(
-            Object.entries(t.input || {}).map(([k, v]) => [k, { type: 'string', description: String(v) }])
-          ),
-        },
+        parameters: Brainstem.toolParameters(t),
       },
     }));
 
@@ -1194,23 +2651,90 @@ export default {
       type: 'function',
       function: {
         name: 'spawn_subplan',
-        description: 'Spawn a nested agent to handle an independent sub-task. Multiple spawn_subplan calls in one turn execute in parallel.',
+        description: 'Spawn a nested agent to handle an independent sub-task. Multiple spawn_subplan calls in one turn execute in parallel. '
+          + 'Returns { subplan_id, status, cost, steps, duration_ms, output }.',
         parameters: {
           type: 'object',
           properties: {
             goal: { type: 'string', description: 'What the subplan should achieve' },
             model: { type: 'string', description: 'Model alias (default: haiku)' },
-            max_steps: { type: 'number', description: 'Max turns (default: 5)' },
+            max_steps: { type: 'integer', minimum: 1, description: 'Max turns (default and ceiling: execution.subplans.max_steps)' },
+            max_cost: { type: 'number', minimum: 0, description: 'Max USD, including its own subplans (default and ceiling: execution.subplans.max_cost)' },
+            max_seconds: { type: 'integer', minimum: 1, description: 'Max wall-clock seconds (default and ceiling: execution.subplans.max_seconds)' },
+            tools: { type: 'array', items: { type: 'string' }, description: 'Tool names the subplan may use (default: the same as yours)' },
+          },
+          required: ['goal'],
+        },
+      },
+    });
+
+    // Built-in: page through a tool result too large to return whole
+    defs.push({
+      type: 'function',
+      function: {
+        name: 'read_result',
+        description: 'Read part of a tool result that came back truncated. Pass the result_handle it returned; use next_offset to continue.',
+        parameters: {
+          type: 'object',
+          properties: {
+            handle: { type: 'string', pattern: '^res_\\d+$', description: 'result_handle from the truncated result' },
+            offset: { type: 'integer', minimum: 0, description: 'Character offset into the stored result (default 0)' },
+            length: { type: 'integer', minimum: 1, description: 'Characters to read (default and maximum: one page)' },
+          },
+          required: ['handle'],
+        },
+      },
+    });
+
+    // Built-ins: background tasks that outlive this session
+    defs.push({
+      type: 'function',
+      function: {
+        name: 'create_task',
+        description: 'Start a background task that keeps working across future wakes — for jobs that take longer than one session '
+          + '(long-running commands to poll, multi-step research). Its result appears in a later orient context.',
+        parameters: {
+          type: 'object',
+          properties: {
+            goal: { type: 'string', minLength: 1, description: 'What the task should achieve, self-contained' },
+            model: { type: 'string', description: 'Model alias (default: execution.fallback_model)' },
+            max_cost: { type: 'number', minimum: 0, description: 'Max USD over the whole task (default and ceiling: tasks.max_cost)' },
+            max_slices: { type: 'integer', minimum: 1, description: 'Max wakes it may run in (default and ceiling: tasks.max_slices)' },
+            tools: { type: 'array', items: { type: 'string' }, description: 'Tool names the task may use (default: all)' },
+            start_after_seconds: { type: 'integer', minimum: 0, description: 'Delay before the first run (default: next wake)' },
           },
           required: ['goal'],
         },
       },
     });
+    defs.push({
+      type: 'function',
+      function: {
+        name: 'task_status',
+        description: 'Status, cost and progress of a background task, with its result once finished. Without task_id, lists all tasks.',
+        parameters: {
+          type: 'object',
+          properties: { task_id: { type: 'string' } },
+        },
+      },
+    });
+    defs.push({
+      type: 'function',
+      function: {
+        name: 'cancel_task',
+        description: 'Cancel a background task that has not finished.',
+        parameters: {
+          type: 'object',
+          properties: { task_id: { type: 'string' } },
+          required: ['task_id'],
+        },
+      },
+    });
 
     return [...defs, ...extraTools];
   }
 
-  async executeToolCall(toolCall) {
+  async executeToolCall(toolCall, subplan, { slotted } = {}) {
     const name = toolCall.function.name;
     let args;
     try {
@@ -1221,16 +2745,54 @@ export default {
       return { error: `Invalid JSON in tool arguments for ${name}` };
     }
 
+    // Arguments must match the tool's schema before anything runs — the
+    // model gets every problem at once and can correct the call
+    const schema = this.buildToolDefinitions().find(d => d.function.name === name)?.function.parameters;
+    const invalid = schema ? Brainstem.validateSchema(schema, args) : [];
+    if (invalid.length) {
+      await this.karmaRecord({ event: "tool_invalid_args", tool: name, errors: invalid });
+      return {
+        error: `Invalid arguments for ${name}: ${invalid.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        validation_errors: invalid,
+      };
+    }
+
+    // A subplan can only call what it was offered
+    if (!Brainstem.subplanAllows(subplan, name)) {
+      await this.karmaRecord({ event: "tool_not_allowed", tool: name, subplan_id: subplan.id });
+      return { error: `${name} is not in this subplan's tool allowlist` };
+    }
+
     if (name === 'spawn_subplan') {
-      return this.spawnSubplan(args);
+      // Only the agent loop's own spawns hold a slot (see runAgentLoop)
+      return slotted ? this.spawnSubplan(args, subplan, { slotted }) : this.spawnSubplan(args, subplan);
     }
 
     if (name === 'check_balance') {
       return this.checkBalance(args);
     }
 
+    if (name === 'mutation_history') {
+      return this.queryMutationHistory(args);
+    }
+
+    if (name === 'read_result') {
+      return this.readResult(args);
+    }
+
+    if (name === 'create_task') {
+      return this.createTask(args);
+    }
+
+    if (name === 'task_status') {
+      return args.task_id ? this.getTask(args.task_id) : { tasks: await this.listTasks() };
+    }
+
+    if (name === 'cancel_task') {
+      return this.cancelTask(args.task_id);
+    }
+
     // Pre-validation hook
-    const schema = this.toolRegistry?.tools?.find(t => t.name === name)?.input;
     const preCheck = await this.callHook('validate', { tool: name, args, schema });
     if (preCheck && !preCheck.ok) {
       await this.karmaRecord({ event: "hook_rejected", hook: "validate", tool: name, error: preCheck.error });
@@ -1242,6 +2804,7 @@ export default {
       tool: name,
       input: args,
       id: toolCall.id,
+      ...(subplan ? { subplan_id: subplan.id } : {}),
     });
 
     // Post-validation hook
@@ -1281,71 +2844,210 @@ export default {
     }
   }
 
-  async spawnSubplan(args, depth = 0) {
+  // ── Subplans ────────────────────────────────────────────────
+  //
+  // Each spawn_subplan call runs a nested agent loop inside a scope:
+  //   { kind: "subplan", id, parent, depth, caps: { max_cost, max_steps, max_seconds },
+  //     tools, started, deadline, cost, steps }
+  // (a background task slice runs in the same kind of scope, kind "task").
+  // Caps come from the call's arguments, bounded by config:defaults
+  // .execution.subplans and by what is left of the enclosing subplan. callLLM
+  // checks the whole chain of scopes before every call and charges each call
+  // to all of them, so a subplan's cost includes its own subplans'.
+
+  static SUBPLAN_DEFAULTS = { max_cost: 0.05, max_steps: 5, max_seconds: 300, max_concurrent: 3 };
+
+  subplanPolicy() {
+    return { ...Brainstem.SUBPLAN_DEFAULTS, ...this.defaults?.execution?.subplans };
+  }
+
+  // "subplan sp_2 cost" for the first exhausted cap in the chain, or null
+  static subplanCapExceeded(scope, now = Date.now()) {
+    for (let s = scope; s; s = s.parent) {
+      if (s.cost >= s.caps.max_cost) return `${s.kind} ${s.id} cost`;
+      if (now >= s.deadline) return `${s.kind} ${s.id} time`;
+    }
+    return null;
+  }
+
+  static subplanAllows(scope, toolName) {
+    return !scope?.tools || toolName === 'read_result' || scope.tools.includes(toolName);
+  }
+
+  // At most `limit` slots held at once, handed out in call order. run(fn)
+  // holds one while fn runs; lend(fn), called by a holder, gives its slot up
+  // while fn runs and queues to get it back — a parent holding a slot while
+  // it waits on its own subplans would otherwise starve them.
+  static limiter(limit) {
+    let active = 0;
+    const waiting = [];
+    const next = () => {
+      while (active < limit && waiting.length) {
+        active++;
+        waiting.shift()();
+      }
+    };
+    const acquire = () => new Promise(resolve => { waiting.push(resolve); next(); });
+    const release = () => { active--; next(); };
+    return {
+      async run(fn) {
+        await acquire();
+        try { return await fn(); } finally { release(); }
+      },
+      async lend(fn) {
+        release();
+        try { return await fn(); } finally { await acquire(); }
+      },
+    };
+  }
+
+  // `slotted` — the caller holds a subplan slot for this run (see runAgentLoop)
+  async spawnSubplan(args, parent = null, { slotted = false } = {}) {
+    const policy = this.subplanPolicy();
+    const id = `sp_${++this.subplanCount}`;
+    const depth = parent ? parent.depth + 1 : 0;
+    const started = Date.now();
+    const envelope = (status, fields) => ({
+      subplan_id: id, status, goal: args.goal, cost: 0, steps: 0, duration_ms: Date.now() - started, output: null, ...fields,
+    });
+
     const maxDepth = this.defaults?.execution?.max_subplan_depth || 3;
     if (depth >= maxDepth) {
-      return { error: `Subplan depth limit (${maxDepth}) reached`, goal: args.goal };
+      return envelope('rejected', { error: `Subplan depth limit (${maxDepth}) reached` });
     }
 
+    const available = this.buildToolDefinitions().map(d => d.function.name);
+    const unknown = (args.tools || []).filter(t => !available.includes(t));
+    if (unknown.length) {
+      return envelope('rejected', { error: `Unknown tools in allowlist: ${unknown.join(', ')}` });
+    }
+    const inherited = parent?.tools || null;
+    const allowed = args.tools
+      ? args.tools.filter(t => !inherited || inherited.includes(t))
+      : inherited;
+
+    const caps = {
+      max_cost: Math.min(args.max_cost ?? policy.max_cost, policy.max_cost),
+      max_steps: Math.min(args.max_steps ?? policy.max_steps, policy.max_steps),
+      max_seconds: Math.min(args.max_seconds ?? policy.max_seconds, policy.max_seconds),
+    };
+    if (parent) {
+      caps.max_cost = Math.min(caps.max_cost, Math.max(0, parent.caps.max_cost - parent.cost));
+      caps.max_seconds = Math.min(caps.max_seconds, Math.max(0, Math.floor((parent.deadline - started) / 1000)));
+    }
+    const scope = {
+      kind: 'subplan', id, parent, depth, caps, tools: allowed, slotted,
+      started, deadline: started + caps.max_seconds * 1000, cost: 0, steps: 0,
+    };
+
     const subplanPrompt = await this.kvGet("prompt:subplan") || this.defaultSubplanPrompt();
     const model = this.resolveModel(args.model || this.defaults?.execution?.fallback_model || 'haiku');
-    const maxSteps = args.max_steps || 5;
-
     const builtPrompt = this.buildPrompt(subplanPrompt, {
       goal: args.goal,
-      maxSteps,
-      maxCost: args.max_cost || 0.05,
+      maxSteps: caps.max_steps,
+      maxCost: caps.max_cost,
+      maxSeconds: caps.max_seconds,
       executorModel: args.model || 'haiku',
     });
 
-    // Subplan tools: same as parent
-    const tools = this.buildToolDefinitions();
+    const tools = this.buildToolDefinitions()
+      .filter(d => Brainstem.subplanAllows(scope, d.function.name));
 
-    return this.runAgentLoop({
-      systemPrompt: builtPrompt,
-      initialContext: `Execute this goal: ${args.goal}`,
-      tools,
-      model,
-      effort: args.effort || 'low',
-      maxTokens: args.max_output_tokens || 1000,
-      maxSteps,
-      step: `subplan_d${depth}`,
+    await this.karmaRecord({
+      event: "subplan_start",
+      subplan_id: id, parent_id: parent?.id || null, depth,
+      goal: args.goal, model, caps, tools: allowed,
     });
+
+    let status, output = null, error;
+    try {
+      output = await this.runAgentLoop({
+        systemPrompt: builtPrompt,
+        initialContext: `Execute this goal: ${args.goal}`,
+        tools,
+        model,
+        effort: args.effort || 'low',
+        maxTokens: args.max_output_tokens || 1000,
+        maxSteps: caps.max_steps,
+        step: `subplan_d${depth}`,
+        subplan: scope,
+      });
+      if (output?.budget_exceeded) {
+        status = output.reason.endsWith(`subplan ${id} time`) ? 'timed_out' : 'budget_exceeded';
+        error = output.reason;
+        output = null;
+      } else {
+        status = 'completed';
+      }
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+    }
+
+    const result = envelope(status, {
+      cost: scope.cost, steps: scope.steps, output, ...(error ? { error } : {}),
+    });
+    await this.karmaRecord({
+      event: "subplan_complete",
+      subplan_id: id, parent_id: parent?.id || null, depth,
+      status, cost: result.cost, steps: result.steps, duration_ms: result.duration_ms,
+      ...(error ? { error } : {}),
+    });
+    return result;
   }
 
+  // transcript (optional) is a saved conversation to resume; it is extended
+  // in place, so the caller can save it again afterwards.
   async runAgentLoop({ systemPrompt, initialContext, tools, model, effort,
-                       maxTokens, maxSteps, step, budgetCap }) {
-    const messages = [];
-    if (initialContext) {
+                       maxTokens, maxSteps, step, budgetCap, outputSchema, subplan, transcript }) {
+    const messages = transcript || [];
+    if (initialContext && !messages.length) {
       const content = typeof initialContext === 'string'
         ? initialContext
         : JSON.stringify(initialContext);
       messages.push({ role: 'user', content });
     }
 
-    let parseRetried = false;
+    // Unparseable or off-schema final output gets field-level feedback for
+    // up to execution.output_repair_turns extra turns (on top of maxSteps)
+    const maxRepairs = this.defaults?.execution?.output_repair_turns ?? 1;
+    let repairs = 0;
+    const compacted = new Set();  // messages already compacted (never rewritten twice)
+    // One limiter for the session, so nested subplans share max_concurrent
+    if (!this.subplanSlots) this.subplanSlots = Brainstem.limiter(this.subplanPolicy().max_concurrent);
+    const slots = this.subplanSlots;
 
     try {
-      for (let i = 0; i < maxSteps; i++) {
+      for (let i = 0; i < maxSteps + repairs; i++) {
+        if (i > 0) await this.compactMessages(messages, { step, turn: i, budgetCap, compacted, subplan });
+
         const response = await this.callLLM({
           model, effort, maxTokens,
           systemPrompt, messages, tools,
-          step: `${step}_turn_${i}`, budgetCap,
+          step: `${step}_turn_${i}`, budgetCap, outputSchema, subplan,
         });
 
         if (response.toolCalls?.length) {
-          // Add assistant message with tool calls
+          // Add assistant message with tool calls (plus any thinking blocks
+          // the adapter needs back on the next turn)
           messages.push({
             role: 'assistant',
             content: response.content || null,
             tool_calls: response.toolCalls,
+            ...(response.thinking ? { thinking: response.thinking } : {}),
           });
 
-          // Execute tools in parallel
-          const results = await Promise.all(
-            response.toolCalls.map(tc => this.executeToolCall(tc)
+          // Execute tools in parallel — at most execution.subplans.max_concurrent
+          // subplans run at once across the session, the rest queue. A
+          // subplan lends its own slot out while it waits on its children.
+          const runTools = () => Promise.all(
+            response.toolCalls.map(tc => (tc.function.name === 'spawn_subplan'
+              ? slots.run(() => this.executeToolCall(tc, subplan, { slotted: true }))
+              : this.executeToolCall(tc, subplan))
               .catch(err => ({ error: err.message })))
           );
+          const spawns = response.toolCalls.some(tc => tc.function.name === 'spawn_subplan');
+          const results = subplan?.slotted && spawns ? await slots.lend(runTools) : await runTools();
 
           // Add tool result messages (one per tool call)
           for (let j = 0; j < response.toolCalls.length; j++) {
@@ -1360,24 +3062,27 @@ export default {
 
         // No tool calls — final output
         const parsed = await this.parseAgentOutput(response.content);
-        if (parsed.parse_error && !parseRetried) {
-          parseRetried = true;
+        const problems = Brainstem.outputProblems(parsed, outputSchema);
+        if (problems.length && repairs < maxRepairs) {
+          repairs++;
+          await this.karmaRecord({ event: "output_repair", step, attempt: repairs, errors: problems });
           messages.push(
             { role: 'assistant', content: response.content },
-            { role: 'user', content: 'Your output was not valid JSON. Respond with only a valid JSON object.' }
+            { role: 'user', content: Brainstem.repairPrompt(parsed, problems) }
           );
-          continue;  // burns one step, loop retries once
+          continue;
         }
-        return parsed;
+        return this.finalOutput(parsed, problems, step);
       }
 
       // Max steps reached — force final output (no tools, forces text)
       messages.push({ role: 'user', content: 'Maximum steps reached. Produce your final output now.' });
       const finalResponse = await this.callLLM({
         model, effort, maxTokens, systemPrompt, messages,
-        step: `${step}_final`, budgetCap,
+        step: `${step}_final`, budgetCap, outputSchema, subplan,
       });
-      return await this.parseAgentOutput(finalResponse.content);
+      const parsed = await this.parseAgentOutput(finalResponse.content);
+      return this.finalOutput(parsed, Brainstem.outputProblems(parsed, outputSchema), step);
 
     } catch (err) {
       if (err.message.startsWith("Budget exceeded")) {
@@ -1388,6 +3093,31 @@ export default {
     }
   }
 
+  // Final output checks: hooks pass the role's JSON Schema as runAgentLoop's
+  // outputSchema; without one, only unparseable output is repaired.
+
+  static outputProblems(parsed, schema) {
+    if (parsed.parse_error) return [{ path: '(output)', message: 'is not valid JSON' }];
+    if (!schema) return [];
+    return Brainstem.validateSchema(schema, parsed)
+      .map(e => (e.path === '(arguments)' ? { ...e, path: '(output)' } : e));
+  }
+
+  static repairPrompt(parsed, problems) {
+    if (parsed.parse_error) return 'Your output was not valid JSON. Respond with only a valid JSON object.';
+    return 'Your output does not match the required schema:\n'
+      + problems.map(e => `- ${e.path} ${e.message}`).join('\n')
+      + '\nRespond with only the corrected JSON object.';
+  }
+
+  // Output that is still invalid after the repair turns is returned anyway,
+  // with the remaining errors, for the hook to decide what to keep
+  async finalOutput(parsed, problems, step) {
+    if (!problems.length) return parsed;
+    await this.karmaRecord({ event: "output_invalid", step, errors: problems });
+    return parsed.parse_error ? parsed : { ...parsed, output_errors: problems };
+  }
+
   async parseAgentOutput(content) {
     if (!content) return {};
     try { return JSON.parse(content); }
@@ -1438,6 +3168,442 @@ export default {
     return null;
   }
 
+  // ── Context compaction ──────────────────────────────────────
+  //
+  // Optional, per role (orient, reflect, deep_reflect, subplan — see
+  // costRole) in config:defaults.execution.compaction, with `default`
+  // applying to every role:
+  //   { default: { enabled: true }, subplan: { trigger_tokens: 12000 } }
+  // Before a turn, if the conversation is estimated above trigger_tokens,
+  // everything older than the last keep_recent_turns tool-calling turns is
+  // compacted once: a turn whose calls are all repeated later is dropped,
+  // a single repeated call's result becomes a stub, and large results are
+  // summarised in one call to a cheap model (the original goes to a
+  // read_result handle). The first message and compacted messages are
+  // never rewritten again, so the cached prefix only moves when a
+  // compaction runs. Each run records context_compacted karma with the
+  // summaries, for reflection to judge.
+
+  static COMPACTION_DEFAULTS = {
+    enabled: false,
+    trigger_tokens: 24000,
+    keep_recent_turns: 2,
+    min_result_bytes: 2000,
+    summary_tokens: 300,
+    model: null,             // default: execution.fallback_model, else haiku
+  };
+
+  compactionPolicy(step) {
+    const config = this.defaults?.execution?.compaction || {};
+    return {
+      ...Brainstem.COMPACTION_DEFAULTS,
+      ...config.default,
+      ...config[Brainstem.costRole(step)],
+    };
+  }
+
+  static estimateTokens(messages) {
+    return Math.ceil(JSON.stringify(messages).length / Brainstem.CHARS_PER_TOKEN);
+  }
+
+  async compactMessages(messages, { step, turn, budgetCap, compacted, subplan }) {
+    const policy = this.compactionPolicy(step);
+    if (!policy.enabled) return null;
+    const beforeTokens = Brainstem.estimateTokens(messages);
+    if (beforeTokens <= policy.trigger_tokens) return null;
+
+    // Protected: the first message, and the most recent tool-calling turns onward
+    const turnStarts = messages.flatMap((m, i) => (i > 0 && m.role === 'assistant' && m.tool_calls?.length ? [i] : []));
+    if (turnStarts.length <= policy.keep_recent_turns) return null;
+    const firstRecent = policy.keep_recent_turns > 0
+      ? messages[turnStarts[turnStarts.length - policy.keep_recent_turns]]
+      : null;
+    const recentFrom = () => (firstRecent ? messages.indexOf(firstRecent) : messages.length);
+
+    // A call is redundant when the same tool is called later with the same arguments
+    const signatures = new Map();
+    const calledAs = {};
+    for (const m of messages) {
+      for (const tc of m.tool_calls || []) {
+        const signature = `${tc.function.name}:${JSON.stringify(tc.function.arguments)}`;
+        signatures.set(tc.id, signature);
+        calledAs[tc.id] = tc.function.name;
+      }
+    }
+    const lastCall = new Map();
+    for (const [id, signature] of signatures) lastCall.set(signature, id);
+    const supersededBy = (id) => {
+      const later = lastCall.get(signatures.get(id));
+      return later && later !== id ? later : null;
+    };
+
+    // Whole turns whose every call is repeated later are dropped
+    let droppedTurns = 0;
+    for (const start of [...turnStarts].reverse()) {
+      if (start >= recentFrom()) continue;
+      if (!messages[start].tool_calls.every(tc => supersededBy(tc.id))) continue;
+      let end = start + 1;
+      while (end < messages.length && messages[end].role === 'tool') end++;
+      messages.splice(start, end - start);
+      droppedTurns++;
+    }
+
+    // Older tool results: repeated ones become stubs, large ones get summarised
+    let superseded = 0;
+    const toSummarise = [];
+    for (let i = 1; i < recentFrom(); i++) {
+      const m = messages[i];
+      if (m.role !== 'tool' || compacted.has(m)) continue;
+      const later = supersededBy(m.tool_call_id);
+      if (later) {
+        m.content = JSON.stringify({ compacted: true, superseded_by: later });
+        compacted.add(m);
+        superseded++;
+      } else if (String(m.content || '').length >= policy.min_result_bytes) {
+        toSummarise.push(m);
+      }
+    }
+
+    const summarized = [];
+    let model = null;
+    if (toSummarise.length) {
+      model = this.resolveModel(policy.model || this.defaults?.execution?.fallback_model || 'haiku');
+      let summaries = null;
+      try {
+        summaries = await this.summariseToolResults(toSummarise, calledAs, { model, policy, step, budgetCap, subplan });
+      } catch (err) {
+        if (err.message.startsWith("Budget exceeded")) throw err;
+        await this.karmaRecord({ event: "context_compaction_failed", step, turn, model, error: err.message });
+      }
+      for (const m of toSummarise) {
+        const summary = summaries?.[m.tool_call_id];
+        if (typeof summary !== 'string' || !summary) continue;
+        const original = String(m.content);
+        const handle = await this.storeToolResult(calledAs[m.tool_call_id], original,
+          this.toolResultPolicy(calledAs[m.tool_call_id]).ttl_seconds);
+        m.content = JSON.stringify({
+          compacted: true,
+          summary,
+          result_handle: handle,
+          note: `Summarised to save context — read_result({ handle: "${handle}" }) returns the original`,
+        });
+        compacted.add(m);
+        summarized.push({
+          tool: calledAs[m.tool_call_id],
+          tool_call_id: m.tool_call_id,
+          bytes: original.length,
+          summary_bytes: summary.length,
+          result_handle: handle,
+          summary,
+        });
+      }
+    }
+
+    if (!droppedTurns && !superseded && !summarized.length) return null;
+    const report = {
+      step,
+      role: Brainstem.costRole(step),
+      turn,
+      before_tokens: beforeTokens,
+      after_tokens: Brainstem.estimateTokens(messages),
+      dropped_turns: droppedTurns,
+      superseded,
+      summarized,
+      ...(model ? { model } : {}),
+    };
+    await this.karmaRecord({ event: "context_compacted", ...report });
+    return report;
+  }
+
+  // One cheap-model call for every result being compacted: { tool_call_id: summary }
+  async summariseToolResults(toolMessages, calledAs, { model, policy, step, budgetCap, subplan }) {
+    const results = toolMessages.map(m => ({
+      id: m.tool_call_id,
+      tool: calledAs[m.tool_call_id],
+      content: Brainstem.clipText(String(m.content), policy.trigger_tokens * Brainstem.CHARS_PER_TOKEN),
+    }));
+    const response = await this.callLLM({
+      model,
+      effort: 'low',
+      maxTokens: Math.min(policy.summary_tokens * results.length, 4000),
+      systemPrompt: 'You compress tool results for an agent partway through a task. Summarise each result in at most '
+        + `${policy.summary_tokens} tokens, keeping what the agent may need later: facts, identifiers, numbers, `
+        + 'URLs, keys, errors. Respond with only a JSON object mapping each result id to its summary.',
+      messages: [{ role: 'user', content: JSON.stringify({ results }) }],
+      step: `${step}_compact`,
+      budgetCap,
+      subplan,
+    });
+    const content = response.content || '';
+    try { return JSON.parse(content); }
+    catch { return this._extractJSON(content); }
+  }
+
+  // ── Background tasks ────────────────────────────────────────
+  //
+  // Work that outlives one invocation. create_task stores a goal and budget
+  // at task:{id} (kernel-only). Each wake, runDueTasks gives every due task
+  // one slice: a few agent loop turns, resumed from the transcript saved at
+  // the end of the previous slice. A slice ends with the task done, failed,
+  // or waiting poll_after_seconds for something outside to finish. Finished
+  // tasks are also written to kernel:task_result:{id}, which the wake hook
+  // puts in the next orient context and then consumes through
+  // consumeTaskResults; their task:{id} record expires
+  // after keep_finished_days. Each record's status is in its list metadata,
+  // so scheduling reads only the unfinished ones.
+
+  static TASK_DEFAULTS = {
+    max_cost: 0.25, max_slices: 20, slice_steps: 5, slice_seconds: 120,
+    max_active: 5, max_per_wake: 3, max_cost_per_wake: 0.10, keep_finished_days: 7,
+  };
+
+  static TASK_FINAL = ['done', 'failed', 'cancelled'];
+
+  static TASK_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['done', 'waiting', 'failed'] },
+      result: {},
+      progress: { type: 'string' },
+      poll_after_seconds: { type: 'integer', minimum: 0 },
+      error: { type: 'string' },
+    },
+    required: ['status'],
+  };
+
+  taskPolicy() {
+    return { ...Brainstem.TASK_DEFAULTS, ...this.defaults?.tasks };
+  }
+
+  // A task without its transcript
+  static taskSummary({ messages, ...task }) {
+    return task;
+  }
+
+  // With finished: false, records whose metadata marks them finished are
+  // not read (records from before the metadata are read and filtered)
+  async loadTasks({ finished = true } = {}) {
+    const keys = (await this.kvListAll({ prefix: 'task:' }))
+      .filter(k => finished || !Brainstem.TASK_FINAL.includes(k.metadata?.status));
+    const tasks = (await Promise.all(keys.map(k => this.kvGet(k.name)))).filter(Boolean);
+    return finished ? tasks : tasks.filter(t => !Brainstem.TASK_FINAL.includes(t.status));
+  }
+
+  // Finished records expire; the status goes into metadata for loadTasks
+  async saveTask(task) {
+    const final = Brainstem.TASK_FINAL.includes(task.status);
+    await this.kvPut(`task:${task.id}`, task, { status: task.status },
+      final ? { expirationTtl: this.taskPolicy().keep_finished_days * 86400 } : {});
+  }
+
+  async listTasks({ finished = true } = {}) {
+    return (await this.loadTasks({ finished }))
+      .map(Brainstem.taskSummary)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  // Results of finished tasks not yet shown to orient, oldest first
+  async listTaskResults() {
+    const results = [];
+    for (const { name } of await this.kvListAll({ prefix: 'kernel:task_result:' })) {
+      const result = await this.kvGet(name);
+      if (result) results.push(result);
+    }
+    return results.sort((a, b) => (a.finished_at || '').localeCompare(b.finished_at || ''));
+  }
+
+  async consumeTaskResults(ids) {
+    for (const id of ids || []) await this.kv.delete(`kernel:task_result:${id}`);
+  }
+
+  async getTask(id) {
+    const task = await this.kvGet(`task:${id}`);
+    return task ? Brainstem.taskSummary(task) : { error: `No task ${id}` };
+  }
+
+  async createTask(args) {
+    const policy = this.taskPolicy();
+    const active = await this.loadTasks({ finished: false });
+    if (active.length >= policy.max_active) {
+      return { error: `Too many active tasks (${active.length} of ${policy.max_active}) — wait for one to finish or cancel one` };
+    }
+    const available = this.buildToolDefinitions().map(d => d.function.name);
+    const unknown = (args.tools || []).filter(t => !available.includes(t));
+    if (unknown.length) return { error: `Unknown tools in allowlist: ${unknown.join(', ')}` };
+
+    const now = Date.now();
+    const task = {
+      id: `t_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      goal: args.goal,
+      status: 'pending',
+      model: this.resolveModel(args.model || this.defaults?.execution?.fallback_model || 'haiku'),
+      tools: args.tools || null,
+      caps: {
+        max_cost: Math.min(args.max_cost ?? policy.max_cost, policy.max_cost),
+        max_slices: Math.min(args.max_slices ?? policy.max_slices, policy.max_slices),
+      },
+      cost: 0,
+      steps: 0,
+      slices: 0,
+      progress: null,
+      created_at: new Date(now).toISOString(),
+      created_by_session: this.sessionId,
+      updated_at: new Date(now).toISOString(),
+      next_run_at: new Date(now + (args.start_after_seconds || 0) * 1000).toISOString(),
+      messages: [],
+    };
+    await this.saveTask(task);
+    await this.karmaRecord({ event: "task_created", task_id: task.id, goal: task.goal, caps: task.caps, tools: task.tools });
+    return { task_id: task.id, status: task.status, caps: task.caps, next_run_at: task.next_run_at };
+  }
+
+  async cancelTask(id) {
+    const task = await this.kvGet(`task:${id}`);
+    if (!task) return { error: `No task ${id}` };
+    if (Brainstem.TASK_FINAL.includes(task.status)) return { error: `Task ${id} is already ${task.status}` };
+    await this.finishTask(task, 'cancelled', {});
+    return Brainstem.taskSummary(task);
+  }
+
+  // Runs one slice of each due task, oldest first, within this wake's task
+  // allowance. A task still "running" was cut off mid-slice and is due again.
+  async runDueTasks() {
+    const policy = this.taskPolicy();
+    const now = Date.now();
+    const due = (await this.loadTasks({ finished: false }))
+      .filter(t => ['pending', 'waiting', 'running'].includes(t.status) && Date.parse(t.next_run_at) <= now)
+      .sort((a, b) => Date.parse(a.next_run_at) - Date.parse(b.next_run_at))
+      .slice(0, policy.max_per_wake);
+    // Between wakes this is the first work the tick does
+    if (due.length && !(await this.acquireSessionLease()).acquired) return [];
+
+    const budgetCap = Math.min(
+      this.sessionCost + policy.max_cost_per_wake,
+      this.defaults?.session_budget?.max_cost ?? Infinity,
+    );
+    const report = [];
+    for (const task of due) {
+      if (this.sessionCost >= budgetCap) break;
+      report.push(await this.runTaskSlice(task, policy, budgetCap));
+    }
+    return report;
+  }
+
+  async runTaskSlice(task, policy, budgetCap) {
+    const started = Date.now();
+    const scope = {
+      kind: 'task', id: task.id, parent: null, depth: 0,
+      caps: { max_cost: Math.max(0, task.caps.max_cost - task.cost) },
+      tools: task.tools, started, deadline: started + policy.slice_seconds * 1000, cost: 0, steps: 0,
+    };
+
+    const messages = task.messages || [];
+    if (messages.length) {
+      messages.push({ role: 'user', content: JSON.stringify({
+        resumed: true,
+        slice: task.slices + 1,
+        max_slices: task.caps.max_slices,
+        cost_so_far: task.cost,
+        max_cost: task.caps.max_cost,
+        current_time: new Date(started).toISOString(),
+      }) });
+    }
+
+    // Marked running first, so a slice cut off by the platform still counts
+    task.status = 'running';
+    task.slices++;
+    task.updated_at = new Date(started).toISOString();
+    await this.saveTask(task);
+
+    const template = await this.kvGet("prompt:task") || this.defaultTaskPrompt();
+    let output = null, error = null;
+    try {
+      output = await this.runAgentLoop({
+        systemPrompt: this.buildPrompt(template, {
+          goal: task.goal,
+          sliceSteps: policy.slice_steps,
+          maxSlices: task.caps.max_slices,
+          maxCost: task.caps.max_cost,
+        }),
+        initialContext: `Work on this task: ${task.goal}`,
+        transcript: messages,
+        tools: this.buildToolDefinitions().filter(d => Brainstem.subplanAllows(scope, d.function.name)),
+        model: task.model,
+        effort: 'low',
+        maxTokens: policy.max_output_tokens || 1000,
+        maxSteps: policy.slice_steps,
+        step: 'task',
+        budgetCap,
+        outputSchema: Brainstem.TASK_OUTPUT_SCHEMA,
+        subplan: scope,
+      });
+    } catch (err) {
+      error = err.message;
+    }
+
+    task.cost += scope.cost;
+    task.steps += scope.steps;
+    // The final answer is part of what the next slice resumes from
+    if (output && !output.budget_exceeded) messages.push({ role: 'assistant', content: JSON.stringify(output) });
+    task.messages = messages;
+    task.updated_at = new Date().toISOString();
+    delete task.error;
+
+    if (error) {
+      // Retried next wake; max_slices bounds the retries
+      task.status = 'pending';
+      task.error = error;
+    } else if (output.budget_exceeded) {
+      // Out of slice time or this wake's allowance — carry on next wake
+      // (an exhausted task budget fails it below)
+      task.status = 'waiting';
+      task.next_run_at = task.updated_at;
+    } else if (output.status === 'done') {
+      await this.finishTask(task, 'done', { result: output.result ?? null });
+    } else if (output.status === 'failed') {
+      await this.finishTask(task, 'failed', { error: output.error || 'Task gave up' });
+    } else {
+      task.status = 'waiting';
+      task.progress = output.progress || task.progress;
+      task.next_run_at = new Date(Date.now() + (output.poll_after_seconds || 0) * 1000).toISOString();
+    }
+
+    if (!Brainstem.TASK_FINAL.includes(task.status)) {
+      if (task.cost >= task.caps.max_cost) {
+        await this.finishTask(task, 'failed', { error: `Task budget ($${task.caps.max_cost}) exhausted` });
+      } else if (task.slices >= task.caps.max_slices) {
+        await this.finishTask(task, 'failed', { error: `Slice limit (${task.caps.max_slices}) reached` });
+      }
+    }
+    if (!Brainstem.TASK_FINAL.includes(task.status)) await this.saveTask(task);
+
+    const slice = {
+      task_id: task.id, slice: task.slices, status: task.status,
+      cost: scope.cost, steps: scope.steps, duration_ms: Date.now() - started,
+      ...(task.error ? { error: task.error } : {}),
+    };
+    await this.karmaRecord({ event: "task_slice", ...slice });
+    return slice;
+  }
+
+  // Final states drop the transcript and publish kernel:task_result:{id}
+  async finishTask(task, status, { result, error }) {
+    task.status = status;
+    task.finished_at = new Date().toISOString();
+    task.updated_at = task.finished_at;
+    if (result !== undefined) task.result = result;
+    if (error) task.error = error;
+    delete task.messages;
+    await this.saveTask(task);
+    await this.kvPut(`kernel:task_result:${task.id}`, {
+      id: task.id, goal: task.goal, status, cost: task.cost, slices: task.slices,
+      ...(result !== undefined ? { result } : {}),
+      ...(error ? { error } : {}),
+      finished_at: task.finished_at,
+    });
+    await this.karmaRecord({ event: "task_finished", task_id: task.id, status, cost: task.cost, slices: task.slices, ...(error ? { error } : {}) });
+  }
+
   // ── Helpers ─────────────────────────────────────────────────
 
   async kvGet(key) {
@@ -1463,7 +3629,7 @@ export default {
     }
   }
 
-  async kvPut(key, value, metadata = {}) {
+  async kvPut(key, value, metadata = {}, { expirationTtl } = {}) {
     // Protect immutable keys
     if (key === "dharma") {
       throw new Error("Cannot overwrite dharma — immutable key");
@@ -1481,6 +3647,12 @@ export default {
       tool:       { type: "tool", runtime: "worker", format: "text" },
       provider:   { type: "provider", runtime: "worker", format: "text" },
       karma:      { type: "log", format: "json" },
+      karma_summary: { type: "log_summary", format: "json" },
+      blob:       { type: "blob", format: "json" },
+      scratch:    { type: "scratch", format: "text" },
+      task:       { type: "task", format: "json" },
+      event:      { type: "event", format: "json" },
+      event_source: { type: "event_source", format: fmt },
       prompt:     { type: "prompt", format: "text" },
       config:     { type: "config", format: "json" },
       dharma:     { type: "core", immutable: true, format: "text" },
@@ -1493,6 +3665,7 @@ export default {
       wisdom:     { type: "core", format: "text" },
       mutation_staged:    { type: "mutation", format: "json" },
       mutation_candidate: { type: "mutation", format: "json" },
+      mutation_history:   { type: "mutation_history", format: "json" },
       kernel:     { type: "kernel", format: "json" },
       yama:       { type: "yama", format: "text" },
       niyama:     { type: "niyama", format: "text" },
@@ -1504,10 +3677,24 @@ export default {
     };
 
     const data = typeof value === "string" ? value : JSON.stringify(value);
-    await this.kv.put(key, data, { metadata: finalMetadata });
+    await this.kv.put(key, data, {
+      metadata: finalMetadata,
+      ...(expirationTtl ? { expirationTtl } : {}),
+    });
     this.kvWritesThisSession++;
   }
 
+  async kvListAll(opts = {}) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ ...opts, ...(cursor ? { cursor } : {}) });
+      keys.push(...page.keys);
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return keys;
+  }
+
   async loadKeys(keys) {
     const context = {};
     for (const key of keys) {
@@ -1569,7 +3756,24 @@ Goal: {{goal}}
 Use your tools to accomplish this goal. When done, produce a JSON object
 with a "result" field summarizing what you accomplished.
 
-Budget: max {{maxSteps}} turns, max ${{maxCost}}.`;
+Budget: max {{maxSteps}} turns, max \${{maxCost}}, max {{maxSeconds}} seconds.`;
+  }
+
+  defaultTaskPrompt() {
+    return `You are working on a background task that runs across several wakes.
+
+Task: {{goal}}
+
+Each wake you get up to {{sliceSteps}} turns; your conversation so far is kept
+between wakes. Use your tools to make progress. End every turn without tool
+calls with a JSON object:
+
+- {"status": "done", "result": ...} when the task is complete
+- {"status": "waiting", "progress": "...", "poll_after_seconds": N} to continue
+  on a later wake (e.g. while a job you started runs)
+- {"status": "failed", "error": "..."} if it cannot be done
+
+Budget: at most {{maxSlices}} wakes and \${{maxCost}} in total.`;
   }
 
   elapsed() {
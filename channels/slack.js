@@ -49,8 +49,9 @@ export function parseInbound(body) {
   };
 }
 
+// Returns the message ts — the ref editReply needs
 export async function sendReply(chatId, text, secrets, fetchFn) {
-  await fetchFn("https://slack.com/api/chat.postMessage", {
+  const resp = await fetchFn("https://slack.com/api/chat.postMessage", {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -61,4 +62,22 @@ export async function sendReply(chatId, text, secrets, fetchFn) {
       text,
     }),
   });
+  const data = await resp.json().catch(() => null);
+  return data?.ts || null;
+}
+
+// Progressive replies: rewrite a message sent by sendReply
+export async function editReply(chatId, ts, text, secrets, fetchFn) {
+  await fetchFn("https://slack.com/api/chat.update", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${secrets.SLACK_BOT_TOKEN}`,
+    },
+    body: JSON.stringify({
+      channel: chatId,
+      ts,
+      text,
+    }),
+  });
 }
@@ -0,0 +1,79 @@
+// Swayambhu Cost Ledger — reading the per-day spend ledger
+// Every costed LLM call is added to a ledger the agent cannot write:
+//   kernel:ledger:{YYYY-MM-DD}  totals, by_model, by_role
+//   kernel:ledger:days          { date: cost } for the last 31 days
+// config:defaults.cost_budget { daily, weekly, monthly } caps spend over the
+// 1/7/30 UTC days ending today.
+//
+// This module is kernel-level code — imported directly, not loaded from KV.
+// The kernel writes the ledger and enforces budgets; the dashboard API
+// reads the same keys through the same helpers.
+
+export const COST_WINDOWS = { daily: 1, weekly: 7, monthly: 30 };
+
+const COST_FIELDS = ["cost", "calls", "in_tokens", "out_tokens"];
+
+export function ledgerDate(offsetDays = 0, now = Date.now()) {
+  return new Date(now - offsetDays * 86400000).toISOString().slice(0, 10);
+}
+
+// ── Buckets ─────────────────────────────────────────────────
+
+export function emptyCostBucket() {
+  return { cost: 0, calls: 0, in_tokens: 0, out_tokens: 0 };
+}
+
+export function costBucket(group, name) {
+  return group[name] || (group[name] = emptyCostBucket());
+}
+
+export function addCost(bucket, { cost, in_tokens, out_tokens }) {
+  bucket.cost += cost;
+  bucket.calls++;
+  bucket.in_tokens += in_tokens;
+  bucket.out_tokens += out_tokens;
+  return bucket;
+}
+
+// ── Reading ─────────────────────────────────────────────────
+
+// Spend against each configured window, from the days map:
+// { daily: { limit, spent, remaining }, weekly: …, monthly: … }
+export function budgetStatus(days, limits = {}) {
+  const status = {};
+  for (const [name, span] of Object.entries(COST_WINDOWS)) {
+    const from = ledgerDate(span - 1);
+    const spent = Object.entries(days || {})
+      .filter(([d]) => d >= from)
+      .reduce((sum, [, cost]) => sum + cost, 0);
+    const limit = limits?.[name] ?? null;
+    status[name] = { limit, spent, remaining: limit === null ? null : Math.max(0, limit - spent) };
+  }
+  return status;
+}
+
+// The ledgers of the last `days` days merged into one view, plus per-day
+// totals. `kv` is a KV namespace binding (get).
+export async function costSummary(kv, days = 7) {
+  const dates = Array.from({ length: days }, (_, i) => ledgerDate(days - 1 - i));
+  const ledgers = await Promise.all(dates.map(date => kv.get(`kernel:ledger:${date}`, "json")));
+
+  const summary = {
+    from: dates[0],
+    to: dates[dates.length - 1],
+    ...emptyCostBucket(),
+    by_model: {}, by_role: {}, by_day: [],
+  };
+  ledgers.forEach((day, i) => {
+    if (!day) return;
+    summary.by_day.push({ date: dates[i], cost: day.cost, calls: day.calls });
+    for (const field of COST_FIELDS) summary[field] += day[field] || 0;
+    for (const group of ["by_model", "by_role"]) {
+      for (const [name, bucket] of Object.entries(day[group] || {})) {
+        const into = costBucket(summary[group], name);
+        for (const field of COST_FIELDS) into[field] += bucket[field] || 0;
+      }
+    }
+  });
+  return summary;
+}
@@ -1,5 +1,9 @@
 // Swayambhu Dashboard API — stateless KV reader for operator dashboard
 
+import { queryHistory } from "../mutation-history.js";
+import { costSummary, budgetStatus } from "../cost-ledger.js";
+import { readKarmaLog, resolveBlobs } from "../karma-log.js";
+
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
@@ -19,6 +23,29 @@ function auth(request, env) {
   return key && key === env.OPERATOR_KEY;
 }
 
+// KV.list returns at most 1000 keys a page — follow the cursor for all of them
+async function listAll(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix, ...(cursor ? { cursor } : {}) });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// karma:{sid} is an index { chunks: n } over karma:{sid}:{seq} — return the
+// reassembled array so the dashboard sees one log per session. Blob refs
+// inside the entries are resolved either way.
+async function readKarma(env, key, value) {
+  if (!key.startsWith("karma:")) return value;
+  const entries = /^karma:[^:]+$/.test(key)
+    ? await readKarmaLog(env.KV, key.slice("karma:".length), value)
+    : value;
+  return Array.isArray(entries) ? resolveBlobs(env.KV, entries) : entries;
+}
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -69,32 +96,34 @@ export default {
 
     // GET /health — system status snapshot
     if (path === "/health") {
-      const [sessionCounter, wakeConfig, lastReflect, activeSession, session] =
+      const [sessionCounter, wakeConfig, lastReflect, activeSession, session, lease] =
         await Promise.all([
           env.KV.get("session_counter", "json"),
           env.KV.get("wake_config", "json"),
           env.KV.get("last_reflect", "json"),
           env.KV.get("kernel:active_session", "text"),
           env.KV.get("session", "text"),
+          env.KV.get("kernel:session_lease", "json"),
         ]);
-      return json({ sessionCounter, wakeConfig, lastReflect, session: activeSession || session });
+      return json({ sessionCounter, wakeConfig, lastReflect, session: activeSession || session, lease });
     }
 
     // GET /sessions — discover all sessions (orient + deep reflect)
     if (path === "/sessions") {
-      const [karmaList, reflectList, cached] = await Promise.all([
-        env.KV.list({ prefix: "karma:" }),
-        env.KV.list({ prefix: "reflect:1:" }),
+      // Chunk keys share the karma: prefix, so a single page can be all chunks
+      const [karmaKeys, reflectKeys, cached] = await Promise.all([
+        listAll(env, "karma:"),
+        listAll(env, "reflect:1:"),
         env.KV.get("cache:session_ids", "json"),
       ]);
 
       // Build set of deep reflect session IDs from reflect:1:* keys
       const deepReflectIds = new Set(
-        reflectList.keys.map(k => k.name.replace("reflect:1:", ""))
+        reflectKeys.map(k => k.name.replace("reflect:1:", ""))
       );
 
-      // Build session list from karma keys (ground truth)
-      const sessions = karmaList.keys.map(k => {
+      // Build session list from karma keys (ground truth) — skip chunk keys
+      const sessions = karmaKeys.filter(k => k.name.split(":").length === 2).map(k => {
         const id = k.name.replace("karma:", "");
         return {
           id,
@@ -109,6 +138,31 @@ export default {
       return json({ sessions });
     }
 
+    // GET /costs — spend by model, role and day, ?days= (default 7, max 90)
+    if (path === "/costs") {
+      const days = Math.min(90, Math.max(1, parseInt(url.searchParams.get("days"), 10) || 7));
+      const [summary, ledgerDays, defaults] = await Promise.all([
+        costSummary(env.KV, days),
+        env.KV.get("kernel:ledger:days", "json"),
+        env.KV.get("config:defaults", "json"),
+      ]);
+      return json({ ...summary, budgets: budgetStatus(ledgerDays, defaults?.cost_budget) });
+    }
+
+    // GET /mutations/history — mutation provenance, newest first:
+    //   ?id= one mutation, ?key= (prefix*), ?status=, ?days=, ?limit=
+    if (path === "/mutations/history") {
+      const q = url.searchParams;
+      const number = (name) => (q.get(name) ? Number(q.get(name)) : undefined);
+      return json(await queryHistory(env.KV, {
+        mutation_id: q.get("id") || undefined,
+        key: q.get("key") || undefined,
+        status: q.get("status") || undefined,
+        days: number("days"),
+        limit: number("limit"),
+      }));
+    }
+
     // GET /kv — key listing, optional ?prefix= filter
     //   Always uses live KV.list() — no cache dependency.
     if (path === "/kv") {
@@ -130,7 +184,7 @@ export default {
           if (value === null) { results[key] = null; return; }
           const format = metadata?.format || "json";
           if (format === "json") {
-            try { results[key] = JSON.parse(value); return; } catch {}
+            try { results[key] = await readKarma(env, key, JSON.parse(value)); return; } catch {}
           }
           results[key] = value;
         })
@@ -146,7 +200,11 @@ export default {
       if (value === null) return json({ error: "not found" }, 404);
       const format = metadata?.format || "json";
       if (format === "json") {
-        try { return json({ key, value: JSON.parse(value), type: "json" }); } catch {}
+        let parsed;
+        try { parsed = JSON.parse(value); } catch {}
+        if (parsed !== undefined) {
+          return json({ key, value: await readKarma(env, key, parsed), type: "json" });
+        }
       }
       return json({ key, value, type: "text" });
     }
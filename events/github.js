@@ -0,0 +1,78 @@
+// Event source adapter: GitHub webhooks
+// KV keys: event_source:github:code, event_source:github:config
+// No `export default` — required for wrapEventAdapter compatibility.
+
+export const config = {
+  webhook_secret_env: "GITHUB_WEBHOOK_SECRET",
+};
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// X-Hub-Signature-256: "sha256=" + HMAC-SHA256(secret, raw body)
+export async function verify(headers, rawBody, env) {
+  const signature = headers.get("x-hub-signature-256");
+  if (!signature || !env.GITHUB_WEBHOOK_SECRET) return false;
+
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(env.GITHUB_WEBHOOK_SECRET),
+    { name: "HMAC", hash: "SHA-256" }, false, ["sign"],
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(rawBody));
+  const expected = `sha256=${toHex(mac)}`;
+
+  // Constant-time comparison
+  if (expected.length !== signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  return diff === 0;
+}
+
+// Keep only what the agent needs to decide what to do — payloads are large
+export function parseEvent(body, headers) {
+  const kind = headers.get("x-github-event");
+  if (!kind || kind === "ping") return null;
+
+  const repo = body.repository?.full_name || null;
+  const action = body.action ? `.${body.action}` : "";
+  const base = { id: headers.get("x-github-delivery"), type: `${kind}${action}` };
+
+  if (kind === "issues" || kind === "issue_comment") {
+    return {
+      ...base,
+      summary: `${repo} #${body.issue?.number} ${body.action}: ${body.issue?.title}`,
+      data: {
+        repo, number: body.issue?.number, url: body.issue?.html_url,
+        user: (body.comment || body.issue)?.user?.login,
+        body: String((body.comment || body.issue)?.body || "").slice(0, 2000),
+      },
+    };
+  }
+  if (kind === "pull_request") {
+    return {
+      ...base,
+      summary: `${repo} PR #${body.number} ${body.action}: ${body.pull_request?.title}`,
+      data: { repo, number: body.number, url: body.pull_request?.html_url, user: body.pull_request?.user?.login },
+    };
+  }
+  if (kind === "workflow_run") {
+    const run = body.workflow_run || {};
+    if (body.action !== "completed") return null;
+    return {
+      ...base,
+      summary: `${repo} workflow "${run.name}" ${run.conclusion} on ${run.head_branch}`,
+      urgency: run.conclusion === "failure" ? "high" : "normal",
+      data: { repo, url: run.html_url, conclusion: run.conclusion, branch: run.head_branch },
+    };
+  }
+  if (kind === "push") {
+    return {
+      ...base,
+      summary: `${repo} push to ${body.ref}: ${body.commits?.length || 0} commit(s)`,
+      urgency: "low",
+      data: { repo, ref: body.ref, compare: body.compare, head: body.head_commit?.message?.slice(0, 200) },
+    };
+  }
+  return { ...base, summary: `${repo || "GitHub"} ${kind}${action}`, data: { repo } };
+}
@@ -67,17 +67,30 @@ export async function handleChat(K, channel, inbound, adapter) {
   // Tool-calling loop
   const maxRounds = chatConfig.max_tool_rounds || 5;
   let reply = null;
+  const progress = adapter.editReply && chatConfig.stream_replies !== false
+    ? progressiveReply(adapter, chatId, chatConfig.stream_update_ms ?? 1000)
+    : null;
 
   for (let i = 0; i < maxRounds; i++) {
-    const response = await K.callLLM({
-      model,
-      effort: chatConfig.effort || "low",
-      maxTokens: chatConfig.max_output_tokens || 1000,
-      systemPrompt,
-      messages: conv.messages,
-      tools,
-      step: `chat_${channel}_t${conv.turn_count}_r${i}`,
-    });
+    let response;
+    try {
+      response = await K.callLLM({
+        model,
+        effort: chatConfig.effort || "low",
+        maxTokens: chatConfig.max_output_tokens || 1000,
+        systemPrompt,
+        messages: conv.messages,
+        tools,
+        step: `chat_${channel}_t${conv.turn_count}_r${i}`,
+        ...(progress ? { onText: progress.update } : {}),
+      });
+    } catch (err) {
+      // Kernel-wide spend limits (config:defaults.cost_budget) — /reset can't lift these
+      if (!err.message?.startsWith("Budget exceeded")) throw err;
+      await K.karmaRecord({ event: "budget_exceeded", reason: err.message, channel, chat_id: chatId });
+      await adapter.sendReply(chatId, "Spending limit reached for now. Try again later.");
+      return { ok: true, reason: "budget_exceeded" };
+    }
     conv.total_cost += response.cost || 0;
 
     if (response.toolCalls?.length) {
@@ -85,6 +98,7 @@ export async function handleChat(K, channel, inbound, adapter) {
         role: "assistant",
         content: response.content || null,
         tool_calls: response.toolCalls,
+        ...(response.thinking ? { thinking: response.thinking } : {}),
       });
       const results = await Promise.all(
         response.toolCalls.map(tc =>
@@ -108,8 +122,9 @@ export async function handleChat(K, channel, inbound, adapter) {
 
   if (!reply) reply = "(no response)";
 
-  // Send via channel adapter
-  await adapter.sendReply(chatId, reply);
+  // Send via channel adapter (or finish the streamed message)
+  if (progress) await progress.finish(reply);
+  else await adapter.sendReply(chatId, reply);
 
   // Trim + save state
   conv.turn_count++;
@@ -130,3 +145,28 @@ export async function handleChat(K, channel, inbound, adapter) {
 
   return { ok: true, turn: conv.turn_count };
 }
+
+// Streamed text is posted once, then edited in place at most every
+// intervalMs; finish() writes the final text. If nothing was streamed, or the
+// adapter returned no ref to edit, the final text is sent as a new message.
+function progressiveReply(adapter, chatId, intervalMs) {
+  let ref = null;
+  let started = false;
+  let lastUpdate = 0;
+  return {
+    update: async (text) => {
+      if (!text.trim() || (started && !ref) || Date.now() - lastUpdate < intervalMs) return;
+      lastUpdate = Date.now();
+      if (ref) {
+        await adapter.editReply(chatId, ref, text);
+      } else {
+        started = true;
+        ref = await adapter.sendReply(chatId, text);
+      }
+    },
+    finish: async (text) => {
+      if (ref) await adapter.editReply(chatId, ref, text);
+      else await adapter.sendReply(chatId, text);
+    },
+  };
+}
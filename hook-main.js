@@ -9,9 +9,22 @@
 // Named exports for testing, default export for Worker Loader.
 // KV key: hook:wake:code
 
-import { applyKVOperation } from './hook-protect.js';
-import { initTracking, runCircuitBreaker } from './hook-mutations.js';
+import { applyKVOperation, KV_OPERATION_SCHEMA } from './hook-protect.js';
+import { initTracking, runCircuitBreaker, observeCandidates } from './hook-mutations.js';
 import { executeReflect, runReflect, highestReflectDepthDue, getMaxSteps } from './hook-reflect.js';
+import { runRetention } from './hook-retention.js';
+import { WAKE_CONFIG_SCHEMA, writeWakeConfig, advanceWake, quietHoursEnd } from './hook-schedule.js';
+
+// Final orient output, checked by the kernel (see runAgentLoop outputSchema)
+export const ORIENT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    session_summary: { type: 'string', minLength: 1 },
+    kv_operations: { type: 'array', items: KV_OPERATION_SCHEMA },
+    next_wake_config: WAKE_CONFIG_SCHEMA,
+  },
+  required: ['session_summary'],
+};
 
 // ── Wake flow ──────────────────────────────────────────────
 
@@ -44,9 +57,27 @@ export async function wake(K, input) {
     const wakeConfig = await K.kvGet("wake_config");
     if (wakeConfig?.next_wake_after) {
       if (Date.now() < new Date(wakeConfig.next_wake_after).getTime()) {
+        // Between wakes, cron ticks can still give due background tasks a
+        // slice. Such a tick is not a session: it isn't counted or cached
+        if (defaults?.tasks?.run_between_wakes) {
+          const ran = await K.runDueTasks();
+          if (ran.length) return { skipped: true, reason: "not_time_yet", tasks: ran };
+        }
         return { skipped: true, reason: "not_time_yet" };
       }
     }
+    // Event-driven wakes wait out quiet hours too
+    if (quietHoursEnd(wakeConfig?.quiet_hours, new Date())) {
+      return { skipped: true, reason: "quiet_hours" };
+    }
+
+    // 0-lease. A session will run — hold the session lease for all of it
+    const lease = await K.acquireSessionLease();
+    if (!lease.acquired) return { skipped: true, reason: "session_locked", holder: lease.holder };
+
+    // 0a. Which schedule slot this wake is for; plan the one after it
+    const wakeInfo = await advanceWake(K, wakeConfig);
+    const slot = wakeInfo.slot;
 
     // 1. Crash detection
     const crashData = await detectCrash(K);
@@ -70,6 +101,15 @@ export async function wake(K, input) {
     // 1b. Circuit breaker
     await runCircuitBreaker(K);
 
+    // 1b-obs. Candidates with an observation window gather this wake's evidence
+    await observeCandidates(K);
+
+    // 1c. Background tasks — due slices run before orient sees their results
+    const tasks = await runTasks(K);
+
+    // 1d. Webhook events queued since the last wake
+    const events = await loadEvents(K, state);
+
     // 2. Load ground truth
     const [balances, kvUsage] = await Promise.all([
       getBalances(K, state),
@@ -87,26 +127,35 @@ export async function wake(K, input) {
     // 4a. Cache immutable/stable values
     modelsConfig = await K.kvGet("config:models");
     state.modelsConfig = modelsConfig;
-    toolRegistry = await K.kvGet("config:tool_registry");
+    toolRegistry = await K.getToolRegistry();
     state.toolRegistry = toolRegistry;
 
     // 5. Check if reflection is due
     const reflectDepth = await highestReflectDepthDue(K, state);
 
-    // 6. Evaluate tripwires
-    const effort = evaluateTripwires(config, { balances, kvUsage });
+    // 6. Evaluate tripwires — a slot's effort is the floor alerts escalate from
+    const effort = evaluateTripwires(
+      slot?.effort ? { ...config, default_effort: slot.effort } : config,
+      { balances, kvUsage },
+    );
 
     // 7. Load context keys
-    const loadKeys = lastReflect?.next_orient_context?.load_keys
-      || defaults?.memory?.default_load_keys
-      || [];
+    const loadKeys = [
+      ...(lastReflect?.next_orient_context?.load_keys
+        || defaults?.memory?.default_load_keys
+        || []),
+      ...(slot?.load_keys || []),
+    ];
     const additionalContext = await K.loadKeys(loadKeys);
 
     // 8. Build context
     const context = {
       balances, kvUsage, lastReflect, additionalContext,
       effort, reflectDepth,
-      crashData,
+      crashData, tasks, events,
+      wake: slot || wakeInfo.woken_by_event
+        ? { slot: slot?.name || null, woken_by_event: wakeInfo.woken_by_event }
+        : null,
     };
 
     // 10. Record session start
@@ -114,10 +163,18 @@ export async function wake(K, input) {
       event: "session_start",
       session_id: sessionId,
       effort,
+      ...(slot ? { slot: slot.name } : {}),
       crash_detected: !!crashData,
       balances,
     });
 
+    // 10a. Karma retention — compact old sessions, prune past the horizon
+    try {
+      await runRetention(K, state);
+    } catch (err) {
+      await K.karmaRecord({ event: "retention_error", error: err.message });
+    }
+
     // 11. Run session or reflect
     if (reflectDepth > 0) {
       await runReflect(K, state, reflectDepth, context);
@@ -148,7 +205,7 @@ export async function detectCrash(K) {
   const currentId = await K.getSessionId();
   if (stale === currentId) return null;
 
-  const deadKarma = await K.kvGet(`karma:${stale}`);
+  const deadKarma = await K.readKarma(stale);
   return {
     dead_session_id: stale,
     karma: deadKarma,
@@ -195,6 +252,7 @@ export async function runSession(K, state, context, config) {
     maxSteps: getMaxSteps(state, 'orient'),
     step: 'orient',
     budgetCap: orientBudgetCap,
+    outputSchema: ORIENT_OUTPUT_SCHEMA,
   });
 
   // Apply KV operations (gated by protection)
@@ -211,6 +269,19 @@ export async function runSession(K, state, context, config) {
     await executeReflect(K, state, { model: defaults.reflect.model });
   }
 
+  // Finished task results and events were in this orient context — they're delivered
+  if (context.tasks?.finished.length) {
+    await K.consumeTaskResults(context.tasks.finished.map(r => r.id));
+  }
+  if (context.events?.items.length) {
+    await K.consumeEvents(context.events.items.map(e => e.key));
+    await K.karmaRecord({
+      event: "events_delivered",
+      keys: context.events.items.map(e => e.key),
+      pending: context.events.pending,
+    });
+  }
+
   await writeSessionResults(K, output, config);
 }
 
@@ -225,21 +296,48 @@ export function buildOrientContext(context) {
     crash_data: context.crashData,
     kv_usage: context.kvUsage,
     balances: context.balances,
+    ...(context.tasks ? { tasks: context.tasks } : {}),
+    ...(context.events ? { events: context.events } : {}),
+    ...(context.wake ? { wake: context.wake } : {}),
     current_time: new Date().toISOString(),
   });
 }
 
+// ── Background tasks ───────────────────────────────────────
+
+// Runs due task slices, then gathers what orient should see: results of
+// tasks that finished since the last orient, and the tasks still going.
+export async function runTasks(K) {
+  let ran = [];
+  try {
+    ran = await K.runDueTasks();
+  } catch (err) {
+    await K.karmaRecord({ event: "task_run_error", error: err.message });
+  }
+
+  const finished = await K.listTaskResults();
+  const active = (await K.listTasks({ finished: false }))
+    .filter(t => !["done", "failed", "cancelled"].includes(t.status))
+    .map(({ id, goal, status, progress, slices, cost, next_run_at }) =>
+      ({ id, goal, status, progress, slices, cost, next_run_at }));
+
+  if (!ran.length && !finished.length && !active.length) return null;
+  return { finished, active, ran: ran.length };
+}
+
+// ── Inbound events ─────────────────────────────────────────
+
+// Events the kernel queued from /event/{source} webhooks, oldest first, up
+// to events.max_in_context (the rest wait for a later wake)
+export async function loadEvents(K, state) {
+  return K.listEvents(state.defaults?.events?.max_in_context ?? 20);
+}
+
 // ── Session results ────────────────────────────────────────
 
 export async function writeSessionResults(K, plan, config) {
   if (plan.next_wake_config) {
-    const wakeConf = { ...plan.next_wake_config };
-    if (wakeConf.sleep_seconds) {
-      wakeConf.next_wake_after = new Date(
-        Date.now() + wakeConf.sleep_seconds * 1000
-      ).toISOString();
-    }
-    await K.kvPutSafe("wake_config", wakeConf);
+    await writeWakeConfig(K, plan.next_wake_config);
   }
 
   const count = await K.getSessionCount();
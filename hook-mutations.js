@@ -1,15 +1,26 @@
 // Swayambhu Wake Hook — Mutation Protocol
-// Staging, candidate management, circuit breaker, verdict processing.
+// Staging, candidate management, dependencies and batches, circuit breaker,
+// verdict processing, candidate observation, history.
 // KV key: hook:wake:mutations
 
+import { sessionTime } from './hook-retention.js';
+
 // ── Mutation tracking (hook-local state) ───────────────────
 
 let activeStaged = [];
 let activeCandidates = [];
+let actingDepth = null;  // reflect depth deciding mutations now; null at wake level
 
 export function initTracking(staged, candidates) {
   activeStaged = staged;
   activeCandidates = candidates;
+  actingDepth = null;
+}
+
+// Reflection sets this before acting on its output: 0 for session reflect,
+// the depth for deep reflect
+export function setActingDepth(depth) {
+  actingDepth = depth;
 }
 
 function _trackAdd(list, id) {
@@ -25,10 +36,102 @@ function _trackRemove(list, id) {
   }
 }
 
+// ── History ─────────────────────────────────────────────────
+//
+// Each lifecycle step goes to the kernel's append-only mutation_history:{id}
+// (see mutation-history.js), which stamps the time and session. The hook
+// adds the reflect depth that took it — null for wake-level steps (circuit
+// breaker, observation). The first step carries the proposal itself.
+
+function proposalOf(record) {
+  return {
+    claims: record.claims,
+    ops: record.ops,
+    checks: record.checks,
+    ...requestFields(record),
+    ...(record.staged_by_session ? { staged_by_session: record.staged_by_session } : {}),
+  };
+}
+
+async function recordHistory(K, mutationId, step, fields = {}) {
+  await K.appendMutationHistory(mutationId, { step, depth: actingDepth, ...fields });
+}
+
+// ── Output schema ───────────────────────────────────────────
+
+// A mutation_request in reflect output (JSON Schema). Ops are key writes or
+// tool version ops (see expandToolOps).
+export const MUTATION_REQUEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    ops: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [
+          {
+            type: 'object',
+            description: 'a key op ({ op: put|delete|rename|patch, key })',
+            properties: {
+              op: { type: 'string', enum: ['put', 'delete', 'rename', 'patch'] },
+              key: { type: 'string', minLength: 1 },
+              old_string: { type: 'string' },
+              new_string: { type: 'string' },
+              deliberation: { type: 'string' },
+            },
+            required: ['key'],
+          },
+          {
+            type: 'object',
+            description: 'a tool version op ({ op: tool_rollback|tool_pin|tool_unpin, tool })',
+            properties: {
+              op: { type: 'string', enum: ['tool_rollback', 'tool_pin', 'tool_unpin'] },
+              tool: { type: 'string', minLength: 1 },
+              version: { type: 'integer', minimum: 1 },
+            },
+            required: ['op', 'tool'],
+          },
+        ],
+      },
+    },
+    checks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['kv_assert', 'tool_call', 'karma_assert', 'llm_judge', 'replay'] },
+        },
+        required: ['type'],
+      },
+    },
+    ref: { type: 'string', minLength: 1, description: 'a name later requests in this output can list in depends_on' },
+    depends_on: { type: 'array', items: { type: 'string', minLength: 1 } },
+    batch: { type: 'string', minLength: 1 },
+    on_conflict: { type: 'string', enum: ['reject', 'rebase'] },
+    observation: {
+      type: 'object',
+      description: 'observation window and promotion policy once the mutation is a candidate',
+      properties: {
+        sessions: { type: 'integer', minimum: 1 },
+        days: { type: 'number', minimum: 0 },
+        promote: { type: 'string', enum: ['auto', 'manual'] },
+        max_failures: { type: 'integer', minimum: 0 },
+      },
+    },
+  },
+  required: ['claims', 'ops', 'checks'],
+};
+
 function generateMutationId() {
   return `m_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
+function generateBatchId() {
+  return `b_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
 // ── Predicate evaluation ────────────────────────────────────
 
 export function evaluatePredicate(value, predicate, expected) {
@@ -43,7 +146,224 @@ export function evaluatePredicate(value, predicate, expected) {
   }
 }
 
-export async function evaluateCheck(K, check) {
+// ── Check evaluation ────────────────────────────────────────
+//
+// kv_assert and tool_call test live state. karma_assert reads recent
+// sessions' karma, llm_judge has a cheap model score an output against a
+// rubric, and replay re-runs a recorded LLM call against the prompt as the
+// mutation leaves it. Those three read whole sessions or call a model, so
+// their results are cached for the rest of the session. Sessions since a
+// candidate's activation are what count as evidence for it.
+
+export const CHECK_DEFAULTS = {
+  sessions: 5,              // recent sessions karma_assert / llm_judge / replay look at
+  judge_model: 'haiku',
+  pass_score: 0.7,          // llm_judge and rubric replays pass at or above this
+  max_subject_chars: 8000,  // output shown to the judge is cut to this
+};
+
+const CACHED_CHECKS = ['karma_assert', 'llm_judge', 'replay'];
+
+let checkCache = { sessionId: null, results: new Map() };
+
+const JUDGE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { type: 'string' },
+  },
+  required: ['score'],
+};
+
+const JUDGE_PROMPT = `You grade an agent's output against a rubric. Reply with JSON only: { "score": 0..1, "reason": "one or two sentences" }. 1 means the output fully meets the rubric, 0 means not at all. If a reference output is given, the rubric says how the two should compare.`;
+
+async function checkPolicy(K) {
+  return { ...CHECK_DEFAULTS, ...(await K.getDefaults())?.mutation_checks };
+}
+
+// Newest last. With `after`, only sessions that started after that time.
+async function recentSessions(K, count, after) {
+  const current = await K.getSessionId();
+  const since = after ? Date.parse(after) : null;
+  return (await K.kvGet("cache:session_ids") || [])
+    .filter(id => id !== current)
+    .filter(id => since === null || (sessionTime(id) ?? 0) >= since)
+    .slice(-count);
+}
+
+function checkSince(check, record) {
+  return check.since === "any" ? null : record?.activated_at || null;
+}
+
+function atPath(value, path) {
+  return path ? path.split(".").reduce((o, k) => o?.[k], value) : value;
+}
+
+function sessionCost(karma) {
+  return karma.filter(e => e.event === "llm_call").reduce((sum, e) => sum + (e.cost || 0), 0);
+}
+
+const KARMA_METRICS = {
+  event_count: (sessions, check) => sessions.reduce((n, k) => n + k.filter(e => e.event === check.event).length, 0),
+  sessions_with_event: (sessions, check) => sessions.filter(k => k.some(e => e.event === check.event)).length,
+  error_count: (sessions) => sessions.reduce((n, k) => n + k.filter(e => e.error).length, 0),
+  avg_session_cost: (sessions) => sessions.reduce((sum, k) => sum + sessionCost(k), 0) / sessions.length,
+  max_session_cost: (sessions) => Math.max(...sessions.map(sessionCost)),
+};
+
+// { metric, event?, sessions?, min_sessions?, predicate, expected } — e.g.
+// { metric: "event_count", event: "orient_parse_error", predicate: "equals", expected: 0 }
+async function evaluateKarmaAssert(K, check, record, policy) {
+  const metric = KARMA_METRICS[check.metric];
+  if (!metric) return { passed: false, detail: `unknown karma metric: ${check.metric}` };
+
+  const ids = await recentSessions(K, check.sessions || policy.sessions, checkSince(check, record));
+  const minSessions = check.min_sessions ?? 1;
+  if (ids.length < minSessions) {
+    return { passed: false, pending: true, detail: `${check.metric}: ${ids.length} of ${minSessions} session(s) observed so far` };
+  }
+  const sessions = [];
+  for (const id of ids) sessions.push(await K.readKarma(id) || []);
+
+  const value = metric(sessions, check);
+  const passed = evaluatePredicate(value, check.predicate, check.expected);
+  return {
+    passed,
+    detail: `${check.metric}${check.event ? `(${check.event})` : ''} over ${ids.length} session(s) ${check.predicate} ${JSON.stringify(check.expected)} \u2192 actual: ${JSON.stringify(value)}`,
+  };
+}
+
+async function judge(K, check, policy, { output, reference }) {
+  const clip = (v) => {
+    const text = typeof v === "string" ? v : JSON.stringify(v);
+    return text.length > policy.max_subject_chars ? text.slice(0, policy.max_subject_chars) + "…" : text;
+  };
+  const response = await K.callLLM({
+    model: await K.resolveModel(check.model || policy.judge_model),
+    effort: "low",
+    maxTokens: 300,
+    systemPrompt: JUDGE_PROMPT,
+    messages: [{
+      role: "user",
+      content: JSON.stringify({
+        rubric: check.rubric,
+        output: clip(output),
+        ...(reference !== undefined ? { reference: clip(reference) } : {}),
+      }),
+    }],
+    step: "mutation_check",
+    outputSchema: JUDGE_OUTPUT_SCHEMA,
+  });
+  const verdict = await K.parseAgentOutput(response.content);
+  const score = Number(verdict?.score);
+  if (!Number.isFinite(score)) throw new Error("judge returned no score");
+  const passScore = check.pass_score ?? policy.pass_score;
+  return { passed: score >= passScore, score, reason: verdict.reason || "", passScore };
+}
+
+// The newest karma entry of `event` (default llm_call, optionally of one
+// `step`) in recent sessions, blobs resolved
+async function findKarmaEntry(K, { event = "llm_call", step, sessions, after, sessionIds }) {
+  for (const id of sessionIds || (await recentSessions(K, sessions, after)).reverse()) {
+    const karma = await K.readKarma(id) || [];
+    const entry = [...karma].reverse().find(e => e.event === event && e.ok !== false && (!step || e.step === step));
+    if (entry) return { session_id: id, entry: await K.resolveBlobs(entry) };
+  }
+  return null;
+}
+
+// { rubric, key?, path? } grades a KV value; otherwise { event?, step?,
+// field? } grades the newest matching karma entry's field (default the
+// response of the newest llm_call)
+async function evaluateLlmJudge(K, check, record, policy) {
+  let output;
+  let source;
+  if (check.key) {
+    output = atPath(await K.kvGet(check.key), check.path);
+    source = `${check.key}${check.path ? '.' + check.path : ''}`;
+  } else {
+    const found = await findKarmaEntry(K, {
+      event: check.event, step: check.step,
+      sessions: check.sessions || policy.sessions, after: checkSince(check, record),
+    });
+    if (!found) return { passed: false, pending: true, detail: `no ${check.step || check.event || "llm_call"} output to judge yet` };
+    output = atPath(found.entry, check.field || "response");
+    source = `${found.session_id} ${check.step || check.event || "llm_call"}`;
+  }
+  if (output === null || output === undefined) return { passed: false, detail: `${source}: nothing to judge` };
+
+  const verdict = await judge(K, check, policy, { output });
+  return {
+    passed: verdict.passed,
+    score: verdict.score,
+    detail: `${source} scored ${verdict.score} (pass ${verdict.passScore}): ${verdict.reason}`,
+  };
+}
+
+// The prompt as the mutation leaves it — a staged mutation's put/patch ops
+// applied in memory, a candidate's already live
+async function promptAfterMutation(K, key, record) {
+  const value = await K.kvGet(key);
+  if (!record || record.activated_at) return value;
+  const after = valueAfterOps(value, record.ops || [], key);
+  return after === undefined ? value : after;
+}
+
+// { step?: "orient", prompt?: "prompt:orient", session?, model?,
+//   assert?: { path?, predicate, expected } | rubric? } — one turn of the
+// recorded call's user message under the mutated prompt. With assert, the
+// parsed replay output (plus tool_calls: [names]) is tested; with rubric, a
+// judge compares it to the recorded response; otherwise it must parse as
+// JSON or call a tool.
+async function evaluateReplay(K, check, record, policy) {
+  const step = check.step || "orient";
+  const sessionIds = check.session ? [check.session]
+    : record?.staged_by_session ? [record.staged_by_session] : null;
+  const found = await findKarmaEntry(K, { step, sessions: policy.sessions, sessionIds })
+    || (sessionIds && !check.session ? await findKarmaEntry(K, { step, sessions: policy.sessions }) : null);
+  if (!found) return { passed: false, pending: true, detail: `no recorded ${step} call to replay` };
+
+  const recorded = found.entry;
+  const userMessage = (recorded.request || []).find(m => m.role === "user")?.content;
+  if (!userMessage) return { passed: false, detail: `recorded ${step} call in ${found.session_id} has no user message` };
+
+  const template = await promptAfterMutation(K, check.prompt || `prompt:${step}`, record);
+  const systemPrompt = await K.buildPrompt(template, {
+    models: await K.getModelsConfig(),
+    resources: await K.kvGet("config:resources"),
+    config: await K.getDefaults(),
+  });
+  const response = await K.callLLM({
+    model: await K.resolveModel(check.model || policy.replay_model || recorded.model),
+    effort: "low",
+    maxTokens: check.max_tokens || 2000,
+    systemPrompt,
+    messages: [{ role: "user", content: userMessage }],
+    tools: await K.buildToolDefinitions(),
+    step: "mutation_check",
+  });
+  const toolCalls = (response.toolCalls || []).map(tc => tc.function?.name);
+  let parsed = null;
+  try { parsed = response.content ? JSON.parse(response.content) : null; } catch { /* prose reply */ }
+  const label = `replay of ${found.session_id} ${step}`;
+
+  if (check.assert) {
+    const value = atPath({ ...(parsed || {}), tool_calls: toolCalls }, check.assert.path);
+    const passed = evaluatePredicate(value, check.assert.predicate, check.assert.expected);
+    return { passed, detail: `${label}: ${check.assert.path || 'output'} ${check.assert.predicate} ${JSON.stringify(check.assert.expected)} \u2192 actual: ${JSON.stringify(value)}` };
+  }
+  if (check.rubric) {
+    const verdict = await judge(K, check, policy, {
+      output: { content: response.content, tool_calls: toolCalls },
+      reference: { content: recorded.response, tool_calls: (recorded.tool_calls || []).map(tc => tc.function?.name) },
+    });
+    return { passed: verdict.passed, score: verdict.score, detail: `${label} scored ${verdict.score} (pass ${verdict.passScore}): ${verdict.reason}` };
+  }
+  const passed = toolCalls.length > 0 || (parsed !== null && typeof parsed === "object");
+  return { passed, detail: `${label}: ${toolCalls.length ? `called ${toolCalls.join(", ")}` : parsed ? "valid JSON output" : "unparseable output"}` };
+}
+
+export async function evaluateCheck(K, check, record = null) {
   try {
     switch (check.type) {
       case "kv_assert": {
@@ -66,6 +386,12 @@ export async function evaluateCheck(K, check) {
         }
         return { passed: true, detail: `${check.tool} executed successfully` };
       }
+      case "karma_assert":
+        return await evaluateKarmaAssert(K, check, record, await checkPolicy(K));
+      case "llm_judge":
+        return await evaluateLlmJudge(K, check, record, await checkPolicy(K));
+      case "replay":
+        return await evaluateReplay(K, check, record, await checkPolicy(K));
       default:
         return { passed: false, detail: `unknown check type: ${check.type}` };
     }
@@ -74,10 +400,25 @@ export async function evaluateCheck(K, check) {
   }
 }
 
-export async function evaluateChecks(K, checks) {
+export async function evaluateChecks(K, checks, record = null) {
+  const sessionId = await K.getSessionId();
+  if (checkCache.sessionId !== sessionId) checkCache = { sessionId, results: new Map() };
+
   const results = [];
   for (const check of checks) {
-    results.push(await evaluateCheck(K, check));
+    if (!CACHED_CHECKS.includes(check.type)) {
+      results.push(await evaluateCheck(K, check, record));
+      continue;
+    }
+    const cacheKey = `${record?.id || ""}|${JSON.stringify(check)}`;
+    const cached = checkCache.results.get(cacheKey);
+    if (cached) {
+      results.push({ ...cached, cached: true });
+      continue;
+    }
+    const result = await evaluateCheck(K, check, record);
+    checkCache.results.set(cacheKey, result);
+    results.push(result);
   }
   return {
     all_passed: results.every(r => r.passed),
@@ -87,26 +428,93 @@ export async function evaluateChecks(K, checks) {
 
 // ── Staging ─────────────────────────────────────────────────
 
-export async function stageMutation(K, request, sessionId) {
+// A key's value once a mutation's ops on it have run — undefined when a
+// patch's old_string isn't there exactly once, or for ops that aren't writes
+export function valueAfterOps(value, ops, key) {
+  for (const op of ops) {
+    if (op.key !== key) continue;
+    const kind = op.op || "put";
+    if (kind === "put") {
+      value = op.value;
+    } else if (kind === "delete") {
+      value = null;
+    } else if (kind === "patch") {
+      if (typeof value !== "string") return undefined;
+      const at = value.indexOf(op.old_string);
+      if (at === -1 || at !== value.lastIndexOf(op.old_string)) return undefined;
+      value = value.slice(0, at) + op.new_string + value.slice(at + op.old_string.length);
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+// A stored value's text when the key is kept as text, else null. JSON keys
+// (config:*, tool meta, a JSON string value) are written whole, and a patch
+// on them is refused, as the kernel's patch op does. Keys without metadata
+// count as text unless they parse as JSON.
+function storedText({ value, metadata }) {
+  if (typeof value !== "string") return null;
+  if (metadata?.format) return metadata.format === "text" ? value : null;
+  try {
+    JSON.parse(value);
+    return null;
+  } catch {
+    return value;
+  }
+}
+
+// Unified diffs of the text keys the ops change, against their current
+// values — applying them later merges onto whatever the keys have become.
+// Diffs are taken on the stored text, as snapshots and rollback see it.
+async function textDiffs(K, ops) {
+  const diffs = {};
+  for (const key of new Set((ops || []).filter(op => op.key).map(op => op.key))) {
+    const before = storedText(await K.kvGetWithMeta(key));
+    const after = valueAfterOps(before, ops, key);
+    if (typeof before === "string" && typeof after === "string" && before !== after) {
+      diffs[key] = await K.diffText(before, after);
+    }
+  }
+  return diffs;
+}
+
+// Fields a request carries over to its staged and candidate records
+function requestFields(request) {
+  return {
+    ...(request.depends_on?.length ? { depends_on: request.depends_on } : {}),
+    ...(request.batch ? { batch: request.batch } : {}),
+    ...(request.on_conflict ? { on_conflict: request.on_conflict } : {}),
+    ...(request.observation ? { observation: request.observation } : {}),
+  };
+}
+
+export async function stageMutation(K, request, sessionId, id = generateMutationId()) {
   if (!request.claims?.length || !request.ops?.length || !request.checks?.length) {
     await K.karmaRecord({ event: "mutation_invalid", reason: "missing required fields (claims, ops, checks)" });
     return null;
   }
-  const id = generateMutationId();
-  await K.kvWritePrivileged([{
-    op: "put",
-    key: `mutation_staged:${id}`,
-    value: {
-      id,
-      claims: request.claims,
-      ops: request.ops,
-      checks: request.checks,
-      staged_at: new Date().toISOString(),
-      staged_by_session: sessionId,
-    },
-  }]);
+  const missing = (request.depends_on || []).filter(d => !activeStaged.includes(d) && !activeCandidates.includes(d));
+  if (missing.length) {
+    await K.karmaRecord({ event: "mutation_invalid", mutation_id: id, reason: `depends_on is neither staged nor a candidate: ${missing.join(", ")}` });
+    return null;
+  }
+  const diffs = await textDiffs(K, request.ops);
+  const record = {
+    id,
+    claims: request.claims,
+    ops: request.ops,
+    checks: request.checks,
+    ...requestFields(request),
+    ...(Object.keys(diffs).length ? { diffs } : {}),
+    staged_at: new Date().toISOString(),
+    staged_by_session: sessionId,
+  };
+  await K.kvWritePrivileged([{ op: "put", key: `mutation_staged:${id}`, value: record }]);
   _trackAdd('activeStaged', id);
   await K.karmaRecord({ event: "mutation_staged", mutation_id: id, claims: request.claims });
+  await recordHistory(K, id, "staged", { proposal: proposalOf(record) });
   return id;
 }
 
@@ -121,110 +529,236 @@ function buildWriteOps(ops) {
   });
 }
 
-export async function applyStagedAsCandidate(K, mutationId) {
-  const record = await K.kvGet(`mutation_staged:${mutationId}`);
-  if (!record) throw new Error(`No staged mutation: ${mutationId}`);
+// Tool version ops name a tool instead of a key; they become ordinary
+// writes to its tool:{name}:* keys so snapshots and rollback cover them.
+//   { op: "tool_rollback", tool, version } — restore code + meta from tool:{tool}:v{version}
+//   { op: "tool_pin", tool, version }      — run that archived version until unpinned
+//   { op: "tool_unpin", tool }
+export async function expandToolOps(K, ops) {
+  const out = [];
+  for (const op of ops) {
+    if (op.op === "tool_pin") {
+      if (!await K.kvGet(`tool:${op.tool}:v${op.version}`)) throw new Error(`No archived version: tool:${op.tool}:v${op.version}`);
+      out.push({ op: "put", key: `tool:${op.tool}:pin`, value: op.version });
+    } else if (op.op === "tool_unpin") {
+      out.push({ op: "delete", key: `tool:${op.tool}:pin` });
+    } else if (op.op === "tool_rollback") {
+      const archived = await K.kvGet(`tool:${op.tool}:v${op.version}`);
+      if (!archived) throw new Error(`No archived version: tool:${op.tool}:v${op.version}`);
+      // The kernel numbers the restored meta as a new version
+      const { version, ...meta } = archived.meta || {};
+      out.push(
+        { op: "put", key: `tool:${op.tool}:code`, value: archived.code },
+        { op: "put", key: `tool:${op.tool}:meta`, value: { ...meta, restored_from: archived.version } },
+      );
+    } else {
+      out.push(op);
+    }
+  }
+  return out;
+}
 
-  const targetKeys = record.ops.map(op => op.key);
-  const conflict = await findCandidateConflict(K, targetKeys);
+// Snapshots the target keys, applies the ops and writes the candidate
+// record. A candidate overlapping the targets is fine when it is a parent,
+// a batch sibling, or the request asked to rebase — it then becomes a
+// parent, so rollback unwinds the two in order. Any other overlap is a
+// conflict. Text keys are written merged: a staged diff applied to the
+// key as it is now, anything else worked out in memory; the candidate keeps
+// each text key's diff so rollback reverts just those lines. Returns why
+// nothing was written, or null.
+async function activate(K, id, record, ops) {
+  const targetKeys = ops.map(op => op.key);
+  const parents = record.depends_on || [];
+  const overlapping = (await findCandidateConflicts(K, targetKeys)).filter(c => !parents.includes(c.id));
+  const conflict = overlapping.find(c => record.on_conflict !== "rebase" && !(record.batch && c.batch === record.batch));
   if (conflict) {
-    await K.karmaRecord({ event: "mutation_conflict", mutation_id: mutationId, conflicting_mutation: conflict.id, overlapping_keys: conflict.keys });
-    throw new Error(`Conflict with candidate ${conflict.id} on keys: ${conflict.keys.join(", ")}`);
+    await K.karmaRecord({ event: "mutation_conflict", mutation_id: id, conflicting_mutation: conflict.id, overlapping_keys: conflict.keys });
+    return `Conflict with candidate ${conflict.id} on keys: ${conflict.keys.join(", ")}`;
   }
 
-  // Snapshot current values before applying
   const snapshots = {};
   for (const key of targetKeys) {
     const { value, metadata } = await K.kvGetWithMeta(key);
     snapshots[key] = { value: value !== null ? value : null, metadata };
   }
 
+  const texts = {};
+  const mergeConflicts = [];
+  for (const key of new Set(targetKeys)) {
+    const before = storedText(snapshots[key]);
+    if (before === null) continue;
+    if (record.diffs?.[key]) {
+      const merged = await K.applyDiff(before, record.diffs[key]);
+      if (merged.conflicts.length) mergeConflicts.push({ key, conflicts: merged.conflicts });
+      else texts[key] = merged.text;
+    } else {
+      const after = valueAfterOps(before, ops, key);
+      if (typeof after === "string") texts[key] = after;
+    }
+  }
+  if (mergeConflicts.length) {
+    await K.karmaRecord({ event: "mutation_merge_conflict", mutation_id: id, phase: "apply", keys: mergeConflicts });
+    return `Merge conflict on keys: ${mergeConflicts.map(c => c.key).join(", ")}`;
+  }
+
   // Apply ops via privileged writes
-  const writeOps = buildWriteOps(record.ops);
-  await K.kvWritePrivileged(writeOps);
+  await K.kvWritePrivileged([
+    ...buildWriteOps(ops.filter(op => !(op.key in texts))),
+    ...Object.entries(texts).map(([key, value]) => ({
+      op: "put", key, value, metadata: ops.find(op => op.key === key && op.metadata)?.metadata,
+    })),
+  ]);
+
+  const diffs = {};
+  for (const [key, value] of Object.entries(texts)) {
+    const diff = await K.diffText(snapshots[key].value, value);
+    if (diff) diffs[key] = diff;
+  }
 
-  // Write candidate record
+  const dependsOn = [...parents, ...overlapping.map(c => c.id)];
   await K.kvWritePrivileged([{
     op: "put",
-    key: `mutation_candidate:${mutationId}`,
+    key: `mutation_candidate:${id}`,
     value: {
       ...record,
+      ...(dependsOn.length ? { depends_on: dependsOn } : {}),
       snapshots,
+      diffs,
       activated_at: new Date().toISOString(),
     },
   }]);
+  _trackAdd('activeCandidates', id);
+
+  if (overlapping.length) {
+    await K.karmaRecord({
+      event: "mutation_rebased", mutation_id: id,
+      onto: overlapping.map(c => c.id), overlapping_keys: [...new Set(overlapping.flatMap(c => c.keys))],
+    });
+  }
+  await K.karmaRecord({ event: "mutation_applied", mutation_id: id, target_keys: targetKeys });
+  await recordHistory(K, id, "applied", {
+    proposal: proposalOf(record),
+    target_keys: [...new Set(targetKeys)],
+    ...(Object.keys(diffs).length ? { diffs } : {}),
+    ...(overlapping.length ? { rebased_onto: overlapping.map(c => c.id) } : {}),
+  });
+  return null;
+}
+
+// A staged mutation in a batch applies with the rest of its batch, parents
+// first. If any member fails, the ones already live are restored and the
+// whole batch stays staged.
+export async function applyStagedAsCandidate(K, mutationId) {
+  const record = await K.kvGet(`mutation_staged:${mutationId}`);
+  if (!record) throw new Error(`No staged mutation: ${mutationId}`);
 
-  // Delete staged record
-  await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${mutationId}` }]);
-  _trackRemove('activeStaged', mutationId);
-  _trackAdd('activeCandidates', mutationId);
+  const members = record.batch
+    ? parentsFirst((await loadRecords(K, "mutation_staged:", activeStaged)).filter(r => r.batch === record.batch))
+    : [record];
+  const memberIds = members.map(r => r.id);
 
-  // Refresh defaults if ops touch config:defaults
-  if (targetKeys.some(k => k === "config:defaults")) {
-    // Config auto-refreshed by kernel after privileged write
+  const applied = [];
+  try {
+    for (const member of members) {
+      const unapplied = (member.depends_on || []).filter(d => activeStaged.includes(d) && !memberIds.includes(d));
+      if (unapplied.length) throw new Error(`${member.id} depends on staged ${unapplied.join(", ")} — apply it first`);
+      const refused = await activate(K, member.id, member, await expandToolOps(K, member.ops));
+      if (refused) throw new Error(refused);
+      applied.push(member.id);
+    }
+  } catch (err) {
+    for (const id of applied.reverse()) {
+      // Back to staged, as far as history is concerned
+      await restoreCandidate(K, await K.kvGet(`mutation_candidate:${id}`), { reason: "batch_failed" }, { step: "unapplied" });
+    }
+    throw err;
   }
 
-  await K.karmaRecord({ event: "mutation_applied", mutation_id: mutationId, target_keys: targetKeys });
+  for (const id of memberIds) {
+    await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${id}` }]);
+    _trackRemove('activeStaged', id);
+  }
   return mutationId;
 }
 
-export async function applyDirectAsCandidate(K, request, sessionId) {
+export async function applyDirectAsCandidate(K, request, sessionId, id = generateMutationId()) {
   if (!request.claims?.length || !request.ops?.length || !request.checks?.length) {
     await K.karmaRecord({ event: "mutation_invalid", reason: "missing required fields (claims, ops, checks)" });
     return null;
   }
-  const id = generateMutationId();
-  const targetKeys = request.ops.map(op => op.key);
-
-  const conflict = await findCandidateConflict(K, targetKeys);
-  if (conflict) {
-    await K.karmaRecord({ event: "mutation_conflict", mutation_id: id, conflicting_mutation: conflict.id, overlapping_keys: conflict.keys });
+  const missing = (request.depends_on || []).filter(d => !activeCandidates.includes(d));
+  if (missing.length) {
+    await K.karmaRecord({ event: "mutation_invalid", mutation_id: id, reason: `depends_on is not a candidate: ${missing.join(", ")}` });
     return null;
   }
-
-  const snapshots = {};
-  for (const key of targetKeys) {
-    const { value, metadata } = await K.kvGetWithMeta(key);
-    snapshots[key] = { value: value !== null ? value : null, metadata };
+  let ops;
+  try {
+    ops = await expandToolOps(K, request.ops);
+  } catch (err) {
+    await K.karmaRecord({ event: "mutation_invalid", mutation_id: id, reason: err.message });
+    return null;
   }
 
-  // Apply ops via privileged writes
-  const writeOps = buildWriteOps(request.ops);
-  await K.kvWritePrivileged(writeOps);
-
-  // Write candidate record
-  await K.kvWritePrivileged([{
-    op: "put",
-    key: `mutation_candidate:${id}`,
-    value: {
-      id,
-      claims: request.claims,
-      ops: request.ops,
-      checks: request.checks,
-      snapshots,
-      staged_by_session: sessionId,
-      activated_at: new Date().toISOString(),
-    },
-  }]);
-  _trackAdd('activeCandidates', id);
-
-  await K.karmaRecord({ event: "mutation_applied", mutation_id: id, target_keys: targetKeys });
-  return id;
+  const record = {
+    id,
+    claims: request.claims,
+    ops: request.ops,
+    checks: request.checks,
+    ...requestFields(request),
+    staged_by_session: sessionId,
+  };
+  const refused = await activate(K, id, record, ops);
+  if (refused) await recordHistory(K, id, "refused", { proposal: proposalOf(record), reason: refused });
+  return refused ? null : id;
 }
 
-export async function promoteCandidate(K, mutationId) {
-  await K.kvWritePrivileged([{ op: "delete", key: `mutation_candidate:${mutationId}` }]);
-  _trackRemove('activeCandidates', mutationId);
-  await K.karmaRecord({ event: "mutation_promoted", mutation_id: mutationId });
+// A batch promotes whole, and only once none of its parents is still a
+// candidate — otherwise a parent's rollback could strand it. `detail` goes
+// into the history of the mutation named (why it was promoted).
+export async function promoteCandidate(K, mutationId, detail = {}) {
+  const records = await loadRecords(K, "mutation_candidate:", activeCandidates);
+  const record = records.find(r => r.id === mutationId);
+  if (!record) return false;
+  const members = record.batch ? records.filter(r => r.batch === record.batch) : [record];
+  const memberIds = members.map(r => r.id);
+  const waitingOn = [...new Set(members.flatMap(r => r.depends_on || []))]
+    .filter(d => !memberIds.includes(d) && activeCandidates.includes(d));
+  if (waitingOn.length) {
+    await K.karmaRecord({ event: "mutation_promote_blocked", mutation_id: mutationId, waiting_on: waitingOn });
+    await recordHistory(K, mutationId, "promote_blocked", { waiting_on: waitingOn });
+    return false;
+  }
+
+  for (const id of memberIds) {
+    await K.kvWritePrivileged([{ op: "delete", key: `mutation_candidate:${id}` }]);
+    _trackRemove('activeCandidates', id);
+    await K.karmaRecord({ event: "mutation_promoted", mutation_id: id, ...(id !== mutationId ? { with: mutationId } : {}) });
+    await recordHistory(K, id, "promoted", id !== mutationId ? { with: mutationId } : detail);
+  }
+  return true;
 }
 
-export async function rollbackCandidate(K, mutationId, reason) {
-  const record = await K.kvGet(`mutation_candidate:${mutationId}`);
+// Text keys with a diff have just that diff reverted, keeping later changes
+// to other lines; when it no longer applies, the snapshot wins. `fields` go
+// into karma and history, `detail` into history only.
+async function restoreCandidate(K, record, fields, { step = "rolled_back", ...detail } = {}) {
   if (!record) return;
 
   // Restore snapshotted values via privileged writes
   const restoreOps = [];
+  const fromSnapshot = [];
   for (const [key, snapshot] of Object.entries(record.snapshots || {})) {
+    const diff = record.diffs?.[key];
+    const current = diff ? storedText(await K.kvGetWithMeta(key)) : null;
+    if (typeof current === "string") {
+      const reverted = await K.applyDiff(current, diff, { reverse: true });
+      if (!reverted.conflicts.length) {
+        restoreOps.push({ op: "put", key, value: reverted.text, metadata: snapshot.metadata || {} });
+        continue;
+      }
+      await K.karmaRecord({ event: "mutation_merge_conflict", mutation_id: record.id, phase: "rollback", keys: [{ key, conflicts: reverted.conflicts }] });
+      fromSnapshot.push(key);
+    }
     if (snapshot.value === null) {
       restoreOps.push({ op: "delete", key });
     } else {
@@ -233,19 +767,164 @@ export async function rollbackCandidate(K, mutationId, reason) {
   }
   if (restoreOps.length) await K.kvWritePrivileged(restoreOps);
 
-  await K.kvWritePrivileged([{ op: "delete", key: `mutation_candidate:${mutationId}` }]);
-  _trackRemove('activeCandidates', mutationId);
-  await K.karmaRecord({ event: "mutation_rolled_back", mutation_id: mutationId, reason });
+  await K.kvWritePrivileged([{ op: "delete", key: `mutation_candidate:${record.id}` }]);
+  _trackRemove('activeCandidates', record.id);
+  await K.karmaRecord({ event: "mutation_rolled_back", mutation_id: record.id, ...fields });
+  await recordHistory(K, record.id, step, {
+    ...fields,
+    ...detail,
+    ...(fromSnapshot.length ? { restored_from_snapshot: fromSnapshot } : {}),
+  });
 }
 
-export async function findCandidateConflict(K, targetKeys) {
+// Rolls back the candidate with its dependents and batch, dependents first —
+// a rebased dependent's snapshot holds its parent's value. Staged mutations
+// that depended on any of them are dropped. `detail` goes into the history
+// of the mutation named.
+export async function rollbackCandidate(K, mutationId, reason, detail = {}) {
+  const records = await loadRecords(K, "mutation_candidate:", activeCandidates);
+  if (!records.some(r => r.id === mutationId)) return;
+
+  const falling = withDependents(records, mutationId);
+  for (const record of parentsFirst(falling).reverse()) {
+    if (record.id === mutationId) await restoreCandidate(K, record, { reason }, detail);
+    else await restoreCandidate(K, record, { reason: "cascade", cascade_from: mutationId });
+  }
+
+  const gone = falling.map(r => r.id);
+  for (const staged of await loadRecords(K, "mutation_staged:", activeStaged)) {
+    if (!activeStaged.includes(staged.id)) continue;
+    if ((staged.depends_on || []).some(d => gone.includes(d))) {
+      await dropStaged(K, staged.id, "mutation_rejected", { reason: "cascade", cascade_from: mutationId });
+    }
+  }
+}
+
+// Deletes a staged mutation with its staged dependents and batch
+async function dropStaged(K, mutationId, event, fields = {}) {
+  const records = await loadRecords(K, "mutation_staged:", activeStaged);
+  const falling = withDependents(records, mutationId).map(r => r.id);
+  for (const id of [mutationId, ...falling.filter(id => id !== mutationId)]) {
+    const known = activeStaged.includes(id);
+    await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${id}` }]);
+    _trackRemove('activeStaged', id);
+    const entry = id === mutationId
+      ? { event, mutation_id: id, ...fields }
+      : { event: "mutation_rejected", mutation_id: id, reason: "cascade", cascade_from: mutationId };
+    await K.karmaRecord(entry);
+    const { event: step, mutation_id, ...rest } = entry;
+    if (known) await recordHistory(K, id, step.replace(/^mutation_/, ""), rest);
+  }
+}
+
+export async function findCandidateConflicts(K, targetKeys) {
+  const conflicts = [];
   for (const id of activeCandidates) {
     const record = await K.kvGet(`mutation_candidate:${id}`);
     if (!record?.snapshots) continue;
     const overlap = targetKeys.filter(k => k in record.snapshots);
-    if (overlap.length > 0) return { id: record.id, keys: overlap };
+    if (overlap.length > 0) conflicts.push({ id: record.id, keys: overlap, batch: record.batch || null });
   }
-  return null;
+  return conflicts;
+}
+
+export async function findCandidateConflict(K, targetKeys) {
+  const [conflict] = await findCandidateConflicts(K, targetKeys);
+  return conflict ? { id: conflict.id, keys: conflict.keys } : null;
+}
+
+// ── Dependencies and batches ────────────────────────────────
+//
+// A request may list parents in `depends_on` — mutation ids, or the `ref`
+// of an earlier request in the same output — and share a `batch` label with
+// the requests it stands or falls with. A parent must be live before its
+// dependents apply, and is rolled back after them; dependents can't be
+// promoted while a parent is still a candidate.
+
+async function loadRecords(K, prefix, ids) {
+  const records = [];
+  for (const id of ids) {
+    const record = await K.kvGet(`${prefix}${id}`);
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+// The record for mutationId plus every record that falls with it:
+// dependents (transitively) and batch siblings
+export function withDependents(records, mutationId) {
+  const ids = new Set([mutationId]);
+  for (let grew = true; grew;) {
+    grew = false;
+    for (const r of records) {
+      if (ids.has(r.id)) continue;
+      const sibling = r.batch && records.some(o => ids.has(o.id) && o.batch === r.batch);
+      if (sibling || (r.depends_on || []).some(d => ids.has(d))) {
+        ids.add(r.id);
+        grew = true;
+      }
+    }
+  }
+  return records.filter(r => ids.has(r.id));
+}
+
+// Orders records so each comes after the parents among them
+export function parentsFirst(records) {
+  const remaining = [...records];
+  const ordered = [];
+  while (remaining.length) {
+    const ids = remaining.map(r => r.id);
+    const next = remaining.findIndex(r => !(r.depends_on || []).some(d => ids.includes(d)));
+    ordered.push(...remaining.splice(Math.max(next, 0), 1));
+  }
+  return ordered;
+}
+
+// Gives each request its mutation id up front and resolves refs and batch
+// labels, which only mean something within one output
+export function resolveRequests(requests) {
+  const refs = {};
+  const batches = {};
+  return (requests || []).map(({ ref, ...request }) => {
+    const id = generateMutationId();
+    if (request.depends_on) request.depends_on = request.depends_on.map(d => refs[d] || d);
+    if (request.batch) {
+      if (!batches[request.batch]) batches[request.batch] = generateBatchId();
+      request.batch = batches[request.batch];
+    }
+    if (ref) refs[ref] = id;
+    return { id, request };
+  });
+}
+
+// Submits an output's requests in order. When a batch member is refused,
+// the members already in go back out and the rest of the batch is skipped.
+async function submitRequests(K, requests, sessionId, submit, undo) {
+  const submitted = [];
+  const failed = new Set();
+  for (const { id, request } of resolveRequests(requests)) {
+    if (request.batch && failed.has(request.batch)) continue;
+    if (await submit(K, request, sessionId, id)) {
+      submitted.push({ id, batch: request.batch });
+      continue;
+    }
+    if (!request.batch) continue;
+    failed.add(request.batch);
+    const members = submitted.filter(s => s.batch === request.batch).map(s => s.id);
+    if (members.length) await undo(K, members[0]);
+    await K.karmaRecord({ event: "mutation_batch_failed", batch: request.batch, failed: id, undone: members });
+  }
+  return submitted.filter(s => !failed.has(s.batch)).map(s => s.id);
+}
+
+export async function stageMutations(K, requests, sessionId) {
+  return submitRequests(K, requests, sessionId, stageMutation,
+    (K, id) => dropStaged(K, id, "mutation_rejected", { reason: "batch_failed" }));
+}
+
+export async function applyDirectMutations(K, requests, sessionId) {
+  return submitRequests(K, requests, sessionId, applyDirectAsCandidate,
+    (K, id) => rollbackCandidate(K, id, "batch_failed"));
 }
 
 // ── Loading ─────────────────────────────────────────────────
@@ -255,7 +934,7 @@ export async function loadStagedMutations(K) {
   for (const id of activeStaged) {
     const record = await K.kvGet(`mutation_staged:${id}`);
     if (!record) continue;
-    const checkResults = await evaluateChecks(K, record.checks || []);
+    const checkResults = await evaluateChecks(K, record.checks || [], record);
     result[record.id] = { record, check_results: checkResults };
   }
   return result;
@@ -266,7 +945,7 @@ export async function loadCandidateMutations(K) {
   for (const id of activeCandidates) {
     const record = await K.kvGet(`mutation_candidate:${id}`);
     if (!record) continue;
-    const checkResults = await evaluateChecks(K, record.checks || []);
+    const checkResults = await evaluateChecks(K, record.checks || [], record);
     result[record.id] = { record, check_results: checkResults };
   }
   return result;
@@ -274,32 +953,38 @@ export async function loadCandidateMutations(K) {
 
 // ── Verdict processing ──────────────────────────────────────
 
+async function modifyStaged(K, v) {
+  const record = await K.kvGet(`mutation_staged:${v.mutation_id}`);
+  if (!record) return;
+  const changes = {
+    ...(v.updated_ops ? { ops: v.updated_ops } : {}),
+    ...(v.updated_checks ? { checks: v.updated_checks } : {}),
+    ...(v.updated_claims ? { claims: v.updated_claims } : {}),
+    ...(v.updated_observation ? { observation: v.updated_observation } : {}),
+  };
+  await K.kvWritePrivileged([{
+    op: "put",
+    key: `mutation_staged:${v.mutation_id}`,
+    value: {
+      ...record,
+      ...changes,
+      ...(v.updated_ops ? { diffs: await textDiffs(K, v.updated_ops) } : {}),
+      modified_at: new Date().toISOString(),
+    },
+  }]);
+  await K.karmaRecord({ event: "mutation_modified", mutation_id: v.mutation_id });
+  await recordHistory(K, v.mutation_id, "modified", { ...changes, ...(v.reason ? { reason: v.reason } : {}) });
+}
+
 export async function processReflectVerdicts(K, verdicts) {
   for (const v of verdicts || []) {
     switch (v.verdict) {
       case "withdraw":
-        await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${v.mutation_id}` }]);
-        _trackRemove('activeStaged', v.mutation_id);
-        await K.karmaRecord({ event: "mutation_withdrawn", mutation_id: v.mutation_id });
+        await dropStaged(K, v.mutation_id, "mutation_withdrawn");
         break;
-      case "modify": {
-        const record = await K.kvGet(`mutation_staged:${v.mutation_id}`);
-        if (record) {
-          await K.kvWritePrivileged([{
-            op: "put",
-            key: `mutation_staged:${v.mutation_id}`,
-            value: {
-              ...record,
-              ...(v.updated_ops ? { ops: v.updated_ops } : {}),
-              ...(v.updated_checks ? { checks: v.updated_checks } : {}),
-              ...(v.updated_claims ? { claims: v.updated_claims } : {}),
-              modified_at: new Date().toISOString(),
-            },
-          }]);
-          await K.karmaRecord({ event: "mutation_modified", mutation_id: v.mutation_id });
-        }
+      case "modify":
+        await modifyStaged(K, v);
         break;
-      }
     }
   }
 }
@@ -308,45 +993,34 @@ export async function processDeepReflectVerdicts(K, verdicts) {
   for (const v of verdicts || []) {
     switch (v.verdict) {
       case "apply":
+        // Already applied with its batch
+        if (activeCandidates.includes(v.mutation_id)) break;
         try { await applyStagedAsCandidate(K, v.mutation_id); }
-        catch (err) { await K.karmaRecord({ event: "mutation_apply_failed", mutation_id: v.mutation_id, error: err.message }); }
+        catch (err) {
+          await K.karmaRecord({ event: "mutation_apply_failed", mutation_id: v.mutation_id, error: err.message });
+          if (activeStaged.includes(v.mutation_id)) await recordHistory(K, v.mutation_id, "apply_failed", { error: err.message });
+        }
         break;
       case "reject":
-        await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${v.mutation_id}` }]);
-        _trackRemove('activeStaged', v.mutation_id);
-        await K.karmaRecord({ event: "mutation_rejected", mutation_id: v.mutation_id, reason: v.reason });
+        await dropStaged(K, v.mutation_id, "mutation_rejected", { reason: v.reason });
         break;
       case "withdraw":
-        await K.kvWritePrivileged([{ op: "delete", key: `mutation_staged:${v.mutation_id}` }]);
-        _trackRemove('activeStaged', v.mutation_id);
-        await K.karmaRecord({ event: "mutation_withdrawn", mutation_id: v.mutation_id });
+        await dropStaged(K, v.mutation_id, "mutation_withdrawn");
         break;
-      case "modify": {
-        const record = await K.kvGet(`mutation_staged:${v.mutation_id}`);
-        if (record) {
-          await K.kvWritePrivileged([{
-            op: "put",
-            key: `mutation_staged:${v.mutation_id}`,
-            value: {
-              ...record,
-              ...(v.updated_ops ? { ops: v.updated_ops } : {}),
-              ...(v.updated_checks ? { checks: v.updated_checks } : {}),
-              ...(v.updated_claims ? { claims: v.updated_claims } : {}),
-              modified_at: new Date().toISOString(),
-            },
-          }]);
-          await K.karmaRecord({ event: "mutation_modified", mutation_id: v.mutation_id });
-        }
+      case "modify":
+        await modifyStaged(K, v);
         break;
-      }
       case "promote":
-        await promoteCandidate(K, v.mutation_id);
+        await promoteCandidate(K, v.mutation_id, v.reason ? { reason: v.reason } : {});
         break;
       case "rollback":
         await rollbackCandidate(K, v.mutation_id, v.reason || "deep_reflect_verdict");
         break;
       case "defer":
         await K.karmaRecord({ event: "mutation_deferred", mutation_id: v.mutation_id, reason: v.reason });
+        if (activeStaged.includes(v.mutation_id) || activeCandidates.includes(v.mutation_id)) {
+          await recordHistory(K, v.mutation_id, "deferred", { reason: v.reason });
+        }
         break;
     }
   }
@@ -372,3 +1046,92 @@ export async function runCircuitBreaker(K) {
   // causes repeat rollbacks on every subsequent wake.
   await K.kvDeleteSafe("last_danger");
 }
+
+// ── Observation ─────────────────────────────────────────────
+//
+// A candidate that declares `observation` collects one evidence entry per
+// wake: its checks' results as of that wake. Sessions whose checks are all
+// still pending don't count toward the window. Once the window has passed
+// with no failed session, `promote: "auto"` promotes it (a batch once every
+// member's has); `max_failures` failed sessions roll it back under either
+// policy. Candidates without an observation block wait for deep reflect.
+
+export const OBSERVATION_DEFAULTS = {
+  sessions: 3,          // window when the candidate declares neither sessions nor days
+  promote: 'auto',      // auto | manual (promotion left to deep reflect)
+  max_failures: 2,      // failed sessions that roll the candidate back; 0 never does
+  max_evidence: 20,     // newest entries kept on the record — the tallies keep counting
+  max_detail_chars: 300,
+};
+
+export function observationPolicy(observation, defaults) {
+  const base = { ...OBSERVATION_DEFAULTS, ...defaults?.mutation_observation };
+  const declared = observation.sessions || observation.days;
+  return {
+    ...base,
+    sessions: declared ? observation.sessions || 0 : base.sessions,
+    days: declared ? observation.days || 0 : 0,
+    promote: observation.promote || base.promote,
+    max_failures: observation.max_failures ?? base.max_failures,
+  };
+}
+
+// At least one passed session, `sessions` of them, and `days` since activation
+export function windowComplete(policy, observed, activatedAt, now) {
+  if (observed.passed < Math.max(1, policy.sessions)) return false;
+  return now - new Date(activatedAt).getTime() >= policy.days * 86400000;
+}
+
+export async function observeCandidates(K) {
+  const sessionId = await K.getSessionId();
+  const defaults = await K.getDefaults();
+  const report = { observed: [], promoted: [], rolled_back: [] };
+
+  for (const id of [...activeCandidates]) {
+    const record = await K.kvGet(`mutation_candidate:${id}`);
+    if (!record?.observation || !record.activated_at) continue;
+    const observed = { passed: 0, failed: 0, pending: 0, ...record.observed };
+    if (observed.last_session === sessionId) continue;
+
+    const policy = observationPolicy(record.observation, defaults);
+    const { all_passed, results } = await evaluateChecks(K, record.checks || [], record);
+    const outcome = results.some(r => !r.passed && !r.pending) ? "failed"
+      : all_passed ? "passed" : "pending";
+    observed[outcome]++;
+    observed.last_session = sessionId;
+    const evidence = [...(record.evidence || []), {
+      session_id: sessionId,
+      at: new Date().toISOString(),
+      outcome,
+      results: results.map(r => ({
+        passed: r.passed,
+        ...(r.pending ? { pending: true } : {}),
+        detail: String(r.detail || "").slice(0, policy.max_detail_chars),
+      })),
+    }].slice(-policy.max_evidence);
+    report.observed.push({ mutation_id: id, outcome });
+
+    if (policy.max_failures > 0 && observed.failed >= policy.max_failures) {
+      await rollbackCandidate(K, id, "observation_failed", { observed, evidence });
+      await K.karmaRecord({ event: "mutation_auto_rolled_back", mutation_id: id, observed, evidence });
+      report.rolled_back.push(id);
+      continue;
+    }
+    if (policy.promote === "auto" && observed.failed === 0
+        && windowComplete(policy, observed, record.activated_at, Date.now())) {
+      observed.complete = true;
+      // A batch waits until every member's window has passed clean
+      const siblings = record.batch
+        ? (await loadRecords(K, "mutation_candidate:", activeCandidates)).filter(r => r.batch === record.batch && r.id !== id)
+        : [];
+      if (siblings.every(r => r.observed?.complete)
+          && await promoteCandidate(K, id, { reason: "observation_passed", observed, evidence })) {
+        await K.karmaRecord({ event: "mutation_auto_promoted", mutation_id: id, observed, evidence });
+        report.promoted.push(id);
+        continue;
+      }
+    }
+    await K.recordObservation(id, { observed, evidence });
+  }
+  return report;
+}
@@ -7,11 +7,23 @@
 export const SYSTEM_KEY_PREFIXES = [
   'prompt:', 'config:', 'tool:', 'provider:', 'secret:',
   'mutation_staged:', 'mutation_candidate:', 'hook:',
-  'yama:', 'niyama:',
+  'yama:', 'niyama:', 'event_source:',
 ];
 export const SYSTEM_KEY_EXACT = ['providers', 'wallets', 'wisdom'];
 export const DANGER_SIGNALS = ["fatal_error", "orient_parse_error", "all_providers_failed"];
 
+// Shape of a kv_operations entry in orient/reflect output (JSON Schema)
+export const KV_OPERATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    op: { type: 'string', enum: ['put', 'delete', 'rename'] },
+    key: { type: 'string', minLength: 1 },
+    value: {},
+    metadata: { type: 'object' },
+  },
+  required: ['op', 'key'],
+};
+
 export function isSystemKey(key) {
   if (SYSTEM_KEY_EXACT.includes(key)) return true;
   return SYSTEM_KEY_PREFIXES.some(p => key.startsWith(p));
@@ -2,12 +2,64 @@
 // Session reflect, deep reflect (recursive, depth-aware), scheduling, default prompts.
 // KV key: hook:wake:reflect
 
-import { SYSTEM_KEY_PREFIXES, SYSTEM_KEY_EXACT, applyKVOperation } from './hook-protect.js';
+import { SYSTEM_KEY_PREFIXES, SYSTEM_KEY_EXACT, KV_OPERATION_SCHEMA, applyKVOperation } from './hook-protect.js';
 import {
   loadStagedMutations, loadCandidateMutations,
-  stageMutation, applyDirectAsCandidate,
+  stageMutations, applyDirectMutations,
   processReflectVerdicts, processDeepReflectVerdicts,
+  setActingDepth, MUTATION_REQUEST_SCHEMA,
 } from './hook-mutations.js';
+import { WAKE_CONFIG_SCHEMA, writeWakeConfig } from './hook-schedule.js';
+
+// ── Output schemas ──────────────────────────────────────────
+// The kernel checks final reflect output against these and sends the model
+// field-level errors for a bounded number of repair turns.
+
+const verdictSchema = (verdicts) => ({
+  type: 'object',
+  properties: {
+    mutation_id: { type: 'string', minLength: 1 },
+    verdict: { type: 'string', enum: verdicts },
+  },
+  required: ['mutation_id', 'verdict'],
+});
+
+export const REFLECT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    session_summary: { type: 'string', minLength: 1 },
+    note_to_future_self: { type: 'string' },
+    next_orient_context: {
+      type: 'object',
+      properties: { load_keys: { type: 'array', items: { type: 'string' } }, reason: { type: 'string' } },
+    },
+    next_wake_config: WAKE_CONFIG_SCHEMA,
+    kv_operations: { type: 'array', items: KV_OPERATION_SCHEMA },
+    mutation_requests: { type: 'array', items: MUTATION_REQUEST_SCHEMA },
+    mutation_verdicts: { type: 'array', items: verdictSchema(['withdraw', 'modify']) },
+  },
+  required: ['session_summary', 'note_to_future_self'],
+};
+
+export const DEEP_REFLECT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    reflection: { type: 'string', minLength: 1 },
+    note_to_future_self: { type: 'string' },
+    kv_operations: { type: 'array', items: KV_OPERATION_SCHEMA },
+    mutation_requests: { type: 'array', items: MUTATION_REQUEST_SCHEMA },
+    mutation_verdicts: {
+      type: 'array',
+      items: verdictSchema(['apply', 'reject', 'modify', 'promote', 'rollback', 'defer', 'withdraw']),
+    },
+    next_reflect: {
+      type: 'object',
+      properties: { after_sessions: { type: 'integer', minimum: 1 }, after_days: { type: 'number', minimum: 0 } },
+    },
+    next_wake_config: WAKE_CONFIG_SCHEMA,
+  },
+  required: ['reflection', 'note_to_future_self'],
+};
 
 // ── Session reflect ─────────────────────────────────────────
 
@@ -32,12 +84,13 @@ export async function executeReflect(K, state, step) {
   const sessionCost = await K.getSessionCost();
 
   // Strip bulky fields that repeat across turns — reflect needs events,
-  // responses, and tool calls, not the full LLM request payloads.
-  const karma = rawKarma.map(e => {
+  // responses, and tool calls, not the full LLM request payloads. Large
+  // payloads are kept as blob refs in karma; resolve what remains.
+  const karma = await K.resolveBlobs(rawKarma.map(e => {
     if (e.event !== 'llm_call') return e;
     const { request, tools_available, ...rest } = e;
     return rest;
-  });
+  }));
 
   const initialContext = JSON.stringify({
     karma,
@@ -58,6 +111,7 @@ export async function executeReflect(K, state, step) {
     maxTokens: step.max_output_tokens || defaults.reflect.max_output_tokens,
     maxSteps: 1,
     step: "reflect",
+    outputSchema: REFLECT_OUTPUT_SCHEMA,
   });
 
   // Detect parse failure
@@ -96,24 +150,19 @@ export async function executeReflect(K, state, step) {
     }
   }
 
+  // Mutation history records the depth that decided each step
+  setActingDepth(0);
+
   if (output.mutation_verdicts) {
     await processReflectVerdicts(K, output.mutation_verdicts);
   }
 
   if (output.mutation_requests) {
-    for (const req of output.mutation_requests) {
-      await stageMutation(K, req, sessionId);
-    }
+    await stageMutations(K, output.mutation_requests, sessionId);
   }
 
   if (output.next_wake_config) {
-    const wakeConf = { ...output.next_wake_config };
-    if (wakeConf.sleep_seconds) {
-      wakeConf.next_wake_after = new Date(
-        Date.now() + wakeConf.sleep_seconds * 1000
-      ).toISOString();
-    }
-    await K.kvPutSafe("wake_config", wakeConf);
+    await writeWakeConfig(K, output.next_wake_config);
   }
 }
 
@@ -157,6 +206,7 @@ export async function runReflect(K, state, depth, context) {
     maxSteps,
     step: `reflect_depth_${depth}`,
     budgetCap: deepBudgetCap,
+    outputSchema: DEEP_REFLECT_OUTPUT_SCHEMA,
   });
 
   await applyReflectOutput(K, state, depth, output, context);
@@ -180,12 +230,14 @@ export async function gatherReflectContext(K, state, depth, context) {
   };
 
   const recentSessionIds = await K.kvGet("cache:session_ids") || [];
+  const providerHealth = await K.getProviderHealth();
 
   const templateVars = {
     wisdom,
     orientPrompt,
     currentDefaults: defaults,
     models: modelsConfig,
+    providerHealth,
     stagedMutations,
     candidateMutations,
     systemKeyPatterns,
@@ -217,16 +269,16 @@ export async function applyReflectOutput(K, state, depth, output, context) {
     }
   }
 
-  // 2. Verdicts BEFORE new requests — clears conflicts first
+  // 2. Verdicts BEFORE new requests — clears conflicts first. Mutation
+  //    history records this depth as the one deciding.
+  setActingDepth(depth);
   if (output.mutation_verdicts) {
     await processDeepReflectVerdicts(K, output.mutation_verdicts);
   }
 
   // 3. New mutation requests — applied directly as candidates
   if (output.mutation_requests) {
-    for (const req of output.mutation_requests) {
-      await applyDirectAsCandidate(K, req, sessionId);
-    }
+    await applyDirectMutations(K, output.mutation_requests, sessionId);
   }
 
   // 4. Schedule
@@ -266,13 +318,7 @@ export async function applyReflectOutput(K, state, depth, output, context) {
       session_id: sessionId,
     });
 
-    const wakeConf = output.next_wake_config || {};
-    if (wakeConf.sleep_seconds) {
-      wakeConf.next_wake_after = new Date(
-        Date.now() + wakeConf.sleep_seconds * 1000
-      ).toISOString();
-    }
-    await K.kvPutSafe("wake_config", wakeConf);
+    await writeWakeConfig(K, output.next_wake_config || {});
   }
 
   // 7. Refresh defaults after every depth (cascade visibility)
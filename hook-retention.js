@@ -0,0 +1,185 @@
+// Swayambhu Wake Hook — Karma Retention
+// Keeps the newest sessions' karma raw, folds older sessions into per-day
+// summaries, and hard-deletes summaries and session reflections past the
+// horizon. Policy lives in config:defaults.retention.
+// KV key: hook:wake:retention
+
+export const DEFAULT_RETENTION = {
+  keep_sessions: 30,          // newest N sessions keep raw karma
+  delete_after_days: 365,     // summaries and reflect:0 records older than this are deleted
+  max_sessions_per_run: 20,   // bound KV work per wake
+};
+
+const MAX_SUMMARY_ERRORS = 50;
+
+// ── Helpers ─────────────────────────────────────────────────
+
+// Session IDs are s_{epoch_ms}_{rand}
+export function sessionTime(sessionId) {
+  const ms = Number(sessionId.split("_")[1]);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+async function listAll(K, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await K.kvList({ prefix, limit: 1000, ...(cursor ? { cursor } : {}) });
+    keys.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// Sessions that pending or active mutations still point at
+async function protectedSessions(K) {
+  const ids = new Set();
+  for (const prefix of ["mutation_staged:", "mutation_candidate:"]) {
+    for (const key of await listAll(K, prefix)) {
+      const record = await K.kvGet(key);
+      if (record?.staged_by_session) ids.add(record.staged_by_session);
+    }
+  }
+  return ids;
+}
+
+// ── Day summaries ───────────────────────────────────────────
+
+export function emptyDaySummary(date) {
+  return {
+    date,
+    sessions: [],
+    cost: 0,
+    llm_calls: 0,
+    in_tokens: 0,
+    out_tokens: 0,
+    tool_calls: 0,
+    events: {},
+    models: {},
+    errors: [],
+  };
+}
+
+// Folds one session's karma into a day summary (idempotent per session)
+export function foldSession(summary, sessionId, karma) {
+  if (summary.sessions.includes(sessionId)) return summary;
+  summary.sessions.push(sessionId);
+  for (const entry of karma || []) {
+    const event = entry?.event || "unknown";
+    summary.events[event] = (summary.events[event] || 0) + 1;
+    if (event === "llm_call") {
+      summary.llm_calls++;
+      summary.cost += entry.cost || 0;
+      summary.in_tokens += entry.in_tokens || 0;
+      summary.out_tokens += entry.out_tokens || 0;
+      if (entry.model) {
+        const m = summary.models[entry.model] || (summary.models[entry.model] = { calls: 0, cost: 0 });
+        m.calls++;
+        m.cost += entry.cost || 0;
+      }
+    }
+    if (event === "tool_start") summary.tool_calls++;
+    if (entry?.error && summary.errors.length < MAX_SUMMARY_ERRORS) {
+      summary.errors.push({
+        session_id: sessionId,
+        event,
+        error: String(entry.error).slice(0, 200),
+      });
+    }
+  }
+  return summary;
+}
+
+// ── Retention run ───────────────────────────────────────────
+
+export async function runRetention(K, state) {
+  const policy = { ...DEFAULT_RETENTION, ...state.defaults?.retention };
+  if (policy.enabled === false) return null;
+
+  const currentId = await K.getSessionId();
+  const now = Date.now();
+  const horizon = now - policy.delete_after_days * 86400000;
+
+  // Session index keys are karma:{sid}; chunks (karma:{sid}:{seq}) are skipped
+  const sessions = (await listAll(K, "karma:"))
+    .filter(key => key.split(":").length === 2)
+    .map(key => key.slice("karma:".length))
+    .filter(id => id !== currentId && sessionTime(id) !== null)
+    .sort((a, b) => sessionTime(a) - sessionTime(b));
+
+  const expired = sessions.slice(0, Math.max(0, sessions.length - policy.keep_sessions));
+  const report = { compacted: [], skipped_protected: [], deleted_keys: [], summaries: [] };
+
+  if (expired.length) {
+    const protectedIds = await protectedSessions(K);
+    const summaries = {};
+
+    for (const sid of expired.slice(0, policy.max_sessions_per_run)) {
+      if (protectedIds.has(sid)) { report.skipped_protected.push(sid); continue; }
+
+      const date = dayOf(sessionTime(sid));
+      if (!summaries[date]) {
+        summaries[date] = await K.kvGet(`karma_summary:${date}`) || emptyDaySummary(date);
+      }
+      foldSession(summaries[date], sid, await K.readKarma(sid));
+      report.compacted.push(sid);
+    }
+
+    // Summaries first — raw karma is only deleted once its totals are safe
+    for (const [date, summary] of Object.entries(summaries)) {
+      await K.kvPutSafe(`karma_summary:${date}`, summary);
+      report.summaries.push(date);
+    }
+
+    for (const sid of report.compacted) {
+      const head = await K.kvGet(`karma:${sid}`);
+      const chunks = Array.isArray(head) ? 0 : (head?.chunks || 0);
+      for (let seq = 0; seq < chunks; seq++) {
+        await K.kvDeleteSafe(`karma:${sid}:${seq}`);
+      }
+      await K.kvDeleteSafe(`karma:${sid}`);
+      report.deleted_keys.push(`karma:${sid}`);
+    }
+  }
+
+  // Past the horizon: day summaries and per-session reflections go entirely
+  for (const key of await listAll(K, "karma_summary:")) {
+    const date = key.slice("karma_summary:".length);
+    if (new Date(`${date}T23:59:59.999Z`).getTime() < horizon) {
+      await K.kvDeleteSafe(key);
+      report.deleted_keys.push(key);
+    }
+  }
+  for (const key of await listAll(K, "reflect:0:")) {
+    const t = sessionTime(key.slice("reflect:0:".length));
+    if (t !== null && t < horizon) {
+      await K.kvDeleteSafe(key);
+      report.deleted_keys.push(key);
+    }
+  }
+
+  if (!report.compacted.length && !report.deleted_keys.length) return null;
+
+  // Compacted sessions drop out of the dashboard/reflect session list
+  if (report.compacted.length) {
+    const gone = new Set(report.compacted);
+    const cached = await K.kvGet("cache:session_ids") || [];
+    await K.kvPutSafe("cache:session_ids", cached.filter(id => !gone.has(id)));
+    report.blobs = await K.collectBlobGarbage();
+  }
+
+  await K.kvPutSafe("last_retention", { t: now, session_id: currentId, ...report });
+  await K.karmaRecord({
+    event: "retention_pruned",
+    compacted: report.compacted,
+    skipped_protected: report.skipped_protected,
+    summaries: report.summaries,
+    deleted_keys: report.deleted_keys.length,
+    blobs_deleted: report.blobs?.deleted ?? 0,
+  });
+  return report;
+}
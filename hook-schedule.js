@@ -0,0 +1,262 @@
+// Swayambhu Wake Hook — Wake Scheduling
+// Turns the next_wake_config of an orient or reflect output into the
+// wake_config the wake gate (and the kernel's event intake) reads: a plain
+// sleep, named recurring slots (cron expressions or "HH:MM" on given days,
+// each with its own effort and context keys), quiet hours and jitter.
+// All times are UTC.
+// KV key: hook:wake:schedule
+
+// How inbound webhook events affect wakes (read by the kernel on each event)
+export const EVENT_POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    default: { type: 'string', enum: ['immediate', 'defer', 'drop'] },
+    min_interval_seconds: { type: 'integer', minimum: 0 },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string' },
+          type: { type: 'string' },
+          urgency: { type: 'string' },
+          wake: { type: 'string', enum: ['immediate', 'defer', 'drop'] },
+        },
+        required: ['wake'],
+      },
+    },
+  },
+};
+
+const CLOCK_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+// A named recurring wake: `cron` ("0 9 * * 1-5") or `at` ("09:00") plus
+// optional `days`; `effort` and `load_keys` apply to wakes this slot starts
+export const WAKE_SLOT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    cron: { type: 'string' },
+    at: { type: 'string', pattern: CLOCK_PATTERN },
+    days: { type: 'array', items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } },
+    effort: { type: 'string', enum: ['low', 'medium', 'high', 'max'] },
+    load_keys: { type: 'array', items: { type: 'string' } },
+    jitter_seconds: { type: 'integer', minimum: 0 },
+  },
+  required: ['name'],
+};
+
+export const WAKE_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    sleep_seconds: { type: 'integer', minimum: 0 },
+    effort: { type: 'string' },
+    schedules: { type: 'array', items: WAKE_SLOT_SCHEMA },
+    quiet_hours: {
+      type: ['object', 'null'],
+      properties: {
+        start: { type: 'string', pattern: CLOCK_PATTERN },
+        end: { type: 'string', pattern: CLOCK_PATTERN },
+      },
+      required: ['start', 'end'],
+    },
+    jitter_seconds: { type: 'integer', minimum: 0 },
+    event_policy: EVENT_POLICY_SCHEMA,
+  },
+};
+
+// Standing configuration carries over from the current wake_config unless
+// the new one sets it (schedules: [] and quiet_hours: null clear them)
+const STANDING_FIELDS = ['schedules', 'quiet_hours', 'jitter_seconds', 'event_policy'];
+
+// ── Cron expressions ────────────────────────────────────────
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },   // 0 and 7 are both Sunday
+];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function cronValue(token, field) {
+  const day = field.name === 'weekday' ? DAY_NAMES.indexOf(token.toLowerCase()) : -1;
+  const value = day >= 0 ? day : Number(token);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Bad cron ${field.name} value: "${token}"`);
+  }
+  return value;
+}
+
+function parseCronField(part, field) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const m = item.match(/^(?:\*|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Bad cron ${field.name} field: "${part}"`);
+    const step = m[3] ? Number(m[3]) : 1;
+    let lo = field.min;
+    let hi = field.max;
+    if (m[1] !== undefined) {
+      lo = cronValue(m[1], field);
+      hi = m[2] !== undefined ? cronValue(m[2], field) : m[3] ? field.max : lo;
+    }
+    if (step < 1 || lo > hi) throw new Error(`Bad cron ${field.name} field: "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(field.name === 'weekday' ? v % 7 : v);
+  }
+  return values;
+}
+
+// Standard five-field cron (minute hour day month weekday) with lists,
+// ranges, steps and day names. As in cron, a restricted day and weekday
+// match either.
+export function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => { cron[field.name] = parseCronField(parts[i], field); });
+  cron.any_day = parts[2] === '*';
+  cron.any_weekday = parts[4] === '*';
+  return cron;
+}
+
+function cronDayMatches(cron, t) {
+  const day = cron.day.has(t.getUTCDate());
+  const weekday = cron.weekday.has(t.getUTCDay());
+  if (cron.any_day) return weekday;
+  if (cron.any_weekday) return day;
+  return day || weekday;
+}
+
+// First matching minute strictly after `after`, or null if the expression
+// never matches (e.g. "0 0 30 2 *")
+export function nextCronTime(expr, after = new Date()) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const t = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = t.getTime() + 5 * 366 * 86400000;   // leap days recur within 5 years
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+    } else if (!cronDayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+export function slotCron(slot) {
+  if (slot.cron) return slot.cron;
+  if (!slot.at) throw new Error(`Wake slot "${slot.name}" needs cron or at`);
+  const [hour, minute] = slot.at.split(':').map(Number);
+  return `${minute} ${hour} * * ${slot.days?.length ? slot.days.join(',') : '*'}`;
+}
+
+// ── Quiet hours ─────────────────────────────────────────────
+
+function clockMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// When `at` falls inside the quiet window, the time it ends; otherwise
+// null. A window whose end is before its start runs past midnight.
+export function quietHoursEnd(quiet, at) {
+  if (!quiet?.start || !quiet?.end) return null;
+  const start = clockMinutes(quiet.start);
+  const end = clockMinutes(quiet.end);
+  const now = at.getUTCHours() * 60 + at.getUTCMinutes();
+  const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+  if (!inside) return null;
+  const until = new Date(at.getTime());
+  until.setUTCHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (until <= at) until.setUTCDate(until.getUTCDate() + 1);
+  return until;
+}
+
+// ── Planning ────────────────────────────────────────────────
+
+// The earliest of the plain sleep and each slot's next occurrence, plus
+// that wake's jitter, moved out of quiet hours. Returns { at, slot } or
+// null when nothing is scheduled.
+export function planNextWake(wakeConf, now = new Date()) {
+  const candidates = [];
+  if (wakeConf.sleep_seconds) {
+    candidates.push({
+      at: new Date(now.getTime() + wakeConf.sleep_seconds * 1000),
+      slot: null,
+      jitter: wakeConf.jitter_seconds,
+    });
+  }
+  for (const slot of wakeConf.schedules || []) {
+    const at = nextCronTime(slotCron(slot), now);
+    if (at) candidates.push({ at, slot: slot.name, jitter: slot.jitter_seconds ?? wakeConf.jitter_seconds });
+  }
+  if (!candidates.length) return null;
+
+  const next = candidates.reduce((a, b) => b.at < a.at ? b : a);
+  let at = new Date(next.at.getTime() + Math.floor(Math.random() * (next.jitter || 0)) * 1000);
+  at = quietHoursEnd(wakeConf.quiet_hours, at) || at;
+  return { at, slot: next.slot };
+}
+
+// Slots that don't parse are dropped rather than failing the whole write
+async function validSchedules(K, schedules) {
+  const valid = [];
+  for (const slot of schedules) {
+    try {
+      parseCron(slotCron(slot));
+      valid.push(slot);
+    } catch (err) {
+      await K.karmaRecord({ event: "wake_schedule_invalid", slot: slot.name, error: err.message });
+    }
+  }
+  return valid;
+}
+
+export async function writeWakeConfig(K, next) {
+  const current = await K.kvGet("wake_config");
+  const wakeConf = { ...next };
+  for (const field of STANDING_FIELDS) {
+    if (wakeConf[field] === undefined && current?.[field] !== undefined) {
+      wakeConf[field] = current[field];
+    }
+  }
+  if (wakeConf.quiet_hours === null) delete wakeConf.quiet_hours;
+  if (wakeConf.schedules) wakeConf.schedules = await validSchedules(K, wakeConf.schedules);
+
+  const planned = planNextWake(wakeConf);
+  delete wakeConf.next_slot;
+  if (planned) {
+    wakeConf.next_wake_after = planned.at.toISOString();
+    if (planned.slot) wakeConf.next_slot = planned.slot;
+  }
+  await K.kvPutSafe("wake_config", wakeConf);
+  return wakeConf;
+}
+
+// ── Wake gate ───────────────────────────────────────────────
+
+// Called when the gate lets a wake through: which slot started it (none
+// when an inbound event brought it forward), and the wake after it planned
+// now — so a session that writes no next_wake_config doesn't wake again on
+// the next cron tick
+export async function advanceWake(K, wakeConfig) {
+  if (!wakeConfig) return { slot: null };
+  const { next_wake_after, next_slot, woken_by_event, ...standing } = wakeConfig;
+  const slot = woken_by_event ? null : (standing.schedules || []).find(s => s.name === next_slot) || null;
+  if (standing.sleep_seconds || standing.schedules?.length) {
+    await writeWakeConfig(K, standing);
+  }
+  return { slot, woken_by_event: woken_by_event || null };
+}
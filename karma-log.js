@@ -0,0 +1,56 @@
+// Swayambhu Karma Log — reading a session's karma back
+// The kernel records karma as append-only chunks:
+//   karma:{sid}        index — { chunks: n }
+//   karma:{sid}:{seq}  array of entries, seq = 0..n-1
+// Sessions recorded before chunking have the whole array at karma:{sid}.
+// Large payload fields are stored once at blob:{sha256}; entries hold
+// { $blob: "blob:…", bytes } in their place.
+//
+// This module is kernel-level code — imported directly, not loaded from KV.
+// The kernel reads karma for the hook, read_all tools reach the same reader
+// through ScopedKV, and the dashboard API imports it.
+
+export function isBlobRef(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+    && typeof value.$blob === "string" && value.$blob.startsWith("blob:");
+}
+
+// ── Reading ─────────────────────────────────────────────────
+
+// A session's entries reassembled from its index and chunks (null if absent).
+// `head` is the karma:{sid} value when the caller has already read it.
+// `kv` is a KV namespace binding (get).
+export async function readKarmaLog(kv, sessionId, head) {
+  if (head === undefined) head = await kv.get(`karma:${sessionId}`, "json");
+  if (head === null) return null;
+  if (Array.isArray(head)) return head;  // pre-chunking session
+  const chunks = await Promise.all(
+    Array.from({ length: head.chunks || 0 }, (_, seq) =>
+      kv.get(`karma:${sessionId}:${seq}`, "json")),
+  );
+  // A chunk can be missing if the session died between index and chunk write
+  return chunks.flatMap(c => (Array.isArray(c) ? c : []));
+}
+
+// Replaces blob refs with their content — in a karma entry's fields (and
+// their array elements), or across an array of entries. Identical blobs
+// (the system prompt in every turn) are fetched once.
+export async function resolveBlobs(kv, value) {
+  const cache = new Map();
+  const resolve = async (v) => {
+    if (Array.isArray(v)) return Promise.all(v.map(resolve));
+    if (!isBlobRef(v)) return v;
+    if (!cache.has(v.$blob)) cache.set(v.$blob, kv.get(v.$blob, "json"));
+    const content = await cache.get(v.$blob);
+    if (content === null) return v;  // missing blob — keep the ref visible
+    return Array.isArray(content) ? resolve(content) : content;
+  };
+  const resolveEntry = async (entry) => {
+    if (isBlobRef(entry)) return resolve(entry);
+    if (entry === null || typeof entry !== "object" || Array.isArray(entry)) return entry;
+    const out = { ...entry };
+    for (const [field, v] of Object.entries(entry)) out[field] = await resolve(v);
+    return out;
+  };
+  return Array.isArray(value) ? Promise.all(value.map(resolveEntry)) : resolveEntry(value);
+}
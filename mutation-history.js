@@ -0,0 +1,157 @@
+// Swayambhu Mutation History — append-only provenance for mutations
+// Every mutation keeps a mutation_history:{id} record from the moment it is
+// staged or applied: what it claimed, the ops and checks it proposed, and
+// one step per lifecycle transition (staged, modified, applied, promoted,
+// rolled back, ...) stamped with the session and reflect depth that took it.
+// Staged and candidate records are deleted as a mutation moves on and
+// snapshots go with them; this record stays, so "why does prompt:orient
+// look like this?" still has an answer after promotion.
+//
+// This module is kernel-level code — imported directly, not loaded from KV.
+// The kernel appends (mutation_history: is kernel-only) and answers queries
+// for the hook through KernelRPC; the dashboard API reads the same records.
+
+export const HISTORY_PREFIX = "mutation_history:";
+
+// Steps that move a mutation to a new status; the others leave it as is
+const STATUS_AFTER = {
+  staged: "staged",
+  applied: "candidate",
+  unapplied: "staged",      // a staged batch member undone when the batch failed
+  promoted: "promoted",
+  rolled_back: "rolled_back",
+  rejected: "rejected",
+  withdrawn: "withdrawn",
+  refused: "refused",
+};
+
+// Fields of the proposal kept at the top of the record, as first recorded —
+// a later version lives in the "modified" step that made it
+const PROPOSAL_FIELDS = ["claims", "ops", "checks", "depends_on", "batch", "on_conflict", "observation", "staged_by_session"];
+
+const METADATA_KEY_CHARS = 600;  // KV metadata is capped at 1024 bytes
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export function historyKey(mutationId) {
+  return `${HISTORY_PREFIX}${mutationId}`;
+}
+
+// ── Recording ───────────────────────────────────────────────
+
+function opKeys(ops) {
+  return (ops || []).map(op => op.key || (op.tool ? `tool:${op.tool}:*` : null)).filter(Boolean);
+}
+
+// The record with one more step. Steps are never rewritten or dropped.
+export function appendStep(history, mutationId, step, proposal = {}) {
+  const record = history
+    ? { ...history, steps: [...(history.steps || []), step] }
+    : { id: mutationId, status: null, target_keys: [], created_at: step.at, steps: [step] };
+
+  for (const field of PROPOSAL_FIELDS) {
+    if (record[field] === undefined && proposal[field] !== undefined) record[field] = proposal[field];
+  }
+  const keys = [...record.target_keys, ...opKeys(proposal.ops), ...opKeys(step.ops), ...(step.target_keys || [])];
+  record.target_keys = [...new Set(keys)];
+  record.status = STATUS_AFTER[step.step] || record.status;
+  record.updated_at = step.at;
+  return record;
+}
+
+// List metadata, so queries can filter without reading every record
+export function historyMetadata(record) {
+  const keys = [];
+  let chars = 0;
+  for (const key of record.target_keys) {
+    chars += key.length + 3;
+    if (chars > METADATA_KEY_CHARS) break;
+    keys.push(key);
+  }
+  return {
+    type: "mutation_history",
+    format: "json",
+    status: record.status,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    target_keys: keys,
+    ...(keys.length < record.target_keys.length ? { keys_truncated: true } : {}),
+  };
+}
+
+// ── Queries ─────────────────────────────────────────────────
+
+// "prompt:orient" matches that key; "tool:kv_read:*" any key under the prefix
+function touches(targetKeys, pattern) {
+  if (pattern.endsWith("*")) {
+    const prefix = pattern.slice(0, -1);
+    return targetKeys.some(k => k.startsWith(prefix) || (k.endsWith("*") && prefix.startsWith(k.slice(0, -1))));
+  }
+  return targetKeys.some(k => k === pattern || (k.endsWith("*") && pattern.startsWith(k.slice(0, -1))));
+}
+
+function inWindow(at, since, until) {
+  const t = new Date(at).getTime();
+  return t >= since && t <= until;
+}
+
+// Mutation histories, newest activity first.
+//   mutation_id  — just that one
+//   key          — mutations whose ops touched the key ("prefix*" for a prefix)
+//   status       — current status (staged, candidate, promoted, rolled_back, ...)
+//   since/until  — ISO times; a mutation matches when any step falls between
+//   days         — shorthand for since = now - days
+//   limit        — default 20, at most 100
+// Returns { mutations, more } — more is true when matches were left out.
+// `kv` is a KV namespace binding (get, list).
+export async function queryHistory(kv, filter = {}) {
+  const { mutation_id, key, status, days } = filter;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, filter.limit || DEFAULT_LIMIT));
+
+  if (mutation_id) {
+    const record = await kv.get(historyKey(mutation_id), "json");
+    return { mutations: record ? [record] : [], more: false };
+  }
+
+  const since = filter.since ? new Date(filter.since).getTime()
+    : days ? Date.now() - days * 86400000
+    : -Infinity;
+  const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+
+  const listed = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: HISTORY_PREFIX, ...(cursor ? { cursor } : {}) });
+    listed.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  // Metadata rules out what it can; records without any are read regardless,
+  // first — so once `limit` records with metadata have matched, everything
+  // left is older than they are
+  const newest = (m) => (m?.updated_at ? String(m.updated_at) : "\uffff");
+  const possible = listed.filter(({ metadata: m }) => {
+    if (!m) return true;
+    if (status && m.status !== status) return false;
+    if (m.updated_at && new Date(m.updated_at).getTime() < since) return false;
+    if (m.created_at && new Date(m.created_at).getTime() > until) return false;
+    if (key && !m.keys_truncated && !touches(m.target_keys || [], key)) return false;
+    return true;
+  }).sort((a, b) => newest(b.metadata).localeCompare(newest(a.metadata)));
+
+  const matched = [];
+  let withMetadata = 0;
+  let more = false;
+  for (const { name, metadata } of possible) {
+    const record = await kv.get(name, "json");
+    if (!record) continue;
+    if (status && record.status !== status) continue;
+    if (key && !touches(record.target_keys || [], key)) continue;
+    if (!(record.steps || []).some(s => inWindow(s.at, since, until))) continue;
+    if (withMetadata === limit) { more = true; break; }
+    matched.push(record);
+    if (metadata?.updated_at) withMetadata++;
+  }
+  matched.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+  return { mutations: matched.slice(0, limit), more: more || matched.length > limit };
+}
@@ -0,0 +1,64 @@
+// Node platform — worker_thread entry for loaded modules.
+// Imports the module's default export, hands it a Request plus an env whose
+// bindings are RPC stubs back to the host thread, and posts the Response back
+// (head, then body chunks).
+
+import { parentPort, workerData } from "node:worker_threads";
+
+const { entryUrl, bindingNames, plainEnv, request } = workerData;
+
+const pending = new Map();
+let nextId = 0;
+
+parentPort.on("message", (msg) => {
+  if (msg.type !== "rpc_result") return;
+  const waiter = pending.get(msg.id);
+  if (!waiter) return;
+  pending.delete(msg.id);
+  if (msg.error !== undefined) waiter.reject(new Error(msg.error));
+  else waiter.resolve(msg.result);
+});
+
+function rpcStub(binding) {
+  return new Proxy({}, {
+    get(_, method) {
+      if (typeof method !== "string" || method === "then") return undefined;
+      return (...args) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        parentPort.postMessage({ type: "rpc", id, binding, method, args });
+      });
+    },
+  });
+}
+
+try {
+  const env = { ...plainEnv };
+  for (const name of bindingNames) env[name] = rpcStub(name);
+
+  const mod = await import(entryUrl);
+  const response = await mod.default.fetch(new Request(request.url, {
+    method: request.method,
+    headers: request.headers,
+    ...(request.body !== null ? { body: request.body } : {}),
+  }), env);
+
+  // Head first, then the body chunk by chunk so streamed responses
+  // (application/x-ndjson adapter events) reach the host as they're produced
+  parentPort.postMessage({
+    type: "response",
+    status: response.status,
+    headers: [...response.headers],
+  });
+  if (response.body) {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parentPort.postMessage({ type: "chunk", data: value });
+    }
+  }
+  parentPort.postMessage({ type: "end" });
+} catch (err) {
+  parentPort.postMessage({ type: "error", error: err?.message || String(err) });
+}
@@ -0,0 +1,142 @@
+// Node platform — file-backed KV namespace.
+// Implements the slice of the CF KV API the kernel uses: get, getWithMetadata,
+// put, delete, list. State lives in memory and is persisted as an append-only
+// JSON-lines log that is replayed on open and compacted when it grows stale.
+//
+// FileKV.open(":memory:") gives a non-persistent store (tests, CI smoke runs).
+
+import { readFileSync, appendFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from "node:fs";
+import { dirname } from "node:path";
+
+export class FileKV {
+  static MEMORY = ":memory:";
+  static COMPACT_MIN_LINES = 1000;
+
+  constructor(path = FileKV.MEMORY) {
+    this.path = path;
+    this.entries = new Map();  // key → { value, metadata, expiration }
+    this.logLines = 0;
+  }
+
+  static async open(path = FileKV.MEMORY) {
+    const kv = new FileKV(path);
+    kv._load();
+    return kv;
+  }
+
+  get persistent() { return this.path !== FileKV.MEMORY; }
+
+  // ── Reads ─────────────────────────────────────────────────
+
+  async get(key, type) {
+    const entry = this._live(key);
+    if (!entry) return null;
+    return FileKV.decode(entry.value, type);
+  }
+
+  async getWithMetadata(key, type) {
+    const entry = this._live(key);
+    if (!entry) return { value: null, metadata: null };
+    return { value: FileKV.decode(entry.value, type), metadata: entry.metadata ?? null };
+  }
+
+  async list({ prefix = "", limit = 1000, cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && this._live(name))
+      .sort();
+    const start = cursor ? Number(cursor) : 0;
+    const page = names.slice(start, start + limit);
+    const complete = start + page.length >= names.length;
+    return {
+      keys: page.map(name => {
+        const { metadata, expiration } = this.entries.get(name);
+        return { name, metadata: metadata ?? null, ...(expiration ? { expiration } : {}) };
+      }),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: String(start + page.length) }),
+    };
+  }
+
+  // ── Writes ────────────────────────────────────────────────
+
+  async put(key, value, opts = {}) {
+    const data = typeof value === "string" ? value : String(value);
+    const expiration = opts.expiration
+      || (opts.expirationTtl ? Math.floor(Date.now() / 1000) + opts.expirationTtl : undefined);
+    const entry = { value: data, metadata: opts.metadata ?? null, expiration };
+    this.entries.set(key, entry);
+    this._append({ k: key, v: data, m: entry.metadata, ...(expiration ? { e: expiration } : {}) });
+  }
+
+  async delete(key) {
+    if (!this.entries.delete(key)) return;
+    this._append({ k: key, d: 1 });
+  }
+
+  // ── Internals ─────────────────────────────────────────────
+
+  static decode(value, type) {
+    const format = typeof type === "object" ? type?.type : type;
+    if (format === "json") return JSON.parse(value);
+    return value;
+  }
+
+  _live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiration && entry.expiration * 1000 <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _load() {
+    if (!this.persistent || !existsSync(this.path)) return;
+    const lines = readFileSync(this.path, "utf8").split("\n");
+    let torn = false;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); }
+      catch { torn = true; continue; }  // torn final line from a crash mid-append
+      if (rec.d) this.entries.delete(rec.k);
+      else this.entries.set(rec.k, { value: rec.v, metadata: rec.m ?? null, expiration: rec.e });
+      this.logLines++;
+    }
+    // Rewrite a torn log so later appends don't land on the broken line
+    if (torn) this.compact();
+    else this._maybeCompact();
+  }
+
+  _append(rec) {
+    if (!this.persistent) return;
+    if (this.logLines === 0) mkdirSync(dirname(this.path), { recursive: true });
+    appendFileSync(this.path, JSON.stringify(rec) + "\n");
+    this.logLines++;
+    this._maybeCompact();
+  }
+
+  _maybeCompact() {
+    if (this.logLines < FileKV.COMPACT_MIN_LINES) return;
+    if (this.logLines < this.entries.size * 2) return;
+    this.compact();
+  }
+
+  // Rewrite the log with one line per live key (atomic via rename)
+  compact() {
+    if (!this.persistent) return;
+    const lines = [];
+    for (const name of this.entries.keys()) {
+      const entry = this._live(name);
+      if (!entry) continue;
+      lines.push(JSON.stringify({ k: name, v: entry.value, m: entry.metadata,
+        ...(entry.expiration ? { e: entry.expiration } : {}) }));
+    }
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.tmp`;
+    writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "");
+    renameSync(tmp, this.path);
+    this.logLines = lines.length;
+  }
+}
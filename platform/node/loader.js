@@ -0,0 +1,151 @@
+// Node platform — Worker Loader emulation.
+// Stands in for the CF [[worker_loaders]] binding (env.LOADER) and for the
+// loopback bindings the kernel builds from ctx.exports. Each loaded worker
+// runs in its own worker_thread with an empty process env; bindings such as
+// KERNEL (KernelRPC) and KV_BRIDGE (ScopedKV) are proxied back to this thread
+// over message passing, so isolate code only ever sees JSON-cloneable data.
+
+import { Worker } from "node:worker_threads";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const ISOLATE_ENTRY = new URL("./isolate.js", import.meta.url);
+
+// Marker for values produced by ctx.exports.* — invoked in the host thread
+class LoopbackBinding {
+  constructor(instance) { this.instance = instance; }
+
+  async invoke(method, args) {
+    const fn = this.instance[method];
+    if (method.startsWith("_") || method === "constructor" || typeof fn !== "function") {
+      throw new Error(`Binding has no RPC method "${method}"`);
+    }
+    return fn.apply(this.instance, args);
+  }
+}
+
+// Emulates ctx.exports: each exported WorkerEntrypoint class becomes a
+// factory that takes { props } and returns a loopback binding.
+export function makeExports(entrypoints, env) {
+  const exports = {};
+  for (const [name, Cls] of Object.entries(entrypoints)) {
+    exports[name] = (opts = {}) => new LoopbackBinding(new Cls({ props: opts.props || {} }, env));
+  }
+  return exports;
+}
+
+export class WorkerLoader {
+  static MAX_CACHED = 100;
+
+  constructor({ maxRuntimeMs = 15 * 60 * 1000, resourceLimits } = {}) {
+    this.maxRuntimeMs = maxRuntimeMs;
+    this.resourceLimits = resourceLimits;
+    this.cache = new Map();  // id → worker config (mirrors LOADER.get caching by id)
+  }
+
+  get(id, factory) {
+    let config = this.cache.get(id);
+    if (!config) {
+      config = factory();
+      this.cache.set(id, config);
+      if (this.cache.size > WorkerLoader.MAX_CACHED) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return {
+      getEntrypoint: () => ({
+        fetch: (request) => this.run(config, request),
+      }),
+    };
+  }
+
+  async run({ mainModule, modules, env = {} }, request) {
+    const dir = await mkdtemp(join(tmpdir(), "swayambhu-isolate-"));
+    try {
+      // Modules keep their manifest names so relative imports resolve;
+      // the entry is re-written under a fixed .mjs name because manifest
+      // names (e.g. "main") need not carry an extension.
+      await writeFile(join(dir, "package.json"), '{"type":"module"}');
+      for (const [name, code] of Object.entries(modules)) {
+        await writeFile(join(dir, name), code);
+      }
+      const entryPath = join(dir, "__entry__.mjs");
+      await writeFile(entryPath, modules[mainModule]);
+
+      const bindings = {};
+      const plainEnv = {};
+      for (const [name, value] of Object.entries(env)) {
+        if (value instanceof LoopbackBinding) bindings[name] = value;
+        else plainEnv[name] = value;
+      }
+
+      const body = request.body ? await request.text() : null;
+      return await this._spawn({
+        entryUrl: pathToFileURL(entryPath).href,
+        bindingNames: Object.keys(bindings),
+        plainEnv,
+        request: {
+          url: request.url,
+          method: request.method,
+          headers: [...request.headers],
+          body,
+        },
+      }, bindings);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  _spawn(workerData, bindings) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(ISOLATE_ENTRY, {
+        workerData,
+        env: {},
+        ...(this.resourceLimits ? { resourceLimits: this.resourceLimits } : {}),
+      });
+      // The Response resolves as soon as its head arrives; the body streams
+      // in afterwards and the worker lives until the body has ended.
+      let body = null;     // ReadableStream controller once the head is in
+      let settled = false;
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        if (!body) reject(err);
+        else if (err) body.error(err);
+        else body.close();
+      };
+      const timer = setTimeout(
+        () => finish(new Error("Isolate exceeded max runtime")),
+        this.maxRuntimeMs,
+      );
+
+      worker.on("message", async (msg) => {
+        if (msg.type === "response") {
+          const stream = new ReadableStream({ start(controller) { body = controller; } });
+          resolve(new Response(stream, { status: msg.status, headers: msg.headers }));
+        } else if (msg.type === "chunk") {
+          body?.enqueue(msg.data);
+        } else if (msg.type === "end") {
+          finish(null);
+        } else if (msg.type === "error") {
+          finish(new Error(msg.error));
+        } else if (msg.type === "rpc") {
+          try {
+            const binding = bindings[msg.binding];
+            if (!binding) throw new Error(`Unknown binding: ${msg.binding}`);
+            const result = await binding.invoke(msg.method, msg.args);
+            worker.postMessage({ type: "rpc_result", id: msg.id, result });
+          } catch (err) {
+            worker.postMessage({ type: "rpc_result", id: msg.id, error: err.message || String(err) });
+          }
+        }
+      });
+      worker.on("error", (err) => finish(err));
+      worker.on("exit", (code) => finish(new Error(`Isolate exited with code ${code}`)));
+    });
+  }
+}
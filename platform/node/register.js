@@ -0,0 +1,6 @@
+// Node platform — preload that maps "cloudflare:workers" to the local shim.
+// Usage: node --import ./platform/node/register.js brainstem-node.js
+
+import { register } from "node:module";
+
+register("./resolve-hooks.js", import.meta.url);
@@ -0,0 +1,10 @@
+// Node platform — module resolution hooks (registered by register.js).
+
+const SHIM_URL = new URL("./workers-shim.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "cloudflare:workers") {
+    return { url: SHIM_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
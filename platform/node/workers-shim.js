@@ -0,0 +1,10 @@
+// Node platform — stand-in for the "cloudflare:workers" module.
+// WorkerEntrypoint subclasses are constructed with (ctx, env) just like the
+// CF runtime does, so ScopedKV/KernelRPC keep reading this.ctx.props and this.env.
+
+export class WorkerEntrypoint {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
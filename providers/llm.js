@@ -1,14 +1,24 @@
-export const meta = { secrets: ["OPENROUTER_API_KEY"], timeout_ms: 60000 };
+export const meta = { secrets: ["OPENROUTER_API_KEY"], timeout_ms: 60000, structured_output: true };
 
-export async function call({ model, messages, max_tokens, thinking, tools, secrets, fetch }) {
+function requestBody({ model, messages, max_tokens, thinking, tools, output_schema }) {
   const body = { model, max_tokens, messages };
   if (thinking) {
     body.provider = { require_parameters: true };
     body.thinking = thinking;
   }
   if (tools) body.tools = tools;
+  if (output_schema) {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: output_schema.name, strict: false, schema: output_schema.schema },
+    };
+  }
   if (model?.startsWith('anthropic/')) body.cache_control = { type: 'ephemeral' };
-  const resp = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+  return body;
+}
+
+function post(body, secrets, fetch) {
+  return fetch("https://openrouter.ai/api/v1/chat/completions", {
     method: "POST",
     headers: {
       "Authorization": "Bearer " + secrets.OPENROUTER_API_KEY,
@@ -16,8 +26,17 @@ export async function call({ model, messages, max_tokens, thinking, tools, secre
     },
     body: JSON.stringify(body)
   });
+}
+
+export async function call({ secrets, fetch, ...request }) {
+  const resp = await post(requestBody(request), secrets, fetch);
   const data = await resp.json();
-  if (!resp.ok || data.error) throw new Error(JSON.stringify(data.error));
+  // The kernel reads `status` and `headers` off the error to decide whether
+  // and when to retry
+  if (!resp.ok || data.error) {
+    throw Object.assign(new Error(JSON.stringify(data.error || { status: resp.status })),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
   const msg = data.choices?.[0]?.message;
   return {
     content: (msg?.content || "").trim(),
@@ -25,3 +44,49 @@ export async function call({ model, messages, max_tokens, thinking, tools, secre
     toolCalls: msg?.tool_calls || null,
   };
 }
+
+// Streaming variant: yields { type: "text", text } as tokens arrive, then one
+// { type: "done", usage, toolCalls }. Tool call fragments are reassembled here.
+export async function* stream({ secrets, fetch, ...request }) {
+  const body = { ...requestBody(request), stream: true, stream_options: { include_usage: true } };
+  const resp = await post(body, secrets, fetch);
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}));
+    throw Object.assign(new Error(JSON.stringify(data.error || { status: resp.status })),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  const toolCalls = [];
+  let usage = {};
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      // SSE: "data: {...}" payloads; ":" lines are keep-alive comments
+      if (!line.startsWith("data: ")) continue;
+      const payload = line.slice(6).trim();
+      if (payload === "[DONE]") continue;
+      const data = JSON.parse(payload);
+      if (data.error) throw new Error(JSON.stringify(data.error));
+      if (data.usage) usage = data.usage;
+      const delta = data.choices?.[0]?.delta;
+      if (delta?.content) yield { type: "text", text: delta.content };
+      for (const part of delta?.tool_calls || []) {
+        const tc = toolCalls[part.index]
+          || (toolCalls[part.index] = { id: part.id, type: "function", function: { name: "", arguments: "" } });
+        if (part.id) tc.id = part.id;
+        if (part.function?.name) tc.function.name += part.function.name;
+        if (part.function?.arguments) tc.function.arguments += part.function.arguments;
+      }
+    }
+  }
+
+  yield { type: "done", usage, toolCalls: toolCalls.length ? toolCalls.filter(Boolean) : null };
+}
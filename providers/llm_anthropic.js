@@ -0,0 +1,178 @@
+// Native Anthropic Messages API adapter — same call() contract as providers/llm.js.
+// Translates the kernel's OpenAI-style request: system messages become the
+// system blocks, tool_calls/tool results become tool_use/tool_result blocks,
+// and thinking effort becomes a thinking token budget. Thinking blocks come
+// back as `thinking` so the caller can return them with the next turn.
+// No native structured output (meta.structured_output is unset): the kernel
+// keeps output schemas out of the request and checks final outputs itself.
+
+export const meta = { secrets: ["ANTHROPIC_API_KEY"], timeout_ms: 120000 };
+
+const API_URL = "https://api.anthropic.com/v1/messages";
+const THINKING_BUDGET = { low: 2048, medium: 8192, high: 24576 };
+
+function toBlocks(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: "text", text: String(content) }] : [];
+}
+
+function parseArgs(args) {
+  if (typeof args !== "string") return args || {};
+  try { return JSON.parse(args || "{}"); } catch { return {}; }
+}
+
+export function toAnthropicRequest({ model, messages, max_tokens, thinking, tools }) {
+  const system = [];
+  const turns = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = turns[turns.length - 1];
+    // The API wants strictly alternating roles — merge consecutive turns
+    if (last?.role === role) last.content.push(...blocks);
+    else turns.push({ role, content: [...blocks] });
+  };
+
+  for (const m of messages || []) {
+    if (m.role === "system") {
+      system.push(...toBlocks(m.content));
+    } else if (m.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: m.tool_call_id, content: String(m.content ?? "") }]);
+    } else if (m.role === "assistant") {
+      push("assistant", [
+        ...(m.thinking || []),
+        ...toBlocks(m.content),
+        ...(m.tool_calls || []).map(tc => ({
+          type: "tool_use", id: tc.id, name: tc.function.name, input: parseArgs(tc.function.arguments),
+        })),
+      ]);
+    } else {
+      push("user", toBlocks(m.content));
+    }
+  }
+
+  // Cache breakpoints: end of tools, end of system, end of the conversation so
+  // far — each turn re-reads the previous turn's prefix from cache
+  const body = { model, max_tokens: max_tokens || 1000, messages: turns };
+  if (system.length) {
+    system[system.length - 1] = { ...system[system.length - 1], cache_control: { type: "ephemeral" } };
+    body.system = system;
+  }
+  if (tools?.length) {
+    body.tools = tools.map(t => ({
+      name: t.function.name,
+      description: t.function.description,
+      input_schema: t.function.parameters || { type: "object", properties: {} },
+    }));
+    body.tools[body.tools.length - 1].cache_control = { type: "ephemeral" };
+  }
+  const lastTurn = turns[turns.length - 1];
+  if (lastTurn) {
+    const i = lastTurn.content.length - 1;
+    lastTurn.content[i] = { ...lastTurn.content[i], cache_control: { type: "ephemeral" } };
+  }
+
+  if (thinking) {
+    const budget = THINKING_BUDGET[thinking.effort] || THINKING_BUDGET.low;
+    body.thinking = { type: "enabled", budget_tokens: budget };
+    body.max_tokens += budget;  // thinking spends from max_tokens — keep the output allowance
+  }
+  return body;
+}
+
+function toUsage(u = {}) {
+  const cacheRead = u.cache_read_input_tokens || 0;
+  const cacheWrite = u.cache_creation_input_tokens || 0;
+  return {
+    prompt_tokens: (u.input_tokens || 0) + cacheRead + cacheWrite,
+    completion_tokens: u.output_tokens || 0,
+    cache_read_tokens: cacheRead,
+    cache_write_tokens: cacheWrite,
+  };
+}
+
+export function fromAnthropicResponse(data) {
+  const blocks = data.content || [];
+  const toolCalls = blocks.filter(b => b.type === "tool_use").map(b => ({
+    id: b.id, type: "function", function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+  }));
+  const thinking = blocks.filter(b => b.type === "thinking" || b.type === "redacted_thinking");
+  return {
+    content: blocks.filter(b => b.type === "text").map(b => b.text).join("").trim(),
+    usage: toUsage(data.usage),
+    toolCalls: toolCalls.length ? toolCalls : null,
+    ...(thinking.length ? { thinking } : {}),
+  };
+}
+
+function post(body, secrets, fetch) {
+  return fetch(API_URL, {
+    method: "POST",
+    headers: {
+      "x-api-key": secrets.ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+export async function call({ secrets, fetch, ...request }) {
+  const resp = await post(toAnthropicRequest(request), secrets, fetch);
+  const data = await resp.json();
+  if (!resp.ok || data.type === "error") {
+    throw Object.assign(new Error(JSON.stringify(data.error || data)),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
+  return fromAnthropicResponse(data);
+}
+
+// Streaming variant (see providers/llm.js). Content blocks are rebuilt from
+// their deltas so the final event carries the same shape call() returns.
+export async function* stream({ secrets, fetch, ...request }) {
+  const resp = await post({ ...toAnthropicRequest(request), stream: true }, secrets, fetch);
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}));
+    throw Object.assign(new Error(JSON.stringify(data.error || { status: resp.status })),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  const blocks = [];
+  let usage = {};
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith("data: ")) continue;
+      const event = JSON.parse(line.slice(6));
+      if (event.type === "error") throw new Error(JSON.stringify(event.error));
+      if (event.type === "message_start") usage = { ...event.message.usage };
+      if (event.type === "message_delta" && event.usage) usage = { ...usage, ...event.usage };
+      if (event.type === "content_block_start") {
+        blocks[event.index] = { ...event.content_block, _json: "" };
+      }
+      if (event.type === "content_block_delta") {
+        const block = blocks[event.index];
+        const d = event.delta;
+        if (d.type === "text_delta") {
+          block.text = (block.text || "") + d.text;
+          yield { type: "text", text: d.text };
+        }
+        if (d.type === "input_json_delta") block._json += d.partial_json;
+        if (d.type === "thinking_delta") block.thinking = (block.thinking || "") + d.thinking;
+        if (d.type === "signature_delta") block.signature = d.signature;
+      }
+    }
+  }
+
+  const content = blocks.filter(Boolean).map(({ _json, ...b }) =>
+    b.type === "tool_use" ? { ...b, input: parseArgs(_json) } : b);
+  const result = fromAnthropicResponse({ content, usage });
+  yield { type: "done", usage: result.usage, toolCalls: result.toolCalls, ...(result.thinking ? { thinking: result.thinking } : {}) };
+}
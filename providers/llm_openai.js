@@ -0,0 +1,96 @@
+// OpenAI-compatible chat completions adapter — same call() contract as
+// providers/llm.js, for any server speaking /v1/chat/completions (OpenAI,
+// a local llama.cpp or vLLM server, ...). The endpoint comes from the
+// model's base_url in config:models; the API key is optional.
+// Thinking effort is not sent — most compatible servers reject unknown fields.
+
+export const meta = { secrets: ["OPENAI_API_KEY"], timeout_ms: 120000, structured_output: true };
+
+const DEFAULT_BASE_URL = "http://localhost:8080/v1";
+
+// Only the fields the chat completions schema defines — kernel-side extras
+// (e.g. Anthropic thinking blocks on assistant turns) are dropped
+function toMessage(m) {
+  const out = { role: m.role, content: m.content ?? null };
+  if (m.tool_calls) out.tool_calls = m.tool_calls;
+  if (m.tool_call_id) out.tool_call_id = m.tool_call_id;
+  if (m.name) out.name = m.name;
+  return out;
+}
+
+function post({ model, messages, max_tokens, tools, base_url, output_schema }, extra, secrets, fetch) {
+  const body = { model, max_tokens, messages: (messages || []).map(toMessage), ...extra };
+  if (tools?.length) body.tools = tools;
+  // Non-strict: the kernel validates the final output against the schema itself
+  if (output_schema) {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: output_schema.name, strict: false, schema: output_schema.schema },
+    };
+  }
+  const headers = { "Content-Type": "application/json" };
+  if (secrets.OPENAI_API_KEY) headers.Authorization = "Bearer " + secrets.OPENAI_API_KEY;
+  return fetch(`${(base_url || DEFAULT_BASE_URL).replace(/\/$/, "")}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+}
+
+export async function call({ secrets, fetch, ...request }) {
+  const resp = await post(request, {}, secrets, fetch);
+  const data = await resp.json();
+  if (!resp.ok || data.error) {
+    throw Object.assign(new Error(JSON.stringify(data.error || { status: resp.status })),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
+  const msg = data.choices?.[0]?.message;
+  return {
+    content: (msg?.content || "").trim(),
+    usage: data.usage || {},
+    toolCalls: msg?.tool_calls?.length ? msg.tool_calls : null,
+  };
+}
+
+// Streaming variant (see providers/llm.js)
+export async function* stream({ secrets, fetch, ...request }) {
+  const resp = await post(request, { stream: true, stream_options: { include_usage: true } }, secrets, fetch);
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}));
+    throw Object.assign(new Error(JSON.stringify(data.error || { status: resp.status })),
+      { status: resp.status, headers: Object.fromEntries(resp.headers || []) });
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  const toolCalls = [];
+  let usage = {};
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith("data: ")) continue;
+      const payload = line.slice(6).trim();
+      if (payload === "[DONE]") continue;
+      const data = JSON.parse(payload);
+      if (data.error) throw new Error(JSON.stringify(data.error));
+      if (data.usage) usage = data.usage;
+      const delta = data.choices?.[0]?.delta;
+      if (delta?.content) yield { type: "text", text: delta.content };
+      for (const part of delta?.tool_calls || []) {
+        const tc = toolCalls[part.index]
+          || (toolCalls[part.index] = { id: part.id, type: "function", function: { name: "", arguments: "" } });
+        if (part.id) tc.id = part.id;
+        if (part.function?.name) tc.function.name += part.function.name;
+        if (part.function?.arguments) tc.function.arguments += part.function.arguments;
+      }
+    }
+  }
+
+  yield { type: "done", usage, toolCalls: toolCalls.length ? toolCalls.filter(Boolean) : null };
+}
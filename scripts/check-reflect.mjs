@@ -10,8 +10,19 @@ const mf = new Miniflare({
 const kv = await mf.getKVNamespace("KV");
 const ids = JSON.parse(await kv.get("cache:session_ids"));
 
+// Reassemble chunked karma (karma:{sid} = { chunks: n } over karma:{sid}:{seq})
+async function readKarma(sid) {
+  const head = JSON.parse(await kv.get("karma:" + sid));
+  if (Array.isArray(head)) return head;
+  const entries = [];
+  for (let seq = 0; seq < head.chunks; seq++) {
+    entries.push(...(JSON.parse(await kv.get(`karma:${sid}:${seq}`)) || []));
+  }
+  return entries;
+}
+
 for (const sid of ids.slice(-2)) {
-  const karma = JSON.parse(await kv.get("karma:" + sid));
+  const karma = await readKarma(sid);
   const reflect = karma.find(e => e.step === "reflect_turn_0");
   if (!reflect || !reflect.response) {
     console.log(sid, ": no reflect response");
@@ -34,7 +45,7 @@ for (const sid of ids.slice(-2)) {
 
 // Also check: did budget_exceeded fire during reflect?
 for (const sid of ids.slice(-2)) {
-  const karma = JSON.parse(await kv.get("karma:" + sid));
+  const karma = await readKarma(sid);
   const budgetEvents = karma.filter(e => e.type === "budget_exceeded" || e.event === "budget_exceeded");
   const reflectEvents = karma.filter(e => e.step && e.step.startsWith("reflect"));
   console.log(`=== ${sid} budget/reflect timeline ===`);
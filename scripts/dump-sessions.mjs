@@ -38,8 +38,10 @@ for (const id of ids) {
   console.log();
 }
 
-const tools = JSON.parse(await kv.get("config:tool_registry"));
+const toolMetas = (await kv.list({ prefix: "tool:" })).keys
+  .map(k => k.name.match(/^tool:([^:]+):meta$/)?.[1])
+  .filter(Boolean);
 console.log("=== TOOLS ===");
-console.log(tools.tools.map(x => x.name).join(", "));
+console.log(toolMetas.join(", "));
 
 await mf.dispose();
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+// KV bundle export/import — move an agent's whole store between KV backends.
+//
+// Usage:
+//   node scripts/kv-bundle.mjs export <bundle.json> [store] [filters]
+//   node scripts/kv-bundle.mjs import <bundle.json> [store] [filters] [--dry-run] [--force]
+//   node scripts/kv-bundle.mjs verify <bundle.json>
+//
+// Store (default: local Miniflare state in .wrangler/shared-state):
+//   --remote [--namespace <id>]   CF KV via REST (CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN)
+//   --file <path>                 FileKV log used by brainstem-node.js
+//
+// Filters (comma-separated key prefixes, applied on export and on import):
+//   --include karma:,config:      only keys starting with one of these
+//   --exclude karma:,chat:        drop keys starting with one of these
+//
+// Import verifies every entry hash and the manifest before writing anything,
+// and refuses to overwrite a different dharma unless --force is given.
+
+import { createHash } from "crypto";
+import { readFileSync, writeFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = resolve(__dirname, "..");
+
+const KV_NAMESPACE_ID = "05720444f9654ed4985fb67af4aea24d";
+
+export const BUNDLE_FORMAT = "swayambhu-kv-bundle";
+export const BUNDLE_VERSION = 1;
+
+// ── Hashing ───────────────────────────────────────────────────
+
+export function sha256(text) {
+  return createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+// Digest over the sorted (key, value hash, metadata) triples — detects
+// added, dropped, reordered or edited entries in one comparison.
+function entriesHash(entries) {
+  const lines = entries
+    .map(e => `${e.key}\t${e.sha256}\t${JSON.stringify(e.metadata ?? null)}`)
+    .sort();
+  return sha256(lines.join("\n"));
+}
+
+// ── Filters ───────────────────────────────────────────────────
+
+export function matchesFilters(key, { include = [], exclude = [] } = {}) {
+  if (include.length && !include.some(p => key.startsWith(p))) return false;
+  if (exclude.some(p => key.startsWith(p))) return false;
+  return true;
+}
+
+// ── Export ────────────────────────────────────────────────────
+
+async function listAll(kv) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ limit: 1000, ...(cursor ? { cursor } : {}) });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+export async function exportBundle(kv, { include = [], exclude = [], source = null } = {}) {
+  const entries = [];
+  for (const { name, metadata, expiration } of await listAll(kv)) {
+    if (!matchesFilters(name, { include, exclude })) continue;
+    const value = await kv.get(name, "text");
+    if (value === null) continue;  // deleted or expired since listing
+    entries.push({
+      key: name,
+      value,
+      metadata: metadata ?? null,
+      ...(expiration ? { expiration } : {}),
+      sha256: sha256(value),
+    });
+  }
+  entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  const counter = await kv.get("session_counter", "text");
+  const dharma = await kv.get("dharma", "text");
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    created_at: new Date().toISOString(),
+    manifest: {
+      source,
+      key_count: entries.length,
+      session_counter: counter !== null ? Number(counter) : null,
+      dharma_hash: dharma !== null ? sha256(dharma) : null,
+      filters: { include, exclude },
+      entries_hash: entriesHash(entries),
+    },
+    entries,
+  };
+}
+
+// ── Verify ────────────────────────────────────────────────────
+
+// Returns a list of problems; empty means the bundle is intact.
+export function verifyBundle(bundle) {
+  const errors = [];
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    return [`not a ${BUNDLE_FORMAT} (format: ${bundle?.format})`];
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return [`unsupported bundle version ${bundle.version} (expected ${BUNDLE_VERSION})`];
+  }
+  const { manifest, entries } = bundle;
+  if (!manifest || !Array.isArray(entries)) return ["missing manifest or entries"];
+
+  const seen = new Set();
+  for (const entry of entries) {
+    if (typeof entry.key !== "string" || typeof entry.value !== "string") {
+      errors.push(`malformed entry: ${JSON.stringify(entry.key)}`);
+      continue;
+    }
+    if (seen.has(entry.key)) errors.push(`duplicate key: ${entry.key}`);
+    seen.add(entry.key);
+    if (sha256(entry.value) !== entry.sha256) errors.push(`hash mismatch: ${entry.key}`);
+  }
+
+  if (entries.length !== manifest.key_count) {
+    errors.push(`key_count ${manifest.key_count} but bundle has ${entries.length} entries`);
+  }
+  if (entriesHash(entries) !== manifest.entries_hash) {
+    errors.push("entries_hash mismatch");
+  }
+
+  const dharma = entries.find(e => e.key === "dharma");
+  if (dharma && sha256(dharma.value) !== manifest.dharma_hash) {
+    errors.push("dharma does not match manifest dharma_hash");
+  }
+  const counter = entries.find(e => e.key === "session_counter");
+  if (counter && Number(counter.value) !== manifest.session_counter) {
+    errors.push("session_counter does not match manifest");
+  }
+  return errors;
+}
+
+// ── Import ────────────────────────────────────────────────────
+
+export async function importBundle(kv, bundle, {
+  include = [], exclude = [], dryRun = false, force = false,
+} = {}) {
+  const errors = verifyBundle(bundle);
+  if (errors.length) {
+    throw new Error(`Bundle failed verification:\n  ${errors.join("\n  ")}`);
+  }
+
+  const entries = bundle.entries.filter(e => matchesFilters(e.key, { include, exclude }));
+
+  // Dharma is the agent's identity — never silently swap it for another one
+  const incomingDharma = entries.find(e => e.key === "dharma");
+  if (incomingDharma && !force) {
+    const existing = await kv.get("dharma", "text");
+    if (existing !== null && sha256(existing) !== bundle.manifest.dharma_hash) {
+      throw new Error("Target store has a different dharma — re-run with --force to overwrite");
+    }
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  let written = 0;
+  let skipped = 0;
+  for (const entry of entries) {
+    if (entry.expiration && entry.expiration <= nowSec) { skipped++; continue; }
+    if (!dryRun) {
+      await kv.put(entry.key, entry.value, {
+        ...(entry.metadata ? { metadata: entry.metadata } : {}),
+        ...(entry.expiration ? { expiration: entry.expiration } : {}),
+      });
+    }
+    written++;
+  }
+  return { written, skipped, filtered: bundle.entries.length - entries.length, dryRun };
+}
+
+// ── Remote KV (Cloudflare REST API) ──────────────────────────
+
+// Minimal KV-shaped client so export/import code is store-agnostic.
+export class RemoteKV {
+  constructor({ accountId, apiToken, namespaceId, fetchFn = fetch }) {
+    if (!accountId || !apiToken) {
+      throw new Error("Remote KV needs CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN");
+    }
+    this.base = `https://api.cloudflare.com/client/v4/accounts/${accountId}/storage/kv/namespaces/${namespaceId}`;
+    this.headers = { Authorization: `Bearer ${apiToken}` };
+    this.fetch = fetchFn;
+  }
+
+  async _request(path, init = {}) {
+    const resp = await this.fetch(`${this.base}${path}`, {
+      ...init,
+      headers: { ...this.headers, ...(init.headers || {}) },
+    });
+    if (resp.status === 404) return null;
+    if (!resp.ok) {
+      throw new Error(`KV API ${init.method || "GET"} ${path}: ${resp.status} ${await resp.text()}`);
+    }
+    return resp;
+  }
+
+  async list({ prefix, limit = 1000, cursor } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (prefix) params.set("prefix", prefix);
+    if (cursor) params.set("cursor", cursor);
+    const data = await (await this._request(`/keys?${params}`)).json();
+    const next = data.result_info?.cursor;
+    return {
+      keys: data.result,
+      list_complete: !next,
+      ...(next ? { cursor: next } : {}),
+    };
+  }
+
+  async get(key, type) {
+    const resp = await this._request(`/values/${encodeURIComponent(key)}`);
+    if (!resp) return null;
+    const text = await resp.text();
+    return type === "json" ? JSON.parse(text) : text;
+  }
+
+  async getWithMetadata(key, type) {
+    const value = await this.get(key, type);
+    if (value === null) return { value: null, metadata: null };
+    const meta = await this._request(`/metadata/${encodeURIComponent(key)}`);
+    return { value, metadata: meta ? (await meta.json()).result : null };
+  }
+
+  async put(key, value, { metadata, expiration } = {}) {
+    const form = new FormData();
+    form.set("value", value);
+    form.set("metadata", JSON.stringify(metadata ?? {}));
+    const params = expiration ? `?expiration=${expiration}` : "";
+    await this._request(`/values/${encodeURIComponent(key)}${params}`, { method: "PUT", body: form });
+  }
+
+  async delete(key) {
+    await this._request(`/values/${encodeURIComponent(key)}`, { method: "DELETE" });
+  }
+}
+
+// ── Store selection ───────────────────────────────────────────
+
+async function openStore(args) {
+  if (args.includes("--remote")) {
+    const namespaceId = argValue(args, "--namespace") || KV_NAMESPACE_ID;
+    return {
+      kv: new RemoteKV({
+        accountId: process.env.CLOUDFLARE_ACCOUNT_ID,
+        apiToken: process.env.CLOUDFLARE_API_TOKEN,
+        namespaceId,
+      }),
+      label: `remote:${namespaceId}`,
+      close: async () => {},
+    };
+  }
+  const file = argValue(args, "--file");
+  if (file) {
+    const { FileKV } = await import(pathToFileURL(resolve(root, "platform/node/kv.js")).href);
+    return { kv: await FileKV.open(resolve(file)), label: `file:${file}`, close: async () => {} };
+  }
+  const { Miniflare } = await import("miniflare");
+  const mf = new Miniflare({
+    modules: true,
+    script: "export default { fetch() { return new Response('ok'); } }",
+    kvPersist: resolve(root, ".wrangler/shared-state/v3/kv"),
+    kvNamespaces: { KV: KV_NAMESPACE_ID },
+  });
+  return { kv: await mf.getKVNamespace("KV"), label: "local", close: () => mf.dispose() };
+}
+
+function argValue(args, flag) {
+  const i = args.indexOf(flag);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+function prefixList(args, flag) {
+  const v = argValue(args, flag);
+  return v ? v.split(",").map(s => s.trim()).filter(Boolean) : [];
+}
+
+// ── CLI ───────────────────────────────────────────────────────
+
+async function main(argv) {
+  const [command, path, ...args] = argv;
+  const filters = { include: prefixList(args, "--include"), exclude: prefixList(args, "--exclude") };
+
+  if (!["export", "import", "verify"].includes(command) || !path) {
+    console.error("Usage: node scripts/kv-bundle.mjs <export|import|verify> <bundle.json> [options]");
+    process.exit(2);
+  }
+
+  if (command === "verify") {
+    const bundle = JSON.parse(readFileSync(path, "utf8"));
+    const errors = verifyBundle(bundle);
+    if (errors.length) {
+      console.error(`✗ ${path} failed verification:`);
+      for (const e of errors) console.error(`  ${e}`);
+      process.exit(1);
+    }
+    const m = bundle.manifest;
+    console.log(`✓ ${path}: ${m.key_count} keys, session_counter=${m.session_counter}, dharma=${m.dharma_hash?.slice(0, 12) ?? "none"}`);
+    return;
+  }
+
+  const store = await openStore(args);
+  try {
+    if (command === "export") {
+      const bundle = await exportBundle(store.kv, { ...filters, source: store.label });
+      writeFileSync(path, JSON.stringify(bundle, null, 2));
+      console.log(`Exported ${bundle.manifest.key_count} keys from ${store.label} → ${path}`);
+    } else {
+      const bundle = JSON.parse(readFileSync(path, "utf8"));
+      const result = await importBundle(store.kv, bundle, {
+        ...filters,
+        dryRun: args.includes("--dry-run"),
+        force: args.includes("--force"),
+      });
+      console.log(`${result.dryRun ? "Would import" : "Imported"} ${result.written} keys into ${store.label}`
+        + ` (${result.filtered} filtered, ${result.skipped} expired)`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -38,6 +38,8 @@ const hookModules = {
   "hook:wake:reflect": { file: "hook-reflect.js", desc: "Wake hook reflect module" },
   "hook:wake:mutations": { file: "hook-mutations.js", desc: "Wake hook mutations module" },
   "hook:wake:protect": { file: "hook-protect.js", desc: "Wake hook protect module" },
+  "hook:wake:retention": { file: "hook-retention.js", desc: "Wake hook retention module" },
+  "hook:wake:schedule": { file: "hook-schedule.js", desc: "Wake hook schedule module" },
 };
 for (const [kvKey, { file, desc }] of Object.entries(hookModules)) {
   const code = read(file);
@@ -49,6 +51,8 @@ await kv.put("hook:wake:manifest", JSON.stringify({
   "hook-reflect.js": "hook:wake:reflect",
   "hook-mutations.js": "hook:wake:mutations",
   "hook-protect.js": "hook:wake:protect",
+  "hook-retention.js": "hook:wake:retention",
+  "hook-schedule.js": "hook:wake:schedule",
 }), { metadata: { format: "json", description: "Wake hook module manifest" } });
 console.log("patched hook:wake:manifest");
 
@@ -49,6 +49,27 @@ async function kvGetWithMeta(key) {
   }
 }
 
+// karma:{sid} is an index { chunks: n } over karma:{sid}:{seq}
+// (older sessions hold the whole array there directly)
+async function readKarma(sessionId) {
+  const head = await kvGet(`karma:${sessionId}`);
+  if (head === null || Array.isArray(head)) return head;
+  const entries = [];
+  for (let seq = 0; seq < (head.chunks || 0); seq++) {
+    const chunk = await kvGet(`karma:${sessionId}:${seq}`);
+    if (Array.isArray(chunk)) entries.push(...chunk);
+  }
+  return entries;
+}
+
+// Large karma payloads are stored as { $blob: "blob:<sha256>", bytes } refs
+async function resolveBlob(value) {
+  if (value === null || typeof value !== "object" || typeof value.$blob !== "string") return value;
+  const content = await kvGet(value.$blob);
+  if (content === null) throw new Error(`Missing ${value.$blob} referenced from karma`);
+  return content;
+}
+
 async function kvPut(key, value, metadata = {}) {
   const val = typeof value === "string" ? value : JSON.stringify(value);
   await kv.put(key, val, { metadata });
@@ -88,7 +109,7 @@ console.log();
 
 // ── Load karma ────────────────────────────────────────────
 
-const karma = await kvGet(`karma:${targetId}`);
+const karma = await readKarma(targetId);
 if (!Array.isArray(karma)) {
   console.error(`No karma log found for session ${targetId}. Cannot determine what to undo.`);
   await mf.dispose();
@@ -101,6 +122,8 @@ const plan = { deletes: [], restores: [], warnings: [] };
 
 // 1. Session artifacts to delete
 plan.deletes.push(`karma:${targetId}`);
+const karmaChunks = await kv.list({ prefix: `karma:${targetId}:`, limit: 1000 });
+for (const k of karmaChunks.keys) plan.deletes.push(k.name);
 plan.deletes.push(`reflect:0:${targetId}`);
 
 // Check for deep reflections at any depth
@@ -124,7 +147,7 @@ for (const pw of privilegedWrites) {
   } else {
     plan.restores.push({
       key: pw.key,
-      value: pw.old_value,
+      value: await resolveBlob(pw.old_value),
       reason: "privileged_write reversal",
     });
   }
@@ -221,7 +244,7 @@ if (lastDanger?.session_id === targetId) {
 if (lastDanger && lastDanger.session_id !== targetId) {
   const orphanId = lastDanger.session_id;
   const inSessionIds = sessionIds.includes(orphanId);
-  const orphanKarma = await kvGet(`karma:${orphanId}`);
+  const orphanKarma = await readKarma(orphanId);
   if (!inSessionIds && orphanKarma) {
     plan.warnings.push(
       `Orphan session ${orphanId} left last_danger (event: ${lastDanger.event}) ` +
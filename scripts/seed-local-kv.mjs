@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 // Fast local KV seeder — single process using Miniflare API.
-// Usage: node scripts/seed-local-kv.mjs
+// Usage: node scripts/seed-local-kv.mjs [--file <path>]
+//
+// --file seeds a FileKV log for the Node runtime (brainstem-node.js)
+// instead of the wrangler/Miniflare store.
 //
 // Replaces ~50 wrangler subprocess spawns with one Miniflare instance.
 // Seeds the same keys as scripts/seed-local-kv.sh.
@@ -17,14 +20,23 @@ const read = (rel) => readFileSync(resolve(root, rel), "utf8");
 
 const KV_NAMESPACE_ID = "05720444f9654ed4985fb67af4aea24d";
 
-const mf = new Miniflare({
-  modules: true,
-  script: "export default { fetch() { return new Response('ok'); } }",
-  kvPersist: resolve(root, ".wrangler/shared-state/v3/kv"),
-  kvNamespaces: { KV: KV_NAMESPACE_ID },
-});
-
-const kv = await mf.getKVNamespace("KV");
+const fileArg = process.argv.indexOf("--file");
+const filePath = fileArg !== -1 ? resolve(process.argv[fileArg + 1] || "workspace/kv.jsonl") : null;
+
+let mf = null;
+let kv;
+if (filePath) {
+  const { FileKV } = await importLocal("platform/node/kv.js");
+  kv = await FileKV.open(filePath);
+} else {
+  mf = new Miniflare({
+    modules: true,
+    script: "export default { fetch() { return new Response('ok'); } }",
+    kvPersist: resolve(root, ".wrangler/shared-state/v3/kv"),
+    kvNamespaces: { KV: KV_NAMESPACE_ID },
+  });
+  kv = await mf.getKVNamespace("KV");
+}
 
 let count = 0;
 
@@ -62,6 +74,8 @@ await put("config:defaults", {
   orient: { model: "anthropic/claude-opus-4.6", effort: "low", max_output_tokens: 4000 },
   reflect: { model: "anthropic/claude-sonnet-4.6", effort: "medium", max_output_tokens: 1000 },
   session_budget: { max_cost: 0.15, max_steps: 8, max_duration_seconds: 600, reflect_reserve_pct: 0.33 },
+  session_lock: { lease_seconds: 300, renew_every_seconds: 60, alert_after_seconds: 1800 },
+  cost_budget: { daily: 2.00, weekly: 10.00, monthly: 30.00 },
   chat: {
     model: "sonnet",
     effort: "low",
@@ -69,15 +83,27 @@ await put("config:defaults", {
     max_tool_rounds: 5,
     max_output_tokens: 1000,
     max_history_messages: 40,
+    stream_replies: true,
+    stream_update_ms: 1000,
   },
-  failure_handling: { retries: 1, on_fail: "skip_and_cascade" },
+  provider_health: { failure_threshold: 3, cooldown_seconds: 300, rate_limit_cooldown_seconds: 60 },
+  failure_handling: { retries: 1, backoff_ms: 1000, max_backoff_ms: 30000, on_fail: "skip_and_cascade" },
   wake: { sleep_seconds: 21600, default_effort: "low" },
   memory: { default_load_keys: ["wisdom", "config:models", "config:resources"], max_context_budget_tokens: 8000 },
+  retention: { keep_sessions: 30, delete_after_days: 365, max_sessions_per_run: 20 },
   execution: {
     max_subplan_depth: 3, max_reflect_depth: 1, reflect_interval_multiplier: 5,
     max_steps: { orient: 3, reflect_default: 5, reflect_deep: 10 },
     fallback_model: "anthropic/claude-haiku-4.5",
+    output_repair_turns: 1,
+    subplans: { max_cost: 0.05, max_steps: 5, max_seconds: 300, max_concurrent: 3 },
+    tool_results: { max_bytes: 12000, page_bytes: 12000, ttl_seconds: 86400, tools: { akash_exec: { max_tokens: 2000 } } },
+    compaction: { default: { enabled: false, trigger_tokens: 24000, keep_recent_turns: 2, min_result_bytes: 2000, summary_tokens: 300 } },
   },
+  mutation_checks: { sessions: 5, judge_model: "haiku", pass_score: 0.7 },
+  mutation_observation: { sessions: 3, promote: "auto", max_failures: 2, max_evidence: 20 },
+  events: { ttl_seconds: 604800, max_queued: 200, max_body_bytes: 65536, dedupe_seconds: 604800, max_in_context: 20 },
+  tasks: { max_cost: 0.25, max_slices: 20, slice_steps: 5, slice_seconds: 120, max_active: 5, max_per_wake: 3, max_cost_per_wake: 0.10, keep_finished_days: 7, run_between_wakes: false },
   deep_reflect: {
     default_interval_sessions: 5, default_interval_days: 7,
     model: "anthropic/claude-opus-4.6", effort: "high", max_output_tokens: 4000, budget_multiplier: 3.0,
@@ -92,6 +118,7 @@ await put("config:models", {
   ],
   fallback_model: "anthropic/claude-haiku-4.5",
   alias_map: { opus: "anthropic/claude-opus-4.6", sonnet: "anthropic/claude-sonnet-4.6", haiku: "anthropic/claude-haiku-4.5" },
+  default_provider: "llm",
 }, "json", "Available LLM models with pricing, aliases, and capabilities");
 
 await put("config:resources", {
@@ -110,27 +137,10 @@ await put("wallets", {
   base_usdc: { adapter: "provider:wallet_balance", scope: "general" },
 }, "json", "Registered crypto wallets with adapter bindings and scope");
 
-// ── Tool registry ─────────────────────────────────────────────
-
-await put("config:tool_registry", {
-  tools: [
-    { name: "send_slack", description: "Post a message to the Slack channel", input: { text: "required", channel: "optional — override default channel" } },
-    { name: "web_fetch", description: "Fetch contents of a URL", input: { url: "required", method: "GET|POST", headers: "optional", max_length: "default 10000" } },
-    { name: "kv_read", description: "Read a value from memory (any key)", input: { key: "required" } },
-    { name: "kv_write", description: "Write to tool's own KV namespace", input: { key: "required", value: "required" } },
-    { name: "check_balance", description: "Check balances across all configured providers and wallets. Returns balances grouped by scope (general vs project-specific). Only 'general' scope counts toward your operating budget.", input: { scope: "optional — filter by scope (e.g. 'general', 'project_x'). Omit to see all." } },
-    { name: "kv_manifest", description: "List KV keys, optionally filtered by prefix. Use to explore what is stored in memory.", input: { prefix: "optional key prefix filter", limit: "max keys to return (default 100, max 500)" } },
-    { name: "karma_query", description: "Lazily traverse a session's karma log using dot-bracket path expressions. Returns one level of depth per call — use progressively deeper paths to drill into events.", input: { session: "required — session ID (e.g. s_1709123456_abc)", path: "optional — dot-bracket path (e.g. [1].tool_calls[0].function)" } },
-    { name: "akash_exec", description: "Run a shell command on the akash Linux server. Returns status, exit code, and output (stdout/stderr entries).", input: { command: "required — shell command to run", timeout: "optional — seconds to wait (default 60)" } },
-    { name: "check_email", description: "Check for unread emails in Gmail inbox. Returns sender, subject, date, and snippet for each.", input: { mark_read: "optional boolean — mark fetched emails as read (default false)", max_results: "optional — max emails to return (default 10, max 20)" } },
-    { name: "send_email", description: "Send an email or reply to an existing thread via Gmail.", input: { to: "required — recipient email address", subject: "required (unless replying)", body: "required — plain text email body", reply_to_id: "optional — Gmail message ID to reply to (threads the reply)" } },
-  ],
-}, "json", "Tool definitions — names, descriptions, and input schemas for function calling");
-
 // ── Providers (from providers/*.js) ───────────────────────────
 
 console.log("--- Providers ---");
-const providerFiles = ["llm", "llm_balance", "wallet_balance", "gmail"];
+const providerFiles = ["llm", "llm_anthropic", "llm_openai", "llm_balance", "wallet_balance", "gmail"];
 for (const name of providerFiles) {
   const mod = await importLocal(`providers/${name}.js`);
   await put(`provider:${name}:code`, read(`providers/${name}.js`), "text", `Provider source: ${name}`);
@@ -138,6 +148,8 @@ for (const name of providerFiles) {
 }
 
 // ── Tools (from tools/*.js) ───────────────────────────────────
+// Each tool's meta carries its description, JSON Schema parameters and
+// version; the kernel assembles the tool registry from these.
 
 console.log("--- Tools ---");
 const toolNames = [
@@ -156,6 +168,7 @@ for (const name of toolNames) {
 console.log("--- Prompts ---");
 await put("prompt:orient", read("prompts/orient.md"), "text", "Orient session system prompt — shapes waking behavior");
 await put("prompt:subplan", read("prompts/subplan.md"), "text", "Subplan agent system prompt template");
+await put("prompt:task", read("prompts/task.md"), "text", "Background task agent system prompt template");
 await put("prompt:reflect", read("prompts/reflect.md"), "text", "Session-level reflection prompt (depth 0)");
 await put("prompt:reflect:1", read("prompts/deep-reflect.md"), "text", "Deep reflection prompt (depth 1) — examines alignment, patterns, structures");
 
@@ -194,11 +207,15 @@ await put("hook:wake:code", read("hook-main.js"), "text", "Wake hook entry point
 await put("hook:wake:reflect", read("hook-reflect.js"), "text", "Wake hook reflect module — session/deep reflect, scheduling, prompts");
 await put("hook:wake:mutations", read("hook-mutations.js"), "text", "Wake hook mutations module — staging, candidates, circuit breaker");
 await put("hook:wake:protect", read("hook-protect.js"), "text", "Wake hook protect module — constants, protection gate");
+await put("hook:wake:retention", read("hook-retention.js"), "text", "Wake hook retention module — karma compaction and pruning");
+await put("hook:wake:schedule", read("hook-schedule.js"), "text", "Wake hook schedule module — wake_config writes, event policy");
 await put("hook:wake:manifest", {
   "main": "hook:wake:code",
   "hook-reflect.js": "hook:wake:reflect",
   "hook-mutations.js": "hook:wake:mutations",
   "hook-protect.js": "hook:wake:protect",
+  "hook-retention.js": "hook:wake:retention",
+  "hook-schedule.js": "hook:wake:schedule",
 }, "json", "Wake hook module manifest — maps filenames to KV keys");
 
 // ── Channel adapters ──────────────────────────────────────────
@@ -210,6 +227,14 @@ await put("channel:slack:config", {
   webhook_secret_env: "SLACK_SIGNING_SECRET",
 }, "json", "Slack channel config");
 
+// ── Event sources ─────────────────────────────────────────────
+
+console.log("--- Event Sources ---");
+await put("event_source:github:code", read("events/github.js"), "text", "GitHub webhook event adapter");
+await put("event_source:github:config", {
+  webhook_secret_env: "GITHUB_WEBHOOK_SECRET",
+}, "json", "GitHub event source config");
+
 // ── Chat prompt ───────────────────────────────────────────────
 
 console.log("--- Chat ---");
@@ -244,6 +269,13 @@ await put("doc:architecture", read("docs/doc-architecture.md"), "text", "Referen
 
 // ── Done ──────────────────────────────────────────────────────
 
+if (filePath) {
+  console.log(`\n=== Done! Seeded ${count} keys into ${filePath} ===`);
+  console.log(`\nStart the Node runtime (port 8787):`);
+  console.log(`  source .env && SWAYAMBHU_KV=${filePath} npm run start:node`);
+  process.exit(0);
+}
+
 await mf.dispose();
 console.log(`\n=== Done! Seeded ${count} keys ===`);
 console.log(`\nStart brainstem (port 8787):`);
@@ -15,6 +15,7 @@ function makeBrain(kvInit = {}, opts = {}) {
   brain.toolRegistry = opts.toolRegistry || null;
   brain.modelsConfig = opts.modelsConfig || null;
   brain.dharma = opts.dharma || null;
+  brain.sleep = vi.fn(async () => {});  // retries back off without waiting
   return { brain, env };
 }
 
@@ -137,7 +138,7 @@ describe("buildToolDefinitions", () => {
       },
     });
     const defs = brain.buildToolDefinitions();
-    expect(defs.length).toBe(3);
+    expect(defs.length).toBe(7);
     expect(defs[0]).toEqual({
       type: "function",
       function: {
@@ -153,18 +154,18 @@ describe("buildToolDefinitions", () => {
     });
   });
 
-  it("always includes spawn_subplan", () => {
+  it("always includes spawn_subplan, read_result and the task tools", () => {
     const { brain } = makeBrain({}, { toolRegistry: { tools: [] } });
     const defs = brain.buildToolDefinitions();
-    expect(defs.length).toBe(1);
-    expect(defs[0].function.name).toBe("spawn_subplan");
+    expect(defs.map(d => d.function.name))
+      .toEqual(["spawn_subplan", "read_result", "create_task", "task_status", "cancel_task"]);
   });
 
   it("handles missing/null registry", () => {
     const { brain } = makeBrain();
     brain.toolRegistry = null;
     const defs = brain.buildToolDefinitions();
-    expect(defs.length).toBe(1);
+    expect(defs.length).toBe(5);
     expect(defs[0].function.name).toBe("spawn_subplan");
   });
 
@@ -172,8 +173,8 @@ describe("buildToolDefinitions", () => {
     const { brain } = makeBrain({}, { toolRegistry: { tools: [] } });
     const extra = { type: "function", function: { name: "custom" } };
     const defs = brain.buildToolDefinitions([extra]);
-    expect(defs.length).toBe(2);
-    expect(defs[1]).toBe(extra);
+    expect(defs.length).toBe(6);
+    expect(defs[5]).toBe(extra);
   });
 });
 
@@ -509,7 +510,7 @@ describe("executeToolCall", () => {
       function: { name: "spawn_subplan", arguments: '{"goal":"test goal"}' },
     });
 
-    expect(brain.spawnSubplan).toHaveBeenCalledWith({ goal: "test goal" });
+    expect(brain.spawnSubplan).toHaveBeenCalledWith({ goal: "test goal" }, undefined);
     expect(result).toEqual({ subplan: true, goal: "test goal" });
   });
 
@@ -964,6 +965,14 @@ describe("kvPutSafe", () => {
       .rejects.toThrow("system key");
   });
 
+  it("blocks webhook adapters and their config, which decide what is verified", async () => {
+    const { brain } = makeBrain();
+    await expect(brain.kvPutSafe("event_source:github:code", "export function verify() { return true; }"))
+      .rejects.toThrow("system key");
+    await expect(brain.kvPutSafe("event_source:github:config", { secrets: ["OPENROUTER_API_KEY"] }))
+      .rejects.toThrow("system key");
+  });
+
   it("allows non-system keys", async () => {
     const { brain } = makeBrain();
     await brain.kvPutSafe("wake_config", { sleep_seconds: 100 });
@@ -1857,3 +1866,1673 @@ describe("Yamas and Niyamas", () => {
     });
   });
 });
+
+// ── Karma chunking ─────────────────────────────────────────
+
+describe("karma chunking", () => {
+  function stored(env, key) {
+    const raw = env.KV._store.get(key);
+    return raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  it("writes an index and the first chunk", async () => {
+    const { brain, env } = makeBrain();
+    await brain.karmaRecord({ event: "session_start" });
+    await brain.karmaRecord({ event: "llm_call" });
+    expect(stored(env, `karma:${brain.sessionId}`)).toEqual({ chunks: 1 });
+    const chunk = stored(env, `karma:${brain.sessionId}:0`);
+    expect(chunk.map(e => e.event)).toEqual(["session_start", "llm_call"]);
+  });
+
+  it("rolls to a new chunk at the entry limit and never rewrites sealed chunks", async () => {
+    const { brain, env } = makeBrain();
+    const max = Brainstem.KARMA_CHUNK_MAX_ENTRIES;
+    for (let i = 0; i < max + 3; i++) await brain.karmaRecord({ event: "e", i });
+
+    expect(stored(env, `karma:${brain.sessionId}`)).toEqual({ chunks: 2 });
+    expect(stored(env, `karma:${brain.sessionId}:0`)).toHaveLength(max);
+    expect(stored(env, `karma:${brain.sessionId}:1`).map(e => e.i)).toEqual([max, max + 1, max + 2]);
+
+    const chunk0Writes = env.KV.put.mock.calls.filter(([k]) => k === `karma:${brain.sessionId}:0`);
+    expect(chunk0Writes).toHaveLength(max);
+    // Index written once per chunk, not once per entry
+    const indexWrites = env.KV.put.mock.calls.filter(([k]) => k === `karma:${brain.sessionId}`);
+    expect(indexWrites).toHaveLength(2);
+  });
+
+  it("rolls early when a chunk would exceed the byte limit", async () => {
+    const { brain, env } = makeBrain();
+    const big = "x".repeat(Brainstem.KARMA_CHUNK_MAX_BYTES / 2 + 10);
+    await brain.karmaRecord({ event: "a", big });
+    await brain.karmaRecord({ event: "b", big });
+    expect(stored(env, `karma:${brain.sessionId}`)).toEqual({ chunks: 2 });
+    expect(stored(env, `karma:${brain.sessionId}:1`)[0].event).toBe("b");
+  });
+
+  it("writes the index before the chunk it announces", async () => {
+    const { brain, env } = makeBrain();
+    await brain.karmaRecord({ event: "session_start" });
+    const keys = env.KV.put.mock.calls.map(([k]) => k);
+    expect(keys.indexOf(`karma:${brain.sessionId}`))
+      .toBeLessThan(keys.indexOf(`karma:${brain.sessionId}:0`));
+  });
+
+  it("readKarma reassembles another session's chunks in order", async () => {
+    const { brain } = makeBrain({
+      "karma:s_old": JSON.stringify({ chunks: 3 }),
+      "karma:s_old:0": JSON.stringify([{ n: 0 }, { n: 1 }]),
+      "karma:s_old:1": JSON.stringify([{ n: 2 }]),
+      "karma:s_old:2": JSON.stringify([{ n: 3 }]),
+    });
+    expect((await brain.readKarma("s_old")).map(e => e.n)).toEqual([0, 1, 2, 3]);
+  });
+
+  it("readKarma tolerates a chunk lost between index and chunk write", async () => {
+    const { brain } = makeBrain({
+      "karma:s_dead": JSON.stringify({ chunks: 2 }),
+      "karma:s_dead:0": JSON.stringify([{ event: "tool_start" }]),
+    });
+    expect(await brain.readKarma("s_dead")).toEqual([{ event: "tool_start" }]);
+  });
+
+  it("readKarma reads pre-chunking logs and returns null when absent", async () => {
+    const { brain } = makeBrain({ "karma:s_legacy": JSON.stringify([{ event: "x" }]) });
+    expect(await brain.readKarma("s_legacy")).toEqual([{ event: "x" }]);
+    expect(await brain.readKarma("s_missing")).toBeNull();
+  });
+
+  it("readKarma for the current session returns the in-memory log", async () => {
+    const { brain } = makeBrain();
+    await brain.karmaRecord({ event: "session_start" });
+    expect(await brain.readKarma(brain.sessionId)).toBe(brain.karma);
+  });
+});
+
+// ── Karma blobs ────────────────────────────────────────────
+
+describe("karma blobs", () => {
+  const bigPrompt = "You are Swayambhu. ".repeat(200);
+
+  it("moves large payload fields into blob keys and records refs", async () => {
+    const { brain, env } = makeBrain();
+    await brain.karmaRecord({
+      event: "llm_call",
+      request: [{ role: "system", content: bigPrompt }, { role: "user", content: "hi" }],
+      response: "ok",
+    });
+    const entry = brain.karma[0];
+    expect(Brainstem.isBlobRef(entry.request[0])).toBe(true);
+    expect(entry.request[1]).toEqual({ role: "user", content: "hi" });
+    expect(entry.response).toBe("ok");
+
+    const blobKey = entry.request[0].$blob;
+    expect(blobKey).toMatch(/^blob:[0-9a-f]{64}$/);
+    expect(JSON.parse(env.KV._store.get(blobKey))).toEqual({ role: "system", content: bigPrompt });
+    expect(env.KV._meta.get(blobKey)).toMatchObject({ type: "blob", format: "json" });
+
+    const persisted = JSON.parse(env.KV._store.get(`karma:${brain.sessionId}:0`));
+    expect(persisted[0].request[0]).toEqual(entry.request[0]);
+  });
+
+  it("stores a repeated payload once per session", async () => {
+    const { brain, env } = makeBrain();
+    const request = [{ role: "system", content: bigPrompt }];
+    await brain.karmaRecord({ event: "llm_call", request });
+    await brain.karmaRecord({ event: "llm_call", request: [...request, { role: "user", content: "more" }] });
+    expect(brain.karma[0].request[0].$blob).toBe(brain.karma[1].request[0].$blob);
+    const blobWrites = env.KV.put.mock.calls.filter(([k]) => k.startsWith("blob:"));
+    expect(blobWrites).toHaveLength(1);
+  });
+
+  it("blobs an array whole when its elements are small but the array is not", async () => {
+    const { brain } = makeBrain();
+    const tools = Array.from({ length: 40 }, (_, i) => ({ name: `tool_${i}`, description: "does a thing" }));
+    await brain.karmaRecord({ event: "llm_call", tools_available: tools });
+    expect(Brainstem.isBlobRef(brain.karma[0].tools_available)).toBe(true);
+  });
+
+  it("leaves small and non-payload fields alone", async () => {
+    const { brain, env } = makeBrain();
+    await brain.karmaRecord({ event: "fatal_error", error: "x".repeat(5000), old_value: null });
+    expect(brain.karma[0].error).toHaveLength(5000);
+    expect(brain.karma[0].old_value).toBeNull();
+    expect([...env.KV._store.keys()].some(k => k.startsWith("blob:"))).toBe(false);
+  });
+
+  it("resolveBlobs restores entries, including nested array blobs", async () => {
+    const { brain } = makeBrain();
+    const tools = Array.from({ length: 40 }, (_, i) => ({ name: `tool_${i}`, description: "does a thing" }));
+    const request = [{ role: "system", content: bigPrompt }, { role: "user", content: "hi" }];
+    await brain.karmaRecord({ event: "llm_call", request, tools_available: tools, response: bigPrompt });
+    const [resolved] = await brain.resolveBlobs(brain.karma);
+    expect(resolved.request).toEqual(request);
+    expect(resolved.tools_available).toEqual(tools);
+    expect(resolved.response).toBe(bigPrompt);
+  });
+
+  it("resolveBlobs keeps a ref whose blob is missing", async () => {
+    const { brain } = makeBrain();
+    const ref = { $blob: "blob:" + "0".repeat(64), bytes: 10 };
+    expect(await brain.resolveBlobs({ event: "x", response: ref })).toEqual({ event: "x", response: ref });
+  });
+
+  it("collectBlobGarbage deletes unreferenced blobs and keeps live and nested ones", async () => {
+    const { brain, env } = makeBrain();
+    const tools = Array.from({ length: 40 }, (_, i) => ({ name: `tool_${i}`, description: "x".repeat(1100) }));
+    await brain.karmaRecord({ event: "llm_call", tools_available: tools });
+    const outer = brain.karma[0].tools_available;
+    expect(outer.nested).toBe(true);
+
+    // Stored by an earlier session: karma entry refs one blob, one is orphaned
+    const old = new Date(Date.now() - 2 * 3600_000).toISOString();
+    env.KV._store.set("karma:s_1_old", JSON.stringify([{ event: "llm_call", response: { $blob: "blob:kept", bytes: 2000 } }]));
+    env.KV._store.set("blob:kept", '"kept"');
+    env.KV._meta.set("blob:kept", { type: "blob", updated_at: old });
+    env.KV._store.set("blob:orphan", '"orphan"');
+    env.KV._meta.set("blob:orphan", { type: "blob", updated_at: old });
+    env.KV._store.set("blob:fresh", '"fresh"');
+    env.KV._meta.set("blob:fresh", { type: "blob", updated_at: new Date().toISOString() });
+
+    // A later session that no longer holds this one's blobs in memory
+    const { brain: next } = makeBrain();
+    next.kv = env.KV;
+    const result = await next.collectBlobGarbage();
+    expect(result.deleted).toBe(1);
+    expect(env.KV._store.has("blob:orphan")).toBe(false);
+    expect(env.KV._store.has("blob:kept")).toBe(true);
+    expect(env.KV._store.has("blob:fresh")).toBe(true);
+    expect(env.KV._store.has(outer.$blob)).toBe(true);
+    const inner = JSON.parse(env.KV._store.get(outer.$blob));
+    expect(env.KV._store.has(inner[0].$blob)).toBe(true);
+  });
+
+  it("blob keys are kernel-only", async () => {
+    const { brain } = makeBrain();
+    expect(Brainstem.isKernelOnly("blob:abc")).toBe(true);
+    await expect(brain.kvPutSafe("blob:abc", "x")).rejects.toThrow("kernel-only");
+  });
+});
+
+// ── Cost ledger ────────────────────────────────────────────
+
+describe("cost ledger", () => {
+  function makeLedgerBrain(kvInit = {}, costBudget) {
+    const { brain, env } = makeBrain(kvInit, {
+      defaults: { session_budget: { max_cost: 10 }, ...(costBudget ? { cost_budget: costBudget } : {}) },
+    });
+    brain.callWithCascade = vi.fn(async () => ({
+      ok: true, tier: "kernel_fallback", content: "ok",
+      usage: { prompt_tokens: 100, completion_tokens: 50 }, toolCalls: null,
+    }));
+    brain.estimateCost = vi.fn(() => 0.25);
+    return { brain, env };
+  }
+
+  const call = (brain, step, model = "m1") =>
+    brain.callLLM({ model, messages: [{ role: "user", content: "hi" }], step });
+
+  it("maps steps to roles", () => {
+    expect(Brainstem.costRole("orient_turn_0")).toBe("orient");
+    expect(Brainstem.costRole("reflect_turn_0")).toBe("reflect");
+    expect(Brainstem.costRole("reflect_depth_1_final")).toBe("deep_reflect");
+    expect(Brainstem.costRole("subplan_d1_turn_2")).toBe("subplan");
+    expect(Brainstem.costRole("chat_slack_t3_r0")).toBe("chat");
+    expect(Brainstem.costRole("recovery_turn_0")).toBe("recovery");
+    expect(Brainstem.costRole(undefined)).toBe("other");
+  });
+
+  it("records each call by model and role under today's key", async () => {
+    const { brain, env } = makeLedgerBrain();
+    await call(brain, "orient_turn_0", "m1");
+    await call(brain, "chat_slack_t0_r0", "m2");
+
+    const today = Brainstem.ledgerDate();
+    const day = JSON.parse(env.KV._store.get(`kernel:ledger:${today}`));
+    expect(day.cost).toBeCloseTo(0.5);
+    expect(day.calls).toBe(2);
+    expect(day.in_tokens).toBe(200);
+    expect(day.by_model.m1).toEqual({ cost: 0.25, calls: 1, in_tokens: 100, out_tokens: 50 });
+    expect(day.by_role.chat.calls).toBe(1);
+    expect(JSON.parse(env.KV._store.get("kernel:ledger:days"))[today]).toBeCloseTo(0.5);
+  });
+
+  it("keeps other instances' spend when updating the days map", async () => {
+    const { brain, env } = makeLedgerBrain();
+    const today = Brainstem.ledgerDate();
+    await call(brain, "orient_turn_0");
+    env.KV._store.set("kernel:ledger:days", JSON.stringify({ [today]: 1.0 }));
+    await call(brain, "orient_turn_1");
+    expect(JSON.parse(env.KV._store.get("kernel:ledger:days"))[today]).toBeCloseTo(1.25);
+  });
+
+  it("enforces budgets over rolling windows of days", async () => {
+    const days = {
+      [Brainstem.ledgerDate(0)]: 0.5,
+      [Brainstem.ledgerDate(3)]: 2.0,
+      [Brainstem.ledgerDate(20)]: 5.0,
+    };
+    const kv = { "kernel:ledger:days": JSON.stringify(days) };
+
+    const { brain: underDaily } = makeLedgerBrain(kv, { daily: 1.0 });
+    await expect(call(underDaily, "orient_turn_0")).resolves.toBeTruthy();
+
+    const { brain: weekly } = makeLedgerBrain(kv, { daily: 1.0, weekly: 2.5 });
+    await expect(call(weekly, "orient_turn_0")).rejects.toThrow("Budget exceeded: weekly cost");
+
+    const { brain: monthly } = makeLedgerBrain(kv, { monthly: 7.5 });
+    await expect(call(monthly, "chat_slack_t0_r0")).rejects.toThrow("Budget exceeded: monthly cost");
+  });
+
+  it("reports budget status and a merged summary", async () => {
+    const { brain, env } = makeLedgerBrain({}, { daily: 1.0 });
+    await call(brain, "orient_turn_0", "m1");
+    const yesterday = Brainstem.ledgerDate(1);
+    env.KV._store.set(`kernel:ledger:${yesterday}`, JSON.stringify({
+      date: yesterday, cost: 1, calls: 2, in_tokens: 10, out_tokens: 5,
+      by_model: { m1: { cost: 1, calls: 2, in_tokens: 10, out_tokens: 5 } },
+      by_role: { reflect: { cost: 1, calls: 2, in_tokens: 10, out_tokens: 5 } },
+    }));
+
+    const status = await brain.getBudgetStatus();
+    expect(status.daily).toEqual({ limit: 1.0, spent: 0.25, remaining: 0.75 });
+    expect(status.weekly.limit).toBeNull();
+
+    const summary = await brain.getCostSummary(7);
+    expect(summary.cost).toBeCloseTo(1.25);
+    expect(summary.by_model.m1.calls).toBe(3);
+    expect(Object.keys(summary.by_role).sort()).toEqual(["orient", "reflect"]);
+    expect(summary.by_day.map(d => d.date)).toEqual([yesterday, Brainstem.ledgerDate()]);
+  });
+
+  it("checks budgets from the session's ledger, reading it only to record costs", async () => {
+    const { brain, env } = makeLedgerBrain({}, { daily: 5 });
+    await call(brain, "orient_turn_0");
+    await call(brain, "orient_turn_1");
+    await call(brain, "orient_turn_2");
+    const reads = env.KV.get.mock.calls.filter(([key]) => key === "kernel:ledger:days");
+    // The first check reads it; after that only recordCost does
+    expect(reads).toHaveLength(4);
+    expect((await brain.getBudgetStatus()).daily.spent).toBeCloseTo(0.75);
+    expect(env.KV.get.mock.calls.filter(([key]) => key === "kernel:ledger:days")).toHaveLength(4);
+  });
+
+  it("ledger keys are kernel-only", async () => {
+    const { brain } = makeLedgerBrain();
+    await expect(brain.kvPutSafe("kernel:ledger:days", {})).rejects.toThrow();
+  });
+});
+
+// ── Streaming adapters ─────────────────────────────────────
+
+describe("streaming adapters", () => {
+  function ndjson(events, { delayMs = 0 } = {}) {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+      async start(controller) {
+        for (const e of events) {
+          if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+          controller.enqueue(encoder.encode(JSON.stringify(e) + "\n"));
+        }
+        controller.close();
+      },
+    }), { headers: { "Content-Type": "application/x-ndjson" } });
+  }
+
+  it("consolidates text events and the done event into one result", async () => {
+    const { brain } = makeBrain();
+    const seen = [];
+    const result = await brain.readLLMStream(ndjson([
+      { type: "text", text: " Hi" },
+      { type: "text", text: " there " },
+      { type: "done", usage: { prompt_tokens: 5, completion_tokens: 2 }, toolCalls: [] },
+    ]), async (t) => { seen.push(t); }, 1000);
+    expect(seen).toEqual([" Hi", " Hi there "]);
+    expect(result).toMatchObject({
+      content: "Hi there", usage: { prompt_tokens: 5, completion_tokens: 2 },
+      toolCalls: null, streamed: true, chunks: 2,
+    });
+  });
+
+  it("throws on an error event or a stream without done", async () => {
+    const { brain } = makeBrain();
+    await expect(brain.readLLMStream(ndjson([
+      { type: "text", text: "partial" }, { type: "error", error: "upstream 529" },
+    ]), null, 1000)).rejects.toThrow("upstream 529");
+    await expect(brain.readLLMStream(ndjson([{ type: "text", text: "cut" }]), null, 1000))
+      .rejects.toThrow("without a done event");
+  });
+
+  it("abandons a stream that goes idle", async () => {
+    const { brain } = makeBrain();
+    await expect(brain.readLLMStream(
+      ndjson([{ type: "text", text: "a" }, { type: "done" }], { delayMs: 100 }), null, 20,
+    )).rejects.toThrow("idle timeout");
+  });
+
+  it("requests a stream only when onText is given and records one llm_call", async () => {
+    const { brain } = makeBrain({
+      "provider:llm:code": JSON.stringify("export async function* stream() {}"),
+    }, { defaults: { session_budget: { max_cost: 10 } } });
+    brain.lastWorkingSnapshotted.add("llm");
+    brain.estimateCost = vi.fn(() => 0.01);
+    brain.runInIsolate = vi.fn(async ({ ctx, onStream }) => {
+      if (!ctx._stream) return { content: "whole", usage: {} };
+      return onStream(ndjson([
+        { type: "text", text: "str" }, { type: "text", text: "eamed" },
+        { type: "done", usage: { prompt_tokens: 3, completion_tokens: 2 } },
+      ]));
+    });
+
+    const plain = await brain.callLLM({ model: "m", messages: [{ role: "user", content: "hi" }], step: "t" });
+    expect(plain.content).toBe("whole");
+
+    const onText = vi.fn(async () => {});
+    const streamed = await brain.callLLM({
+      model: "m", messages: [{ role: "user", content: "hi" }], step: "chat_slack_t0_r0", onText,
+    });
+    expect(streamed.content).toBe("streamed");
+    expect(onText).toHaveBeenLastCalledWith("streamed");
+
+    const calls = brain.karma.filter(e => e.event === "llm_call");
+    expect(calls).toHaveLength(2);
+    expect(calls[0].streamed).toBeUndefined();
+    expect(calls[1]).toMatchObject({ streamed: true, stream_chunks: 2, response: "streamed", in_tokens: 3 });
+  });
+});
+
+// ── Per-model provider routing ─────────────────────────────
+
+describe("provider routing", () => {
+  const modelsConfig = {
+    models: [
+      { id: "anthropic/claude-opus-4.6", alias: "opus", provider: "llm_anthropic", provider_model: "claude-opus-4-6" },
+      { id: "local/qwen", provider: "llm_openai", base_url: "http://gpu:8000/v1" },
+      { id: "anthropic/claude-haiku-4.5", alias: "haiku" },
+    ],
+  };
+
+  function makeRoutingBrain(kvInit = {}) {
+    const { brain, env } = makeBrain({
+      "provider:llm:code": JSON.stringify("openrouter"),
+      "provider:llm_anthropic:code": JSON.stringify("anthropic"),
+      "provider:llm_openai:code": JSON.stringify("openai"),
+      "kernel:llm_fallback": JSON.stringify("fallback"),
+      ...kvInit,
+    }, { modelsConfig });
+    brain.runInIsolate = vi.fn(async ({ moduleCode, ctx }) => {
+      if (moduleCode === "broken") throw new Error("adapter crashed");
+      return { content: `${moduleCode}:${ctx.model}`, usage: {} };
+    });
+    return { brain, env };
+  }
+
+  it("resolves a model's adapter by id or alias, defaulting to llm", () => {
+    const { brain } = makeRoutingBrain();
+    expect(brain.resolveProvider("opus")).toEqual({ name: "llm_anthropic", model: "claude-opus-4-6" });
+    expect(brain.resolveProvider("local/qwen")).toEqual({ name: "llm_openai", model: "local/qwen", base_url: "http://gpu:8000/v1" });
+    expect(brain.resolveProvider("anthropic/claude-haiku-4.5")).toEqual({ name: "llm", model: "anthropic/claude-haiku-4.5" });
+    brain.modelsConfig = { ...modelsConfig, default_provider: "llm_openai" };
+    expect(brain.resolveProvider("unknown").name).toBe("llm_openai");
+  });
+
+  it("calls the routed adapter with its model id and base_url", async () => {
+    const { brain } = makeRoutingBrain();
+    const opus = await brain.callWithCascade({ model: "anthropic/claude-opus-4.6", messages: [] }, "t");
+    expect(opus).toMatchObject({ ok: true, tier: "dynamic", provider: "llm_anthropic", content: "anthropic:claude-opus-4-6" });
+
+    await brain.callWithCascade({ model: "local/qwen", messages: [] }, "t");
+    expect(brain.runInIsolate.mock.calls[1][0].ctx.base_url).toBe("http://gpu:8000/v1");
+
+    const haiku = await brain.callWithCascade({ model: "anthropic/claude-haiku-4.5", messages: [] }, "t");
+    expect(haiku.content).toBe("openrouter:anthropic/claude-haiku-4.5");
+  });
+
+  it("snapshots last working code per provider", async () => {
+    const { brain, env } = makeRoutingBrain();
+    await brain.callWithCascade({ model: "opus", messages: [] }, "t");
+    await brain.callWithCascade({ model: "haiku", messages: [] }, "t");
+    expect(env.KV._store.get("provider:llm_anthropic:last_working:code")).toBe("anthropic");
+    expect(env.KV._store.get("provider:llm:last_working:code")).toBe("openrouter");
+  });
+
+  it("falls back through the provider's own last working copy, then the kernel fallback with the original id", async () => {
+    const { brain } = makeRoutingBrain({
+      "provider:llm_anthropic:code": JSON.stringify("broken"),
+      "provider:llm_anthropic:last_working:code": JSON.stringify("broken"),
+    });
+    const result = await brain.callWithCascade({ model: "anthropic/claude-opus-4.6", messages: [] }, "t");
+    expect(result).toMatchObject({ tier: "kernel_fallback", content: "fallback:anthropic/claude-opus-4.6" });
+    const fallbacks = brain.karma.filter(e => e.event === "provider_fallback");
+    expect(fallbacks.map(e => [e.provider, e.from])).toEqual([
+      ["llm_anthropic", "dynamic"], ["llm_anthropic", "last_working"],
+    ]);
+  });
+
+  it("passes thinking blocks back from callLLM and records the provider", async () => {
+    const { brain } = makeRoutingBrain();
+    brain.runInIsolate = vi.fn(async () => ({
+      content: "", usage: {}, toolCalls: [{ id: "t1", function: { name: "x", arguments: "{}" } }],
+      thinking: [{ type: "thinking", thinking: "t", signature: "s" }],
+    }));
+    const result = await brain.callLLM({ model: "opus", messages: [{ role: "user", content: "hi" }], step: "t" });
+    expect(result.thinking).toHaveLength(1);
+    expect(brain.karma.find(e => e.event === "llm_call").provider).toBe("llm_anthropic");
+  });
+});
+
+describe("provider health", () => {
+  const modelsConfig = {
+    models: [
+      {
+        id: "anthropic/claude-opus-4.6", alias: "opus", provider: "llm_anthropic", provider_model: "claude-opus-4-6",
+        alternates: [{ provider: "llm" }, "sonnet"], input_cost_per_mtok: 5, output_cost_per_mtok: 25,
+      },
+      { id: "anthropic/claude-sonnet-4.6", alias: "sonnet", input_cost_per_mtok: 3, output_cost_per_mtok: 15 },
+    ],
+    alias_map: { opus: "anthropic/claude-opus-4.6", sonnet: "anthropic/claude-sonnet-4.6" },
+  };
+
+  function makeHealthBrain(kvInit = {}, answer) {
+    const { brain, env } = makeBrain({
+      "provider:llm:code": JSON.stringify("openrouter"),
+      "provider:llm_anthropic:code": JSON.stringify("anthropic"),
+      "kernel:llm_fallback": JSON.stringify("fallback"),
+      ...kvInit,
+    }, { modelsConfig });
+    brain.runInIsolate = vi.fn(async ({ moduleCode, ctx }) => {
+      const out = answer?.(moduleCode, ctx);
+      if (out instanceof Error) throw out;
+      return out || { content: `${moduleCode}:${ctx.model}`, usage: { prompt_tokens: 1000, completion_tokens: 0 } };
+    });
+    return { brain, env };
+  }
+
+  const health = (env) => JSON.parse(env.KV._store.get("kernel:provider_health"));
+
+  it("resolves alternates in order, as another adapter or another model", () => {
+    const { brain } = makeHealthBrain();
+    expect(brain.resolveRoutes("opus")).toEqual([
+      { model: "anthropic/claude-opus-4.6", provider: "llm_anthropic", provider_model: "claude-opus-4-6" },
+      { model: "anthropic/claude-opus-4.6", provider: "llm", provider_model: "anthropic/claude-opus-4.6" },
+      { model: "anthropic/claude-sonnet-4.6", provider: "llm", provider_model: "anthropic/claude-sonnet-4.6" },
+    ]);
+    expect(brain.resolveRoutes("unknown/model")).toHaveLength(1);
+  });
+
+  it("records latency and outcomes per adapter and per model", async () => {
+    const { brain, env } = makeHealthBrain();
+    await brain.callWithCascade({ model: "opus", messages: [] }, "t");
+    const h = health(env);
+    expect(h.providers.llm_anthropic).toMatchObject({ calls: 1, errors: 0, consecutive_errors: 0, error_rate: 0 });
+    expect(h.routes["llm_anthropic:anthropic/claude-opus-4.6"].latency_ms).toEqual(expect.any(Number));
+    expect(brain.karma.some(e => e.event === "llm_route")).toBe(false);
+  });
+
+  it("moves to the next alternate when a route fails and records the decision", async () => {
+    const { brain, env } = makeHealthBrain({}, (code) =>
+      code === "anthropic" ? new Error('{"type":"rate_limit_error","message":"429 Too Many Requests"}') : null);
+    const result = await brain.callWithCascade({ model: "opus", messages: [] }, "t");
+    expect(result).toMatchObject({ ok: true, provider: "llm", model: "anthropic/claude-opus-4.6", content: "openrouter:anthropic/claude-opus-4.6" });
+
+    const route = brain.karma.find(e => e.event === "llm_route");
+    expect(route.chosen).toEqual({ model: "anthropic/claude-opus-4.6", provider: "llm", tier: "dynamic" });
+    expect(route.failed).toEqual([expect.objectContaining({ provider: "llm_anthropic" })]);
+
+    const h = health(env);
+    expect(h.providers.llm_anthropic).toMatchObject({ errors: 1, rate_limits: 1, cooldown_until: null });
+    // Rate limits cool the route, not the whole adapter
+    expect(Date.parse(h.routes["llm_anthropic:anthropic/claude-opus-4.6"].cooldown_until)).toBeGreaterThan(Date.now());
+    expect(h.routes["llm:anthropic/claude-opus-4.6"].cooldown_until).toBeNull();
+  });
+
+  it("skips routes in cooldown", async () => {
+    const until = new Date(Date.now() + 60000).toISOString();
+    const { brain } = makeHealthBrain({
+      "kernel:provider_health": JSON.stringify({ providers: { llm_anthropic: { cooldown_until: until } }, routes: {} }),
+    });
+    const result = await brain.callWithCascade({ model: "opus", messages: [] }, "t");
+    expect(result.provider).toBe("llm");
+    expect(brain.runInIsolate).toHaveBeenCalledTimes(1);
+    const route = brain.karma.find(e => e.event === "llm_route");
+    expect(route.skipped).toEqual([{ model: "anthropic/claude-opus-4.6", provider: "llm_anthropic", cooldown_until: until }]);
+  });
+
+  it("tries every route when all are cooling down", async () => {
+    const until = new Date(Date.now() + 60000).toISOString();
+    const { brain } = makeHealthBrain({
+      "kernel:provider_health": JSON.stringify({ providers: { llm_anthropic: { cooldown_until: until }, llm: { cooldown_until: until } }, routes: {} }),
+    });
+    const result = await brain.callWithCascade({ model: "opus", messages: [] }, "t");
+    expect(result.provider).toBe("llm_anthropic");
+    expect(brain.karma.find(e => e.event === "llm_route").all_cooling).toBe(true);
+  });
+
+  it("cools a route after consecutive failures and clears it on success", () => {
+    const policy = Brainstem.PROVIDER_HEALTH_DEFAULTS;
+    const stats = Brainstem.emptyHealth();
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    for (let i = 0; i < 2; i++) Brainstem.updateHealth(stats, { ok: false, error: "boom" }, policy, {}, now);
+    expect(stats.cooldown_until).toBeNull();
+    Brainstem.updateHealth(stats, { ok: false, error: "boom" }, policy, {}, now);
+    expect(Date.parse(stats.cooldown_until)).toBe(now + policy.cooldown_seconds * 1000);
+    expect(stats.error_rate).toBeGreaterThan(0.4);
+    Brainstem.updateHealth(stats, { ok: true, latencyMs: 800 }, policy, {}, now);
+    expect(stats).toMatchObject({ consecutive_errors: 0, cooldown_until: null, latency_ms: 800 });
+  });
+
+  it("costs the call at the model that answered", async () => {
+    const { brain } = makeHealthBrain({}, (code) => code === "anthropic" ? new Error("down") : null);
+    brain.modelsConfig = { ...modelsConfig, models: [{ ...modelsConfig.models[0], alternates: ["sonnet"] }, modelsConfig.models[1]] };
+    const result = await brain.callLLM({ model: "opus", messages: [{ role: "user", content: "hi" }], step: "t" });
+    expect(result.cost).toBeCloseTo(0.003);
+    const call = brain.karma.find(e => e.event === "llm_call");
+    expect(call).toMatchObject({ model: "anthropic/claude-sonnet-4.6", requested_model: "opus" });
+  });
+});
+
+describe("retries", () => {
+  const rateLimited = (retryAfter) => new Error(JSON.stringify({ message: "slow down", status: 429, ...(retryAfter ? { retry_after: retryAfter } : {}) }));
+
+  function makeRetryBrain(failures, defaults = {}) {
+    const { brain } = makeBrain({
+      "provider:llm:code": JSON.stringify("openrouter"),
+      "provider:llm:last_working:code": JSON.stringify("openrouter"),
+      "kernel:llm_fallback": JSON.stringify("fallback"),
+    }, { defaults });
+    const queue = [...failures];
+    brain.runInIsolate = vi.fn(async ({ moduleCode }) => {
+      const err = queue.shift();
+      if (err) throw err;
+      return { content: `${moduleCode} ok`, usage: {} };
+    });
+    return brain;
+  }
+
+  it("classifies transient and permanent failures", () => {
+    expect(Brainstem.classifyFailure(rateLimited("2").message)).toEqual({ transient: true, status: 429, retry_after_ms: 2000 });
+    expect(Brainstem.classifyFailure('{"code":502,"message":"bad gateway"}').transient).toBe(true);
+    expect(Brainstem.classifyFailure('{"type":"invalid_request_error","status":400}')).toMatchObject({ transient: false, status: 400 });
+    expect(Brainstem.classifyFailure('{"message":"invalid key","status":401}').transient).toBe(false);
+    expect(Brainstem.classifyFailure("Isolate timeout").transient).toBe(true);
+    expect(Brainstem.classifyFailure("adapter crashed").transient).toBe(false);
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    const dated = `{"status":503,"retry_after":"${new Date(now + 5000).toUTCString()}"}`;
+    expect(Brainstem.classifyFailure(dated, now).retry_after_ms).toBe(5000);
+  });
+
+  it("classifies from the status and headers an adapter attaches", () => {
+    const err = Object.assign(new Error('{"message":"slow down"}'), { status: 429, headers: { "retry-after": "4" } });
+    expect(Brainstem.classifyFailure(err)).toEqual({ transient: true, status: 429, retry_after_ms: 4000 });
+    const denied = Object.assign(new Error('{"message":"timeout talking to auth"}'), { status: 401, headers: {} });
+    expect(Brainstem.classifyFailure(denied).transient).toBe(false);
+
+    // Across the isolate boundary the wrapper sends both back with the message
+    const rebuilt = Brainstem.isolateError({ error: err.message, status: 429, headers: { "retry-after": "4" } });
+    expect(rebuilt).toMatchObject({ message: err.message, status: 429, headers: { "retry-after": "4" } });
+    expect(Brainstem.isolateError({ error: "adapter crashed" }).status).toBeUndefined();
+  });
+
+  it("retries a transient adapter failure with backoff before falling through", async () => {
+    const brain = makeRetryBrain([new Error('{"status":503}'), new Error('{"status":503}')], {
+      failure_handling: { retries: 2, backoff_ms: 500 },
+    });
+    const result = await brain.callWithCascade({ model: "m", messages: [] }, "orient_turn_0");
+    expect(result).toMatchObject({ ok: true, tier: "dynamic" });
+    expect(brain.sleep.mock.calls.map(c => c[0])).toEqual([500, 1000]);
+    const retries = brain.karma.filter(e => e.event === "llm_retry");
+    expect(retries.map(e => [e.attempt, e.status, e.delay_ms])).toEqual([[1, 503, 500], [2, 503, 1000]]);
+    expect(retries[0]).toMatchObject({ step: "orient_turn_0", provider: "llm", model: "m" });
+    expect(brain.sessionLLMCalls).toBe(2);
+  });
+
+  it("does not retry permanent failures", async () => {
+    const brain = makeRetryBrain([new Error('{"status":401,"message":"bad key"}')]);
+    const result = await brain.callWithCascade({ model: "m", messages: [] }, "t");
+    expect(result.tier).toBe("last_working");
+    expect(brain.sleep).not.toHaveBeenCalled();
+    expect(brain.karma.some(e => e.event === "llm_retry")).toBe(false);
+  });
+
+  it("waits for Retry-After, and gives up when it is longer than max_backoff_ms", async () => {
+    const brain = makeRetryBrain([rateLimited("3")]);
+    await brain.callWithCascade({ model: "m", messages: [] }, "t");
+    expect(brain.sleep).toHaveBeenCalledWith(3000);
+
+    const impatient = makeRetryBrain([rateLimited("120")]);
+    const result = await impatient.callWithCascade({ model: "m", messages: [] }, "t");
+    expect(result.tier).toBe("last_working");
+    expect(impatient.sleep).not.toHaveBeenCalled();
+    expect(impatient.karma.find(e => e.event === "llm_retry")).toMatchObject({
+      retry_after_ms: 120000, gave_up: "retry_after_too_long",
+    });
+  });
+
+  it("stops retrying when the wait would overrun the session duration", async () => {
+    const brain = makeRetryBrain([new Error("Isolate timeout")], {
+      session_budget: { max_duration_seconds: 60 },
+    });
+    brain.elapsed = () => 59500;
+    await brain.callWithCascade({ model: "m", messages: [] }, "t");
+    expect(brain.sleep).not.toHaveBeenCalled();
+    expect(brain.karma.find(e => e.event === "llm_retry").gave_up).toBe("budget_duration");
+  });
+
+  it("retries only tools marked idempotent", async () => {
+    const { brain } = makeBrain({
+      "tool:reader:code": JSON.stringify("read"),
+      "tool:reader:meta": JSON.stringify({ timeout_ms: 5000, idempotent: true }),
+      "tool:sender:code": JSON.stringify("send"),
+      "tool:sender:meta": JSON.stringify({ timeout_ms: 5000 }),
+    });
+    brain.buildToolContext = vi.fn(async () => ({}));
+    let calls = 0;
+    brain.runInIsolate = vi.fn(async () => {
+      if (calls++ % 2 === 0) throw new Error("Isolate timeout");
+      return { ok: 1 };
+    });
+
+    expect(await brain.executeAction({ tool: "reader", input: {}, id: "a" })).toEqual({ ok: 1 });
+    expect(brain.karma.find(e => e.event === "tool_retry")).toMatchObject({ tool: "reader", step_id: "a", attempt: 1 });
+
+    await expect(brain.executeAction({ tool: "sender", input: {}, id: "b" })).rejects.toThrow("Isolate timeout");
+    expect(brain.karma.filter(e => e.event === "tool_retry")).toHaveLength(1);
+    expect(brain.sessionLLMCalls).toBe(0);
+  });
+});
+
+describe("tool argument schemas", () => {
+  const registry = {
+    tools: [
+      { name: "kv_manifest", description: "List", parameters: {
+        type: "object",
+        properties: { prefix: { type: "string" }, limit: { type: "integer", minimum: 1, maximum: 500 } },
+      } },
+      { name: "send_email", description: "Send", parameters: {
+        type: "object",
+        properties: {
+          to: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" }, minItems: 1 }] },
+          body: { type: "string", minLength: 1 },
+          priority: { type: "string", enum: ["low", "high"] },
+          options: { type: "object", properties: { cc: { type: "array", items: { type: "string" } } }, additionalProperties: false },
+        },
+        required: ["to", "body"],
+      } },
+      { name: "legacy", description: "Old style", input: { key: "required" } },
+    ],
+  };
+
+  const call = (name, args) => ({ id: "c1", function: { name, arguments: JSON.stringify(args) } });
+
+  function makeSchemaBrain() {
+    const { brain } = makeBrain({}, { toolRegistry: registry });
+    brain.callHook = vi.fn(async () => null);
+    brain.executeAction = vi.fn(async () => ({ done: true }));
+    return brain;
+  }
+
+  it("sends registry parameters as-is and converts legacy input maps", () => {
+    const brain = makeSchemaBrain();
+    const defs = brain.buildToolDefinitions();
+    expect(defs[0].function.parameters).toBe(registry.tools[0].parameters);
+    expect(defs[2].function.parameters).toEqual({
+      type: "object", properties: { key: { type: "string", description: "required" } },
+    });
+  });
+
+  it("reports every violation with a path", () => {
+    const errors = Brainstem.validateSchema(registry.tools[1].parameters, {
+      to: [], priority: "urgent", options: { cc: ["a", 2], bcc: [] },
+    });
+    expect(errors).toEqual([
+      { path: "body", message: "is required" },
+      { path: "to", message: "must match one of: string, array" },
+      { path: "priority", message: 'must be one of "low", "high"' },
+      { path: "options.cc[1]", message: "must be string, got integer" },
+      { path: "options.bcc", message: "is not an allowed property" },
+    ]);
+    expect(Brainstem.validateSchema(registry.tools[1].parameters, { to: ["a@b.c"], body: "hi" })).toEqual([]);
+    expect(Brainstem.validateSchema({ type: "object" }, "nope")).toEqual([
+      { path: "(arguments)", message: "must be object, got string" },
+    ]);
+  });
+
+  it("reports an invalid pattern as a schema error instead of throwing", () => {
+    const schema = { type: "object", properties: { id: { type: "string", pattern: "([a-z" } } };
+    const errors = Brainstem.validateSchema(schema, { id: "abc" });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe("id");
+    expect(errors[0].message).toMatch(/^schema error: invalid pattern \(\[a-z/);
+    expect(Brainstem.validateSchema({ type: "string", pattern: "^a" }, "b")).toEqual([
+      { path: "(arguments)", message: "must match ^a" },
+    ]);
+  });
+
+  it("returns structured errors to the model without running the tool", async () => {
+    const brain = makeSchemaBrain();
+    const result = await brain.executeToolCall(call("kv_manifest", { limit: "100" }));
+    expect(result.error).toBe("Invalid arguments for kv_manifest: limit must be integer, got string");
+    expect(result.validation_errors).toEqual([{ path: "limit", message: "must be integer, got string" }]);
+    expect(brain.executeAction).not.toHaveBeenCalled();
+    expect(brain.callHook).not.toHaveBeenCalled();
+    expect(brain.karma.find(e => e.event === "tool_invalid_args").tool).toBe("kv_manifest");
+  });
+
+  it("validates built-in tools too", async () => {
+    const brain = makeSchemaBrain();
+    brain.spawnSubplan = vi.fn();
+    const result = await brain.executeToolCall(call("spawn_subplan", { max_steps: 3 }));
+    expect(result.validation_errors).toEqual([{ path: "goal", message: "is required" }]);
+    expect(brain.spawnSubplan).not.toHaveBeenCalled();
+  });
+
+  it("passes valid arguments on and gives the validate hook the JSON Schema", async () => {
+    const brain = makeSchemaBrain();
+    const result = await brain.executeToolCall(call("kv_manifest", { prefix: "config:", limit: 10 }));
+    expect(result).toEqual({ done: true });
+    expect(brain.callHook).toHaveBeenCalledWith("validate", {
+      tool: "kv_manifest", args: { prefix: "config:", limit: 10 }, schema: registry.tools[0].parameters,
+    });
+  });
+});
+
+describe("tool registry and versions", () => {
+  const kvMeta = { secrets: [], kv_access: "read_all", timeout_ms: 5000, version: 2,
+    description: "Read a value", parameters: { type: "object", properties: { key: { type: "string" } } } };
+
+  function makeToolBrain(extra = {}) {
+    const { brain, env } = makeBrain({
+      "tool:kv_read:code": "export async function execute() { return 2; }",
+      "tool:kv_read:meta": JSON.stringify(kvMeta),
+      "tool:validate:meta": JSON.stringify({ timeout_ms: 1000 }),
+      ...extra,
+    });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    return { brain, env };
+  }
+
+  it("assembles the registry from tool metas and kernel tools", async () => {
+    const { brain, env } = makeToolBrain({
+      "config:tool_registry": JSON.stringify({ tools: [
+        { name: "kv_read", description: "stale" },
+        { name: "legacy_tool", description: "Only in the old registry" },
+      ] }),
+    });
+    const { tools } = await brain.loadToolRegistry();
+    expect(tools.map(t => t.name)).toEqual(["kv_read", "check_balance", "mutation_history", "legacy_tool"]);
+    expect(tools[0]).toEqual({ name: "kv_read", description: "Read a value", parameters: kvMeta.parameters, version: 2 });
+    // Meta and pin only — tool code is read when a tool runs
+    expect(env.KV.get.mock.calls.some(([key]) => key.endsWith(":code"))).toBe(false);
+  });
+
+  it("archives the outgoing version and bumps meta.version on privileged writes", async () => {
+    const { brain, env } = makeToolBrain();
+    brain.toolsCache.kv_read = { code: "cached" };
+    await brain.kvWritePrivileged([
+      { op: "put", key: "tool:kv_read:code", value: "export async function execute() { return 3; }" },
+    ]);
+
+    const archived = JSON.parse(env.KV._store.get("tool:kv_read:v2"));
+    expect(archived).toMatchObject({ version: 2, code: "export async function execute() { return 2; }", meta: kvMeta });
+    expect(JSON.parse(env.KV._store.get("tool:kv_read:meta")).version).toBe(3);
+    expect(brain.karma.find(e => e.event === "tool_versioned")).toEqual({ event: "tool_versioned", tool: "kv_read", from: 2, to: 3 });
+    expect(brain.toolsCache.kv_read).toBeUndefined();
+    expect(brain.toolRegistry.tools.find(t => t.name === "kv_read").version).toBe(3);
+  });
+
+  it("keeps a version the writer set higher itself", async () => {
+    const { brain, env } = makeToolBrain();
+    await brain.kvWritePrivileged([
+      { op: "put", key: "tool:kv_read:meta", value: { ...kvMeta, version: 7 } },
+    ]);
+    expect(JSON.parse(env.KV._store.get("tool:kv_read:meta")).version).toBe(7);
+    expect(env.KV._store.has("tool:kv_read:v2")).toBe(true);
+  });
+
+  it("loads and describes the pinned version", async () => {
+    const oldMeta = { ...kvMeta, version: 1, description: "Read (v1)" };
+    const { brain } = makeToolBrain({
+      "tool:kv_read:pin": "1",
+      "tool:kv_read:v1": JSON.stringify({ version: 1, code: "v1 code", meta: oldMeta }),
+    });
+    expect(await brain._loadTool("kv_read")).toMatchObject({ moduleCode: "v1 code", meta: oldMeta });
+    const entry = (await brain.loadToolRegistry()).tools.find(t => t.name === "kv_read");
+    expect(entry).toMatchObject({ description: "Read (v1)", version: 1, pinned: 1 });
+  });
+
+  it("refuses a pin without an archive", async () => {
+    const { brain } = makeToolBrain({ "tool:kv_read:pin": "5" });
+    await expect(brain._loadTool("kv_read")).rejects.toThrow("tool:kv_read:v5 does not exist");
+  });
+});
+
+describe("tool result budgets", () => {
+  function makeResultBrain(result, defaults = {}, meta = {}) {
+    const { brain, env } = makeBrain({}, { defaults });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    brain._loadTool = vi.fn(async () => ({ meta: { timeout_ms: 1000, ...meta }, moduleCode: "" }));
+    brain.buildToolContext = vi.fn(async () => ({}));
+    brain._executeTool = vi.fn(async () => result);
+    return { brain, env };
+  }
+
+  it("returns small results untouched", async () => {
+    const { brain, env } = makeResultBrain({ ok: true });
+    expect(await brain.executeAction({ tool: "kv_read", input: {}, id: "a" })).toEqual({ ok: true });
+    expect([...env.KV._store.keys()].some(k => k.startsWith("scratch:"))).toBe(false);
+  });
+
+  it("stores an oversized result and returns a truncated envelope", async () => {
+    const body = "a".repeat(3000) + "TAIL";
+    const { brain, env } = makeResultBrain({ status: 200, body }, { execution: { tool_results: { max_bytes: 1000 } } });
+    const result = await brain.executeAction({ tool: "web_fetch", input: {}, id: "a" });
+
+    expect(result).toMatchObject({ truncated: true, result_handle: "res_1", total_bytes: JSON.stringify({ status: 200, body }).length });
+    expect(result.result.status).toBe(200);
+    expect(result.result.body).toMatch(/characters omitted/);
+    expect(result.result.body.endsWith("TAIL")).toBe(true);
+    expect(JSON.stringify(result).length).toBeLessThanOrEqual(1000);
+    expect(env.KV._store.get(`scratch:${brain.sessionId}:res_1`)).toBe(JSON.stringify({ status: 200, body }));
+    expect(env.KV.put).toHaveBeenCalledWith(`scratch:${brain.sessionId}:res_1`, expect.any(String),
+      expect.objectContaining({ expirationTtl: 86400 }));
+    expect(brain.karma.find(e => e.event === "tool_complete").result_summary).toBe(result);
+  });
+
+  it("keeps the first and last items of long arrays", () => {
+    const items = Array.from({ length: 200 }, (_, i) => `line ${i}`);
+    const cut = Brainstem.truncateValue({ output: items }, 600);
+    expect(cut.output[0]).toBe("line 0");
+    expect(cut.output[cut.output.length - 1]).toBe("line 199");
+    expect(cut.output.some(x => /items omitted/.test(x))).toBe(true);
+    expect(JSON.stringify(cut).length).toBeLessThanOrEqual(600);
+  });
+
+  it("layers config, tool meta and per-tool overrides, counting tokens as characters", () => {
+    const { brain } = makeBrain({}, { defaults: { execution: { tool_results: {
+      max_bytes: 5000, tools: { akash_exec: { max_tokens: 500 } },
+    } } } });
+    expect(brain.toolResultPolicy("web_fetch", {}).max_bytes).toBe(5000);
+    expect(brain.toolResultPolicy("web_fetch", { result_budget: { max_bytes: 3000 } }).max_bytes).toBe(3000);
+    expect(brain.toolResultPolicy("akash_exec", { result_budget: { max_bytes: 3000 } }).max_bytes).toBe(2000);
+  });
+
+  it("pages through a stored result with read_result", async () => {
+    const text = JSON.stringify("x".repeat(50) + "y".repeat(50));
+    const { brain } = makeResultBrain("unused", { execution: { tool_results: { page_bytes: 60 } } });
+    await brain.kv.put(`scratch:${brain.sessionId}:res_1`, text);
+    const call = (args) => brain.executeToolCall({ id: "c", function: { name: "read_result", arguments: JSON.stringify(args) } });
+
+    const first = await call({ handle: "res_1" });
+    expect(first).toEqual({ handle: "res_1", offset: 0, total_bytes: 102, next_offset: 60, content: text.slice(0, 60) });
+    const second = await call({ handle: "res_1", offset: first.next_offset });
+    expect(second.next_offset).toBeNull();
+    expect(first.content + second.content).toBe(text);
+    expect((await call({ handle: "res_9" })).error).toMatch(/No stored result/);
+    expect((await call({ handle: "config:defaults" })).validation_errors).toBeTruthy();
+  });
+});
+
+describe("context compaction", () => {
+  const big = (tag) => JSON.stringify({ body: `${tag} `.repeat(400) });
+  const turn = (id, name, args) => ({
+    role: "assistant", content: null,
+    tool_calls: [{ id, type: "function", function: { name, arguments: JSON.stringify(args) } }],
+  });
+  const result = (id, content) => ({ role: "tool", tool_call_id: id, content });
+
+  function conversation() {
+    return [
+      { role: "user", content: "Execute this goal: audit the wiki" },
+      turn("t1", "kv_read", { key: "wisdom" }),
+      result("t1", big("old wisdom")),
+      turn("t2", "web_fetch", { url: "https://a.example" }),
+      result("t2", big("page a")),
+      turn("t3", "kv_read", { key: "wisdom" }),
+      result("t3", big("new wisdom")),
+      turn("t4", "web_fetch", { url: "https://b.example" }),
+      result("t4", big("page b")),
+    ];
+  }
+
+  function makeCompactionBrain(compaction, summarise) {
+    const { brain, env } = makeBrain({}, { defaults: { execution: { fallback_model: "haiku", compaction } } });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    brain.resolveModel = vi.fn((m) => `resolved/${m}`);
+    brain.callLLM = vi.fn(summarise || (async ({ messages }) => ({
+      content: JSON.stringify(Object.fromEntries(
+        JSON.parse(messages[0].content).results.map(r => [r.id, `summary of ${r.tool}`]))),
+    })));
+    return { brain, env };
+  }
+
+  it("does nothing unless enabled for the role", async () => {
+    const { brain } = makeCompactionBrain({ subplan: { enabled: true, trigger_tokens: 10 } });
+    const messages = conversation();
+    expect(await brain.compactMessages(messages, { step: "orient", turn: 4, compacted: new Set() })).toBeNull();
+    expect(messages).toEqual(conversation());
+  });
+
+  it("drops repeated turns and summarises old results, leaving the prefix and recent turns alone", async () => {
+    const { brain, env } = makeCompactionBrain({ default: { enabled: true, trigger_tokens: 1000, keep_recent_turns: 2 } });
+    const messages = conversation();
+    const report = await brain.compactMessages(messages, { step: "subplan_d0", turn: 4, compacted: new Set() });
+
+    // t1 repeats as t3 → dropped; t2 summarised; t3, t4 are the recent turns
+    expect(messages.map(m => m.tool_call_id || m.tool_calls?.[0].id || "user")).toEqual(
+      ["user", "t2", "t2", "t3", "t3", "t4", "t4"]);
+    expect(messages[0]).toEqual(conversation()[0]);
+    expect(messages.slice(3)).toEqual(conversation().slice(5));
+    expect(JSON.parse(messages[2].content)).toMatchObject({ compacted: true, summary: "summary of web_fetch", result_handle: "res_1" });
+    expect(env.KV._store.get(`scratch:${brain.sessionId}:res_1`)).toBe(big("page a"));
+
+    expect(brain.callLLM).toHaveBeenCalledWith(expect.objectContaining({ model: "resolved/haiku", step: "subplan_d0_compact" }));
+    expect(report).toMatchObject({ role: "subplan", dropped_turns: 1, superseded: 0 });
+    expect(report.after_tokens).toBeLessThan(report.before_tokens);
+    expect(brain.karma.find(e => e.event === "context_compacted").summarized).toEqual([expect.objectContaining({
+      tool: "web_fetch", tool_call_id: "t2", summary: "summary of web_fetch", result_handle: "res_1",
+    })]);
+  });
+
+  it("never rewrites a compacted message, so later turns keep the same prefix", async () => {
+    const { brain } = makeCompactionBrain({ default: { enabled: true, trigger_tokens: 1000, keep_recent_turns: 2 } });
+    const messages = conversation();
+    const compacted = new Set();
+    await brain.compactMessages(messages, { step: "orient", turn: 4, compacted });
+    const prefix = JSON.stringify(messages.slice(0, 3));
+
+    messages.push(turn("t5", "kv_read", { key: "x" }), result("t5", big("x")));
+    await brain.compactMessages(messages, { step: "orient", turn: 5, compacted });
+    expect(JSON.stringify(messages.slice(0, 3))).toBe(prefix);
+    expect(brain.callLLM).toHaveBeenCalledTimes(2);  // only t3 is newly summarised
+  });
+
+  it("keeps results whole when summarising fails", async () => {
+    const { brain } = makeCompactionBrain(
+      { default: { enabled: true, trigger_tokens: 1000 } },
+      async () => { throw new Error("All providers failed"); });
+    const messages = conversation();
+    await brain.compactMessages(messages, { step: "orient", turn: 4, compacted: new Set() });
+    expect(messages.find(m => m.tool_call_id === "t2").content).toBe(big("page a"));
+    expect(brain.karma.find(e => e.event === "context_compaction_failed").error).toBe("All providers failed");
+  });
+
+  it("compacts between turns of runAgentLoop", async () => {
+    const { brain } = makeCompactionBrain({ default: { enabled: true, trigger_tokens: 1000, keep_recent_turns: 1 } });
+    let turnNo = 0;
+    const seen = [];
+    const summarise = brain.callLLM.getMockImplementation();
+    brain.callLLM = vi.fn(async (req) => {
+      if (req.step.endsWith("_compact")) return summarise(req);
+      seen.push(req.messages.length);
+      turnNo++;
+      return turnNo < 4
+        ? { content: null, toolCalls: [{ id: `c${turnNo}`, function: { name: "web_fetch", arguments: `{"url":"https://${turnNo}.example"}` } }] }
+        : { content: '{"done":true}', toolCalls: null };
+    });
+    brain.executeToolCall = vi.fn(async () => ({ body: "word ".repeat(800) }));
+
+    const output = await brain.runAgentLoop({
+      systemPrompt: "s", initialContext: "go", tools: [], model: "m", effort: "low", maxTokens: 100, maxSteps: 5, step: "orient",
+    });
+    expect(output).toEqual({ done: true });
+    expect(brain.karma.filter(e => e.event === "context_compacted").length).toBeGreaterThan(0);
+    expect(seen).toEqual([1, 3, 5, 7]);
+  });
+});
+
+describe("output schemas", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      session_summary: { type: "string", minLength: 1 },
+      mutation_requests: { type: "array", items: { type: "object", required: ["claims", "ops", "checks"] } },
+    },
+    required: ["session_summary"],
+  };
+  const loop = (brain, opts = {}) => brain.runAgentLoop({
+    systemPrompt: "s", initialContext: "go", tools: [], model: "m", effort: "low",
+    maxTokens: 100, maxSteps: 1, step: "reflect", outputSchema: schema, ...opts,
+  });
+
+  function makeOutputBrain(outputs, defaults = {}) {
+    const { brain } = makeBrain({}, { defaults });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    brain.callHook = vi.fn(async () => null);
+    brain.callLLM = vi.fn(async () => ({ content: JSON.stringify(outputs.shift()), toolCalls: null }));
+    return brain;
+  }
+
+  it("sends field-level errors back for a repair turn that doesn't count as a step", async () => {
+    const brain = makeOutputBrain([
+      { mutation_requests: [{ claims: ["x"] }] },
+      { session_summary: "fixed" },
+    ]);
+    expect(await loop(brain)).toEqual({ session_summary: "fixed" });
+
+    const repair = brain.callLLM.mock.calls[1][0].messages.at(-1).content;
+    expect(repair).toContain("- session_summary is required");
+    expect(repair).toContain("- mutation_requests[0].ops is required");
+    expect(brain.callLLM.mock.calls[1][0].step).toBe("reflect_turn_1");
+    expect(brain.callLLM.mock.calls[0][0].outputSchema).toBe(schema);
+    expect(brain.karma.find(e => e.event === "output_repair").errors).toHaveLength(3);
+  });
+
+  it("returns the last output with its errors once the repair turns run out", async () => {
+    const brain = makeOutputBrain([{}, {}, {}, {}], { execution: { output_repair_turns: 2 } });
+    const output = await loop(brain, { maxSteps: 5 });
+    expect(brain.callLLM).toHaveBeenCalledTimes(3);
+    expect(output.output_errors).toEqual([{ path: "session_summary", message: "is required" }]);
+    expect(brain.karma.filter(e => e.event === "output_repair")).toHaveLength(2);
+    expect(brain.karma.find(e => e.event === "output_invalid").step).toBe("reflect");
+  });
+
+  it("passes the schema only to adapters with native structured output", async () => {
+    const { brain } = makeBrain({
+      "provider:llm:code": "llm",
+      "provider:llm:meta": JSON.stringify({ structured_output: true }),
+      "provider:llm_anthropic:code": "anthropic",
+    }, { modelsConfig: { models: [
+      { id: "a/plain", structured_output: false },
+      { id: "claude", provider: "llm_anthropic" },
+    ] } });
+    brain.karmaRecord = vi.fn(async () => {});
+    brain.runInIsolate = vi.fn(async () => ({ content: "{}", usage: {} }));
+    const sent = () => brain.runInIsolate.mock.calls.at(-1)[0].ctx.output_schema;
+
+    await brain.callLLM({ model: "a/other", messages: [], step: "orient_turn_0", outputSchema: schema });
+    expect(sent()).toEqual({ name: "orient_output", schema });
+    await brain.callLLM({ model: "a/plain", messages: [], step: "orient_turn_0", outputSchema: schema });
+    expect(sent()).toBeUndefined();
+    await brain.callLLM({ model: "claude", messages: [], step: "orient_turn_0", outputSchema: schema });
+    expect(sent()).toBeUndefined();
+  });
+});
+
+describe("subplans", () => {
+  const spawn = (id, args) => ({ id, function: { name: "spawn_subplan", arguments: JSON.stringify(args) } });
+
+  // respond(request) returns { content } or { toolCalls }; every call costs 0.01
+  function makeSubplanBrain(respond, { subplans = {}, toolRegistry = null } = {}) {
+    const { brain } = makeBrain({}, { defaults: { execution: { subplans } }, toolRegistry });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    brain.recordCost = vi.fn(async () => {});
+    brain.callHook = vi.fn(async () => null);
+    brain.estimateCost = vi.fn(() => 0.01);
+    brain.callWithCascade = vi.fn(async (request) => ({
+      ok: true, tier: "dynamic", usage: { prompt_tokens: 10, completion_tokens: 5 },
+      content: null, toolCalls: null, ...respond(request),
+    }));
+    return brain;
+  }
+  const goalOf = (request) => request.messages.find(m => m.role === "user").content;
+  const done = { content: '{"result":"done"}' };
+
+  it("records the parent/child tree and charges a child's cost to its parent", async () => {
+    const brain = makeSubplanBrain((request) =>
+      (goalOf(request).endsWith("outer") && !request.messages.some(m => m.role === "tool")
+        ? { toolCalls: [spawn("tc1", { goal: "inner" })] }
+        : done));
+
+    const result = await brain.spawnSubplan({ goal: "outer" });
+    expect(result).toMatchObject({
+      subplan_id: "sp_1", status: "completed", steps: 2, output: { result: "done" },
+    });
+    expect(result.cost).toBeCloseTo(0.03);
+
+    const starts = brain.karma.filter(e => e.event === "subplan_start");
+    expect(starts.map(e => [e.subplan_id, e.parent_id, e.depth])).toEqual([["sp_1", null, 0], ["sp_2", "sp_1", 1]]);
+    const inner = brain.karma.find(e => e.event === "subplan_complete" && e.subplan_id === "sp_2");
+    expect(inner).toMatchObject({ parent_id: "sp_1", status: "completed", steps: 1 });
+    expect(brain.karma.filter(e => e.event === "llm_call").map(e => e.subplan_id)).toEqual(["sp_1", "sp_2", "sp_1"]);
+
+    const toolMessage = brain.callWithCascade.mock.calls[2][0].messages.find(m => m.role === "tool");
+    expect(JSON.parse(toolMessage.content)).toMatchObject({ subplan_id: "sp_2", status: "completed", output: { result: "done" } });
+  });
+
+  it("stops at the configured cost cap, which arguments cannot raise", async () => {
+    const brain = makeSubplanBrain(() => ({ toolCalls: [{ id: "r", function: { name: "read_result", arguments: '{"handle":"res_9"}' } }] }),
+      { subplans: { max_cost: 0.015 } });
+
+    const result = await brain.spawnSubplan({ goal: "loop", max_cost: 5, max_steps: 4 });
+    expect(result).toMatchObject({
+      status: "budget_exceeded", steps: 2, output: null, error: "Budget exceeded: subplan sp_1 cost",
+    });
+    expect(brain.karma.find(e => e.event === "subplan_start").caps).toEqual({ max_cost: 0.015, max_steps: 4, max_seconds: 300 });
+  });
+
+  it("times out inside an enclosing subplan whose time is up", async () => {
+    const brain = makeSubplanBrain(() => done);
+    const parent = { id: "sp_0", parent: null, depth: 0, caps: { max_cost: 1 }, tools: null, deadline: Date.now() - 1, cost: 0, steps: 0 };
+
+    const result = await brain.spawnSubplan({ goal: "late" }, parent);
+    expect(result).toMatchObject({ subplan_id: "sp_1", status: "timed_out", steps: 0 });
+    expect(brain.callWithCascade).not.toHaveBeenCalled();
+  });
+
+  it("offers and allows only the tools on its allowlist", async () => {
+    const toolRegistry = { tools: [
+      { name: "kv_read", description: "Read", input: { key: "k" } },
+      { name: "web_fetch", description: "Fetch", input: { url: "u" } },
+    ] };
+    const brain = makeSubplanBrain((request) => (request.messages.some(m => m.role === "tool")
+      ? done
+      : { toolCalls: [{ id: "w", function: { name: "web_fetch", arguments: '{"url":"x"}' } }] }), { toolRegistry });
+    brain.executeAction = vi.fn();
+
+    const result = await brain.spawnSubplan({ goal: "read only", tools: ["kv_read"] });
+    expect(result.status).toBe("completed");
+    expect(brain.callWithCascade.mock.calls[0][0].tools.map(t => t.function.name)).toEqual(["kv_read", "read_result"]);
+    expect(brain.executeAction).not.toHaveBeenCalled();
+    expect(brain.karma.find(e => e.event === "tool_not_allowed")).toMatchObject({ tool: "web_fetch", subplan_id: "sp_1" });
+
+    expect(await brain.spawnSubplan({ goal: "x", tools: ["nope"] }))
+      .toMatchObject({ status: "rejected", error: "Unknown tools in allowlist: nope" });
+  });
+
+  it("runs at most max_concurrent of a turn's subplans at once", async () => {
+    const { brain } = makeBrain({}, { defaults: { execution: { subplans: { max_concurrent: 2 } } } });
+    let active = 0, peak = 0;
+    brain.spawnSubplan = vi.fn(async (args) => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { status: "completed", output: args.goal };
+    });
+    const responses = [{ toolCalls: ["a", "b", "c", "d"].map(g => spawn(g, { goal: g })) }, { content: '{"ok":true}' }];
+    brain.callLLM = vi.fn(async () => responses.shift());
+
+    await brain.runAgentLoop({ systemPrompt: "s", initialContext: "go", tools: [], model: "m", maxSteps: 3, step: "orient" });
+    expect(brain.spawnSubplan).toHaveBeenCalledTimes(4);
+    expect(peak).toBe(2);
+    const toolResults = brain.callLLM.mock.calls[1][0].messages.filter(m => m.role === "tool");
+    expect(toolResults.map(m => JSON.parse(m.content).output)).toEqual(["a", "b", "c", "d"]);
+  });
+
+  it("shares max_concurrent across nested subplans without starving children", async () => {
+    const brain = makeSubplanBrain((request) => {
+      const goal = goalOf(request);
+      const answered = request.messages.some(m => m.role === "tool");
+      if (goal === "go" && !answered) return { toolCalls: [spawn("p1", { goal: "parent" }), spawn("p2", { goal: "parent" })] };
+      if (goal.endsWith("parent") && !answered) return { toolCalls: [spawn("c1", { goal: "child" }), spawn("c2", { goal: "child" })] };
+      return done;
+    }, { subplans: { max_concurrent: 2 } });
+    const respond = brain.callWithCascade.getMockImplementation();
+    let active = 0, peak = 0;
+    brain.callWithCascade = vi.fn(async (request) => {
+      if (goalOf(request).endsWith("child")) {
+        peak = Math.max(peak, ++active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      }
+      return respond(request);
+    });
+
+    await brain.runAgentLoop({ systemPrompt: "s", initialContext: "go", tools: [], model: "m", maxSteps: 3, step: "orient" });
+    expect(brain.karma.filter(e => e.event === "subplan_complete" && e.status === "completed")).toHaveLength(6);
+    // Per-loop limiters would have let all four children run at once
+    expect(peak).toBe(2);
+  });
+});
+
+describe("background tasks", () => {
+  // Each slice's agent loop answers with the next entry of outputs; every
+  // LLM call costs 0.01
+  function makeTaskBrain(outputs, tasks = {}) {
+    const { brain, env } = makeBrain({}, { defaults: { tasks } });
+    brain.karma = [];
+    brain.karmaRecord = vi.fn(async (e) => { brain.karma.push(e); });
+    brain.recordCost = vi.fn(async () => {});
+    brain.callHook = vi.fn(async () => null);
+    brain.estimateCost = vi.fn(() => 0.01);
+    brain.callWithCascade = vi.fn(async () => ({
+      ok: true, tier: "dynamic", usage: { prompt_tokens: 10, completion_tokens: 5 },
+      content: JSON.stringify(outputs.shift()), toolCalls: null,
+    }));
+    return { brain, env };
+  }
+  const stored = async (env, key) => JSON.parse(await env.KV.get(key));
+
+  it("creates kernel-only task records with capped budgets", async () => {
+    const { brain, env } = makeTaskBrain([], { max_cost: 0.2, max_active: 1 });
+    const created = await brain.executeToolCall({
+      id: "c", function: { name: "create_task", arguments: JSON.stringify({ goal: "crawl docs", max_cost: 3 }) },
+    });
+    expect(created).toMatchObject({ status: "pending", caps: { max_cost: 0.2, max_slices: 20 } });
+
+    const task = await stored(env, `task:${created.task_id}`);
+    expect(task).toMatchObject({ goal: "crawl docs", status: "pending", slices: 0, messages: [] });
+    expect(brain.karma.find(e => e.event === "task_created").task_id).toBe(created.task_id);
+    await expect(brain.kvPutSafe(`task:${created.task_id}`, {})).rejects.toThrow("kernel-only");
+
+    expect((await brain.createTask({ goal: "another" })).error).toContain("Too many active tasks");
+  });
+
+  it("resumes from the saved transcript and publishes the result when done", async () => {
+    const { brain, env } = makeTaskBrain([
+      { status: "waiting", progress: "job started", poll_after_seconds: 600 },
+      { status: "done", result: { rows: 3 } },
+    ]);
+    const { task_id } = await brain.createTask({ goal: "run the job" });
+
+    expect(await brain.runDueTasks()).toEqual([expect.objectContaining({ task_id, slice: 1, status: "waiting", steps: 1 })]);
+    let task = await stored(env, `task:${task_id}`);
+    expect(task.progress).toBe("job started");
+    expect(Date.parse(task.next_run_at)).toBeGreaterThan(Date.now() + 590000);
+    expect(task.messages.map(m => m.role)).toEqual(["user", "assistant"]);
+    expect(await brain.runDueTasks()).toEqual([]);  // not due yet
+
+    task.next_run_at = new Date(Date.now() - 1000).toISOString();
+    await env.KV.put(`task:${task_id}`, JSON.stringify(task));
+    await brain.runDueTasks();
+
+    const resumed = brain.callWithCascade.mock.calls[1][0].messages;
+    expect(resumed.some(m => m.content === "Work on this task: run the job")).toBe(true);
+    expect(JSON.parse(resumed.at(-1).content)).toMatchObject({ resumed: true, slice: 2 });
+
+    task = await stored(env, `task:${task_id}`);
+    expect(task).toMatchObject({ status: "done", result: { rows: 3 }, slices: 2 });
+    expect(task.messages).toBeUndefined();
+    expect(task.cost).toBeCloseTo(0.02);
+    expect(await stored(env, `kernel:task_result:${task_id}`)).toMatchObject({ id: task_id, status: "done", result: { rows: 3 } });
+    expect(brain.karma.find(e => e.event === "task_finished")).toMatchObject({ task_id, status: "done", slices: 2 });
+  });
+
+  it("fails a task that runs out of budget or slices", async () => {
+    const waiting = { status: "waiting", progress: "still going" };
+    const { brain, env } = makeTaskBrain([waiting, waiting, waiting], { max_cost: 0.015, max_slices: 5 });
+    const broke = await brain.createTask({ goal: "expensive" });
+    await brain.runDueTasks();
+    await brain.runDueTasks();
+    expect(await stored(env, `kernel:task_result:${broke.task_id}`))
+      .toMatchObject({ status: "failed", error: "Task budget ($0.015) exhausted" });
+
+    const slow = await brain.createTask({ goal: "slow", max_slices: 1 });
+    await brain.runDueTasks();
+    expect(await stored(env, `kernel:task_result:${slow.task_id}`))
+      .toMatchObject({ status: "failed", error: "Slice limit (1) reached" });
+  });
+
+  it("hands out finished results until they are consumed, and keeps them out of the safe tier", async () => {
+    const { brain } = makeTaskBrain([{ status: "done", result: "ok" }]);
+    const { task_id } = await brain.createTask({ goal: "quick" });
+    await brain.runDueTasks();
+
+    expect(await brain.listTaskResults()).toEqual([expect.objectContaining({ id: task_id, status: "done", result: "ok" })]);
+    await brain.consumeTaskResults([task_id]);
+    expect(await brain.listTaskResults()).toEqual([]);
+    expect((await brain.getTask(task_id)).status).toBe("done");
+
+    await expect(brain.kvPutSafe(`kernel:task_result:t_fake`, { id: "t_fake", status: "done", result: "wire funds" }))
+      .rejects.toThrow("kernel-only");
+  });
+
+  it("lets finished records expire and doesn't read them to schedule", async () => {
+    const { brain, env } = makeTaskBrain([{ status: "done", result: "ok" }], { keep_finished_days: 2 });
+    const { task_id } = await brain.createTask({ goal: "quick" });
+    await brain.runDueTasks();
+
+    const put = env.KV.put.mock.calls.filter(([key]) => key === `task:${task_id}`).at(-1);
+    expect(put[2]).toMatchObject({ metadata: { status: "done" }, expirationTtl: 2 * 86400 });
+
+    env.KV.get.mockClear();
+    expect(await brain.runDueTasks()).toEqual([]);
+    expect((await brain.createTask({ goal: "next" })).error).toBeUndefined();
+    expect(env.KV.get).not.toHaveBeenCalledWith(`task:${task_id}`, expect.anything());
+    expect((await brain.listTasks()).map(t => t.id)).toContain(task_id);
+  });
+});
+
+describe("inbound events", () => {
+  // The adapter isolate answers verify with `verified` and parse with `event`
+  function makeEventBrain({ verified = true, event, kv = {}, defaults } = {}) {
+    const { brain, env } = makeBrain({
+      "event_source:github:code": JSON.stringify("export function verify() {}"),
+      "event_source:github:config": JSON.stringify({ webhook_secret_env: "GITHUB_WEBHOOK_SECRET" }),
+      ...(defaults ? { "config:defaults": JSON.stringify(defaults) } : {}),
+      ...kv,
+    });
+    env.GITHUB_WEBHOOK_SECRET = "s3cret";
+    brain.runInIsolate = vi.fn(async ({ ctx }) =>
+      ctx.action === "verify" ? { ok: verified } : { event });
+    return { brain, env };
+  }
+  const receive = (brain, body = "{}") => brain.receiveEvent("github", { headers: { "x-github-event": "push" }, rawBody: body });
+  const stored = async (env, key) => JSON.parse(await env.KV.get(key));
+
+  it("rejects unknown sources, oversized bodies and failed verification", async () => {
+    const { brain } = makeEventBrain({ verified: false, defaults: { events: { max_body_bytes: 10 } } });
+    expect((await brain.receiveEvent("stripe", { headers: {}, rawBody: "{}" })).status).toBe(404);
+    expect((await receive(brain, "x".repeat(11))).status).toBe(413);
+    expect((await receive(brain)).status).toBe(401);
+    expect(brain.runInIsolate.mock.calls[0][0].ctx.env_vars).toEqual({ GITHUB_WEBHOOK_SECRET: "s3cret" });
+  });
+
+  it("queues a parsed event with a TTL and ignores redeliveries", async () => {
+    const event = { id: "d-1", type: "issues.opened", summary: "repo #1 opened", data: { number: 1 } };
+    const { brain, env } = makeEventBrain({ event });
+
+    const res = await receive(brain);
+    expect(res).toEqual({ status: 202, body: { ok: true, event: "event:github:d-1", wake: "defer" } });
+    expect(await stored(env, "event:github:d-1")).toMatchObject({
+      source: "github", type: "issues.opened", urgency: "normal", data: { number: 1 }, wake: "defer",
+    });
+    const putOpts = env.KV.put.mock.calls.find(c => c[0] === "event:github:d-1")[2];
+    expect(putOpts.expirationTtl).toBe(604800);
+
+    expect((await receive(brain)).body.duplicate).toBe(true);
+  });
+
+  it("still ignores a redelivery after the event was consumed", async () => {
+    const event = { id: "d-2", type: "issues.opened", summary: "repo #2 opened", data: { number: 2 } };
+    const { brain, env } = makeEventBrain({ event });
+
+    expect((await receive(brain)).status).toBe(202);
+    const seenOpts = env.KV.put.mock.calls.find(c => c[0] === "kernel:event_seen:github:d-2")[2];
+    expect(seenOpts.expirationTtl).toBe(604800);
+
+    await env.KV.delete("event:github:d-2");
+    const res = await receive(brain);
+    expect(res.status).toBe(200);
+    expect(res.body.duplicate).toBe(true);
+    expect(await env.KV.get("event:github:d-2")).toBeNull();
+  });
+
+  it("answers 200 without queueing when the adapter ignores the request", async () => {
+    const { brain, env } = makeEventBrain({ event: null });
+    expect(await receive(brain)).toEqual({ status: 200, body: { ok: true, ignored: true } });
+    expect((await env.KV.list({ prefix: "event:" })).keys).toEqual([]);
+  });
+
+  it("refuses new events once the queue is full", async () => {
+    const { brain } = makeEventBrain({
+      event: { id: "d-2", type: "push" },
+      defaults: { events: { max_queued: 1 } },
+      kv: { "event:github:d-1": JSON.stringify({}) },
+    });
+    expect((await receive(brain)).status).toBe(429);
+  });
+
+  it("picks the wake mode from the first matching policy rule", () => {
+    const policy = {
+      rules: [
+        { source: "github", type: "workflow_run.*", urgency: "high", wake: "immediate" },
+        { source: "github", type: "push", wake: "drop" },
+      ],
+      default: "defer",
+    };
+    expect(Brainstem.eventWake(policy, { source: "github", type: "workflow_run.completed", urgency: "high" })).toBe("immediate");
+    expect(Brainstem.eventWake(policy, { source: "github", type: "workflow_run.completed", urgency: "normal" })).toBe("defer");
+    expect(Brainstem.eventWake(policy, { source: "github", type: "push", urgency: "low" })).toBe("drop");
+    expect(Brainstem.eventWake(null, { source: "github", type: "x", urgency: "high" })).toBe("immediate");
+    expect(Brainstem.eventWake(null, { source: "github", type: "x", urgency: "normal" })).toBe("defer");
+  });
+
+  it("brings the next wake forward for immediate events, no sooner than min_interval_seconds", async () => {
+    const lastTs = new Date(Date.now() - 60000).toISOString();
+    const later = new Date(Date.now() + 3600000).toISOString();
+    const { brain, env } = makeEventBrain({
+      event: { id: "d-3", type: "workflow_run.completed", urgency: "high" },
+      kv: {
+        "kernel:last_sessions": JSON.stringify([{ id: "s_1", outcome: "clean", ts: lastTs }]),
+        "wake_config": JSON.stringify({
+          next_wake_after: later, sleep_seconds: 3600, event_policy: { min_interval_seconds: 300 },
+        }),
+      },
+    });
+
+    expect((await receive(brain)).body.wake).toBe("immediate");
+    const wakeConfig = await stored(env, "wake_config");
+    expect(Date.parse(wakeConfig.next_wake_after)).toBe(Date.parse(lastTs) + 300000);
+    expect(wakeConfig).toMatchObject({ woken_by_event: "event:github:d-3", sleep_seconds: 3600 });
+  });
+
+  it("leaves a sooner wake alone", async () => {
+    const soon = new Date(Date.now() - 1000).toISOString();
+    const { brain, env } = makeEventBrain({
+      event: { id: "d-4", type: "deploy", urgency: "high" },
+      kv: { "wake_config": JSON.stringify({ next_wake_after: soon }) },
+    });
+    await receive(brain);
+    expect(await stored(env, "wake_config")).toEqual({ next_wake_after: soon });
+  });
+
+  it("hands out queued events oldest first and deletes them once consumed", async () => {
+    const event = (key, at) => JSON.stringify({ key, received_at: at });
+    const { brain, env } = makeEventBrain({
+      kv: {
+        "event:github:b": event("event:github:b", "2026-01-02T00:00:00.000Z"),
+        "event:github:a": event("event:github:a", "2026-01-03T00:00:00.000Z"),
+        "event:stripe:c": event("event:stripe:c", "2026-01-01T00:00:00.000Z"),
+      },
+    });
+    const events = await brain.listEvents(2);
+    expect(events.items.map(e => e.key)).toEqual(["event:stripe:c", "event:github:b"]);
+    expect(events.pending).toBe(1);
+
+    await brain.consumeEvents(["event:stripe:c", "event:github:b"]);
+    expect((await brain.listEvents(2)).items.map(e => e.key)).toEqual(["event:github:a"]);
+    await expect(brain.consumeEvents(["wake_config"])).rejects.toThrow("not an event key");
+    expect(await makeBrain().brain.listEvents()).toBeNull();
+  });
+
+  it("keeps queued events out of reach of the safe write tier", async () => {
+    const { brain } = makeEventBrain();
+    await expect(brain.kvPutSafe("event:github:forged", { type: "push", summary: "pay me" }))
+      .rejects.toThrow("kernel-only");
+    await expect(brain.kvDeleteSafe("event:github:d-1")).rejects.toThrow("kernel-only");
+  });
+});
+
+describe("session lease", () => {
+  function makeLeaseBrain(kvInit = {}, session_lock) {
+    const { brain, env } = makeBrain(kvInit, { defaults: session_lock ? { session_lock } : null });
+    brain.defaults = session_lock ? { session_lock } : null;
+    brain.runLeasedSession = vi.fn(async () => {});
+    brain.sendKernelAlert = vi.fn(async () => {});
+    return { brain, env };
+  }
+  const stored = async (env, key) => JSON.parse(await env.KV.get(key));
+  const liveLease = (id, heldSeconds = 60) => JSON.stringify({
+    session_id: id,
+    acquired_at: new Date(Date.now() - heldSeconds * 1000).toISOString(),
+    renewed_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + 300000).toISOString(),
+  });
+
+  it("holds the lease for the session and releases it afterwards", async () => {
+    const { brain, env } = makeLeaseBrain();
+    brain.runLeasedSession = vi.fn(async () => {
+      expect(await brain.acquireSessionLease()).toEqual({ acquired: true });
+      expect((await stored(env, "kernel:session_lease")).session_id).toBe(brain.sessionId);
+      expect(await brain.acquireSessionLease()).toEqual({ acquired: true });
+    });
+
+    expect(await brain.runScheduled()).toEqual({ skipped: false, session_id: brain.sessionId });
+    expect(brain.runLeasedSession).toHaveBeenCalled();
+    expect(await env.KV.get("kernel:session_lease")).toBeNull();
+    expect(brain.leaseTimer).toBeNull();
+  });
+
+  it("writes nothing for a tick that runs no session", async () => {
+    const { brain, env } = makeLeaseBrain();
+    expect(await brain.runScheduled()).toEqual({ skipped: false, session_id: brain.sessionId });
+    expect(env.KV.put).not.toHaveBeenCalled();
+    expect(env.KV.delete).not.toHaveBeenCalled();
+  });
+
+  it("skips the wake while another session holds a live lease", async () => {
+    const { brain, env } = makeLeaseBrain({ "kernel:session_lease": liveLease("s_other") });
+
+    const result = await brain.runScheduled();
+    expect(result).toMatchObject({ skipped: true, reason: "session_locked", holder: "s_other", skipped_count: 1 });
+    expect(brain.runLeasedSession).not.toHaveBeenCalled();
+    expect((await stored(env, "kernel:session_lease")).session_id).toBe("s_other");
+    expect(await stored(env, "kernel:lease_skips")).toMatchObject({ holder: "s_other", count: 1 });
+    expect(brain.sendKernelAlert).not.toHaveBeenCalled();
+  });
+
+  it("reports a lease taken between the look and the acquisition as a skip", async () => {
+    const { brain, env } = makeLeaseBrain();
+    brain.runLeasedSession = vi.fn(async () => {
+      await env.KV.put("kernel:session_lease", liveLease("s_other"));
+      expect(await brain.acquireSessionLease()).toEqual({ acquired: false, holder: "s_other" });
+      expect(await brain.acquireSessionLease()).toEqual({ acquired: false, holder: "s_other" });
+    });
+
+    expect(await brain.runScheduled()).toMatchObject({ skipped: true, reason: "session_locked", holder: "s_other", skipped_count: 1 });
+    expect((await stored(env, "kernel:session_lease")).session_id).toBe("s_other");
+  });
+
+  it("alerts once when a holder keeps the lease past alert_after_seconds", async () => {
+    const kv = { "kernel:session_lease": liveLease("s_stuck", 3600) };
+    const { brain, env } = makeLeaseBrain(kv, { alert_after_seconds: 1800 });
+    await brain.runScheduled();
+    expect(brain.sendKernelAlert).toHaveBeenCalledWith("session_locked", expect.stringContaining("s_stuck"));
+
+    const second = new Brainstem(env);
+    second.defaults = brain.defaults;
+    second.sendKernelAlert = vi.fn(async () => {});
+    expect((await second.runScheduled()).skipped_count).toBe(2);
+    expect(second.sendKernelAlert).not.toHaveBeenCalled();
+  });
+
+  it("takes over a lapsed lease and records it", async () => {
+    const { brain } = makeLeaseBrain({
+      "kernel:session_lease": JSON.stringify({ session_id: "s_dead", expires_at: new Date(Date.now() - 1000).toISOString() }),
+    });
+    brain.runLeasedSession = vi.fn(async () => { await brain.acquireSessionLease(); });
+    await brain.runScheduled();
+    expect(brain.runLeasedSession).toHaveBeenCalled();
+    expect(brain.karma.find(e => e.event === "session_lease_expired")).toMatchObject({ previous: "s_dead" });
+  });
+
+  it("renews on a timer through a long call and reports the wakes it caused to be skipped", async () => {
+    const { brain, env } = makeLeaseBrain({}, { renew_every_seconds: 0.01 });
+    brain.runLeasedSession = vi.fn(async () => {
+      await brain.acquireSessionLease();
+      const before = (await stored(env, "kernel:session_lease")).expires_at;
+      // No karma, no kernel calls — just a slow await
+      await new Promise(r => setTimeout(r, 50));
+      expect(Date.parse((await stored(env, "kernel:session_lease")).expires_at)).toBeGreaterThan(Date.parse(before));
+      await env.KV.put("kernel:lease_skips", JSON.stringify({
+        holder: brain.sessionId, count: 3, first_at: "a", last_at: "b",
+      }));
+    });
+
+    await brain.runScheduled();
+    expect(brain.karma.find(e => e.event === "wakes_skipped")).toMatchObject({ count: 3, first_at: "a", last_at: "b" });
+    expect(await env.KV.get("kernel:lease_skips")).toBeNull();
+    expect(brain.leaseTimer).toBeNull();
+  });
+
+  it("notices a lease taken over while still running", async () => {
+    const { brain, env } = makeLeaseBrain({}, { renew_every_seconds: 0.01 });
+    brain.runLeasedSession = vi.fn(async () => {
+      await brain.acquireSessionLease();
+      await env.KV.put("kernel:session_lease", liveLease("s_new"));
+      await new Promise(r => setTimeout(r, 50));
+    });
+
+    await brain.runScheduled();
+    expect(brain.karma.find(e => e.event === "session_lease_lost")).toMatchObject({ holder: "s_new" });
+    expect(brain.sendKernelAlert).toHaveBeenCalledWith("session_lease_lost", expect.any(String));
+    // The new holder's lease is left alone
+    expect((await stored(env, "kernel:session_lease")).session_id).toBe("s_new");
+  });
+
+  it("runs due tasks between wakes only under the lease", async () => {
+    const due = { id: "t_1", status: "pending", next_run_at: new Date(Date.now() - 1000).toISOString(), created_at: "x" };
+    const { brain } = makeLeaseBrain({ "kernel:session_lease": liveLease("s_other"), "task:t_1": JSON.stringify(due) });
+    brain.runTaskSlice = vi.fn(async () => ({ id: "t_1" }));
+    expect(await brain.runDueTasks()).toEqual([]);
+    expect(brain.runTaskSlice).not.toHaveBeenCalled();
+  });
+});
+
+// ── Mutation history ───────────────────────────────────────
+
+describe("mutation history", () => {
+  const stored = async (env, key) => JSON.parse(await env.KV.get(key));
+  const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString();
+  const oldRecord = (id, keys, at, status = "promoted") => ({
+    [`mutation_history:${id}`]: JSON.stringify({
+      id, status, target_keys: keys, created_at: at, updated_at: at,
+      steps: [{ step: "applied", at }, { step: status, at }],
+    }),
+  });
+
+  it("appends kernel-stamped steps, keeping the first proposal", async () => {
+    const { brain, env } = makeBrain();
+    const proposal = { claims: ["tighter orient"], ops: [{ op: "put", key: "prompt:orient", value: "v2" }], checks: [{ type: "kv_assert" }] };
+    await brain.appendMutationHistory("m_1", { step: "staged", depth: 0, proposal, session_id: "forged", at: "2000-01-01" });
+    await brain.appendMutationHistory("m_1", { step: "modified", depth: 1, ops: [{ op: "put", key: "prompt:reflect", value: "x" }] });
+    expect(await brain.appendMutationHistory("m_1", { step: "applied", depth: 1, proposal: { claims: ["ignored"] } })).toBe(3);
+
+    const record = await stored(env, "mutation_history:m_1");
+    expect(record.claims).toEqual(["tighter orient"]);
+    expect(record.ops).toEqual(proposal.ops);
+    expect(record.status).toBe("candidate");
+    expect(record.target_keys).toEqual(["prompt:orient", "prompt:reflect"]);
+    expect(record.steps.map(s => [s.step, s.depth])).toEqual([["staged", 0], ["modified", 1], ["applied", 1]]);
+    expect(record.steps[0].session_id).toBe(brain.sessionId);
+    expect(record.steps[0].at).not.toBe("2000-01-01");
+    expect(env.KV._meta.get("mutation_history:m_1")).toMatchObject({
+      type: "mutation_history", status: "candidate", target_keys: ["prompt:orient", "prompt:reflect"],
+    });
+  });
+
+  it("is kernel-only", async () => {
+    const { brain } = makeBrain();
+    expect(Brainstem.isKernelOnly("mutation_history:m_1")).toBe(true);
+    await expect(brain.kvPutSafe("mutation_history:m_1", {})).rejects.toThrow("kernel-only");
+    await expect(brain.kvWritePrivileged([{ op: "delete", key: "mutation_history:m_1" }])).rejects.toThrow("kernel-only");
+  });
+
+  it("queries by key, prefix, status and window, newest first", async () => {
+    const { brain } = makeBrain({
+      ...oldRecord("m_old", ["config:defaults"], daysAgo(40)),
+      ...oldRecord("m_recent", ["config:defaults", "prompt:orient"], daysAgo(5)),
+      ...oldRecord("m_rolled", ["config:defaults"], daysAgo(2), "rolled_back"),
+      ...oldRecord("m_tool", ["tool:kv_read:code"], daysAgo(1)),
+    });
+
+    const ids = async (filter) => (await brain.queryMutationHistory(filter)).mutations.map(m => m.id);
+    expect(await ids({ key: "config:defaults", days: 30 })).toEqual(["m_rolled", "m_recent"]);
+    expect(await ids({ key: "config:defaults" })).toEqual(["m_rolled", "m_recent", "m_old"]);
+    expect(await ids({ key: "prompt:orient" })).toEqual(["m_recent"]);
+    expect(await ids({ key: "tool:kv_read:*" })).toEqual(["m_tool"]);
+    expect(await ids({ status: "rolled_back" })).toEqual(["m_rolled"]);
+    expect(await ids({ until: daysAgo(30) })).toEqual(["m_old"]);
+    expect(await ids({ mutation_id: "m_old" })).toEqual(["m_old"]);
+    expect(await brain.queryMutationHistory({ key: "config:defaults", limit: 1 }))
+      .toMatchObject({ mutations: [{ id: "m_rolled" }], more: true });
+  });
+
+  it("answers the mutation_history tool", async () => {
+    const { brain } = makeBrain(oldRecord("m_recent", ["prompt:orient"], daysAgo(1)));
+    brain.karmaRecord = vi.fn(async () => {});
+    const result = await brain.executeToolCall({
+      function: { name: "mutation_history", arguments: JSON.stringify({ key: "prompt:orient", days: 30 }) },
+    });
+    expect(result.mutations.map(m => m.id)).toEqual(["m_recent"]);
+  });
+  it("records observation evidence on the candidate outside the privileged tier", async () => {
+    const { brain, env } = makeBrain({
+      "mutation_candidate:m_o": JSON.stringify({ id: "m_o", claims: ["c"], observed: { passed: 0 } }),
+    });
+    env.KV._meta.set("mutation_candidate:m_o", { type: "mutation", format: "json" });
+    brain.karmaRecord = vi.fn(async () => {});
+    const evidence = [{ session_id: brain.sessionId, outcome: "passed", results: [] }];
+    await brain.recordObservation("m_o", { observed: { passed: 1 }, evidence });
+
+    expect(await stored(env, "mutation_candidate:m_o")).toEqual({ id: "m_o", claims: ["c"], observed: { passed: 1 }, evidence });
+    expect(env.KV._meta.get("mutation_candidate:m_o")).toMatchObject({ type: "mutation" });
+    expect(brain.privilegedWriteCount).toBe(0);
+    expect(brain.karmaRecord).not.toHaveBeenCalled();
+    await expect(brain.recordObservation("m_gone", { observed: {}, evidence: [] })).rejects.toThrow("no candidate m_gone");
+  });
+});
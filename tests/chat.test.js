@@ -315,4 +315,82 @@ describe("handleChat", () => {
     const saved = K.kvPutSafe.mock.calls[0][1];
     expect(saved.total_cost).toBeCloseTo(0.03);
   });
+
+  it("replies and stops when a kernel spend limit is hit", async () => {
+    K.callLLM.mockRejectedValueOnce(new Error("Budget exceeded: daily cost"));
+
+    const result = await handleChat(K, "slack", {
+      chatId: "123", text: "Hi", userId: "user1",
+    }, adapter);
+
+    expect(result).toEqual({ ok: true, reason: "budget_exceeded" });
+    expect(adapter.sendReply).toHaveBeenCalledWith("123", expect.stringContaining("Spending limit"));
+    expect(K.karmaRecord).toHaveBeenCalledWith(expect.objectContaining({
+      event: "budget_exceeded", reason: "Budget exceeded: daily cost",
+    }));
+  });
+
+  it("propagates errors that are not budget limits", async () => {
+    K.callLLM.mockRejectedValueOnce(new Error("LLM call failed on all providers: down"));
+    await expect(handleChat(K, "slack", {
+      chatId: "123", text: "Hi", userId: "user1",
+    }, adapter)).rejects.toThrow("all providers");
+  });
+
+  describe("progressive replies", () => {
+    function streamingLLM(parts, final) {
+      return vi.fn(async ({ onText }) => {
+        let text = "";
+        for (const p of parts) { text += p; if (onText) await onText(text); }
+        return makeLLMResponse(final ?? text);
+      });
+    }
+
+    it("posts the first streamed text, then edits that message", async () => {
+      adapter.sendReply = vi.fn(async () => "ts_1");
+      adapter.editReply = vi.fn(async () => {});
+      K.getDefaults = vi.fn(async () => ({ chat: { stream_update_ms: 0 } }));
+      K.callLLM = streamingLLM(["Hel", "lo", "!"]);
+
+      await handleChat(K, "slack", { chatId: "123", text: "Hi", userId: "u" }, adapter);
+
+      expect(K.callLLM.mock.calls[0][0].onText).toBeTypeOf("function");
+      expect(adapter.sendReply).toHaveBeenCalledOnce();
+      expect(adapter.sendReply).toHaveBeenCalledWith("123", "Hel");
+      expect(adapter.editReply.mock.calls.map(c => c[2])).toEqual(["Hello", "Hello!", "Hello!"]);
+      expect(adapter.editReply).toHaveBeenCalledWith("123", "ts_1", "Hello!");
+    });
+
+    it("throttles edits to stream_update_ms", async () => {
+      adapter.sendReply = vi.fn(async () => "ts_1");
+      adapter.editReply = vi.fn(async () => {});
+      K.callLLM = streamingLLM(["a", "b", "c", "d"]);
+
+      await handleChat(K, "slack", { chatId: "123", text: "Hi", userId: "u" }, adapter);
+
+      // default 1000ms: first text posts, the rest collapse into the final edit
+      expect(adapter.sendReply).toHaveBeenCalledWith("123", "a");
+      expect(adapter.editReply.mock.calls.map(c => c[2])).toEqual(["abcd"]);
+    });
+
+    it("does not stream when the adapter cannot edit or config disables it", async () => {
+      K.callLLM = streamingLLM(["Hi"]);
+      await handleChat(K, "slack", { chatId: "123", text: "Hi", userId: "u" }, adapter);
+      expect(K.callLLM.mock.calls[0][0].onText).toBeUndefined();
+
+      adapter.editReply = vi.fn(async () => {});
+      K.getDefaults = vi.fn(async () => ({ chat: { stream_replies: false } }));
+      await handleChat(K, "slack", { chatId: "123", text: "Hi", userId: "u" }, adapter);
+      expect(K.callLLM.mock.calls[1][0].onText).toBeUndefined();
+      expect(adapter.editReply).not.toHaveBeenCalled();
+    });
+
+    it("sends the final reply as a new message when nothing was streamed", async () => {
+      adapter.editReply = vi.fn(async () => {});
+      K.callLLM = vi.fn(async () => makeLLMResponse("Done"));
+      await handleChat(K, "slack", { chatId: "123", text: "Hi", userId: "u" }, adapter);
+      expect(adapter.sendReply).toHaveBeenCalledWith("123", "Done");
+      expect(adapter.editReply).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -1,5 +1,7 @@
 import { vi } from "vitest";
 import { makeKVStore } from "./mock-kv.js";
+import { diffText, applyDiff } from "../../text-merge.js";
+import { historyKey, appendStep, historyMetadata, queryHistory } from "../../mutation-history.js";
 
 export function makeMockK(kvInit = {}, opts = {}) {
   const kv = makeKVStore(kvInit);
@@ -39,7 +41,9 @@ export function makeMockK(kvInit = {}, opts = {}) {
         if (op.op === "delete") {
           kv._store.delete(op.key);
         } else if (op.op === "patch") {
-          const current = kv._store.get(op.key) ?? null;
+          // Read as the kernel's kvGet does — JSON first, then text
+          let current = kv._store.get(op.key) ?? null;
+          try { current = JSON.parse(current); } catch { /* text */ }
           if (typeof current !== "string") {
             throw new Error(`patch op: key "${op.key}" is not a string value`);
           }
@@ -57,16 +61,87 @@ export function makeMockK(kvInit = {}, opts = {}) {
     }),
 
     // Agent loop
+    callLLM: vi.fn(async () => ({ content: "{}", usage: {}, cost: 0, toolCalls: null })),
     runAgentLoop: vi.fn(async () => ({})),
     executeToolCall: vi.fn(async () => ({})),
+    runDueTasks: vi.fn(async () => []),
+    acquireSessionLease: vi.fn(async () => ({ acquired: true })),
+    listTasks: vi.fn(async () => []),
+    listTaskResults: vi.fn(async () => [...kv._store.keys()]
+      .filter(k => k.startsWith("kernel:task_result:"))
+      .map(k => JSON.parse(kv._store.get(k)))),
+    consumeTaskResults: vi.fn(async (ids) => {
+      for (const id of ids) kv._store.delete(`kernel:task_result:${id}`);
+    }),
+    listEvents: vi.fn(async (limit = 20) => {
+      const events = [...kv._store.keys()].filter(k => k.startsWith("event:"))
+        .map(k => JSON.parse(kv._store.get(k)))
+        .sort((a, b) => (a.received_at || "").localeCompare(b.received_at || ""));
+      if (!events.length) return null;
+      return { items: events.slice(0, limit), pending: Math.max(0, events.length - limit) };
+    }),
+    consumeEvents: vi.fn(async (keys) => {
+      for (const key of keys) kv._store.delete(key);
+    }),
     buildToolDefinitions: vi.fn(async () => []),
     executeAction: vi.fn(async () => ({})),
     executeAdapter: vi.fn(async () => ({})),
     checkBalance: vi.fn(async () => ({ providers: {}, wallets: {} })),
     callHook: vi.fn(async () => null),
 
+    // Mutation history
+    appendMutationHistory: vi.fn(async (id, { proposal, ...step }) => {
+      const key = historyKey(id);
+      const existing = kv._store.has(key) ? JSON.parse(kv._store.get(key)) : null;
+      const record = appendStep(existing, id, {
+        ...step, at: new Date().toISOString(), session_id: opts.sessionId || "test_session",
+      }, proposal);
+      await kv.put(key, JSON.stringify(record), { metadata: historyMetadata(record) });
+      return record.steps.length;
+    }),
+    queryMutationHistory: vi.fn(async (filter) => queryHistory(kv, filter)),
+    recordObservation: vi.fn(async (id, { observed, evidence }) => {
+      const key = `mutation_candidate:${id}`;
+      const record = JSON.parse(kv._store.get(key));
+      kv._store.set(key, JSON.stringify({ ...record, observed, evidence }));
+    }),
+
     // Karma
     karmaRecord: vi.fn(async () => {}),
+    readKarma: vi.fn(async (sessionId) => {
+      const parse = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+      const head = kv._store.get(`karma:${sessionId}`);
+      if (head === undefined) return null;
+      const index = parse(head);
+      if (Array.isArray(index)) return index;
+      const entries = [];
+      for (let seq = 0; seq < index.chunks; seq++) {
+        const chunk = kv._store.get(`karma:${sessionId}:${seq}`);
+        if (chunk !== undefined) entries.push(...parse(chunk));
+      }
+      return entries;
+    }),
+    collectBlobGarbage: vi.fn(async () => ({ checked: 0, live: 0, deleted: 0 })),
+
+    // Costs
+    getBudgetStatus: vi.fn(async () => opts.budgetStatus || {}),
+    getCostSummary: vi.fn(async () => opts.costSummary || null),
+    getProviderHealth: vi.fn(async () => opts.providerHealth || { providers: {}, routes: {} }),
+    resolveBlobs: vi.fn(async (value) => {
+      const isRef = (v) => v !== null && typeof v === "object" && typeof v.$blob === "string";
+      const resolve = (v) => {
+        if (Array.isArray(v)) return v.map(resolve);
+        if (!isRef(v) || !kv._store.has(v.$blob)) return v;
+        const content = JSON.parse(kv._store.get(v.$blob));
+        return Array.isArray(content) ? resolve(content) : content;
+      };
+      const resolveEntry = (e) => {
+        if (isRef(e)) return resolve(e);
+        if (e === null || typeof e !== "object" || Array.isArray(e)) return e;
+        return Object.fromEntries(Object.entries(e).map(([k, v]) => [k, resolve(v)]));
+      };
+      return Array.isArray(value) ? value.map(resolveEntry) : resolveEntry(value);
+    }),
 
     // Utility
     resolveModel: vi.fn(async (m) => m),
@@ -84,6 +159,8 @@ export function makeMockK(kvInit = {}, opts = {}) {
     getSessionCount: vi.fn(async () => opts.sessionCount || 0),
     mergeDefaults: vi.fn(async (d, o) => ({ ...d, ...o })),
     isSystemKey: vi.fn(async (key) => false),
+    diffText: vi.fn(async (before, after) => diffText(before, after)),
+    applyDiff: vi.fn(async (text, diff, o) => applyDiff(text, diff, o)),
 
     // State
     getSessionId: vi.fn(async () => opts.sessionId || "test_session"),
@@ -0,0 +1,194 @@
+import { describe, it, expect } from "vitest";
+import {
+  exportBundle, importBundle, verifyBundle, matchesFilters, sha256, RemoteKV,
+  BUNDLE_FORMAT, BUNDLE_VERSION,
+} from "../scripts/kv-bundle.mjs";
+import { makeKVStore } from "./helpers/mock-kv.js";
+
+function makeSource() {
+  const kv = makeKVStore({
+    "dharma": "Be truthful.",
+    "session_counter": "42",
+    "config:defaults": JSON.stringify({ a: 1 }),
+    "karma:s_1": JSON.stringify([{ event: "session_start" }]),
+    "tooldata:notes": "hello",
+  });
+  kv._meta.set("config:defaults", { type: "config", format: "json" });
+  kv._meta.set("tooldata:notes", { type: "tooldata", format: "text", unprotected: true });
+  return kv;
+}
+
+// ── 1. exportBundle ─────────────────────────────────────────
+
+describe("exportBundle", () => {
+  it("captures keys, values, metadata and a manifest", async () => {
+    const bundle = await exportBundle(makeSource(), { source: "test" });
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(bundle.version).toBe(BUNDLE_VERSION);
+    expect(bundle.manifest.key_count).toBe(5);
+    expect(bundle.manifest.session_counter).toBe(42);
+    expect(bundle.manifest.dharma_hash).toBe(sha256("Be truthful."));
+    expect(bundle.manifest.source).toBe("test");
+
+    const notes = bundle.entries.find(e => e.key === "tooldata:notes");
+    expect(notes.value).toBe("hello");
+    expect(notes.metadata).toEqual({ type: "tooldata", format: "text", unprotected: true });
+    expect(notes.sha256).toBe(sha256("hello"));
+  });
+
+  it("applies include/exclude prefix filters", async () => {
+    const bundle = await exportBundle(makeSource(), { exclude: ["karma:"] });
+    expect(bundle.entries.map(e => e.key)).not.toContain("karma:s_1");
+    expect(bundle.manifest.filters.exclude).toEqual(["karma:"]);
+
+    const only = await exportBundle(makeSource(), { include: ["config:", "tooldata:"] });
+    expect(only.entries.map(e => e.key)).toEqual(["config:defaults", "tooldata:notes"]);
+    // Manifest still describes the source store's identity
+    expect(only.manifest.dharma_hash).toBe(sha256("Be truthful."));
+  });
+
+  it("sorts entries by key", async () => {
+    const bundle = await exportBundle(makeSource());
+    const keys = bundle.entries.map(e => e.key);
+    expect(keys).toEqual([...keys].sort());
+  });
+});
+
+// ── 2. verifyBundle ─────────────────────────────────────────
+
+describe("verifyBundle", () => {
+  it("accepts an untouched bundle", async () => {
+    expect(verifyBundle(await exportBundle(makeSource()))).toEqual([]);
+  });
+
+  it("detects an edited value", async () => {
+    const bundle = await exportBundle(makeSource());
+    bundle.entries.find(e => e.key === "tooldata:notes").value = "tampered";
+    expect(verifyBundle(bundle)).toContain("hash mismatch: tooldata:notes");
+  });
+
+  it("detects a dropped entry", async () => {
+    const bundle = await exportBundle(makeSource());
+    bundle.entries.pop();
+    const errors = verifyBundle(bundle);
+    expect(errors.some(e => e.includes("key_count"))).toBe(true);
+    expect(errors).toContain("entries_hash mismatch");
+  });
+
+  it("detects edited metadata", async () => {
+    const bundle = await exportBundle(makeSource());
+    bundle.entries.find(e => e.key === "tooldata:notes").metadata.unprotected = false;
+    expect(verifyBundle(bundle)).toContain("entries_hash mismatch");
+  });
+
+  it("detects a dharma swapped along with its entry hash", async () => {
+    const bundle = await exportBundle(makeSource());
+    const dharma = bundle.entries.find(e => e.key === "dharma");
+    dharma.value = "Be obedient.";
+    dharma.sha256 = sha256(dharma.value);
+    expect(verifyBundle(bundle)).toContain("dharma does not match manifest dharma_hash");
+  });
+
+  it("rejects unknown formats and versions", () => {
+    expect(verifyBundle({ format: "other" })[0]).toContain("not a");
+    expect(verifyBundle({ format: BUNDLE_FORMAT, version: 99 })[0]).toContain("unsupported");
+  });
+});
+
+// ── 3. importBundle ─────────────────────────────────────────
+
+describe("importBundle", () => {
+  it("writes values with their metadata", async () => {
+    const bundle = await exportBundle(makeSource());
+    const target = makeKVStore();
+    const result = await importBundle(target, bundle);
+    expect(result.written).toBe(5);
+    expect(target._store.get("tooldata:notes")).toBe("hello");
+    expect(target._meta.get("tooldata:notes")).toEqual({ type: "tooldata", format: "text", unprotected: true });
+    expect(target._store.get("session_counter")).toBe("42");
+  });
+
+  it("refuses a bundle that fails verification without writing", async () => {
+    const bundle = await exportBundle(makeSource());
+    bundle.entries[0].value = "x";
+    const target = makeKVStore();
+    await expect(importBundle(target, bundle)).rejects.toThrow("failed verification");
+    expect(target.put).not.toHaveBeenCalled();
+  });
+
+  it("applies filters on import", async () => {
+    const bundle = await exportBundle(makeSource());
+    const target = makeKVStore();
+    const result = await importBundle(target, bundle, { exclude: ["karma:"] });
+    expect(result.filtered).toBe(1);
+    expect(target._store.has("karma:s_1")).toBe(false);
+  });
+
+  it("dry run writes nothing", async () => {
+    const bundle = await exportBundle(makeSource());
+    const target = makeKVStore();
+    const result = await importBundle(target, bundle, { dryRun: true });
+    expect(result.written).toBe(5);
+    expect(target.put).not.toHaveBeenCalled();
+  });
+
+  it("refuses to replace a different dharma unless forced", async () => {
+    const bundle = await exportBundle(makeSource());
+    const target = makeKVStore({ dharma: "Something else." });
+    await expect(importBundle(target, bundle)).rejects.toThrow("different dharma");
+    await importBundle(target, bundle, { force: true });
+    expect(target._store.get("dharma")).toBe("Be truthful.");
+  });
+
+  it("skips entries whose expiration has passed", async () => {
+    const bundle = await exportBundle(makeSource());
+    const entry = bundle.entries.find(e => e.key === "karma:s_1");
+    entry.expiration = Math.floor(Date.now() / 1000) - 60;
+    const target = makeKVStore();
+    const result = await importBundle(target, bundle);
+    expect(result.skipped).toBe(1);
+    expect(target._store.has("karma:s_1")).toBe(false);
+  });
+});
+
+// ── 4. Helpers ──────────────────────────────────────────────
+
+describe("matchesFilters", () => {
+  it("includes everything by default", () => {
+    expect(matchesFilters("anything")).toBe(true);
+  });
+
+  it("exclude wins over include", () => {
+    expect(matchesFilters("karma:s_1", { include: ["karma:"], exclude: ["karma:s_"] })).toBe(false);
+  });
+});
+
+describe("RemoteKV", () => {
+  it("requires credentials", () => {
+    expect(() => new RemoteKV({ namespaceId: "ns" })).toThrow("CLOUDFLARE_ACCOUNT_ID");
+  });
+
+  it("pages through list results using the API cursor", async () => {
+    const pages = [
+      { result: [{ name: "a" }], result_info: { cursor: "c1" } },
+      { result: [{ name: "b" }], result_info: { cursor: "" } },
+    ];
+    const calls = [];
+    const fetchFn = async (url) => {
+      calls.push(url);
+      return new Response(JSON.stringify(pages[calls.length - 1]));
+    };
+    const kv = new RemoteKV({ accountId: "acc", apiToken: "tok", namespaceId: "ns", fetchFn });
+    const first = await kv.list();
+    expect(first).toEqual({ keys: [{ name: "a" }], list_complete: false, cursor: "c1" });
+    const second = await kv.list({ cursor: first.cursor });
+    expect(second.list_complete).toBe(true);
+    expect(calls[1]).toContain("cursor=c1");
+  });
+
+  it("returns null for missing values", async () => {
+    const fetchFn = async () => new Response("not found", { status: 404 });
+    const kv = new RemoteKV({ accountId: "acc", apiToken: "tok", namespaceId: "ns", fetchFn });
+    expect(await kv.get("missing")).toBeNull();
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, rmSync, readFileSync, appendFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Brainstem, ScopedKV } from "../brainstem.js";
+import { FileKV } from "../platform/node/kv.js";
+import { WorkerLoader, makeExports } from "../platform/node/loader.js";
+
+// ── 1. FileKV ───────────────────────────────────────────────
+
+describe("FileKV", () => {
+  let dir;
+  afterEach(() => { if (dir) rmSync(dir, { recursive: true, force: true }); dir = null; });
+
+  it("round-trips text and json values with metadata", async () => {
+    const kv = await FileKV.open();
+    await kv.put("config:defaults", JSON.stringify({ a: 1 }), { metadata: { format: "json" } });
+    expect(await kv.get("config:defaults", "json")).toEqual({ a: 1 });
+    expect(await kv.get("config:defaults")).toBe('{"a":1}');
+    const { value, metadata } = await kv.getWithMetadata("config:defaults", "json");
+    expect(value).toEqual({ a: 1 });
+    expect(metadata).toEqual({ format: "json" });
+    expect(await kv.get("missing")).toBeNull();
+  });
+
+  it("lists keys sorted by prefix with cursor paging", async () => {
+    const kv = await FileKV.open();
+    for (const k of ["tool:b:code", "tool:a:code", "tool:c:code", "config:x"]) {
+      await kv.put(k, "v");
+    }
+    const page1 = await kv.list({ prefix: "tool:", limit: 2 });
+    expect(page1.keys.map(k => k.name)).toEqual(["tool:a:code", "tool:b:code"]);
+    expect(page1.list_complete).toBe(false);
+    const page2 = await kv.list({ prefix: "tool:", limit: 2, cursor: page1.cursor });
+    expect(page2.keys.map(k => k.name)).toEqual(["tool:c:code"]);
+    expect(page2.list_complete).toBe(true);
+  });
+
+  it("deletes keys", async () => {
+    const kv = await FileKV.open();
+    await kv.put("k", "v");
+    await kv.delete("k");
+    expect(await kv.get("k")).toBeNull();
+    expect((await kv.list()).keys).toEqual([]);
+  });
+
+  it("hides expired keys", async () => {
+    const kv = await FileKV.open();
+    await kv.put("old", "v", { expiration: Math.floor(Date.now() / 1000) - 10 });
+    await kv.put("new", "v", { expirationTtl: 3600 });
+    expect(await kv.get("old")).toBeNull();
+    expect((await kv.list()).keys.map(k => k.name)).toEqual(["new"]);
+  });
+
+  it("persists writes and deletes across reopen", async () => {
+    dir = mkdtempSync(join(tmpdir(), "filekv-"));
+    const path = join(dir, "kv.jsonl");
+    const kv = await FileKV.open(path);
+    await kv.put("a", "1", { metadata: { format: "text" } });
+    await kv.put("b", "2");
+    await kv.delete("b");
+
+    const reopened = await FileKV.open(path);
+    expect(await reopened.get("a")).toBe("1");
+    expect((await reopened.getWithMetadata("a")).metadata).toEqual({ format: "text" });
+    expect(await reopened.get("b")).toBeNull();
+  });
+
+  it("ignores a torn final log line", async () => {
+    dir = mkdtempSync(join(tmpdir(), "filekv-"));
+    const path = join(dir, "kv.jsonl");
+    const kv = await FileKV.open(path);
+    await kv.put("a", "1");
+    appendFileSync(path, '{"k":"b","v":"2"');
+
+    const reopened = await FileKV.open(path);
+    expect(await reopened.get("a")).toBe("1");
+    expect(await reopened.get("b")).toBeNull();
+
+    await reopened.put("c", "3");
+    const again = await FileKV.open(path);
+    expect(await again.get("c")).toBe("3");
+  });
+
+  it("compacts the log when it is mostly stale", async () => {
+    dir = mkdtempSync(join(tmpdir(), "filekv-"));
+    const path = join(dir, "kv.jsonl");
+    const kv = await FileKV.open(path);
+    for (let i = 0; i < FileKV.COMPACT_MIN_LINES + 5; i++) {
+      await kv.put("counter", String(i));
+    }
+    const lines = readFileSync(path, "utf8").split("\n").filter(Boolean);
+    expect(lines.length).toBeLessThan(FileKV.COMPACT_MIN_LINES);
+    const reopened = await FileKV.open(path);
+    expect(await reopened.get("counter")).toBe(String(FileKV.COMPACT_MIN_LINES + 4));
+  });
+});
+
+// ── 2. WorkerLoader ─────────────────────────────────────────
+
+describe("WorkerLoader", () => {
+  class EchoBinding {
+    constructor(ctx, env) { this.ctx = ctx; this.env = env; }
+    async get(key) { return `${this.ctx.props.prefix}${key}`; }
+    async _secret() { return "hidden"; }
+  }
+
+  function runTool(loader, code, ctx, env = {}) {
+    const worker = loader.get(`test:${Math.random()}`, () => ({
+      compatibilityDate: "2025-06-01",
+      mainModule: "main.js",
+      modules: { "main.js": Brainstem.wrapAsModule(code) },
+      env,
+    }));
+    return worker.getEntrypoint().fetch(new Request("https://internal/run", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(ctx),
+    })).then(r => r.json());
+  }
+
+  it("runs a wrapped tool module and returns its result", async () => {
+    const loader = new WorkerLoader();
+    const out = await runTool(loader,
+      "export async function execute({ a, b }) { return { sum: a + b }; }",
+      { a: 2, b: 3 });
+    expect(out).toEqual({ ok: true, result: { sum: 5 } });
+  }, 20000);
+
+  it("sends a thrown error's status and headers back with the message", async () => {
+    const loader = new WorkerLoader();
+    const out = await runTool(loader, `export async function call() {
+        throw Object.assign(new Error("slow down"), { status: 429, headers: { "retry-after": "3" } });
+      }`, {});
+    expect(out).toEqual({ ok: false, error: "slow down", status: 429, headers: { "retry-after": "3" } });
+    expect(Brainstem.classifyFailure(Brainstem.isolateError(out))).toEqual({ transient: true, status: 429, retry_after_ms: 3000 });
+  }, 20000);
+
+  it("passes plain env values and proxies loopback bindings", async () => {
+    const loader = new WorkerLoader();
+    const exports = makeExports({ EchoBinding }, {});
+    const out = await runTool(loader,
+      "export async function execute({ kv }) { return await kv.get('x'); }",
+      {},
+      { KV_BRIDGE: exports.EchoBinding({ props: { prefix: "scoped:" } }) });
+    expect(out).toEqual({ ok: true, result: "scoped:x" });
+  }, 20000);
+
+  it("refuses private methods over RPC", async () => {
+    const loader = new WorkerLoader();
+    const exports = makeExports({ EchoBinding }, {});
+    const out = await runTool(loader,
+      "export async function execute({ kv }) { return await kv._secret(); }",
+      {},
+      { KV_BRIDGE: exports.EchoBinding({}) });
+    expect(out.ok).toBe(false);
+    expect(out.error).toContain("_secret");
+  }, 20000);
+
+  it("gives read_all tools the shared karma reader over the bridge", async () => {
+    const kv = await FileKV.open();
+    await kv.put("karma:s_1", JSON.stringify({ chunks: 2 }));
+    await kv.put("karma:s_1:0", JSON.stringify([{ event: "session_start" }]));
+    await kv.put("karma:s_1:1", JSON.stringify([{ event: "session_end" }]));
+    const exports = makeExports({ ScopedKV }, { KV: kv });
+    const code = "export async function execute({ kv }) { return await kv.readKarma('s_1'); }";
+
+    const loader = new WorkerLoader();
+    const out = await runTool(loader, code, {},
+      { KV_BRIDGE: exports.ScopedKV({ props: { toolName: "karma_query", kvAccess: "read_all" } }) });
+    expect(out).toEqual({ ok: true, result: [{ event: "session_start" }, { event: "session_end" }] });
+
+    const own = await runTool(loader, code, {},
+      { KV_BRIDGE: exports.ScopedKV({ props: { toolName: "notes", kvAccess: "own" } }) });
+    expect(own).toMatchObject({ ok: false, error: expect.stringContaining("read_all") });
+  }, 20000);
+
+  it("does not expose the host process env to the isolate", async () => {
+    process.env.SWAYAMBHU_TEST_SECRET = "leak";
+    try {
+      const loader = new WorkerLoader();
+      const out = await runTool(loader,
+        "export async function execute() { return process.env.SWAYAMBHU_TEST_SECRET ?? null; }",
+        {});
+      expect(out).toEqual({ ok: true, result: null });
+    } finally {
+      delete process.env.SWAYAMBHU_TEST_SECRET;
+    }
+  }, 20000);
+
+  it("streams NDJSON events from a stream() export as they are produced", async () => {
+    const loader = new WorkerLoader();
+    const worker = loader.get("test:stream", () => ({
+      compatibilityDate: "2025-06-01",
+      mainModule: "main.js",
+      modules: { "main.js": Brainstem.wrapAsModule(`
+        export async function call() { return { content: "whole" }; }
+        export async function* stream({ parts }) {
+          for (const text of parts) {
+            yield { type: "text", text };
+            await new Promise(r => setTimeout(r, 20));
+          }
+          yield { type: "done", usage: { completion_tokens: parts.length } };
+        }`) },
+    }));
+    const response = await worker.getEntrypoint().fetch(new Request("https://internal/run", {
+      method: "POST",
+      body: JSON.stringify({ _stream: true, parts: ["Hel", "lo"] }),
+    }));
+    expect(response.headers.get("Content-Type")).toBe("application/x-ndjson");
+
+    const brain = new Brainstem({ KV: null });
+    const seen = [];
+    const result = await brain.readLLMStream(response, async (text) => { seen.push(text); }, 5000);
+    expect(seen).toEqual(["Hel", "Hello"]);
+    expect(result).toMatchObject({ content: "Hello", usage: { completion_tokens: 2 }, streamed: true, chunks: 2 });
+  }, 20000);
+
+  it("answers call()-only adapters normally when a stream is requested", async () => {
+    const loader = new WorkerLoader();
+    const out = await runTool(loader,
+      "export async function call() { return { content: 'whole' }; }",
+      { _stream: true });
+    expect(out).toEqual({ ok: true, result: { content: "whole" } });
+  }, 20000);
+
+  it("channel adapters return the sent message ref and support edits", async () => {
+    const loader = new WorkerLoader();
+    const adapter = `
+      export function verify() { return true; }
+      export function parseInbound(body) { return body; }
+      export async function sendReply(chatId, text) { return chatId + ":" + text.length; }
+      export async function editReply() {}`;
+    const run = (ctx) => loader.get(`test:${Math.random()}`, () => ({
+      compatibilityDate: "2025-06-01",
+      mainModule: "main.js",
+      modules: { "main.js": Brainstem.wrapChannelAdapter(adapter) },
+    })).getEntrypoint().fetch(new Request("https://internal/run", {
+      method: "POST", body: JSON.stringify(ctx),
+    })).then(r => r.json());
+
+    expect(await run({ action: "send", chatId: "C1", text: "hi" })).toEqual({ ok: true, result: { ref: "C1:2" } });
+    expect(await run({ action: "edit", chatId: "C1", ref: "C1:2", text: "hello" })).toEqual({ ok: true, result: {} });
+    expect(await run({ action: "parse", body: { chatId: "C1" } })).toEqual({ ok: true, result: { inbound: { chatId: "C1" } } });
+  }, 20000);
+
+  it("rejects when the isolate exceeds max runtime", async () => {
+    const loader = new WorkerLoader({ maxRuntimeMs: 500 });
+    await expect(runTool(loader,
+      "export async function execute() { await new Promise(() => setTimeout(() => {}, 60000)); }",
+      {})).rejects.toThrow("max runtime");
+  }, 20000);
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { diffText, applyDiff, mergeText, parseDiff } from "../text-merge.js";
+
+const numbered = (n) => Array.from({ length: n }, (_, i) => `line ${i}`).join("\n") + "\n";
+
+// ── 1. diffText ─────────────────────────────────────────────
+
+describe("diffText", () => {
+  it("is empty for equal texts", () => {
+    expect(diffText("a\nb", "a\nb")).toBe("");
+  });
+
+  it("writes unified hunks with three lines of context", () => {
+    const diff = diffText(numbered(10), numbered(10).replace("line 5\n", "line five\n"));
+    expect(diff).toBe([
+      "@@ -3,7 +3,7 @@",
+      " line 2", " line 3", " line 4",
+      "-line 5", "+line five",
+      " line 6", " line 7", " line 8",
+    ].join("\n"));
+  });
+
+  it("splits distant changes into separate hunks", () => {
+    const after = numbered(40).replace("line 3\n", "x\n").replace("line 30\n", "y\n");
+    expect(parseDiff(diffText(numbered(40), after))).toHaveLength(2);
+  });
+});
+
+// ── 2. applyDiff ────────────────────────────────────────────
+
+describe("applyDiff", () => {
+  const base = numbered(30);
+  const changed = base.replace("line 5\n", "line five\n").replace("line 20\n", "line 20\nadded\n");
+  const diff = diffText(base, changed);
+
+  it("round-trips forward and in reverse", () => {
+    expect(applyDiff(base, diff)).toMatchObject({ text: changed, applied: 2, conflicts: [] });
+    expect(applyDiff(changed, diff, { reverse: true }).text).toBe(base);
+  });
+
+  it("finds hunks in text that drifted elsewhere", () => {
+    const drifted = "intro\nmore\n" + base.replace("line 12", "line twelve");
+    const result = applyDiff(drifted, diff);
+    expect(result.conflicts).toEqual([]);
+    expect(result.text).toBe("intro\nmore\n" + changed.replace("line 12", "line twelve"));
+    // Reverting keeps the unrelated edits
+    expect(applyDiff(result.text, diff, { reverse: true }).text).toBe(drifted);
+  });
+
+  it("tolerates edits to the outer context lines", () => {
+    const drifted = base.replace("line 2\n", "line two\n");
+    const result = applyDiff(drifted, diff);
+    expect(result.conflicts).toEqual([]);
+    expect(result.text).toContain("line two\nline 3\nline 4\nline five\n");
+  });
+
+  it("reports a hunk whose lines were changed as a conflict and applies the rest", () => {
+    const result = applyDiff(base.replace("line 5", "line 5 edited"), diff);
+    expect(result.conflicts).toEqual([expect.objectContaining({ hunk: 0, reason: "context not found" })]);
+    expect(result.applied).toBe(1);
+    expect(result.text).toContain("line 20\nadded\n");
+  });
+
+  it("skips hunks that are already applied", () => {
+    expect(applyDiff(changed, diff)).toMatchObject({ text: changed, applied: 0, skipped: 2 });
+  });
+
+  it("ignores file headers and restores stripped empty context lines", () => {
+    const result = applyDiff("a\n\nb", "--- prompt:orient\n+++ prompt:orient\n@@ -1,3 +1,3 @@\n a\n\n-b\n+c");
+    expect(result.text).toBe("a\n\nc");
+  });
+});
+
+// ── 3. mergeText ────────────────────────────────────────────
+
+describe("mergeText", () => {
+  it("carries their change onto ours", () => {
+    expect(mergeText("a\nb\nc", "a\nb\nc\nd", "x\nb\nc")).toEqual({ text: "x\nb\nc\nd", conflicts: [] });
+  });
+
+  it("takes whichever side changed when only one did", () => {
+    expect(mergeText("a", "a", "b").text).toBe("b");
+    expect(mergeText("a", "b", "a").text).toBe("b");
+  });
+
+  it("reports overlapping changes", () => {
+    expect(mergeText("a\nb\nc", "a\nB\nc", "a\nβ\nc").conflicts).toHaveLength(1);
+  });
+});
@@ -14,9 +14,13 @@ import * as karma_query from "../tools/karma_query.js";
 // ── Provider modules ─────────────────────────────────────────
 
 import * as llm from "../providers/llm.js";
+import * as llm_anthropic from "../providers/llm_anthropic.js";
+import * as llm_openai from "../providers/llm_openai.js";
 import * as llm_balance from "../providers/llm_balance.js";
 import * as wallet_balance from "../providers/wallet_balance.js";
 
+import { readKarmaLog } from "../karma-log.js";
+
 // ── Helpers ──────────────────────────────────────────────────
 
 function mockFetch(response) {
@@ -42,6 +46,13 @@ function mockKV(initial = {}) {
         list_complete: true,
       };
     }),
+    // ScopedKV's shared karma reader, over this store's values
+    readKarma: vi.fn(async (sessionId) => readKarmaLog({
+      get: async (key) => {
+        const v = store.get(key) ?? null;
+        return typeof v === "string" ? JSON.parse(v) : v;
+      },
+    }, sessionId)),
     _store: store,
   };
 }
@@ -53,7 +64,7 @@ const allTools = {
   kv_manifest, karma_query,
 };
 
-const allProviders = { llm, llm_balance, wallet_balance };
+const allProviders = { llm, llm_anthropic, llm_openai, llm_balance, wallet_balance };
 
 describe("module structure", () => {
   for (const [name, mod] of Object.entries(allTools)) {
@@ -66,6 +77,14 @@ describe("module structure", () => {
     });
   }
 
+  for (const [name, mod] of Object.entries(allTools)) {
+    it(`tools/${name}.js describes itself for the tool registry`, () => {
+      expect(typeof mod.meta.description).toBe("string");
+      expect(mod.meta.parameters.type).toBe("object");
+      expect(mod.meta.version).toBe(1);
+    });
+  }
+
   for (const [name, mod] of Object.entries(allProviders)) {
     it(`providers/${name}.js exports meta and call/check`, () => {
       expect(mod.meta).toBeDefined();
@@ -218,6 +237,136 @@ describe("provider:wallet_balance", () => {
   });
 });
 
+describe("provider:llm_anthropic", () => {
+  const tool = { type: "function", function: { name: "kv_read", description: "Read", parameters: { type: "object", properties: { key: { type: "string" } } } } };
+
+  it("moves system messages into cached system blocks and translates tools", () => {
+    const body = llm_anthropic.toAnthropicRequest({
+      model: "claude-x", max_tokens: 500, tools: [tool],
+      messages: [{ role: "system", content: "dharma + prompt" }, { role: "user", content: "hi" }],
+    });
+    expect(body.system).toEqual([{ type: "text", text: "dharma + prompt", cache_control: { type: "ephemeral" } }]);
+    expect(body.tools).toEqual([{
+      name: "kv_read", description: "Read", input_schema: tool.function.parameters, cache_control: { type: "ephemeral" },
+    }]);
+    expect(body.messages).toEqual([
+      { role: "user", content: [{ type: "text", text: "hi", cache_control: { type: "ephemeral" } }] },
+    ]);
+    expect(body.thinking).toBeUndefined();
+  });
+
+  it("turns tool calls into tool_use and merges tool results into one user turn", () => {
+    const thinking = [{ type: "thinking", thinking: "hmm", signature: "sig" }];
+    const body = llm_anthropic.toAnthropicRequest({
+      model: "claude-x", max_tokens: 500,
+      messages: [
+        { role: "user", content: "go" },
+        { role: "assistant", content: null, thinking, tool_calls: [
+          { id: "t1", function: { name: "kv_read", arguments: '{"key":"a"}' } },
+          { id: "t2", function: { name: "kv_read", arguments: '{"key":"b"}' } },
+        ] },
+        { role: "tool", tool_call_id: "t1", content: '{"v":1}' },
+        { role: "tool", tool_call_id: "t2", content: '{"v":2}' },
+      ],
+    });
+    expect(body.messages.map(m => m.role)).toEqual(["user", "assistant", "user"]);
+    expect(body.messages[1].content).toEqual([
+      thinking[0],
+      { type: "tool_use", id: "t1", name: "kv_read", input: { key: "a" } },
+      { type: "tool_use", id: "t2", name: "kv_read", input: { key: "b" } },
+    ]);
+    expect(body.messages[2].content.map(b => b.tool_use_id)).toEqual(["t1", "t2"]);
+    expect(body.messages[2].content[1].cache_control).toEqual({ type: "ephemeral" });
+  });
+
+  it("maps thinking effort to a budget on top of max_tokens", () => {
+    const body = llm_anthropic.toAnthropicRequest({
+      model: "claude-x", max_tokens: 1000, thinking: { type: "adaptive", effort: "medium" },
+      messages: [{ role: "user", content: "hi" }],
+    });
+    expect(body.thinking).toEqual({ type: "enabled", budget_tokens: 8192 });
+    expect(body.max_tokens).toBe(9192);
+  });
+
+  it("call() posts to the Messages API and normalizes the response", async () => {
+    const f = mockFetch({
+      content: [
+        { type: "thinking", thinking: "plan", signature: "s" },
+        { type: "text", text: "Reading. " },
+        { type: "tool_use", id: "tu_1", name: "kv_read", input: { key: "x" } },
+      ],
+      usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 90, cache_creation_input_tokens: 0 },
+    });
+    const result = await llm_anthropic.call({
+      model: "claude-x", max_tokens: 100, messages: [{ role: "user", content: "hi" }],
+      secrets: { ANTHROPIC_API_KEY: "k" }, fetch: f,
+    });
+    const [url, init] = f.mock.calls[0];
+    expect(url).toBe("https://api.anthropic.com/v1/messages");
+    expect(init.headers["x-api-key"]).toBe("k");
+    expect(result.content).toBe("Reading.");
+    expect(result.toolCalls).toEqual([{ id: "tu_1", type: "function", function: { name: "kv_read", arguments: '{"key":"x"}' } }]);
+    expect(result.thinking).toHaveLength(1);
+    expect(result.usage).toEqual({ prompt_tokens: 100, completion_tokens: 5, cache_read_tokens: 90, cache_write_tokens: 0 });
+  });
+});
+
+describe("provider:llm_openai", () => {
+  it("posts to the model's base_url and keeps only chat completion fields", async () => {
+    const f = mockFetch({ choices: [{ message: { content: " hi " } }], usage: { prompt_tokens: 3, completion_tokens: 1 } });
+    const result = await llm_openai.call({
+      model: "qwen", max_tokens: 100, base_url: "http://gpu-box:8000/v1/",
+      thinking: { type: "adaptive", effort: "low" },
+      messages: [{ role: "assistant", content: "x", thinking: [{ type: "thinking" }] }],
+      secrets: {}, fetch: f,
+    });
+    const [url, init] = f.mock.calls[0];
+    expect(url).toBe("http://gpu-box:8000/v1/chat/completions");
+    expect(init.headers.Authorization).toBeUndefined();
+    const body = JSON.parse(init.body);
+    expect(body.messages).toEqual([{ role: "assistant", content: "x" }]);
+    expect(body.thinking).toBeUndefined();
+    expect(result).toEqual({ content: "hi", usage: { prompt_tokens: 3, completion_tokens: 1 }, toolCalls: null });
+  });
+
+  it("asks for native structured output when given an output schema", async () => {
+    const schema = { type: "object", required: ["session_summary"] };
+    for (const mod of [llm, llm_openai]) {
+      expect(mod.meta.structured_output).toBe(true);
+      const f = mockFetch({ choices: [{ message: { content: "{}" } }] });
+      await mod.call({ model: "m", messages: [], output_schema: { name: "orient_output", schema }, secrets: {}, fetch: f });
+      expect(JSON.parse(f.mock.calls[0][1].body).response_format).toEqual({
+        type: "json_schema", json_schema: { name: "orient_output", strict: false, schema },
+      });
+    }
+    expect(llm_anthropic.meta.structured_output).toBeUndefined();
+  });
+
+  it("sends the API key when one is configured", async () => {
+    const f = mockFetch({ choices: [{ message: { content: "ok" } }] });
+    await llm_openai.call({ model: "gpt", messages: [], secrets: { OPENAI_API_KEY: "sk" }, fetch: f });
+    expect(f.mock.calls[0][1].headers.Authorization).toBe("Bearer sk");
+    expect(f.mock.calls[0][0]).toBe("http://localhost:8080/v1/chat/completions");
+  });
+});
+
+describe("provider errors", () => {
+  it("carry the raw HTTP status and response headers", async () => {
+    const f = vi.fn(async () => ({
+      ok: false,
+      status: 429,
+      headers: new Headers({ "retry-after": "7" }),
+      json: async () => ({ error: { message: "slow down" } }),
+    }));
+    for (const mod of [llm, llm_openai, llm_anthropic]) {
+      const err = await mod.call({ model: "m", messages: [], secrets: {}, fetch: f }).catch(e => e);
+      expect(JSON.parse(err.message)).toEqual({ message: "slow down" });
+      expect(err.status).toBe(429);
+      expect(err.headers).toEqual({ "retry-after": "7" });
+    }
+  });
+});
+
 // ── 5. karma_query tests ──────────────────────────────────────
 
 const SAMPLE_KARMA = [
@@ -330,4 +479,31 @@ describe("karma_query", () => {
     const result = await karma_query.execute({ session: "s_str", kv });
     expect(result.count).toBe(3);
   });
+
+  it("reassembles chunked karma across chunk keys", async () => {
+    const kv = mockKV({
+      "karma:s_chunked": { chunks: 2 },
+      "karma:s_chunked:0": SAMPLE_KARMA.slice(0, 2),
+      "karma:s_chunked:1": JSON.stringify(SAMPLE_KARMA.slice(2)),
+    });
+    const result = await karma_query.execute({ session: "s_chunked", kv });
+    expect(result.count).toBe(3);
+    expect(result.events[2]).toContain("tool_result");
+
+    const drill = await karma_query.execute({ session: "s_chunked", path: "[2].tool", kv });
+    expect(drill.value).toBe("kv_manifest");
+  });
+
+  it("labels blob refs and follows them when drilling in", async () => {
+    const ref = { $blob: "blob:abc", bytes: 4000 };
+    const kv = mockKV({
+      "karma:s_blob": [{ event: "llm_call", request: [ref, { role: "user", content: "hi" }] }],
+      "blob:abc": { role: "system", content: "You are Swayambhu." },
+    });
+    const list = await karma_query.execute({ session: "s_blob", path: "[0].request", kv });
+    expect(list.items[0]).toBe("0: blob (4000 bytes)");
+
+    const msg = await karma_query.execute({ session: "s_blob", path: "[0].request[0].content", kv });
+    expect(msg.value).toBe("You are Swayambhu.");
+  });
 });
@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
+import { readFileSync, readdirSync } from "fs";
 import {
   buildOrientContext,
   detectCrash,
@@ -6,7 +7,20 @@ import {
   writeSessionResults,
   getBalances,
   runSession,
+  runTasks,
+  loadEvents,
+  wake,
+  ORIENT_OUTPUT_SCHEMA,
 } from "../hook-main.js";
+import {
+  writeWakeConfig,
+  advanceWake,
+  nextCronTime,
+  parseCron,
+  planNextWake,
+  quietHoursEnd,
+  slotCron,
+} from "../hook-schedule.js";
 import {
   applyKVOperation,
 } from "../hook-protect.js";
@@ -24,7 +38,22 @@ import {
   initTracking,
   applyStagedAsCandidate,
   applyDirectAsCandidate,
+  expandToolOps,
+  evaluateChecks,
+  observeCandidates,
+  observationPolicy,
+  resolveRequests,
+  stageMutations,
+  applyDirectMutations,
+  parentsFirst,
+  setActingDepth,
 } from "../hook-mutations.js";
+import {
+  runRetention,
+  foldSession,
+  emptyDaySummary,
+  sessionTime,
+} from "../hook-retention.js";
 import {
   getMaxSteps,
   getReflectModel,
@@ -37,7 +66,11 @@ import {
   loadBelowPrompt,
   loadReflectHistory,
   runReflect,
+  REFLECT_OUTPUT_SCHEMA,
+  DEEP_REFLECT_OUTPUT_SCHEMA,
 } from "../hook-reflect.js";
+import { Brainstem } from "../brainstem.js";
+import { DevBrainstem } from "../brainstem-dev.js";
 import { makeMockK } from "./helpers/mock-kernel.js";
 
 // Reset mutation tracking state before each test
@@ -80,6 +113,238 @@ describe("buildOrientContext", () => {
     expect(result.crash_data).toBeNull();
     expect(result).toHaveProperty("current_time");
     expect(new Date(result.current_time).getTime()).not.toBeNaN();
+    expect(result).not.toHaveProperty("tasks");
+    expect(result).not.toHaveProperty("events");
+  });
+
+  it("includes queued events when there are any", () => {
+    const events = { items: [{ key: "event:github:d-1", type: "push" }], pending: 0 };
+    const result = JSON.parse(buildOrientContext({ events }));
+    expect(result.events).toEqual(events);
+  });
+
+  it("says which schedule slot started the wake", () => {
+    const wake = { slot: "digest", woken_by_event: null };
+    expect(JSON.parse(buildOrientContext({ wake })).wake).toEqual(wake);
+  });
+
+  it("includes background tasks when there are any", () => {
+    const tasks = { finished: [{ id: "t_1", status: "done", result: 42 }], active: [], ran: 1 };
+    const result = JSON.parse(buildOrientContext({ tasks }));
+    expect(result.tasks).toEqual(tasks);
+    expect(Object.keys(result).at(-1)).toBe("current_time");
+  });
+});
+
+// ── 1b. runTasks ────────────────────────────────────────────
+
+describe("runTasks", () => {
+  it("runs due slices and gathers finished results and active tasks", async () => {
+    const K = makeMockK({
+      "kernel:task_result:t_1": JSON.stringify({ id: "t_1", status: "done", result: "report" }),
+    });
+    K.runDueTasks = vi.fn(async () => [{ task_id: "t_2", status: "waiting" }]);
+    K.listTasks = vi.fn(async () => [
+      { id: "t_1", goal: "a", status: "done", slices: 2, cost: 0.01 },
+      { id: "t_2", goal: "b", status: "waiting", progress: "job queued", slices: 1, cost: 0.002, next_run_at: "x", caps: {} },
+    ]);
+
+    const tasks = await runTasks(K);
+    expect(tasks.ran).toBe(1);
+    expect(tasks.finished).toEqual([{ id: "t_1", status: "done", result: "report" }]);
+    expect(tasks.active).toEqual([
+      { id: "t_2", goal: "b", status: "waiting", progress: "job queued", slices: 1, cost: 0.002, next_run_at: "x" },
+    ]);
+    expect(K.listTasks).toHaveBeenCalledWith({ finished: false });
+  });
+
+  it("returns null when there is nothing to report", async () => {
+    expect(await runTasks(makeMockK())).toBeNull();
+  });
+
+  it("records a failed run without stopping the wake", async () => {
+    const K = makeMockK();
+    K.runDueTasks = vi.fn(async () => { throw new Error("boom"); });
+    expect(await runTasks(K)).toBeNull();
+    expect(K.karmaRecord).toHaveBeenCalledWith({ event: "task_run_error", error: "boom" });
+  });
+});
+
+// ── 1c. loadEvents ──────────────────────────────────────────
+
+describe("loadEvents", () => {
+  it("returns the oldest events up to max_in_context and counts the rest", async () => {
+    const K = makeMockK({
+      "event:github:b": JSON.stringify({ key: "event:github:b", received_at: "2026-01-02T00:00:00.000Z" }),
+      "event:github:a": JSON.stringify({ key: "event:github:a", received_at: "2026-01-03T00:00:00.000Z" }),
+      "event:stripe:c": JSON.stringify({ key: "event:stripe:c", received_at: "2026-01-01T00:00:00.000Z" }),
+    });
+    const events = await loadEvents(K, makeState({ defaults: { events: { max_in_context: 2 } } }));
+    expect(events.items.map(e => e.key)).toEqual(["event:stripe:c", "event:github:b"]);
+    expect(events.pending).toBe(1);
+    expect(K.listEvents).toHaveBeenCalledWith(2);
+    expect(K.kvList).not.toHaveBeenCalled();
+  });
+
+  it("returns null when nothing is queued", async () => {
+    expect(await loadEvents(makeMockK(), makeState())).toBeNull();
+  });
+});
+
+// ── 1d. writeWakeConfig ─────────────────────────────────────
+
+describe("writeWakeConfig", () => {
+  it("keeps the stored event policy unless the new config sets one", async () => {
+    const policy = { default: "defer", min_interval_seconds: 300 };
+    const K = makeMockK({ wake_config: JSON.stringify({ sleep_seconds: 60, event_policy: policy }) });
+
+    await writeWakeConfig(K, { sleep_seconds: 3600 });
+    let written = K.kvPutSafe.mock.calls.at(-1)[1];
+    expect(written).toMatchObject({ sleep_seconds: 3600, event_policy: policy });
+    expect(Date.parse(written.next_wake_after)).toBeGreaterThan(Date.now() + 3590000);
+
+    await writeWakeConfig(K, { sleep_seconds: 60, event_policy: { default: "immediate" } });
+    written = K.kvPutSafe.mock.calls.at(-1)[1];
+    expect(written.event_policy).toEqual({ default: "immediate" });
+  });
+});
+
+// ── 1e. Wake schedules ──────────────────────────────────────
+
+describe("wake schedules", () => {
+  const at = iso => new Date(iso);
+
+  it("finds the next cron match strictly after the given time", () => {
+    expect(nextCronTime("0 9 * * mon-fri", at("2026-10-17T10:00:00Z")).toISOString()).toBe("2026-10-19T09:00:00.000Z");
+    expect(nextCronTime("*/15 * * * *", at("2026-10-17T10:15:00Z")).toISOString()).toBe("2026-10-17T10:30:00.000Z");
+    expect(nextCronTime("30 6 1,15 * *", at("2026-10-17T00:00:00Z")).toISOString()).toBe("2026-11-01T06:30:00.000Z");
+    // Restricted day and weekday match either, as in cron
+    expect(nextCronTime("0 0 1 * 0", at("2026-10-17T00:00:00Z")).toISOString()).toBe("2026-10-18T00:00:00.000Z");
+    expect(nextCronTime("0 0 30 2 *", at("2026-10-17T00:00:00Z"))).toBeNull();
+  });
+
+  it("rejects malformed cron expressions", () => {
+    expect(() => parseCron("0 9 * *")).toThrow("5 fields");
+    expect(() => parseCron("61 * * * *")).toThrow("minute");
+    expect(() => parseCron("0 9 * * funday")).toThrow("weekday");
+    expect(parseCron("0 0 * * 7").weekday).toEqual(new Set([0]));
+  });
+
+  it("turns an at/days slot into a cron expression", () => {
+    expect(slotCron({ name: "digest", at: "09:05" })).toBe("5 9 * * *");
+    expect(slotCron({ name: "review", at: "17:30", days: ["mon", "thu"] })).toBe("30 17 * * mon,thu");
+    expect(() => slotCron({ name: "empty" })).toThrow("needs cron or at");
+  });
+
+  it("computes the end of quiet hours, including windows past midnight", () => {
+    const quiet = { start: "22:00", end: "06:00" };
+    expect(quietHoursEnd(quiet, at("2026-10-17T23:30:00Z")).toISOString()).toBe("2026-10-18T06:00:00.000Z");
+    expect(quietHoursEnd(quiet, at("2026-10-17T03:00:00Z")).toISOString()).toBe("2026-10-17T06:00:00.000Z");
+    expect(quietHoursEnd(quiet, at("2026-10-17T12:00:00Z"))).toBeNull();
+    expect(quietHoursEnd({ start: "12:00", end: "13:00" }, at("2026-10-17T12:59:00Z")).toISOString()).toBe("2026-10-17T13:00:00.000Z");
+  });
+
+  it("plans the earliest slot or sleep, then applies jitter and quiet hours", () => {
+    const now = at("2026-10-17T08:00:00Z");
+    const schedules = [
+      { name: "digest", at: "09:00" },
+      { name: "night", cron: "0 23 * * *" },
+    ];
+    expect(planNextWake({ sleep_seconds: 21600, schedules }, now))
+      .toEqual({ at: at("2026-10-17T09:00:00Z"), slot: "digest" });
+    expect(planNextWake({ sleep_seconds: 600, schedules }, now))
+      .toEqual({ at: at("2026-10-17T08:10:00Z"), slot: null });
+    expect(planNextWake({ schedules: [schedules[1]], quiet_hours: { start: "22:00", end: "06:00" } }, now))
+      .toEqual({ at: at("2026-10-18T06:00:00Z"), slot: "night" });
+    expect(planNextWake({}, now)).toBeNull();
+
+    const random = vi.spyOn(Math, "random").mockReturnValue(0.5);
+    try {
+      expect(planNextWake({ schedules: [{ ...schedules[0], jitter_seconds: 600 }], jitter_seconds: 60 }, now).at)
+        .toEqual(at("2026-10-17T09:05:00Z"));
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  it("keeps schedules across writes, drops invalid slots and records the planned slot", async () => {
+    const K = makeMockK({ wake_config: JSON.stringify({ schedules: [{ name: "digest", at: "09:00" }] }) });
+
+    const written = await writeWakeConfig(K, { sleep_seconds: 86400 * 2 });
+    expect(written.schedules).toEqual([{ name: "digest", at: "09:00" }]);
+    expect(written.next_slot).toBe("digest");
+
+    const replaced = await writeWakeConfig(K, {
+      schedules: [{ name: "broken", cron: "every day" }, { name: "weekly", cron: "0 8 * * sun" }],
+    });
+    expect(replaced.schedules.map(s => s.name)).toEqual(["weekly"]);
+    expect(K.karmaRecord).toHaveBeenCalledWith(expect.objectContaining({ event: "wake_schedule_invalid", slot: "broken" }));
+
+    const cleared = await writeWakeConfig(K, { sleep_seconds: 60, schedules: [], quiet_hours: null });
+    expect(cleared.next_slot).toBeUndefined();
+    expect(cleared).not.toHaveProperty("quiet_hours");
+  });
+
+  it("advances past the slot that started the wake", async () => {
+    const digest = { name: "digest", at: "09:00", effort: "medium", load_keys: ["digest:sources"] };
+    const K = makeMockK();
+    const wakeInfo = await advanceWake(K, {
+      schedules: [digest], next_slot: "digest", next_wake_after: new Date(Date.now() - 1000).toISOString(),
+    });
+    expect(wakeInfo).toEqual({ slot: digest, woken_by_event: null });
+    const written = K.kvPutSafe.mock.calls.find(([key]) => key === "wake_config")[1];
+    expect(Date.parse(written.next_wake_after)).toBeGreaterThan(Date.now());
+  });
+
+  it("applies no slot to a wake an event brought forward", async () => {
+    const K = makeMockK();
+    const wakeInfo = await advanceWake(K, {
+      schedules: [{ name: "digest", at: "09:00" }], next_slot: "digest", woken_by_event: "event:github:d-1",
+    });
+    expect(wakeInfo).toEqual({ slot: null, woken_by_event: "event:github:d-1" });
+    const written = K.kvPutSafe.mock.calls.find(([key]) => key === "wake_config")[1];
+    expect(written).not.toHaveProperty("woken_by_event");
+    expect(await advanceWake(makeMockK(), null)).toEqual({ slot: null });
+  });
+});
+
+describe("wake gate and session lease", () => {
+  it("turns away a tick before its wake without taking the lease", async () => {
+    const K = makeMockK({ wake_config: JSON.stringify({ next_wake_after: new Date(Date.now() + 60000).toISOString() }) });
+    expect(await wake(K, {})).toEqual({ skipped: true, reason: "not_time_yet" });
+    expect(K.acquireSessionLease).not.toHaveBeenCalled();
+  });
+
+  it("runs due task slices between wakes without recording a session", async () => {
+    const K = makeMockK({
+      wake_config: JSON.stringify({ next_wake_after: new Date(Date.now() + 60000).toISOString() }),
+      "cache:session_ids": JSON.stringify(["s_1"]),
+    });
+    K.getDefaults = vi.fn(async () => ({ tasks: { run_between_wakes: true } }));
+    K.runDueTasks = vi.fn(async () => [{ task_id: "t_1", status: "waiting" }]);
+
+    expect(await wake(K, {})).toEqual({ skipped: true, reason: "not_time_yet", tasks: [{ task_id: "t_1", status: "waiting" }] });
+    expect(K.kvPutSafe).not.toHaveBeenCalled();
+    expect(await K.kvGet("cache:session_ids")).toEqual(["s_1"]);
+  });
+
+  it("takes the lease once a session will run, and stops if another session has it", async () => {
+    const K = makeMockK();
+    K.acquireSessionLease = vi.fn(async () => ({ acquired: false, holder: "s_other" }));
+    expect(await wake(K, {})).toEqual({ skipped: true, reason: "session_locked", holder: "s_other" });
+    expect(K.acquireSessionLease).toHaveBeenCalledTimes(1);
+    expect(K.karmaRecord).not.toHaveBeenCalled();
+  });
+});
+
+describe("dev runner", () => {
+  // brainstem-dev.js runs the same hook modules with K = the brainstem itself
+  it("provides every kernel method the hook modules call", () => {
+    const hookSources = readdirSync(".").filter(f => /^hook-.*\.js$/.test(f))
+      .map(f => readFileSync(f, "utf8")).join("\n");
+    const called = [...new Set([...hookSources.matchAll(/\bK\.(\w+)\(/g)].map(m => m[1]))];
+    expect(called).toEqual(expect.arrayContaining(["listEvents", "consumeEvents", "runDueTasks", "acquireSessionLease"]));
+    expect(called.filter(name => typeof DevBrainstem.prototype[name] !== "function")).toEqual([]);
   });
 });
 
@@ -444,6 +709,203 @@ describe("evaluatePredicate", () => {
   });
 });
 
+// ── 9b. Mutation checks ─────────────────────────────────────
+
+describe("mutation checks", () => {
+  // Session ids carry their start time; karma is stored as whole-log arrays
+  const day = Date.parse("2026-10-10T00:00:00Z");
+  const sid = (hours) => `s_${day + hours * 3600000}_x`;
+  function makeChecksK(karmaBySession, opts = {}) {
+    const kv = { "cache:session_ids": JSON.stringify(Object.keys(karmaBySession)) };
+    for (const [id, karma] of Object.entries(karmaBySession)) kv[`karma:${id}`] = JSON.stringify(karma);
+    return makeMockK({ ...kv, ...opts.kv }, { sessionId: opts.sessionId || `s_now_${Math.random()}`, defaults: opts.defaults });
+  }
+  const llmCall = (step, cost, extra = {}) => ({ event: "llm_call", step, cost, model: "opus", ...extra });
+
+  it("karma_assert counts events and costs over sessions since activation", async () => {
+    const K = makeChecksK({
+      [sid(1)]: [{ event: "orient_parse_error" }, llmCall("orient", 0.5)],
+      [sid(5)]: [llmCall("orient", 0.1), llmCall("reflect", 0.02)],
+      [sid(6)]: [llmCall("orient", 0.08)],
+    });
+    const candidate = { id: "m_1", activated_at: new Date(day + 2 * 3600000).toISOString() };
+
+    const { results } = await evaluateChecks(K, [
+      { type: "karma_assert", metric: "event_count", event: "orient_parse_error", predicate: "equals", expected: 0 },
+      { type: "karma_assert", metric: "avg_session_cost", predicate: "lt", expected: 0.11 },
+      { type: "karma_assert", metric: "sessions_with_event", event: "orient_parse_error", since: "any", predicate: "equals", expected: 0 },
+      { type: "karma_assert", metric: "event_count", event: "x", min_sessions: 3, predicate: "equals", expected: 0 },
+    ], candidate);
+
+    expect(results.map(r => r.passed)).toEqual([true, true, false, false]);
+    expect(results[1].detail).toContain("over 2 session(s)");
+    expect(results[3]).toMatchObject({ pending: true, detail: expect.stringContaining("2 of 3") });
+  });
+
+  it("llm_judge scores the newest matching output with a cheap model", async () => {
+    const K = makeChecksK({
+      [sid(1)]: [llmCall("orient", 0.1, { response: "old plan" })],
+      [sid(2)]: [llmCall("orient", 0.1, { response: "new plan" }), llmCall("reflect", 0.01, { response: "reflection" })],
+    }, { defaults: { mutation_checks: { judge_model: "cheap", pass_score: 0.8 } } });
+    K.callLLM = vi.fn(async () => ({ content: JSON.stringify({ score: 0.9, reason: "specific and actionable" }) }));
+
+    const { results } = await evaluateChecks(K, [{ type: "llm_judge", step: "orient", rubric: "Is the plan specific?" }]);
+
+    expect(results[0]).toMatchObject({ passed: true, score: 0.9 });
+    const call = K.callLLM.mock.calls[0][0];
+    expect(call).toMatchObject({ model: "cheap", step: "mutation_check" });
+    expect(JSON.parse(call.messages[0].content)).toEqual({ rubric: "Is the plan specific?", output: "new plan" });
+  });
+
+  it("replay re-runs the recorded orient input under a staged prompt patch", async () => {
+    const K = makeChecksK({
+      [sid(1)]: [llmCall("orient", 0.1, {
+        request: [{ role: "system", content: "old" }, { role: "user", content: "{\"balances\":{}}" }],
+        response: "",
+        tool_calls: [{ function: { name: "check_balance" } }],
+      })],
+    }, { kv: { "prompt:orient": JSON.stringify("Be brief.") } });
+    K.callLLM = vi.fn(async () => ({ content: JSON.stringify({ session_summary: "ok" }), toolCalls: null }));
+    const staged = {
+      id: "m_2", staged_by_session: sid(1),
+      ops: [{ op: "patch", key: "prompt:orient", old_string: "brief", new_string: "thorough" }],
+    };
+
+    const { results } = await evaluateChecks(K, [
+      { type: "replay", assert: { path: "session_summary", predicate: "exists" } },
+      { type: "replay", rubric: "Does the new output keep checking balances?" },
+    ], staged);
+
+    const replay = K.callLLM.mock.calls[0][0];
+    expect(replay.systemPrompt).toBe("Be thorough.");
+    expect(replay.messages).toEqual([{ role: "user", content: "{\"balances\":{}}" }]);
+    expect(results[0].passed).toBe(true);
+    // The rubric replay hands the judge both the recorded and the replayed turn
+    const judged = JSON.parse(K.callLLM.mock.calls[2][0].messages[0].content);
+    expect(JSON.parse(judged.reference)).toEqual({ content: "", tool_calls: ["check_balance"] });
+  });
+
+  it("reports pending when there is nothing recorded to check against", async () => {
+    const K = makeChecksK({});
+    const { results } = await evaluateChecks(K, [
+      { type: "replay" },
+      { type: "llm_judge", step: "orient", rubric: "r" },
+    ]);
+    expect(results.every(r => r.pending && !r.passed)).toBe(true);
+    expect(K.callLLM).not.toHaveBeenCalled();
+  });
+
+  it("caches expensive results for the rest of the session", async () => {
+    const K = makeChecksK({ [sid(1)]: [llmCall("orient", 0.1, { response: "plan" })] }, { sessionId: "s_cache" });
+    K.callLLM = vi.fn(async () => ({ content: JSON.stringify({ score: 1 }) }));
+    const record = { id: "m_3", checks: [{ type: "llm_judge", step: "orient", rubric: "r" }, { type: "kv_assert", key: "x", predicate: "exists" }] };
+
+    await evaluateChecks(K, record.checks, record);
+    const second = await evaluateChecks(K, record.checks, record);
+
+    expect(K.callLLM).toHaveBeenCalledTimes(1);
+    expect(second.results[0].cached).toBe(true);
+    expect(K.kvGet.mock.calls.filter(([key]) => key === "x")).toHaveLength(2);
+  });
+});
+
+describe("candidate observation", () => {
+  const activated = new Date(Date.now() - 3600000).toISOString();
+  function makeObservedK(record, opts = {}) {
+    const K = makeMockK({
+      [`mutation_candidate:${record.id}`]: JSON.stringify({
+        claims: ["c"], ops: [], snapshots: { "config:x": { value: "old", metadata: {} } },
+        activated_at: activated, ...record,
+      }),
+      "config:x": JSON.stringify("new"),
+      ...opts.kv,
+    }, { sessionId: opts.sessionId || "s_obs_1", defaults: opts.defaults });
+    initTracking([], [record.id]);
+    return K;
+  }
+  const stored = async (K, id) => K.kvGet(`mutation_candidate:${id}`);
+  const passing = [{ type: "kv_assert", key: "config:x", predicate: "equals", expected: "new" }];
+  const failing = [{ type: "kv_assert", key: "config:x", predicate: "equals", expected: "other" }];
+
+  it("fills the window from defaults unless sessions or days are declared", () => {
+    expect(observationPolicy({}, {})).toMatchObject({ sessions: 3, days: 0, promote: "auto", max_failures: 2 });
+    expect(observationPolicy({ days: 2 }, { mutation_observation: { sessions: 5 } })).toMatchObject({ sessions: 0, days: 2 });
+    expect(observationPolicy({ max_failures: 0, promote: "manual" }, {})).toMatchObject({ max_failures: 0, promote: "manual" });
+  });
+
+  it("records one evidence entry per session", async () => {
+    const K = makeObservedK({ id: "m_o1", checks: passing, observation: { sessions: 2 } });
+    await observeCandidates(K);
+    await observeCandidates(K);
+
+    const record = await stored(K, "m_o1");
+    expect(record.observed).toMatchObject({ passed: 1, failed: 0, pending: 0, last_session: "s_obs_1" });
+    expect(record.evidence).toHaveLength(1);
+    expect(record.evidence[0]).toMatchObject({ session_id: "s_obs_1", outcome: "passed", results: [{ passed: true }] });
+    // Recorded by the kernel, not through the privileged tier
+    expect(K.recordObservation).toHaveBeenCalledTimes(1);
+    expect(K.kvWritePrivileged).not.toHaveBeenCalled();
+  });
+
+  it("auto-promotes once every session in the window passed", async () => {
+    const K = makeObservedK({
+      id: "m_o2", checks: passing, observation: { sessions: 2 },
+      observed: { passed: 1, failed: 0, pending: 1, last_session: "s_prev" },
+      evidence: [{ session_id: "s_prev", outcome: "passed", results: [] }],
+    });
+    const report = await observeCandidates(K);
+
+    expect(report.promoted).toEqual(["m_o2"]);
+    expect(await stored(K, "m_o2")).toBeNull();
+    const karma = K.karmaRecord.mock.calls.map(c => c[0]);
+    expect(karma.find(e => e.event === "mutation_auto_promoted")).toMatchObject({
+      mutation_id: "m_o2", observed: { passed: 2 }, evidence: [{ session_id: "s_prev" }, { session_id: "s_obs_1" }],
+    });
+  });
+
+  it("waits out a days window and leaves manual candidates to deep reflect", async () => {
+    const days = makeObservedK({ id: "m_o3", checks: passing, observation: { days: 1 } });
+    expect((await observeCandidates(days)).promoted).toEqual([]);
+    expect((await stored(days, "m_o3")).observed.passed).toBe(1);
+
+    const manual = makeObservedK({ id: "m_o4", checks: passing, observation: { sessions: 1, promote: "manual" } });
+    expect((await observeCandidates(manual)).promoted).toEqual([]);
+    expect(await stored(manual, "m_o4")).not.toBeNull();
+  });
+
+  it("does not count pending sessions toward the window", async () => {
+    const K = makeObservedK({
+      id: "m_o5", observation: { sessions: 1 },
+      checks: [{ type: "karma_assert", metric: "error_count", predicate: "equals", expected: 0 }],
+    });
+    const report = await observeCandidates(K);
+    expect(report.promoted).toEqual([]);
+    expect((await stored(K, "m_o5")).observed).toMatchObject({ passed: 0, pending: 1 });
+  });
+
+  it("rolls back when failures reach the threshold, keeping the evidence in karma", async () => {
+    const K = makeObservedK({
+      id: "m_o6", checks: failing, observation: { sessions: 5, max_failures: 2 },
+      observed: { passed: 0, failed: 1, pending: 0, last_session: "s_prev" },
+    });
+    const report = await observeCandidates(K);
+
+    expect(report.rolled_back).toEqual(["m_o6"]);
+    expect(await K.kvGet("config:x")).toBe("old");
+    const karma = K.karmaRecord.mock.calls.map(c => c[0]);
+    expect(karma.find(e => e.event === "mutation_rolled_back")).toMatchObject({ reason: "observation_failed" });
+    expect(karma.find(e => e.event === "mutation_auto_rolled_back").evidence[0]).toMatchObject({
+      outcome: "failed", results: [{ passed: false, detail: expect.stringContaining("actual: \"new\"") }],
+    });
+  });
+
+  it("leaves candidates without an observation block alone", async () => {
+    const K = makeObservedK({ id: "m_o7", checks: failing });
+    await observeCandidates(K);
+    expect(K.kvWritePrivileged).not.toHaveBeenCalled();
+  });
+});
+
 // ── 10. detectCrash ─────────────────────────────────────────
 
 describe("detectCrash", () => {
@@ -462,6 +924,18 @@ describe("detectCrash", () => {
     expect(result.karma).toHaveLength(1);
     expect(result.last_entry.event).toBe("session_start");
   });
+
+  it("finds the last entry of a chunked karma log", async () => {
+    const K = makeMockK({
+      "kernel:active_session": JSON.stringify("s_dead"),
+      "karma:s_dead": JSON.stringify({ chunks: 2 }),
+      "karma:s_dead:0": JSON.stringify([{ event: "session_start" }, { event: "llm_call" }]),
+      "karma:s_dead:1": JSON.stringify([{ event: "tool_start", tool: "web_fetch" }]),
+    });
+    const result = await detectCrash(K);
+    expect(result.karma).toHaveLength(3);
+    expect(result.last_entry).toEqual({ event: "tool_start", tool: "web_fetch" });
+  });
 });
 
 // ── 11. writeSessionResults ────────────────────────────────
@@ -626,6 +1100,26 @@ describe("runSession reflect_reserve_pct", () => {
     // The function should complete without throwing
   });
 
+  it("deletes task results once orient has seen them", async () => {
+    const { K, state, context, config } = makeRunSessionFixture({});
+    context.tasks = { finished: [{ id: "t_1", status: "done" }], active: [], ran: 0 };
+    await runSession(K, state, context, config);
+
+    expect(JSON.parse(K.runAgentLoop.mock.calls[0][0].initialContext).tasks.finished[0].id).toBe("t_1");
+    expect(K.consumeTaskResults).toHaveBeenCalledWith(["t_1"]);
+  });
+
+  it("deletes delivered events once orient has seen them", async () => {
+    const { K, state, context, config } = makeRunSessionFixture({});
+    context.events = { items: [{ key: "event:github:d-1", type: "push" }], pending: 2 };
+    await runSession(K, state, context, config);
+
+    expect(JSON.parse(K.runAgentLoop.mock.calls[0][0].initialContext).events.items[0].type).toBe("push");
+    expect(K.consumeEvents).toHaveBeenCalledWith(["event:github:d-1"]);
+    expect(K.kvDeleteSafe).not.toHaveBeenCalledWith("event:github:d-1");
+    expect(K.karmaRecord).toHaveBeenCalledWith({ event: "events_delivered", keys: ["event:github:d-1"], pending: 2 });
+  });
+
   it("skips reflect when budget_exceeded and no reservePct", async () => {
     const { K, state, context, config } = makeRunSessionFixture({ reflect_reserve_pct: 0 });
     K.runAgentLoop = vi.fn(async () => ({ budget_exceeded: true, reason: "Budget exceeded: cost" }));
@@ -688,6 +1182,43 @@ describe("runReflect budget_multiplier", () => {
     const call = K.runAgentLoop.mock.calls[0][0];
     expect(call.budgetCap).toBeUndefined();
   });
+
+  it("asks for output matching the deep reflect schema", async () => {
+    const { K, state, context } = makeReflectFixture({});
+    await runReflect(K, state, 1, context);
+    expect(K.runAgentLoop.mock.calls[0][0].outputSchema).toBe(DEEP_REFLECT_OUTPUT_SCHEMA);
+  });
+});
+
+// ── 17b. Role output schemas ─────────────────────────────────
+
+describe("role output schemas", () => {
+  it("accept well-formed orient and reflect output", () => {
+    expect(Brainstem.validateSchema(ORIENT_OUTPUT_SCHEMA, {
+      session_summary: "checked balances",
+      kv_operations: [{ op: "put", key: "tooldata:x", value: 1 }],
+      next_wake_config: { sleep_seconds: 3600, effort: "low" },
+    })).toEqual([]);
+    expect(Brainstem.validateSchema(REFLECT_OUTPUT_SCHEMA, {
+      session_summary: "quiet session",
+      note_to_future_self: "nothing pending",
+      mutation_requests: [{
+        claims: ["tighten orient"], ops: [{ op: "put", key: "prompt:orient", value: "..." }],
+        checks: [{ type: "kv_assert", key: "prompt:orient", predicate: "exists" }],
+      }],
+    })).toEqual([]);
+  });
+
+  it("report field-level problems in mutation requests and verdicts", () => {
+    const errors = Brainstem.validateSchema(DEEP_REFLECT_OUTPUT_SCHEMA, {
+      reflection: "r",
+      note_to_future_self: "n",
+      mutation_requests: [{ ops: [{ op: "put", key: "k" }], checks: [] }],
+      mutation_verdicts: [{ mutation_id: "m_1", verdict: "approve" }],
+    }).map(e => e.path);
+    expect(errors).toContain("mutation_requests[0].claims");
+    expect(errors).toContain("mutation_verdicts[0].verdict");
+  });
 });
 
 // ── 18. patch op in mock kernel ──────────────────────────────
@@ -786,3 +1317,448 @@ describe("applyStagedAsCandidate with patch op", () => {
     expect(afterValue).toBe("function old() { return 2; }");
   });
 });
+
+describe("tool version ops", () => {
+  const v1 = { version: 1, code: "v1 code", meta: { timeout_ms: 5000, version: 1, description: "old" } };
+
+  it("expands rollback, pin and unpin into writes on the tool's keys", async () => {
+    const K = makeMockK({ "tool:web_fetch:v1": JSON.stringify(v1) });
+    expect(await expandToolOps(K, [
+      { op: "tool_rollback", tool: "web_fetch", version: 1 },
+      { op: "tool_pin", tool: "web_fetch", version: 1 },
+      { op: "tool_unpin", tool: "web_fetch" },
+      { op: "put", key: "wisdom", value: "x" },
+    ])).toEqual([
+      { op: "put", key: "tool:web_fetch:code", value: "v1 code" },
+      { op: "put", key: "tool:web_fetch:meta", value: { timeout_ms: 5000, description: "old", restored_from: 1 } },
+      { op: "put", key: "tool:web_fetch:pin", value: 1 },
+      { op: "delete", key: "tool:web_fetch:pin" },
+      { op: "put", key: "wisdom", value: "x" },
+    ]);
+    await expect(expandToolOps(K, [{ op: "tool_pin", tool: "web_fetch", version: 4 }]))
+      .rejects.toThrow("No archived version: tool:web_fetch:v4");
+  });
+
+  it("snapshots the tool's keys so rolling the candidate back undoes the restore", async () => {
+    const K = makeMockK({
+      "tool:web_fetch:code": "v2 code",
+      "tool:web_fetch:meta": JSON.stringify({ timeout_ms: 5000, version: 2, description: "new" }),
+      "tool:web_fetch:v1": JSON.stringify(v1),
+    });
+    const id = await applyDirectAsCandidate(K, {
+      claims: ["v2 broke web_fetch"],
+      ops: [{ op: "tool_rollback", tool: "web_fetch", version: 1 }],
+      checks: [{ type: "kv_assert", key: "tool:web_fetch:code", predicate: "equals", expected: "v1 code" }],
+    }, "test_session");
+    expect(K._kv._store.get("tool:web_fetch:code")).toBe("v1 code");
+    const candidate = JSON.parse(K._kv._store.get(`mutation_candidate:${id}`));
+    expect(candidate.ops).toEqual([{ op: "tool_rollback", tool: "web_fetch", version: 1 }]);
+    expect(Object.keys(candidate.snapshots)).toEqual(["tool:web_fetch:code", "tool:web_fetch:meta"]);
+
+    await rollbackCandidate(K, id, "test");
+    expect(K._kv._store.get("tool:web_fetch:code")).toBe("v2 code");
+  });
+
+  it("rejects a direct mutation naming a missing version", async () => {
+    const K = makeMockK({});
+    const id = await applyDirectAsCandidate(K, {
+      claims: ["x"], ops: [{ op: "tool_pin", tool: "web_fetch", version: 3 }], checks: [{ type: "kv_assert", key: "x", predicate: "exists" }],
+    }, "test_session");
+    expect(id).toBeNull();
+    expect(K.karmaRecord).toHaveBeenCalledWith(expect.objectContaining({ event: "mutation_invalid" }));
+  });
+});
+
+describe("mutation dependencies and batches", () => {
+  const check = [{ type: "kv_assert", key: "config:x", predicate: "exists" }];
+  const put = (key, value, extra = {}) => ({ claims: [`set ${key}`], ops: [{ op: "put", key, value }], checks: check, ...extra });
+  const karmaOf = (K, event) => K.karmaRecord.mock.calls.map(c => c[0]).filter(e => e.event === event);
+  const value = (K, key) => JSON.parse(K._kv._store.get(key) ?? "null");
+
+  beforeEach(() => initTracking([], []));
+
+  it("resolves refs to earlier requests and gives each batch label one id", () => {
+    const resolved = resolveRequests([
+      { ref: "tool", batch: "feature", claims: ["a"] },
+      { depends_on: ["tool", "m_existing"], batch: "feature", claims: ["b"] },
+      { batch: "other", claims: ["c"] },
+    ]);
+    const [a, b, c] = resolved;
+    expect(a.request.ref).toBeUndefined();
+    expect(b.request.depends_on).toEqual([a.id, "m_existing"]);
+    expect(a.request.batch).toMatch(/^b_/);
+    expect(b.request.batch).toBe(a.request.batch);
+    expect(c.request.batch).not.toBe(a.request.batch);
+  });
+
+  it("orders records parents first", () => {
+    const ordered = parentsFirst([{ id: "c", depends_on: ["b"] }, { id: "b", depends_on: ["a"] }, { id: "a" }]);
+    expect(ordered.map(r => r.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("rebases onto an overlapping candidate and unwinds both on the parent's rollback", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") });
+    const [a] = await applyDirectMutations(K, [put("config:x", "a")], "s_1");
+    expect(await applyDirectMutations(K, [put("config:x", "b")], "s_1")).toEqual([]);
+    expect(karmaOf(K, "mutation_conflict")).toHaveLength(1);
+
+    const [b] = await applyDirectMutations(K, [put("config:x", "b", { on_conflict: "rebase" })], "s_1");
+    expect(value(K, `mutation_candidate:${b}`).depends_on).toEqual([a]);
+    expect(karmaOf(K, "mutation_rebased")[0]).toMatchObject({ mutation_id: b, onto: [a], overlapping_keys: ["config:x"] });
+
+    await rollbackCandidate(K, a, "test");
+    expect(value(K, "config:x")).toBe("orig");
+    expect(karmaOf(K, "mutation_rolled_back")).toEqual([
+      { event: "mutation_rolled_back", mutation_id: b, reason: "cascade", cascade_from: a },
+      { event: "mutation_rolled_back", mutation_id: a, reason: "test" },
+    ]);
+  });
+
+  it("keeps a dependent from being promoted before its parent", async () => {
+    const K = makeMockK({});
+    const [tool, prompt] = await applyDirectMutations(K, [
+      put("tool:notes:code", "code", { ref: "tool" }),
+      put("prompt:orient", "use notes", { depends_on: ["tool"] }),
+    ], "s_1");
+    expect(value(K, `mutation_candidate:${prompt}`).depends_on).toEqual([tool]);
+
+    expect(await promoteCandidate(K, prompt)).toBe(false);
+    expect(karmaOf(K, "mutation_promote_blocked")[0]).toMatchObject({ mutation_id: prompt, waiting_on: [tool] });
+    expect(await promoteCandidate(K, tool)).toBe(true);
+    expect(await promoteCandidate(K, prompt)).toBe(true);
+  });
+
+  it("undoes a direct batch when one member is refused", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") });
+    const ids = await applyDirectMutations(K, [
+      put("config:x", "new", { batch: "pair" }),
+      { ...put("tool:t:pin", 1, { batch: "pair" }), ops: [{ op: "tool_pin", tool: "t", version: 9 }] },
+      put("config:y", "after", { batch: "pair" }),
+    ], "s_1");
+
+    expect(ids).toEqual([]);
+    expect(value(K, "config:x")).toBe("orig");
+    expect(K._kv._store.has("config:y")).toBe(false);
+    expect(karmaOf(K, "mutation_batch_failed")[0].undone).toHaveLength(1);
+    expect(await K.kvList({ prefix: "mutation_candidate:" })).toMatchObject({ keys: [] });
+  });
+
+  it("applies and rolls back a staged batch together", async () => {
+    const K = makeMockK({});
+    const [first, second] = await stageMutations(K, [
+      put("config:x", "1", { batch: "pair" }),
+      put("config:y", "2", { batch: "pair" }),
+    ], "s_1");
+
+    await processDeepReflectVerdicts(K, [
+      { mutation_id: first, verdict: "apply" },
+      { mutation_id: second, verdict: "apply" },
+    ]);
+    expect(K._kv._store.get("config:y")).toBe("2");
+    expect(K._kv._store.has(`mutation_staged:${second}`)).toBe(false);
+    expect(karmaOf(K, "mutation_apply_failed")).toEqual([]);
+
+    await rollbackCandidate(K, second, "bad");
+    expect(K._kv._store.has("config:x")).toBe(false);
+    expect(K._kv._store.has(`mutation_candidate:${first}`)).toBe(false);
+  });
+
+  it("drops staged dependents when their parent is rejected", async () => {
+    const K = makeMockK({});
+    const [parent, child] = await stageMutations(K, [
+      put("config:x", "1", { ref: "p" }),
+      put("config:y", "2", { depends_on: ["p"] }),
+    ], "s_1");
+    await processDeepReflectVerdicts(K, [{ mutation_id: parent, verdict: "reject", reason: "no" }]);
+    expect(K._kv._store.has(`mutation_staged:${child}`)).toBe(false);
+    expect(karmaOf(K, "mutation_rejected")[1]).toMatchObject({ mutation_id: child, reason: "cascade", cascade_from: parent });
+  });
+
+  it("refuses to apply a dependent whose parent is still staged", async () => {
+    const K = makeMockK({});
+    const [, child] = await stageMutations(K, [
+      put("config:x", "1", { ref: "p" }),
+      put("config:y", "2", { depends_on: ["p"] }),
+    ], "s_1");
+    await expect(applyStagedAsCandidate(K, child)).rejects.toThrow("apply it first");
+    expect(K._kv._store.has("config:y")).toBe(false);
+  });
+});
+
+describe("text key merges", () => {
+  const prompt = Array.from({ length: 20 }, (_, i) => `rule ${i}`).join("\n");
+  const check = [{ type: "kv_assert", key: "prompt:orient", predicate: "exists" }];
+  const karmaOf = (K, event) => K.karmaRecord.mock.calls.map(c => c[0]).filter(e => e.event === event);
+
+  beforeEach(() => initTracking([], []));
+
+  it("rolls back only the mutation's own lines", async () => {
+    const K = makeMockK({ "prompt:orient": prompt });
+    const id = await applyDirectAsCandidate(K, {
+      claims: ["c"], checks: check,
+      ops: [{ op: "patch", key: "prompt:orient", old_string: "rule 3", new_string: "rule three" }],
+    }, "s_1");
+    expect(JSON.parse(K._kv._store.get(`mutation_candidate:${id}`)).diffs["prompt:orient"]).toContain("+rule three");
+
+    // An unrelated later edit to the same prompt
+    K._kv._store.set("prompt:orient", K._kv._store.get("prompt:orient").replace("rule 15", "rule fifteen"));
+    await rollbackCandidate(K, id, "test");
+
+    expect(K._kv._store.get("prompt:orient")).toBe(prompt.replace("rule 15", "rule fifteen"));
+  });
+
+  it("merges a staged patch onto a prompt that drifted since staging", async () => {
+    const K = makeMockK({ "prompt:orient": prompt });
+    const id = await stageMutation(K, {
+      claims: ["c"], checks: check,
+      ops: [{ op: "patch", key: "prompt:orient", old_string: "rule 3\n", new_string: "rule 3\nrule 3b\n" }],
+    }, "s_1");
+    // The patch's old_string is no longer unique — a plain patch would fail
+    K._kv._store.set("prompt:orient", "rule 3\n" + prompt);
+
+    await applyStagedAsCandidate(K, id);
+    expect(K._kv._store.get("prompt:orient")).toBe("rule 3\n" + prompt.replace("rule 3\n", "rule 3\nrule 3b\n"));
+  });
+
+  it("refuses a staged change whose lines were edited meanwhile", async () => {
+    const K = makeMockK({ "prompt:orient": prompt });
+    const id = await stageMutation(K, {
+      claims: ["c"], checks: check, ops: [{ op: "put", key: "prompt:orient", value: prompt.replace("rule 7", "rule seven") }],
+    }, "s_1");
+    const drifted = prompt.replace("rule 7", "rule 7 (edited)");
+    K._kv._store.set("prompt:orient", drifted);
+
+    await expect(applyStagedAsCandidate(K, id)).rejects.toThrow("Merge conflict on keys: prompt:orient");
+    expect(K._kv._store.get("prompt:orient")).toBe(drifted);
+    expect(karmaOf(K, "mutation_merge_conflict")[0]).toMatchObject({
+      mutation_id: id, phase: "apply", keys: [{ key: "prompt:orient", conflicts: [expect.objectContaining({ reason: "context not found" })] }],
+    });
+    expect(K._kv._store.has(`mutation_staged:${id}`)).toBe(true);
+  });
+
+  it("writes a JSON string value whole, so staged puts still apply", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") });
+    const id = await stageMutation(K, {
+      claims: ["c"], checks: check, ops: [{ op: "put", key: "config:x", value: "new" }],
+    }, "s_1");
+    expect(JSON.parse(K._kv._store.get(`mutation_staged:${id}`)).diffs).toBeUndefined();
+
+    await applyStagedAsCandidate(K, id);
+    expect(K._kv._store.get("config:x")).toBe("new");
+    await rollbackCandidate(K, id, "test");
+    expect(K._kv._store.get("config:x")).toBe(JSON.stringify("orig"));
+  });
+
+  it("does not line-merge JSON keys — a patch on one is refused as before", async () => {
+    const defaults = JSON.stringify({ session_budget: { max_cost: 0.5 } }, null, 2);
+    const K = makeMockK({ "config:defaults": defaults });
+    K._kv._meta.set("config:defaults", { type: "config", format: "json" });
+    const id = await stageMutation(K, {
+      claims: ["c"], checks: check,
+      ops: [{ op: "patch", key: "config:defaults", old_string: "0.5", new_string: "0.5,\n  oops" }],
+    }, "s_1");
+    expect(JSON.parse(K._kv._store.get(`mutation_staged:${id}`)).diffs).toBeUndefined();
+
+    await expect(applyStagedAsCandidate(K, id)).rejects.toThrow("not a string value");
+    expect(K._kv._store.get("config:defaults")).toBe(defaults);
+  });
+
+  it("falls back to the snapshot when the diff no longer reverts cleanly", async () => {
+    const K = makeMockK({ "prompt:orient": prompt });
+    const id = await applyDirectAsCandidate(K, {
+      claims: ["c"], checks: check, ops: [{ op: "put", key: "prompt:orient", value: prompt.replace("rule 9", "rule nine") }],
+    }, "s_1");
+    K._kv._store.set("prompt:orient", prompt.replace("rule 9", "rule nine, revised"));
+
+    await rollbackCandidate(K, id, "test");
+    expect(K._kv._store.get("prompt:orient")).toBe(prompt);
+    expect(karmaOf(K, "mutation_merge_conflict")[0]).toMatchObject({ mutation_id: id, phase: "rollback" });
+  });
+});
+
+describe("mutation history", () => {
+  const check = [{ type: "kv_assert", key: "config:x", predicate: "exists" }];
+  const put = (key, value, extra = {}) => ({ claims: [`set ${key}`], ops: [{ op: "put", key, value }], checks: check, ...extra });
+  const history = (K, id) => JSON.parse(K._kv._store.get(`mutation_history:${id}`) ?? "null");
+  const steps = (K, id) => history(K, id).steps.map(s => [s.step, s.depth]);
+
+  beforeEach(() => initTracking([], []));
+
+  it("keeps the proposal and every step after the candidate is gone", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") }, { sessionId: "s_h1" });
+    setActingDepth(0);
+    const id = await stageMutation(K, put("config:x", "a"), "s_h1");
+    await processReflectVerdicts(K, [{ mutation_id: id, verdict: "modify", updated_claims: ["set x to a, really"] }]);
+    setActingDepth(1);
+    await processDeepReflectVerdicts(K, [{ mutation_id: id, verdict: "apply" }]);
+    await processDeepReflectVerdicts(K, [{ mutation_id: id, verdict: "promote", reason: "checks held" }]);
+
+    expect(K._kv._store.has(`mutation_candidate:${id}`)).toBe(false);
+    const record = history(K, id);
+    expect(record).toMatchObject({
+      id, status: "promoted", claims: ["set config:x"], ops: [{ op: "put", key: "config:x", value: "a" }],
+      checks: check, staged_by_session: "s_h1", target_keys: ["config:x"],
+    });
+    expect(steps(K, id)).toEqual([["staged", 0], ["modified", 0], ["applied", 1], ["promoted", 1]]);
+    expect(record.steps[1].claims).toEqual(["set x to a, really"]);
+    expect(record.steps[3]).toMatchObject({ reason: "checks held", session_id: "s_h1" });
+  });
+
+  it("records cascades, and nothing for verdicts on unknown mutations", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") });
+    const [a] = await applyDirectMutations(K, [put("config:x", "a")], "s_1");
+    const [b] = await applyDirectMutations(K, [put("config:x", "b", { on_conflict: "rebase" })], "s_1");
+    await rollbackCandidate(K, a, "circuit_breaker");
+    await processDeepReflectVerdicts(K, [
+      { mutation_id: "m_nope", verdict: "reject" },
+      { mutation_id: "m_nope", verdict: "defer" },
+    ]);
+
+    expect(history(K, b).steps[0]).toMatchObject({ step: "applied", rebased_onto: [a], depth: null });
+    expect(history(K, b).steps[1]).toMatchObject({ step: "rolled_back", reason: "cascade", cascade_from: a });
+    expect(history(K, a)).toMatchObject({ status: "rolled_back", steps: [{ step: "applied" }, { step: "rolled_back", reason: "circuit_breaker" }] });
+    expect(history(K, "m_nope")).toBeNull();
+  });
+
+  it("keeps refused requests and the evidence behind an auto-promotion", async () => {
+    const K = makeMockK({ "config:x": JSON.stringify("orig") }, { sessionId: "s_h2" });
+    const [a] = await applyDirectMutations(K, [put("config:x", "a", { observation: { sessions: 1 } })], "s_h2");
+    expect(await applyDirectMutations(K, [put("config:x", "b")], "s_h2")).toEqual([]);
+    const refused = [...K._kv._store.keys()].find(k => k.startsWith("mutation_history:") && !k.endsWith(a));
+    expect(JSON.parse(K._kv._store.get(refused))).toMatchObject({ status: "refused", steps: [{ step: "refused", reason: expect.stringContaining(a) }] });
+
+    await observeCandidates(K);
+    expect(history(K, a).steps[1]).toMatchObject({
+      step: "promoted", reason: "observation_passed", observed: { passed: 1 }, evidence: [{ session_id: "s_h2", outcome: "passed" }],
+    });
+    expect((await K.queryMutationHistory({ key: "config:x", status: "promoted" })).mutations.map(m => m.id)).toEqual([a]);
+  });
+});
+
+// ── 21. Karma retention ─────────────────────────────────────
+
+describe("karma retention", () => {
+  const DAY = 86400000;
+  const sid = (ms, tag = "x") => `s_${ms}_${tag}`;
+
+  function karmaKV(ids, extra = {}) {
+    const kv = {};
+    for (const id of ids) {
+      kv[`karma:${id}`] = JSON.stringify({ chunks: 1 });
+      kv[`karma:${id}:0`] = JSON.stringify([
+        { event: "session_start" },
+        { event: "llm_call", model: "m1", cost: 0.5, in_tokens: 100, out_tokens: 10 },
+        { event: "tool_start", tool: "web_fetch" },
+        { event: "tool_complete", tool: "web_fetch", ok: false, error: "timeout" },
+      ]);
+    }
+    return { ...kv, ...extra };
+  }
+
+  it("sessionTime reads the timestamp from a session ID", () => {
+    expect(sessionTime("s_1700000000000_abc")).toBe(1700000000000);
+    expect(sessionTime("chat")).toBeNull();
+  });
+
+  it("foldSession accumulates totals and is idempotent per session", () => {
+    const summary = emptyDaySummary("2026-01-01");
+    const karma = [
+      { event: "llm_call", model: "m1", cost: 0.25, in_tokens: 10, out_tokens: 5 },
+      { event: "fatal_error", error: "boom" },
+    ];
+    foldSession(summary, "s_1", karma);
+    foldSession(summary, "s_1", karma);
+    expect(summary.sessions).toEqual(["s_1"]);
+    expect(summary.cost).toBe(0.25);
+    expect(summary.models.m1).toEqual({ calls: 1, cost: 0.25 });
+    expect(summary.events).toEqual({ llm_call: 1, fatal_error: 1 });
+    expect(summary.errors).toEqual([{ session_id: "s_1", event: "fatal_error", error: "boom" }]);
+  });
+
+  it("keeps the newest N sessions raw and compacts older ones into day summaries", async () => {
+    const now = Date.now();
+    const ids = [sid(now - 3 * DAY, "a"), sid(now - 2 * DAY, "b"), sid(now - DAY, "c")];
+    const K = makeMockK({
+      ...karmaKV(ids),
+      "cache:session_ids": JSON.stringify(ids),
+    });
+    const report = await runRetention(K, { defaults: { retention: { keep_sessions: 1 } } });
+
+    expect(report.compacted).toEqual([ids[0], ids[1]]);
+    expect(K._kv._store.has(`karma:${ids[0]}`)).toBe(false);
+    expect(K._kv._store.has(`karma:${ids[0]}:0`)).toBe(false);
+    expect(K._kv._store.has(`karma:${ids[2]}`)).toBe(true);
+
+    const date = new Date(now - 3 * DAY).toISOString().slice(0, 10);
+    const summary = JSON.parse(K._kv._store.get(`karma_summary:${date}`));
+    expect(summary.sessions).toEqual([ids[0]]);
+    expect(summary.cost).toBe(0.5);
+    expect(summary.tool_calls).toBe(1);
+    expect(summary.errors[0]).toMatchObject({ session_id: ids[0], error: "timeout" });
+
+    expect(JSON.parse(K._kv._store.get("cache:session_ids"))).toEqual([ids[2]]);
+    expect(K.collectBlobGarbage).toHaveBeenCalled();
+    expect(K.karmaRecord).toHaveBeenCalledWith(expect.objectContaining({
+      event: "retention_pruned",
+      compacted: [ids[0], ids[1]],
+    }));
+    expect(JSON.parse(K._kv._store.get("last_retention")).compacted).toHaveLength(2);
+  });
+
+  it("writes summaries before deleting raw karma", async () => {
+    const now = Date.now();
+    const ids = [sid(now - 2 * DAY, "a"), sid(now - DAY, "b")];
+    const K = makeMockK(karmaKV(ids));
+    await runRetention(K, { defaults: { retention: { keep_sessions: 1 } } });
+    const summaryWrite = K.kvPutSafe.mock.invocationCallOrder[
+      K.kvPutSafe.mock.calls.findIndex(([k]) => k.startsWith("karma_summary:"))];
+    const firstDelete = K.kvDeleteSafe.mock.invocationCallOrder[0];
+    expect(summaryWrite).toBeLessThan(firstDelete);
+  });
+
+  it("skips sessions still referenced by a candidate or staged mutation", async () => {
+    const now = Date.now();
+    const ids = [sid(now - 3 * DAY, "a"), sid(now - 2 * DAY, "b"), sid(now - DAY, "c")];
+    const K = makeMockK({
+      ...karmaKV(ids),
+      "mutation_candidate:m_1": JSON.stringify({ id: "m_1", staged_by_session: ids[0] }),
+    });
+    const report = await runRetention(K, { defaults: { retention: { keep_sessions: 1 } } });
+    expect(report.skipped_protected).toEqual([ids[0]]);
+    expect(report.compacted).toEqual([ids[1]]);
+    expect(K._kv._store.has(`karma:${ids[0]}`)).toBe(true);
+  });
+
+  it("never touches the current session or chunk keys as sessions", async () => {
+    const now = Date.now();
+    const current = sid(now - 5 * DAY, "cur");
+    const K = makeMockK(karmaKV([current]), { sessionId: current });
+    const report = await runRetention(K, { defaults: { retention: { keep_sessions: 0 } } });
+    expect(report).toBeNull();
+    expect(K._kv._store.has(`karma:${current}`)).toBe(true);
+  });
+
+  it("deletes summaries and session reflections past the horizon", async () => {
+    const now = Date.now();
+    const old = sid(now - 400 * DAY, "old");
+    const recent = sid(now - DAY, "new");
+    const oldDate = new Date(now - 400 * DAY).toISOString().slice(0, 10);
+    const K = makeMockK({
+      [`karma_summary:${oldDate}`]: JSON.stringify(emptyDaySummary(oldDate)),
+      [`reflect:0:${old}`]: JSON.stringify({ session_summary: "old" }),
+      [`reflect:0:${recent}`]: JSON.stringify({ session_summary: "new" }),
+      [`reflect:1:${old}`]: JSON.stringify({ reflection: "deep" }),
+    });
+    const report = await runRetention(K, { defaults: { retention: { delete_after_days: 365 } } });
+    expect(report.deleted_keys).toEqual([`karma_summary:${oldDate}`, `reflect:0:${old}`]);
+    expect(K._kv._store.has(`reflect:0:${recent}`)).toBe(true);
+    expect(K._kv._store.has(`reflect:1:${old}`)).toBe(true);
+  });
+
+  it("does nothing when disabled", async () => {
+    const now = Date.now();
+    const K = makeMockK(karmaKV([sid(now - 2 * DAY, "a"), sid(now - DAY, "b")]));
+    expect(await runRetention(K, { defaults: { retention: { enabled: false, keep_sessions: 0 } } })).toBeNull();
+    expect(K.kvDeleteSafe).not.toHaveBeenCalled();
+  });
+});
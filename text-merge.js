@@ -0,0 +1,221 @@
+// Swayambhu Text Merge — line diffs for text system keys
+// Unified diffs between two texts, applying them to a text that has drifted
+// since (nearest offset, then fuzz — dropping context lines from the hunk
+// edges, as patch(1) does), and three-way merges built on the two. Mutations
+// on prompts, hook modules and tool code keep diffs, so applying one merges
+// onto the key as it is now and rolling one back reverts only its own lines.
+//
+// This module is kernel-level code — imported directly, not loaded from KV.
+// The hook reaches it through KernelRPC (diffText, applyDiff).
+
+const CONTEXT_LINES = 3;
+const MAX_FUZZ = 2;
+const MAX_DIFF_CELLS = 4_000_000;  // past this the changed middle is one replace block
+
+// ── Diffing ─────────────────────────────────────────────────
+
+// Line edit script from a to b: [{ type: " " | "-" | "+", line }].
+// Common prefix/suffix are trimmed, the middle is an LCS table.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = a.slice(0, start).map(line => ({ type: " ", line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(line => ({ type: "-", line })), ...midB.map(line => ({ type: "+", line })));
+  } else {
+    // lcs[i * w + j] — longest common subsequence of midA[i..] and midB[j..]
+    const w = m + 1;
+    const lcs = new Uint32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * w + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * w + j + 1] + 1
+          : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push({ type: " ", line: midA[i] }); i++; j++; }
+      else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) ops.push({ type: "-", line: midA[i++] });
+      else ops.push({ type: "+", line: midB[j++] });
+    }
+    while (i < n) ops.push({ type: "-", line: midA[i++] });
+    while (j < m) ops.push({ type: "+", line: midB[j++] });
+  }
+
+  ops.push(...a.slice(endA).map(line => ({ type: " ", line })));
+  return ops;
+}
+
+// Unified diff of two texts ("" when equal). Hunks only — no file headers.
+export function diffText(before, after, context = CONTEXT_LINES) {
+  if (before === after) return "";
+  const ops = diffLines(String(before).split("\n"), String(after).split("\n"));
+
+  // Line numbers (1-based) each op starts at, in the old and new text
+  const oldAt = [];
+  const newAt = [];
+  let o = 1;
+  let nw = 1;
+  for (const op of ops) {
+    oldAt.push(o);
+    newAt.push(nw);
+    if (op.type !== "+") o++;
+    if (op.type !== "-") nw++;
+  }
+
+  const out = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === " ") { i++; continue; }
+    // Changes closer than two contexts apart share a hunk
+    let last = i;
+    for (let k = i; k < ops.length; k++) {
+      if (ops[k].type !== " ") last = k;
+      else if (k - last > 2 * context) break;
+    }
+    const from = Math.max(0, i - context);
+    const to = Math.min(ops.length, last + context + 1);
+    const body = ops.slice(from, to);
+    const oldCount = body.filter(op => op.type !== "+").length;
+    const newCount = body.filter(op => op.type !== "-").length;
+    // An empty side is numbered by the line before it, as diff(1) does
+    const oldStart = oldCount ? oldAt[from] : oldAt[from] - 1;
+    const newStart = newCount ? newAt[from] : newAt[from] - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of body) out.push(op.type + op.line);
+    i = to;
+  }
+  return out.join("\n");
+}
+
+// ── Applying ────────────────────────────────────────────────
+
+export function parseDiff(diff) {
+  const hunks = [];
+  let hunk = null;
+  for (const row of String(diff || "").split("\n")) {
+    const header = row.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        header: header[0],
+        oldStart: Number(header[1]), oldCount: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]), newCount: header[4] === undefined ? 1 : Number(header[4]),
+        lines: [],
+      };
+      hunks.push(hunk);
+      continue;
+    }
+    // Rows outside a hunk (file headers, prose) and past its counts are ignored
+    if (!hunk) continue;
+    const oldSeen = hunk.lines.filter(l => l.type !== "+").length;
+    const newSeen = hunk.lines.filter(l => l.type !== "-").length;
+    if (oldSeen >= hunk.oldCount && newSeen >= hunk.newCount) continue;
+    if (row.startsWith("\\")) continue;  // "\ No newline at end of file"
+    const type = row[0] === "-" || row[0] === "+" ? row[0] : " ";
+    // Editors strip the space off empty context lines
+    hunk.lines.push({ type, line: row === "" ? "" : row.slice(1) });
+  }
+  return hunks;
+}
+
+const sameLine = (a, b) => a === b || a.trimEnd() === b.trimEnd();
+
+// Start of `pattern` in `lines` nearest to `around`, or -1
+function nearestMatch(lines, pattern, around) {
+  const last = lines.length - pattern.length;
+  if (last < 0) return -1;
+  const matchesAt = (at) => pattern.every((line, k) => sameLine(lines[at + k], line));
+  const origin = Math.min(Math.max(around, 0), last);
+  for (let d = 0; d <= Math.max(origin, last - origin); d++) {
+    if (origin - d >= 0 && matchesAt(origin - d)) return origin - d;
+    if (d > 0 && origin + d <= last && matchesAt(origin + d)) return origin + d;
+  }
+  return -1;
+}
+
+function contextRun(body, fromEnd) {
+  let count = 0;
+  const seq = fromEnd ? [...body].reverse() : body;
+  for (const l of seq) {
+    if (l.type !== " ") break;
+    count++;
+  }
+  return count;
+}
+
+// Where a hunk goes: { at, remove, insert, fuzz }, { applied: true } when
+// its result is already there and its source isn't, or null
+function placeHunk(lines, body, expectedAt, maxFuzz) {
+  const lead = contextRun(body, false);
+  const trail = contextRun(body, true);
+  for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+    const cutLead = Math.min(fuzz, lead);
+    const cutTrail = Math.min(fuzz, trail);
+    if (fuzz > 0 && cutLead < fuzz && cutTrail < fuzz) break;  // nothing left to drop
+    const core = body.slice(cutLead, body.length - cutTrail);
+    const source = core.filter(l => l.type !== "+").map(l => l.line);
+    const result = core.filter(l => l.type !== "-").map(l => l.line);
+    const at = nearestMatch(lines, source, expectedAt + cutLead);
+    if (at !== -1) return { at, remove: source.length, insert: result, fuzz };
+    if (fuzz === 0 && result.length && nearestMatch(lines, result, expectedAt) !== -1) return { applied: true };
+  }
+  return null;
+}
+
+// Applies a unified diff (or reverts it, with reverse) to text that may have
+// drifted. Hunks that can't be placed are reported in conflicts and left out;
+// hunks whose change is already present are counted in skipped.
+export function applyDiff(text, diff, { reverse = false, fuzz = MAX_FUZZ } = {}) {
+  const lines = String(text).split("\n");
+  const conflicts = [];
+  let applied = 0;
+  let skipped = 0;
+  let shift = 0;
+
+  parseDiff(diff).forEach((hunk, index) => {
+    const body = reverse
+      ? hunk.lines.map(({ type, line }) => ({ type: type === "-" ? "+" : type === "+" ? "-" : " ", line }))
+      : hunk.lines;
+    const start = reverse ? hunk.newStart : hunk.oldStart;
+    const count = reverse ? hunk.newCount : hunk.oldCount;
+    const expectedAt = (count ? start - 1 : start) + shift;
+
+    const place = placeHunk(lines, body, expectedAt, fuzz);
+    if (!place) {
+      conflicts.push({
+        hunk: index,
+        header: hunk.header,
+        reason: "context not found",
+        expected: body.filter(l => l.type !== "+").map(l => l.line).slice(0, 8),
+      });
+      return;
+    }
+    if (place.applied) { skipped++; return; }
+    lines.splice(place.at, place.remove, ...place.insert);
+    shift += place.at - expectedAt + place.insert.length - place.remove;
+    applied++;
+  });
+
+  return { text: lines.join("\n"), applied, skipped, conflicts };
+}
+
+// ── Three-way merge ─────────────────────────────────────────
+
+// Carries the change base → theirs over onto ours
+export function mergeText(base, ours, theirs) {
+  if (ours === base || ours === theirs) return { text: theirs, conflicts: [] };
+  if (theirs === base) return { text: ours, conflicts: [] };
+  const { text, conflicts } = applyDiff(ours, diffText(base, theirs));
+  return { text, conflicts };
+}
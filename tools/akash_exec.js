@@ -1,4 +1,18 @@
-export const meta = { secrets: ["AKASH_CF_CLIENT_ID", "AKASH_API_KEY"], kv_access: "none", timeout_ms: 300000 };
+export const meta = {
+  secrets: ["AKASH_CF_CLIENT_ID", "AKASH_API_KEY"],
+  kv_access: "none",
+  timeout_ms: 300000,
+  version: 1,
+  description: "Run a shell command on the akash Linux server. Returns status, exit code, and output (stdout/stderr entries).",
+  parameters: {
+    type: "object",
+    properties: {
+      command: { type: "string", minLength: 1, description: "Shell command to run" },
+      timeout: { type: "integer", minimum: 1, description: "Seconds to wait (default 60)" },
+    },
+    required: ["command"],
+  },
+};
 
 const BASE = "https://akash.swayambhu.dev";
 
@@ -5,6 +5,16 @@ export const meta = {
   secrets: ["GMAIL_CLIENT_ID", "GMAIL_CLIENT_SECRET", "GMAIL_REFRESH_TOKEN"],
   kv_access: "none",
   timeout_ms: 15000,
+  idempotent: true,
+  version: 1,
+  description: "Check for unread emails in Gmail inbox. Returns sender, subject, date, and snippet for each.",
+  parameters: {
+    type: "object",
+    properties: {
+      mark_read: { type: "boolean", description: "Mark fetched emails as read (default false)" },
+      max_results: { type: "integer", minimum: 1, maximum: 20, description: "Max emails to return (default 10)" },
+    },
+  },
 };
 
 export async function execute({ mark_read, max_results, secrets, fetch }) {
@@ -1,12 +1,25 @@
-export const meta = { secrets: [], kv_access: "read_all", timeout_ms: 5000 };
+export const meta = {
+  secrets: [],
+  kv_access: "read_all",
+  timeout_ms: 5000,
+  idempotent: true,
+  version: 1,
+  description: "Lazily traverse a session's karma log using dot-bracket path expressions. Returns one level of depth per call — use progressively deeper paths to drill into events.",
+  parameters: {
+    type: "object",
+    properties: {
+      session: { type: "string", pattern: "^s_", description: "Session ID (e.g. s_1709123456_abc)" },
+      path: { type: "string", description: "Dot-bracket path (e.g. [1].tool_calls[0].function)" },
+    },
+    required: ["session"],
+  },
+};
 
 export async function execute({ session, path, kv }) {
   if (!session) return { error: "missing required param: session" };
 
-  const karma = await kv.get(`karma:${session}`);
-  if (karma === null) return { error: `no karma found for session: ${session}` };
-
-  const events = typeof karma === "string" ? JSON.parse(karma) : karma;
+  const events = await kv.readKarma(session);
+  if (events === null) return { error: `no karma found for session: ${session}` };
   if (!Array.isArray(events)) return { error: "karma is not an array" };
 
   if (!path) {
@@ -30,7 +43,7 @@ export async function execute({ session, path, kv }) {
       if (seg.value < 0 || seg.value >= current.length) {
         return { error: `index [${seg.value}] out of bounds (length ${current.length}) at ${traversed || "root"}` };
       }
-      current = current[seg.value];
+      current = await resolveBlob(kv, current[seg.value]);
       traversed += `[${seg.value}]`;
     } else {
       if (current === null || typeof current !== "object" || Array.isArray(current)) {
@@ -42,7 +55,7 @@ export async function execute({ session, path, kv }) {
           available_keys: Object.keys(current),
         };
       }
-      current = current[seg.value];
+      current = await resolveBlob(kv, current[seg.value]);
       traversed += (traversed ? "." : ".") + seg.value;
     }
   }
@@ -50,6 +63,18 @@ export async function execute({ session, path, kv }) {
   return summarize(current);
 }
 
+// Large payloads are stored as { $blob: "blob:<sha256>", bytes } refs —
+// follow them as the path walks through
+function isBlobRef(v) {
+  return v !== null && typeof v === "object" && typeof v.$blob === "string";
+}
+
+async function resolveBlob(kv, value) {
+  if (!isBlobRef(value)) return value;
+  const content = await kv.get(value.$blob);
+  return content === null ? value : content;
+}
+
 function parsePath(path) {
   const segments = [];
   let i = 0;
@@ -102,6 +127,7 @@ function summarize(value) {
 
 function describeValue(v) {
   if (v === null || v === undefined) return "null";
+  if (isBlobRef(v)) return `blob (${v.bytes} bytes)`;
   if (typeof v === "boolean") return String(v);
   if (typeof v === "number") return String(v);
   if (typeof v === "string") {
@@ -117,6 +143,7 @@ function briefSignature(obj) {
   if (obj === null || obj === undefined) return "null";
   if (typeof obj !== "object") return String(obj);
   if (Array.isArray(obj)) return `array (${obj.length} items)`;
+  if (isBlobRef(obj)) return `blob (${obj.bytes} bytes)`;
 
   if (obj.event) {
     const parts = [obj.event];
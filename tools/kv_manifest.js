@@ -1,4 +1,18 @@
-export const meta = { secrets: [], kv_access: "read_all", timeout_ms: 5000 };
+export const meta = {
+  secrets: [],
+  kv_access: "read_all",
+  timeout_ms: 5000,
+  idempotent: true,
+  version: 1,
+  description: "List KV keys, optionally filtered by prefix. Use to explore what is stored in memory.",
+  parameters: {
+    type: "object",
+    properties: {
+      prefix: { type: "string", description: "Key prefix filter" },
+      limit: { type: "integer", minimum: 1, maximum: 500, description: "Max keys to return (default 100)" },
+    },
+  },
+};
 
 export async function execute({ prefix, limit, kv }) {
   const opts = { limit: Math.min(parseInt(limit) || 100, 500) };
@@ -1,4 +1,16 @@
-export const meta = { secrets: [], kv_access: "read_all", timeout_ms: 5000 };
+export const meta = {
+  secrets: [],
+  kv_access: "read_all",
+  timeout_ms: 5000,
+  idempotent: true,
+  version: 1,
+  description: "Read a value from memory (any key)",
+  parameters: {
+    type: "object",
+    properties: { key: { type: "string", minLength: 1, description: "KV key" } },
+    required: ["key"],
+  },
+};
 
 export async function execute({ key, kv }) {
   const val = await kv.get(key);
@@ -1,4 +1,18 @@
-export const meta = { secrets: [], kv_access: "own", timeout_ms: 5000 };
+export const meta = {
+  secrets: [],
+  kv_access: "own",
+  timeout_ms: 5000,
+  version: 1,
+  description: "Write to tool's own KV namespace",
+  parameters: {
+    type: "object",
+    properties: {
+      key: { type: "string", minLength: 1, description: "Key within tooldata:kv_write:" },
+      value: { description: "Any JSON value, or a string" },
+    },
+    required: ["key", "value"],
+  },
+};
 
 export async function execute({ key, value, kv }) {
   await kv.put(key, typeof value === "string" ? value : JSON.stringify(value));
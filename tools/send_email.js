@@ -5,6 +5,24 @@ export const meta = {
   secrets: ["GMAIL_CLIENT_ID", "GMAIL_CLIENT_SECRET", "GMAIL_REFRESH_TOKEN"],
   kv_access: "none",
   timeout_ms: 15000,
+  version: 1,
+  description: "Send an email or reply to an existing thread via Gmail.",
+  parameters: {
+    type: "object",
+    properties: {
+      to: {
+        anyOf: [
+          { type: "string", minLength: 3, description: "one address" },
+          { type: "array", items: { type: "string", minLength: 3 }, minItems: 1, description: "a list of addresses" },
+        ],
+        description: "Recipient address, or a list of addresses",
+      },
+      subject: { type: "string", description: "Subject (required unless replying)" },
+      body: { type: "string", minLength: 1, description: "Plain text email body" },
+      reply_to_id: { type: "string", description: "Gmail message ID to reply to (threads the reply)" },
+    },
+    required: ["to", "body"],
+  },
 };
 
 export async function execute({ to, subject, body, reply_to_id, secrets, fetch }) {
@@ -31,7 +49,7 @@ export async function execute({ to, subject, body, reply_to_id, secrets, fetch }
   }
 
   const result = await sendMessage(token, fetch, {
-    to,
+    to: Array.isArray(to) ? to.join(", ") : to,
     subject: replySubject,
     body,
     inReplyTo,
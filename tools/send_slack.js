@@ -1,4 +1,18 @@
-export const meta = { secrets: ["SLACK_BOT_TOKEN", "SLACK_CHANNEL_ID"], kv_access: "none", timeout_ms: 10000 };
+export const meta = {
+  secrets: ["SLACK_BOT_TOKEN", "SLACK_CHANNEL_ID"],
+  kv_access: "none",
+  timeout_ms: 10000,
+  version: 1,
+  description: "Post a message to the Slack channel",
+  parameters: {
+    type: "object",
+    properties: {
+      text: { type: "string", minLength: 1, description: "Message text (Slack mrkdwn)" },
+      channel: { type: "string", description: "Override the default channel ID" },
+    },
+    required: ["text"],
+  },
+};
 
 export async function execute({ text, channel, secrets, fetch }) {
   const resp = await fetch("https://slack.com/api/chat.postMessage", {
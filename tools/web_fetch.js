@@ -1,4 +1,20 @@
-export const meta = { secrets: [], kv_access: "none", timeout_ms: 15000 };
+export const meta = {
+  secrets: [],
+  kv_access: "none",
+  timeout_ms: 15000,
+  version: 1,
+  description: "Fetch contents of a URL",
+  parameters: {
+    type: "object",
+    properties: {
+      url: { type: "string", pattern: "^https?://", description: "http(s) URL to fetch" },
+      method: { type: "string", enum: ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD"], description: "HTTP method (default GET)" },
+      headers: { type: "object", additionalProperties: { type: "string" }, description: "Request headers" },
+      max_length: { type: "integer", minimum: 1, description: "Truncate the body to this many characters (default 10000)" },
+    },
+    required: ["url"],
+  },
+};
 
 export async function execute({ url, headers, method, max_length, fetch }) {
   const resp = await fetch(url, {